@@ -1,51 +1,85 @@
 import { useEffect, useMemo, useRef, useState } from "react";
-
-function voiceTypePretty(t) {
-  if (t === "CHIRP_HD") return "Chirp 3: HD";
-  if (t === "WAVENET") return "WaveNet";
-  if (t === "NEURAL2") return "Neural2";
-  if (t === "STUDIO") return "Studio";
-  if (t === "STANDARD") return "Standard";
-  if (t === "POLYGLOT") return "Polyglot";
-  return t || "Other";
-}
-
-function formatUsd(n) {
-  if (n == null || Number.isNaN(n)) return "-";
-  if (n === 0) return "$0";
-  if (n < 0.0001) return `$${n.toExponential(2)}`;
-  return `$${n.toFixed(6)}`;
-}
+import BenchmarkPanel from "./BenchmarkPanel.jsx";
+import CompareMode from "./CompareMode.jsx";
+import DialogueMode from "./DialogueMode.jsx";
+import HistoryPanel, { permalinkFor } from "./HistoryPanel.jsx";
+import JobsPanel from "./JobsPanel.jsx";
+import KeysPanel from "./KeysPanel.jsx";
+import LexiconPanel, { LexiconReport } from "./LexiconPanel.jsx";
+import LocalizeMode from "./LocalizeMode.jsx";
+import LoginScreen from "./LoginScreen.jsx";
+import LongFormMode from "./LongFormMode.jsx";
+import NormalizePanel, { NormalizationRow } from "./NormalizePanel.jsx";
+import PostProcessPanel, { PostProcessRow } from "./PostProcessPanel.jsx";
+import PresetsBar from "./PresetsBar.jsx";
+import SsmlToolbar from "./SsmlToolbar.jsx";
+import UsagePanel from "./UsagePanel.jsx";
+import VoicesPanel from "./VoicesPanel.jsx";
+import Waveform, { AnalysisRows } from "./Waveform.jsx";
+import WebhooksPanel from "./WebhooksPanel.jsx";
+import WordTimeline from "./WordTimeline.jsx";
+import { errorMessage, formatAudioFormat, formatBytes, formatUsd, voiceTypePretty } from "./format.js";
+import { streamSynthesize } from "./pcmStream.js";
+import { configFromPreset, configFromSearch, configToSearch } from "./shareConfig.js";
+
+// Until the voice list has loaded
+const FALLBACK_ENCODINGS = ["MP3", "OGG_OPUS", "LINEAR16", "MULAW"];
+const SAMPLE_RATES = [8000, 16000, 22050, 24000, 44100, 48000];
 
 export default function App() {
   const audioRef = useRef(null);
+  const streamPlayerRef = useRef(null);
+  const textareaRef = useRef(null);
 
+  const [mode, setMode] = useState("single");
   const [loading, setLoading] = useState(false);
   const [bootError, setBootError] = useState("");
   const [error, setError] = useState("");
+  // { authEnabled, key } from /api/auth/me; null until it has answered
+  const [auth, setAuth] = useState(null);
 
   const [voices, setVoices] = useState([]);
   const [languages, setLanguages] = useState([]);
+  const [languageNames, setLanguageNames] = useState({});
   const [voiceTypes, setVoiceTypes] = useState([]);
+  const [provider, setProvider] = useState("");
 
   const [language, setLanguage] = useState("en-US");
   const [voiceType, setVoiceType] = useState("CHIRP_HD");
   const [voiceName, setVoiceName] = useState("");
 
   const [audioEncoding, setAudioEncoding] = useState("MP3");
+  const [sampleRateHertz, setSampleRateHertz] = useState(""); // "" = the voice's natural rate
   const [inputType, setInputType] = useState("text");
   const [speakingRate, setSpeakingRate] = useState(1.0);
   const [pitch, setPitch] = useState(0);
+  const [volumeGainDb, setVolumeGainDb] = useState(0);
+  const [postprocess, setPostprocess] = useState(null); // null = off
+  const [normalize, setNormalize] = useState(null); // null = off, true = every rule, or { <rule>: false }
 
   const [text, setText] = useState("Hello! This is a quick test of Google Text-to-Speech.");
   const [result, setResult] = useState(null);
-  const [history, setHistory] = useState([]);
+  const [historyRefresh, setHistoryRefresh] = useState(0);
 
   const [audioDuration, setAudioDuration] = useState(null);
+  const [streaming, setStreaming] = useState(false);
+  const [wordTimings, setWordTimings] = useState(false);
+  const [streamStatus, setStreamStatus] = useState("");
+  // Set once the setup from the URL (or the defaults) has been applied; until then the URL is left alone.
+  const [configReady, setConfigReady] = useState(false);
 
   const isChirp = voiceType === "CHIRP_HD";
+  const signedIn = Boolean(auth && (!auth.authEnabled || auth.key));
 
   useEffect(() => {
+    fetch("/api/auth/me")
+      .then((r) => (r.ok ? r.json() : Promise.reject(new Error(`auth check failed: ${r.status}`))))
+      .then(setAuth)
+      .catch((e) => setBootError(String(e?.message || e)));
+  }, []);
+
+  useEffect(() => {
+    if (!signedIn) return;
     (async () => {
       try {
         setBootError("");
@@ -54,6 +88,7 @@ export default function App() {
         const data = await res.json();
         setVoices(data.voices || []);
         setLanguages(data.languages || []);
+        setLanguageNames(data.languageNames || {});
         setVoiceTypes(data.voiceTypes || []);
 
         // Try to pick sensible defaults (Chirp HD if available, else Neural2)
@@ -64,11 +99,43 @@ export default function App() {
         // pick a default language & voice
         const defaultLang = (data.languages || []).includes("en-US") ? "en-US" : (data.languages || [])[0];
         setLanguage(defaultLang || "en-US");
+
+        // A shared link (?preset=<id> or the setup itself in the query) overrides the defaults.
+        const presetId = new URLSearchParams(window.location.search).get("preset");
+        if (presetId) {
+          const presetRes = await fetch(`/api/presets/${encodeURIComponent(presetId)}`);
+          const preset = await presetRes.json();
+          if (presetRes.ok) applyConfig(configFromPreset(preset), data.voices || []);
+          else setError(`Could not open shared preset: ${errorMessage(preset, presetRes.status)}`);
+        } else {
+          const shared = configFromSearch(window.location.search);
+          if (shared) applyConfig(shared, data.voices || []);
+        }
+        setConfigReady(true);
+
+        const health = await fetch("/api/health").then((r) => r.json());
+        setProvider(health.provider || "");
       } catch (e) {
         setBootError(String(e?.message || e));
       }
     })();
-  }, []);
+  }, [signedIn]);
+
+  useEffect(() => {
+    // Permalink: /?clip=<id> opens that clip from server history
+    const clipId = new URLSearchParams(window.location.search).get("clip");
+    if (!clipId || !signedIn) return;
+    (async () => {
+      try {
+        const res = await fetch(`/api/history/${encodeURIComponent(clipId)}`);
+        const record = await res.json();
+        if (!res.ok) throw new Error(errorMessage(record, res.status));
+        loadIntoPlayer(entryFromRecord(record));
+      } catch (e) {
+        setError(`Could not open shared clip: ${String(e?.message || e)}`);
+      }
+    })();
+  }, [signedIn]);
 
   const filteredVoices = useMemo(() => {
     return voices
@@ -84,19 +151,47 @@ export default function App() {
     if (!exists) setVoiceName(filteredVoices[0].name);
   }, [filteredVoices, voiceName]);
 
+  const selectedVoice = voices.find((v) => v.name === voiceName);
+  // Only what the selected voice (and provider) can produce, e.g. no A-law for Chirp 3: HD.
+  const encodings = selectedVoice?.capabilities?.audioEncodings ?? FALLBACK_ENCODINGS;
+
   useEffect(() => {
-    // Chirp doesn't support SSML / speakingRate / pitch
+    if (!encodings.includes(audioEncoding)) setAudioEncoding("MP3");
+  }, [encodings, audioEncoding]);
+
+  useEffect(() => {
+    // Chirp doesn't support speakingRate / pitch (SSML is stripped to text by the server)
     if (isChirp) {
-      setInputType("text");
       setSpeakingRate(1.0);
       setPitch(0);
     }
   }, [isChirp]);
 
+  const config = useMemo(
+    () => ({ language, voiceType, voiceName, audioEncoding, sampleRateHertz, inputType, speakingRate, pitch, volumeGainDb, postprocess, normalize, wordTimings, streaming, text }),
+    [language, voiceType, voiceName, audioEncoding, sampleRateHertz, inputType, speakingRate, pitch, volumeGainDb, postprocess, normalize, wordTimings, streaming, text],
+  );
+  const configSearch = configToSearch(config);
+  const shareUrl = `${window.location.origin}${window.location.pathname}${configSearch ? `?${configSearch}` : ""}`;
+
+  // Keep the address bar on the current setup so reloading or copying it reproduces it (debounced: browsers
+  // throttle replaceState).
+  useEffect(() => {
+    if (!configReady || mode !== "single") return undefined;
+    const timer = setTimeout(() => window.history.replaceState(null, "", configSearch ? `?${configSearch}` : window.location.pathname), 500);
+    return () => clearTimeout(timer);
+  }, [configReady, mode, configSearch]);
+
   const canGenerate = useMemo(() => {
     return !loading && text.trim() && voiceName;
   }, [loading, text, voiceName]);
 
+  async function logout() {
+    await fetch("/api/auth/logout", { method: "POST" }).catch(() => {});
+    setAuth({ ...auth, key: null });
+    setMode("single");
+  }
+
   function play() {
     const a = audioRef.current;
     if (!a) return;
@@ -108,15 +203,125 @@ export default function App() {
     a.pause();
   }
   function stop() {
+    stopStreamPlayer();
     const a = audioRef.current;
     if (!a) return;
     a.pause();
     a.currentTime = 0;
   }
+  function stopStreamPlayer() {
+    streamPlayerRef.current?.stop();
+    streamPlayerRef.current = null;
+  }
+
+  function entryFromRecord(record) {
+    return { id: record.id, createdAt: record.createdAt, audioSrc: record.history.audioUrl, data: record, client: null };
+  }
+
+  function loadIntoPlayer(entry) {
+    stopStreamPlayer();
+    setMode("single");
+    setAudioDuration(null);
+    setResult(entry);
+    requestAnimationFrame(() => {
+      if (!audioRef.current) return;
+      audioRef.current.src = entry.audioSrc;
+      audioRef.current.load();
+      audioRef.current.play().catch(() => {});
+    });
+  }
+
+  function pickVoice(voice) {
+    setMode("single");
+    setLanguage(voice.languageCodes[0] || language);
+    setVoiceType(voice.voiceType);
+    setVoiceName(voice.name);
+  }
+
+  // Applies a (possibly partial) setup from a preset or shared link. Language and voice type are taken from
+  // the voice when missing, so the voice list filter doesn't swap the voice for another one.
+  function applyConfig(cfg, voiceList = voices) {
+    const voice = cfg.voiceName ? voiceList.find((v) => v.name === cfg.voiceName) : null;
+    const lang = cfg.language ?? voice?.languageCodes?.[0];
+    if (lang) setLanguage(lang);
+    if (cfg.voiceType ?? voice?.voiceType) setVoiceType(voice?.voiceType ?? cfg.voiceType);
+    if (cfg.voiceName) setVoiceName(cfg.voiceName);
+    if (cfg.audioEncoding) setAudioEncoding(cfg.audioEncoding);
+    if (cfg.sampleRateHertz !== undefined) setSampleRateHertz(cfg.sampleRateHertz);
+    if (cfg.inputType) setInputType(cfg.inputType);
+    if (cfg.speakingRate !== undefined) setSpeakingRate(cfg.speakingRate);
+    if (cfg.pitch !== undefined) setPitch(cfg.pitch);
+    if (cfg.volumeGainDb !== undefined) setVolumeGainDb(cfg.volumeGainDb);
+    if (cfg.postprocess !== undefined) setPostprocess(cfg.postprocess);
+    if (cfg.normalize !== undefined) setNormalize(cfg.normalize);
+    if (cfg.wordTimings !== undefined) setWordTimings(cfg.wordTimings);
+    if (cfg.streaming !== undefined) setStreaming(cfg.streaming);
+    if (cfg.text !== undefined && cfg.text !== "") setText(cfg.text);
+  }
+
+  // Puts a history clip's text and settings back into the form so it can be tweaked and re-generated.
+  function applyRecordParams(record) {
+    const p = record.params;
+    setMode("single");
+    setLanguage(p.languageCode || record.voice.languageCodes?.[0] || language);
+    setVoiceType(record.voice.voiceType);
+    setVoiceName(p.voiceName);
+    setAudioEncoding(p.audioEncoding);
+    setSampleRateHertz(p.sampleRateHertz ?? "");
+    setInputType(p.inputType);
+    if (p.speakingRate !== undefined) setSpeakingRate(p.speakingRate);
+    if (p.pitch !== undefined) setPitch(p.pitch);
+    setVolumeGainDb(p.volumeGainDb ?? 0);
+    setPostprocess(p.postprocess ?? null);
+    setNormalize(p.normalize ?? null);
+    setWordTimings(Boolean(p.timepoints));
+    setText(p.text);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  }
+
+  async function generateStreamed(payload) {
+    const { start, done, wavBlob, client } = await streamSynthesize(payload, {
+      onStart: (_, player) => {
+        streamPlayerRef.current = player;
+        setStreamStatus("Waiting for first audio…");
+      },
+      onFirstAudio: (ms) => setStreamStatus(`Playing — first audio after ${ms} ms`),
+    });
+
+    // The streamed PCM is kept as a WAV so the clip can be replayed and loaded from History.
+    const audioSrc = URL.createObjectURL(wavBlob);
+    const entry = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      audioSrc,
+      data: {
+        audio: { mimeType: "audio/wav", encoding: "LINEAR16", streamed: true },
+        voice: start.voice,
+        metrics: done.metrics,
+        analysis: done.analysis,
+        lexicon: done.lexicon,
+        normalization: done.normalization,
+        warnings: done.warnings,
+        history: done.history,
+      },
+      client,
+    };
+
+    setResult(entry);
+    setHistoryRefresh((k) => k + 1);
+
+    // Already heard through Web Audio, so only load it into the player.
+    requestAnimationFrame(() => {
+      if (!audioRef.current) return;
+      audioRef.current.src = audioSrc;
+      audioRef.current.load();
+    });
+  }
 
   async function generate() {
     setError("");
     setAudioDuration(null);
+    stopStreamPlayer();
 
     const payload = {
       inputType,
@@ -124,9 +329,27 @@ export default function App() {
       voiceName,
       languageCode: language,
       audioEncoding,
+      ...(sampleRateHertz ? { sampleRateHertz: Number(sampleRateHertz) } : {}),
       ...(isChirp ? {} : { speakingRate: Number(speakingRate), pitch: Number(pitch) }),
+      ...(Number(volumeGainDb) ? { volumeGainDb: Number(volumeGainDb) } : {}),
+      ...(wordTimings && !streaming ? { timepoints: true } : {}),
+      ...(postprocess && !streaming ? { postprocess } : {}),
+      ...(normalize ? { normalize } : {}),
     };
 
+    if (streaming) {
+      setLoading(true);
+      try {
+        await generateStreamed(payload);
+      } catch (e) {
+        setError(String(e?.message || e));
+      } finally {
+        setStreamStatus("");
+        setLoading(false);
+      }
+      return;
+    }
+
     const t0 = performance.now();
     setLoading(true);
     try {
@@ -136,8 +359,12 @@ export default function App() {
         body: JSON.stringify(payload),
       });
       const t1 = performance.now();
+      if (!res.ok) {
+        // A proxy or an over-limit body may answer with something other than our JSON error
+        const body = res.headers.get("content-type")?.includes("application/json") ? await res.json().catch(() => null) : null;
+        throw new Error(errorMessage(body, res.status));
+      }
       const data = await res.json();
-      if (!res.ok) throw new Error(data?.details ? JSON.stringify(data.details) : (data?.error || `HTTP ${res.status}`));
 
       const audioSrc = `data:${data.audio.mimeType};base64,${data.audio.base64}`;
       const entry = {
@@ -151,7 +378,7 @@ export default function App() {
       };
 
       setResult(entry);
-      setHistory((h) => [entry, ...h].slice(0, 20));
+      setHistoryRefresh((k) => k + 1);
 
       // Set and autoplay
       requestAnimationFrame(() => {
@@ -182,7 +409,18 @@ export default function App() {
           <div style={{ fontSize: 20, fontWeight: 800 }}>Google TTS Tester</div>
           <div className="small">Compare Studio / Neural2 / WaveNet / Standard / Chirp 3: HD voices quickly.</div>
         </div>
-        <div className="badge">Backend: <span className="mono">/api</span></div>
+        <div className="hstack">
+          <div className="badge">
+            Backend: <span className="mono">/api</span>
+            {provider && <> • provider <span className="mono">{provider}</span></>}
+          </div>
+          {auth?.key && (
+            <>
+              <div className="badge">Signed in as <b>{auth.key.name}</b> ({auth.key.role})</div>
+              <button className="secondary" onClick={logout}>Sign out</button>
+            </>
+          )}
+        </div>
       </div>
 
       {bootError ? (
@@ -192,191 +430,297 @@ export default function App() {
             Make sure backend is running on port 7069 and Vite proxy is enabled.
           </div>
         </div>
+      ) : !auth ? null : !signedIn ? (
+        <LoginScreen onLogin={(key) => setAuth({ ...auth, key })} />
       ) : (
         <>
-          <div className="card" style={{ marginTop: 14 }}>
-            <div className="row cols3">
-              <div>
-                <label>Language</label>
-                <select value={language} onChange={(e) => setLanguage(e.target.value)}>
-                  {languages.map((l) => (
-                    <option key={l} value={l}>{l}</option>
-                  ))}
-                </select>
-              </div>
+          <div className="tabs" style={{ marginTop: 14 }}>
+            <button className={mode === "single" ? "" : "secondary"} onClick={() => setMode("single")}>Single voice</button>
+            <button className={mode === "compare" ? "" : "secondary"} onClick={() => setMode("compare")}>Compare voices</button>
+            <button className={mode === "long" ? "" : "secondary"} onClick={() => setMode("long")}>Long-form</button>
+            <button className={mode === "dialogue" ? "" : "secondary"} onClick={() => setMode("dialogue")}>Dialogue</button>
+            <button className={mode === "localize" ? "" : "secondary"} onClick={() => setMode("localize")}>Localize</button>
+            <button className={mode === "jobs" ? "" : "secondary"} onClick={() => setMode("jobs")}>Batch jobs</button>
+            <button className={mode === "voices" ? "" : "secondary"} onClick={() => setMode("voices")}>Voices</button>
+            <button className={mode === "lexicon" ? "" : "secondary"} onClick={() => setMode("lexicon")}>Lexicon</button>
+            <button className={mode === "usage" ? "" : "secondary"} onClick={() => setMode("usage")}>Usage</button>
+            <button className={mode === "benchmark" ? "" : "secondary"} onClick={() => setMode("benchmark")}>Benchmark</button>
+            <button className={mode === "webhooks" ? "" : "secondary"} onClick={() => setMode("webhooks")}>Webhooks</button>
+            {auth.key?.role === "admin" && (
+              <button className={mode === "keys" ? "" : "secondary"} onClick={() => setMode("keys")}>API keys</button>
+            )}
+          </div>
 
-              <div>
-                <label>Voice type (model)</label>
-                <select value={voiceType} onChange={(e) => setVoiceType(e.target.value)}>
-                  {voiceTypes.map((t) => (
-                    <option key={t} value={t}>{voiceTypePretty(t)}</option>
-                  ))}
-                </select>
-              </div>
+          {mode === "compare" ? (
+            <CompareMode voices={voices} languages={languages} voiceTypes={voiceTypes} defaultLanguage={language} />
+          ) : mode === "long" ? (
+            <LongFormMode voices={voices} languages={languages} voiceTypes={voiceTypes} defaultLanguage={language} defaultVoiceType={voiceType} />
+          ) : mode === "dialogue" ? (
+            <DialogueMode voices={voices} languages={languages} voiceTypes={voiceTypes} defaultLanguage={language} defaultVoiceType={voiceType} />
+          ) : mode === "localize" ? (
+            <LocalizeMode voices={voices} languages={languages} languageNames={languageNames} voiceTypes={voiceTypes} defaultLanguage={language} />
+          ) : mode === "jobs" ? (
+            <JobsPanel voices={voices} languages={languages} voiceTypes={voiceTypes} defaultLanguage={language} defaultVoiceType={voiceType} />
+          ) : mode === "voices" ? (
+            <VoicesPanel languages={languages} languageNames={languageNames} voiceTypes={voiceTypes} onUse={pickVoice} />
+          ) : mode === "lexicon" ? (
+            <LexiconPanel voices={voices} languages={languages} voiceTypes={voiceTypes} defaultLanguage={language} defaultVoiceType={voiceType} />
+          ) : mode === "usage" ? (
+            <UsagePanel />
+          ) : mode === "benchmark" ? (
+            <BenchmarkPanel voices={voices} languages={languages} voiceTypes={voiceTypes} defaultLanguage={language} />
+          ) : mode === "webhooks" ? (
+            <WebhooksPanel />
+          ) : mode === "keys" ? (
+            <KeysPanel />
+          ) : (
+            <>
+              <PresetsBar config={config} onApply={applyConfig} voices={voices} shareUrl={shareUrl} />
+
+              <div className="card" style={{ marginTop: 14 }}>
+                <div className="row cols3">
+                  <div>
+                    <label>Language</label>
+                    <select value={language} onChange={(e) => setLanguage(e.target.value)}>
+                      {languages.map((l) => (
+                        <option key={l} value={l}>{languageNames[l] ? `${l} — ${languageNames[l]}` : l}</option>
+                      ))}
+                    </select>
+                  </div>
 
-              <div>
-                <label>Voice</label>
-                <select value={voiceName} onChange={(e) => setVoiceName(e.target.value)}>
-                  {filteredVoices.map((v) => (
-                    <option key={v.name} value={v.name}>
-                      {v.name} ({v.ssmlGender})
-                    </option>
-                  ))}
-                </select>
-              </div>
-            </div>
-
-            <div className="row cols3" style={{ marginTop: 12 }}>
-              <div>
-                <label>Audio encoding</label>
-                <select value={audioEncoding} onChange={(e) => setAudioEncoding(e.target.value)}>
-                  <option value="MP3">MP3</option>
-                  <option value="OGG_OPUS">OGG_OPUS</option>
-                  <option value="LINEAR16">LINEAR16</option>
-                  <option value="MULAW">MULAW</option>
-                </select>
-              </div>
+                  <div>
+                    <label>Voice type (model)</label>
+                    <select value={voiceType} onChange={(e) => setVoiceType(e.target.value)}>
+                      {voiceTypes.map((t) => (
+                        <option key={t} value={t}>{voiceTypePretty(t)}</option>
+                      ))}
+                    </select>
+                  </div>
 
-              <div>
-                <label>Input type</label>
-                <select value={inputType} onChange={(e) => setInputType(e.target.value)} disabled={isChirp}>
-                  <option value="text">Text</option>
-                  <option value="ssml">SSML</option>
-                </select>
-                {isChirp && <div className="small">Chirp 3: HD doesn&apos;t support SSML.</div>}
-              </div>
+                  <div>
+                    <label>Voice</label>
+                    <select value={voiceName} onChange={(e) => setVoiceName(e.target.value)}>
+                      {filteredVoices.map((v) => (
+                        <option key={v.name} value={v.name}>
+                          {v.name} ({v.ssmlGender})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="row cols3" style={{ marginTop: 12 }}>
+                  <div>
+                    <label>Audio encoding</label>
+                    <div className="hstack">
+                      <select value={audioEncoding} onChange={(e) => setAudioEncoding(e.target.value)}>
+                        {encodings.map((enc) => (
+                          <option key={enc} value={enc}>{enc}</option>
+                        ))}
+                      </select>
+                      <select value={sampleRateHertz} onChange={(e) => setSampleRateHertz(e.target.value)} title="Sample rate">
+                        <option value="">Natural rate{selectedVoice?.naturalSampleRateHertz ? ` (${selectedVoice.naturalSampleRateHertz / 1000} kHz)` : ""}</option>
+                        {SAMPLE_RATES.map((hz) => (
+                          <option key={hz} value={hz}>{hz / 1000} kHz</option>
+                        ))}
+                      </select>
+                    </div>
+                    {audioEncoding === "OGG_OPUS" && sampleRateHertz && <div className="small">Opus always plays back at 48 kHz.</div>}
+                  </div>
+
+                  <div>
+                    <label>Input type</label>
+                    <select value={inputType} onChange={(e) => setInputType(e.target.value)}>
+                      <option value="text">Text</option>
+                      <option value="ssml">SSML</option>
+                    </select>
+                    {isChirp && inputType === "ssml" && <div className="small">Chirp 3: HD doesn&apos;t support SSML; tags are stripped.</div>}
+                  </div>
 
-              <div>
-                <label>Speaking rate / Pitch</label>
-                <div className="hstack">
-                  <input
-                    type="number"
-                    step="0.05"
-                    min="0.25"
-                    max="4"
-                    value={speakingRate}
-                    disabled={isChirp}
-                    onChange={(e) => setSpeakingRate(e.target.value)}
-                  />
-                  <input
-                    type="number"
-                    step="1"
-                    min="-20"
-                    max="20"
-                    value={pitch}
-                    disabled={isChirp}
-                    onChange={(e) => setPitch(e.target.value)}
-                  />
+                  <div>
+                    <label>Speaking rate / Pitch</label>
+                    <div className="hstack">
+                      <input
+                        type="number"
+                        step="0.05"
+                        min="0.25"
+                        max="4"
+                        value={speakingRate}
+                        disabled={isChirp}
+                        onChange={(e) => setSpeakingRate(e.target.value)}
+                      />
+                      <input
+                        type="number"
+                        step="1"
+                        min="-20"
+                        max="20"
+                        value={pitch}
+                        disabled={isChirp}
+                        onChange={(e) => setPitch(e.target.value)}
+                      />
+                    </div>
+                    <div className="small">{isChirp ? "Disabled for Chirp 3: HD." : "Left: rate (0.25–4), Right: pitch (-20..20)."}</div>
+                  </div>
+
+                  <div>
+                    <label>Volume gain (dB)</label>
+                    <input type="number" step="1" min="-96" max="16" value={volumeGainDb} onChange={(e) => setVolumeGainDb(e.target.value)} />
+                    <div className="small">Applied by the provider (-96..16); loudness normalization below is usually the better tool.</div>
+                  </div>
                 </div>
-                <div className="small">{isChirp ? "Disabled for Chirp 3: HD." : "Left: rate (0.25–4), Right: pitch (-20..20)."}</div>
-              </div>
-            </div>
-
-            <div style={{ marginTop: 12 }}>
-              <label>Text (Enter = Generate, Shift+Enter = newline)</label>
-              <textarea value={text} onChange={(e) => setText(e.target.value)} onKeyDown={onKeyDown} />
-            </div>
-
-            <div className="hstack" style={{ marginTop: 12 }}>
-              <button disabled={!canGenerate} onClick={generate}>
-                {loading ? "Generating..." : "Generate"}
-              </button>
-              <button className="secondary" onClick={() => setText("")} disabled={loading}>Clear</button>
-              {error && <div className="error">{error}</div>}
-            </div>
-
-            {result?.data?.warnings?.length ? (
-              <div className="small" style={{ marginTop: 10 }}>
-                {result.data.warnings.map((w, idx) => (
-                  <div key={idx} className="badge" style={{ marginRight: 6, marginTop: 6 }}>{w}</div>
-                ))}
-              </div>
-            ) : null}
-          </div>
 
-          <div className="card" style={{ marginTop: 14 }}>
-            <div style={{ fontWeight: 800, marginBottom: 8 }}>Output</div>
-
-            {result ? (
-              <>
-                <audio
-                  ref={audioRef}
-                  controls
-                  autoPlay
-                  onLoadedMetadata={() => {
-                    const a = audioRef.current;
-                    if (!a) return;
-                    if (!Number.isNaN(a.duration) && Number.isFinite(a.duration)) {
-                      setAudioDuration(a.duration);
-                    }
-                  }}
+                <PostProcessPanel
+                  value={postprocess}
+                  onChange={setPostprocess}
+                  audioEncoding={audioEncoding}
+                  disabledReason={streaming ? "not available while streaming" : ""}
                 />
 
-                <div className="hstack" style={{ marginTop: 10 }}>
-                  <button onClick={play} className="secondary">Play</button>
-                  <button onClick={pause} className="secondary">Pause</button>
-                  <button onClick={stop} className="danger">Stop</button>
+                <NormalizePanel value={normalize} onChange={setNormalize} text={text} inputType={inputType} voiceName={voiceName} languageCode={language} />
+
+                <div style={{ marginTop: 12 }}>
+                  <label>Text (Enter = Generate, Shift+Enter = newline)</label>
+                  <textarea ref={textareaRef} value={text} onChange={(e) => setText(e.target.value)} onKeyDown={onKeyDown} />
+                  {inputType === "ssml" && <SsmlToolbar textareaRef={textareaRef} text={text} onChange={setText} voiceName={voiceName} />}
                 </div>
 
-                <hr />
-
-                <table className="table">
-                  <tbody>
-                    <tr><td>Voice</td><td className="mono">{result.data.voice.name}</td></tr>
-                    <tr><td>Voice type</td><td><span className="badge">{voiceTypePretty(result.data.voice.voiceType)}</span></td></tr>
-                    <tr><td>Language(s)</td><td className="mono">{(result.data.voice.languageCodes || []).join(", ")}</td></tr>
-                    <tr><td>Input chars</td><td className="mono">{result.data.metrics.input.charCount}</td></tr>
-                    <tr><td>Backend TTS time</td><td className="mono">{result.data.metrics.server.ttsMs} ms</td></tr>
-                    <tr><td>Total backend time</td><td className="mono">{result.data.metrics.server.totalMs} ms</td></tr>
-                    <tr><td>Total client time</td><td className="mono">{result.client.totalMs} ms</td></tr>
-                    <tr><td>Estimated cost</td><td className="mono">{formatUsd(result.data.metrics.billingEstimate.estimatedCostUsd)}</td></tr>
-                    <tr><td>Encoding</td><td className="mono">{result.data.audio.encoding}</td></tr>
-                    <tr><td>Duration (browser)</td><td className="mono">{audioDuration ? `${audioDuration.toFixed(2)} s` : "-"}</td></tr>
-                  </tbody>
-                </table>
-              </>
-            ) : (
-              <div className="small">Generate audio to see the player and metrics here.</div>
-            )}
-          </div>
+                <div className="hstack" style={{ marginTop: 12 }}>
+                  <button disabled={!canGenerate} onClick={generate}>
+                    {loading ? "Generating..." : "Generate"}
+                  </button>
+                  <button className="secondary" onClick={() => setText("")} disabled={loading}>Clear</button>
+                  <label className="hstack" style={{ fontSize: 13, opacity: 1, margin: 0 }}>
+                    <input type="checkbox" checked={streaming} onChange={(e) => setStreaming(e.target.checked)} disabled={loading} />
+                    Stream (play while generating, 16-bit PCM)
+                  </label>
+                  <label className="hstack" style={{ fontSize: 13, opacity: 1, margin: 0 }} title="Not available while streaming or for Chirp 3: HD / Studio voices">
+                    <input
+                      type="checkbox"
+                      checked={wordTimings}
+                      onChange={(e) => setWordTimings(e.target.checked)}
+                      disabled={loading || streaming || isChirp || voiceType === "STUDIO"}
+                    />
+                    Word timings
+                  </label>
+                  {streamStatus && <div className="small">{streamStatus}</div>}
+                  {error && <div className="error">{error}</div>}
+                </div>
 
-          <div className="card" style={{ marginTop: 14 }}>
-            <div className="hstack" style={{ justifyContent: "space-between" }}>
-              <div style={{ fontWeight: 800 }}>History (last 20)</div>
-              <div className="small">Click an item to load it into the player.</div>
-            </div>
-
-            {history.length === 0 ? (
-              <div className="small" style={{ marginTop: 8 }}>No history yet.</div>
-            ) : (
-              <div style={{ marginTop: 10 }}>
-                {history.map((h) => (
-                  <div key={h.id} className="hstack" style={{ justifyContent: "space-between", padding: "10px 0", borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
-                    <div>
-                      <div className="mono">{h.data.voice.name}</div>
-                      <div className="small">
-                        {voiceTypePretty(h.data.voice.voiceType)} • {h.data.metrics.server.ttsMs} ms • {h.data.metrics.input.charCount} chars • {formatUsd(h.data.metrics.billingEstimate.estimatedCostUsd)}
-                      </div>
-                    </div>
-                    <button
-                      className="secondary"
-                      onClick={() => {
-                        setResult(h);
-                        requestAnimationFrame(() => {
-                          if (!audioRef.current) return;
-                          audioRef.current.src = h.audioSrc;
-                          audioRef.current.load();
-                          audioRef.current.play().catch(() => {});
-                        });
-                      }}
-                    >
-                      Load
-                    </button>
+                {result?.data?.warnings?.length ? (
+                  <div className="small" style={{ marginTop: 10 }}>
+                    {result.data.warnings.map((w, idx) => (
+                      <div key={idx} className="badge" style={{ marginRight: 6, marginTop: 6 }}>{w}</div>
+                    ))}
                   </div>
-                ))}
+                ) : null}
               </div>
-            )}
-          </div>
+
+              <div className="card" style={{ marginTop: 14 }}>
+                <div style={{ fontWeight: 800, marginBottom: 8 }}>Output</div>
+
+                {result ? (
+                  <>
+                    <audio
+                      ref={audioRef}
+                      controls
+                      autoPlay={!result.data.audio.streamed}
+                      onLoadedMetadata={() => {
+                        const a = audioRef.current;
+                        if (!a) return;
+                        if (!Number.isNaN(a.duration) && Number.isFinite(a.duration)) {
+                          setAudioDuration(a.duration);
+                        }
+                      }}
+                    />
+
+                    <div className="hstack" style={{ marginTop: 10 }}>
+                      <button onClick={play} className="secondary">Play</button>
+                      <button onClick={pause} className="secondary">Pause</button>
+                      <button onClick={stop} className="danger">Stop</button>
+                    </div>
+
+                    {result.data.analysis && (
+                      <Waveform key={result.id} peaks={result.data.analysis.waveform} audioRef={audioRef} durationSec={result.data.analysis.durationSec} />
+                    )}
+
+                    {result.data.timeline?.words.length ? (
+                      <WordTimeline
+                        key={result.id}
+                        timeline={result.data.timeline}
+                        audioRef={audioRef}
+                        durationSec={audioDuration}
+                        filename={result.data.history?.id || "captions"}
+                      />
+                    ) : null}
+
+                    <hr />
+
+                    <table className="table">
+                      <tbody>
+                        <tr><td>Voice</td><td className="mono">{result.data.voice.name}</td></tr>
+                        <tr><td>Voice type</td><td><span className="badge">{voiceTypePretty(result.data.voice.voiceType)}</span></td></tr>
+                        <tr><td>Language(s)</td><td className="mono">{(result.data.voice.languageCodes || []).join(", ")}</td></tr>
+                        <tr><td>Input chars</td><td className="mono">{result.data.metrics.input.charCount}</td></tr>
+                        <tr><td>Backend TTS time</td><td className="mono">{result.data.metrics.server.ttsMs} ms</td></tr>
+                        <tr><td>Total backend time</td><td className="mono">{result.data.metrics.server.totalMs} ms</td></tr>
+                        <tr><td>Total client time</td><td className="mono">{result.client ? `${result.client.totalMs} ms` : "-"}</td></tr>
+                        {result.data.audio.streamed && (
+                          <>
+                            <tr><td>Time to first audio (backend)</td><td className="mono">{result.data.metrics.server.ttfbMs ?? "-"} ms</td></tr>
+                            {result.client && <tr><td>Time to first audio (client)</td><td className="mono">{result.client.firstAudioMs ?? "-"} ms</td></tr>}
+                          </>
+                        )}
+                        <tr><td>Billable chars</td><td className="mono">{result.data.metrics.billingEstimate.billableChars ?? "-"}</td></tr>
+                        <tr><td>Estimated cost</td><td className="mono">{formatUsd(result.data.metrics.billingEstimate.estimatedCostUsd)}</td></tr>
+                        {result.data.metrics.billingEstimate.marginalCostUsd != null && (
+                          <tr><td>Cost after free tier</td><td className="mono">{formatUsd(result.data.metrics.billingEstimate.marginalCostUsd)}</td></tr>
+                        )}
+                        {result.data.metrics.cache && (
+                          <tr>
+                            <td>Cache</td>
+                            <td className="mono">
+                              {result.data.metrics.cache.hit ? `hit — saved ${formatUsd(result.data.metrics.cache.costSavedUsd)}` : "miss"}
+                            </td>
+                          </tr>
+                        )}
+                        {result.data.lexicon && (
+                          <tr>
+                            <td>Lexicon</td>
+                            <td><LexiconReport report={result.data.lexicon} /></td>
+                          </tr>
+                        )}
+                        <NormalizationRow report={result.data.normalization} />
+                        <tr><td>Encoding</td><td className="mono">{result.data.audio.encoding}{result.data.audio.streamed ? " (streamed)" : ""}</td></tr>
+                        <tr><td>Container</td><td className="mono">{result.data.audio.container ?? "-"}</td></tr>
+                        <tr><td>Sample rate</td><td className="mono">{formatAudioFormat(result.data.audio)}</td></tr>
+                        <tr><td>Bitrate</td><td className="mono">{result.data.audio.bitrateKbps != null ? `${result.data.audio.bitrateKbps} kbps` : "-"}</td></tr>
+                        <tr><td>File size</td><td className="mono">{formatBytes(result.data.audio.bytes)}</td></tr>
+                        <tr><td>Duration (browser)</td><td className="mono">{audioDuration ? `${audioDuration.toFixed(2)} s` : "-"}</td></tr>
+                        <PostProcessRow report={result.data.metrics.postprocess} />
+                        <AnalysisRows analysis={result.data.analysis} />
+                        {result.data.history && (
+                          <tr>
+                            <td>Permalink</td>
+                            <td className="mono"><a href={permalinkFor(result.data.history.id)}>{permalinkFor(result.data.history.id)}</a></td>
+                          </tr>
+                        )}
+                      </tbody>
+                    </table>
+                  </>
+                ) : (
+                  <div className="small">Generate audio to see the player and metrics here.</div>
+                )}
+              </div>
+
+              <HistoryPanel
+                languages={languages}
+                voiceTypes={voiceTypes}
+                refreshKey={historyRefresh}
+                onLoad={(record) => loadIntoPlayer(entryFromRecord(record))}
+                onRegenerate={applyRecordParams}
+              />
+            </>
+          )}
         </>
       )}
     </div>
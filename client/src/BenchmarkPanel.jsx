@@ -0,0 +1,426 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { errorMessage, formatUsd, voiceTypePretty } from "./format.js";
+
+const ENCODINGS = ["MP3", "OGG_OPUS", "LINEAR16", "MULAW", "ALAW", "PCM"];
+const ACTIVE = new Set(["queued", "running"]);
+const POLL_MS = 1500;
+const MAX_VOICES = 12;
+const PERCENTILE_COLORS = { p50: "#2563eb", p90: "#f59e0b", p99: "#ef4444" };
+
+const SAMPLE_TEXTS = `Your order has shipped and will arrive on Tuesday.
+Thanks for calling. Please hold while we connect you to the next available agent.
+The quick brown fox jumps over the lazy dog.`;
+
+async function request(url, options) {
+  const res = await fetch(url, options ? { headers: { "content-type": "application/json" }, ...options } : undefined);
+  const data = await res.json();
+  if (!res.ok) throw new Error(errorMessage(data, res.status));
+  return data;
+}
+
+const ms = (n) => (n == null ? "-" : `${Math.round(n)} ms`);
+const pct = (n) => (n == null ? "-" : `${(n * 100).toFixed(1)}%`);
+
+// Horizontal p50/p90/p99 bars per row on one shared axis.
+function PercentileChart({ rows, metric }) {
+  const withStats = rows.filter((r) => r[metric]);
+  if (!withStats.length) return null;
+  const max = Math.max(...withStats.map((r) => r[metric].p99));
+  const labelWidth = 230;
+  const width = 720;
+  const rowHeight = 34;
+  const scale = (v) => ((width - labelWidth - 70) * v) / (max || 1);
+  return (
+    <svg width="100%" viewBox={`0 0 ${width} ${withStats.length * rowHeight + 20}`} style={{ marginTop: 8 }}>
+      {withStats.map((r, i) => {
+        const y = i * rowHeight;
+        return (
+          <g key={r.label} transform={`translate(0, ${y})`}>
+            <text x={0} y={18} fill="currentColor" fontSize="12">{r.label}</text>
+            {["p99", "p90", "p50"].map((p, j) => (
+              <rect key={p} x={labelWidth} y={4 + j * 2} width={Math.max(1, scale(r[metric][p]))} height={22 - j * 4} rx={3} fill={PERCENTILE_COLORS[p]} opacity={0.85} />
+            ))}
+            <text x={labelWidth + scale(r[metric].p99) + 6} y={18} fill="currentColor" fontSize="11" opacity={0.8}>
+              {Math.round(r[metric].p50)} / {Math.round(r[metric].p90)} / {Math.round(r[metric].p99)}
+            </text>
+          </g>
+        );
+      })}
+      <g transform={`translate(${labelWidth}, ${withStats.length * rowHeight + 12})`} fontSize="11" fill="currentColor" opacity={0.8}>
+        {["p50", "p90", "p99"].map((p, i) => (
+          <g key={p} transform={`translate(${i * 60}, 0)`}>
+            <rect x={0} y={-8} width={10} height={10} fill={PERCENTILE_COLORS[p]} />
+            <text x={14} y={1}>{p}</text>
+          </g>
+        ))}
+        <text x={200} y={1}>ms</text>
+      </g>
+    </svg>
+  );
+}
+
+// Every measured sample as a dot (failures in red) so outliers and bimodal latencies stand out.
+function DistributionChart({ run }) {
+  const measured = run.samples.filter((s) => !s.warmup);
+  if (!measured.length) return null;
+  const max = Math.max(...measured.map((s) => s.totalMs));
+  const labelWidth = 230;
+  const width = 720;
+  const rowHeight = 26;
+  const plot = width - labelWidth - 10;
+  const voices = run.config.voices;
+  return (
+    <svg width="100%" viewBox={`0 0 ${width} ${voices.length * rowHeight + 24}`} style={{ marginTop: 8 }}>
+      {voices.map((v, i) => (
+        <g key={v.voiceName} transform={`translate(0, ${i * rowHeight})`}>
+          <text x={0} y={16} fill="currentColor" fontSize="12">{v.voiceName}</text>
+          <line x1={labelWidth} x2={width - 10} y1={12} y2={12} stroke="currentColor" opacity={0.1} />
+          {measured
+            .filter((s) => s.voiceIndex === i)
+            .map((s, j) => (
+              <circle key={j} cx={labelWidth + (plot * s.totalMs) / (max || 1)} cy={12 + ((j % 5) - 2) * 2} r={3} fill={s.ok ? "#60a5fa" : "#ef4444"} opacity={0.6} />
+            ))}
+        </g>
+      ))}
+      <g fontSize="11" fill="currentColor" opacity={0.8} transform={`translate(0, ${voices.length * rowHeight + 16})`}>
+        <text x={labelWidth} y={0}>0</text>
+        <text x={width - 10} y={0} textAnchor="end">{Math.round(max)} ms (total per request)</text>
+      </g>
+    </svg>
+  );
+}
+
+function ReportTable({ rows }) {
+  return (
+    <table className="table" style={{ marginTop: 8 }}>
+      <tbody>
+        <tr className="small">
+          <td>Voice</td><td>OK / failed</td><td>p50</td><td>p90</td><td>p99</td><td>Mean</td><td>Req/s</td><td>Audio s/s</td><td>$ / 1M chars</td><td>$ / 1k req</td><td>Cost</td>
+        </tr>
+        {rows.map((r) => (
+          <tr key={r.label}>
+            <td>
+              <span className="mono">{r.label}</span>
+              {r.sublabel && <div className="small">{r.sublabel}</div>}
+            </td>
+            <td className="mono">
+              {r.succeeded} / {r.failed}
+              {r.failed > 0 && <div className="error small">{pct(r.failureRate)} · {r.errors.map((e) => `${e.code} ×${e.count}`).join(", ")}</div>}
+            </td>
+            <td className="mono">{ms(r.ttsMs?.p50)}</td>
+            <td className="mono">{ms(r.ttsMs?.p90)}</td>
+            <td className="mono">{ms(r.ttsMs?.p99)}</td>
+            <td className="mono">{ms(r.ttsMs?.mean)}</td>
+            <td className="mono">{r.throughput.requestsPerSec ?? "-"}</td>
+            <td className="mono">{r.throughput.audioSecPerSec ?? "-"}</td>
+            <td className="mono">{r.cost.per1MCharactersUsd != null ? `$${r.cost.per1MCharactersUsd}` : "-"}</td>
+            <td className="mono">{formatUsd(r.cost.per1kRequestsUsd)}</td>
+            <td className="mono">{formatUsd(r.cost.estimatedCostUsd)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Latency benchmark (/api/benchmarks): a text set against several voices, N times each, with percentiles,
+// throughput and cost per voice and per voice type.
+export default function BenchmarkPanel({ voices, languages, voiceTypes, defaultLanguage }) {
+  const [filterLanguage, setFilterLanguage] = useState(defaultLanguage || "");
+  const [filterType, setFilterType] = useState("");
+  const [selected, setSelected] = useState([]);
+  const [texts, setTexts] = useState(SAMPLE_TEXTS);
+  const [iterations, setIterations] = useState(5);
+  const [warmup, setWarmup] = useState(1);
+  const [concurrency, setConcurrency] = useState(1);
+  const [audioEncoding, setAudioEncoding] = useState("MP3");
+  const [runName, setRunName] = useState("");
+
+  const [estimate, setEstimate] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [warnings, setWarnings] = useState([]);
+
+  const [runs, setRuns] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [current, setCurrent] = useState(null);
+  const [groupBy, setGroupBy] = useState("voiceType");
+
+  const candidates = useMemo(() => {
+    return voices
+      .filter((v) => (filterLanguage ? (v.languageCodes || []).includes(filterLanguage) : true))
+      .filter((v) => (filterType ? v.voiceType === filterType : true))
+      .filter((v) => !selected.some((s) => s.voiceName === v.name))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [voices, filterLanguage, filterType, selected]);
+
+  const config = useMemo(
+    () => ({
+      texts: texts.split("\n").map((t) => t.trim()).filter(Boolean),
+      voices: selected.map(({ voiceName, languageCode }) => ({ voiceName, languageCode })),
+      iterations: Number(iterations),
+      warmup: Number(warmup),
+      concurrency: Number(concurrency),
+      audioEncoding,
+    }),
+    [texts, selected, iterations, warmup, concurrency, audioEncoding],
+  );
+
+  // Cost and request count of the configured run, refreshed shortly after the form stops changing.
+  useEffect(() => {
+    setEstimate(null);
+    if (!config.texts.length || !config.voices.length) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await request("/api/benchmarks/estimate", { method: "POST", body: JSON.stringify(config) });
+        setEstimate(data.estimate);
+      } catch (e) {
+        setEstimate({ error: String(e?.message || e) });
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [config]);
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await request("/api/benchmarks");
+      setRuns(data.benchmarks);
+      if (selectedId) setCurrent(await request(`/api/benchmarks/${selectedId}`));
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }, [selectedId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const anyActive = runs.some((r) => ACTIVE.has(r.status));
+  useEffect(() => {
+    if (!anyActive) return undefined;
+    const timer = setInterval(refresh, POLL_MS);
+    return () => clearInterval(timer);
+  }, [anyActive, refresh]);
+
+  function addVoice(name) {
+    const v = voices.find((x) => x.name === name);
+    if (!v || selected.length >= MAX_VOICES) return;
+    const languageCode = (v.languageCodes || []).includes(filterLanguage) ? filterLanguage : v.languageCodes?.[0];
+    setSelected((s) => [...s, { voiceName: v.name, languageCode, voiceType: v.voiceType }]);
+  }
+
+  async function start() {
+    setSubmitting(true);
+    setError("");
+    setWarnings([]);
+    try {
+      const run = await request("/api/benchmarks", { method: "POST", body: JSON.stringify({ ...config, name: runName.trim() || undefined }) });
+      setWarnings(run.warnings || []);
+      setSelectedId(run.id);
+      setRunName("");
+    } catch (e) {
+      setError(String(e?.message || e));
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  async function act(run, action) {
+    setError("");
+    try {
+      if (action === "delete") {
+        if (!window.confirm(`Delete “${run.name}”?`)) return;
+        await request(`/api/benchmarks/${run.id}`, { method: "DELETE" });
+        if (selectedId === run.id) {
+          setSelectedId(null);
+          setCurrent(null);
+        }
+      } else {
+        await request(`/api/benchmarks/${run.id}/${action}`, { method: "POST" });
+      }
+      await refresh();
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  const reportRows = current?.report
+    ? groupBy === "voiceType"
+      ? current.report.byVoiceType.map((r) => ({ ...r, label: voiceTypePretty(r.voiceType), sublabel: `${r.voiceCount} voice(s)` }))
+      : current.report.byVoice.map((r) => ({ ...r, label: r.voiceName, sublabel: voiceTypePretty(r.voiceType) }))
+    : [];
+
+  return (
+    <>
+      <div className="card" style={{ marginTop: 14 }}>
+        <div style={{ fontWeight: 800 }}>New benchmark</div>
+        <div className="small" style={{ marginTop: 4 }}>
+          Every text is sent to every voice, bypassing the audio cache. Warm-up requests are billed but not measured; voices run one after another so their timings don't interfere.
+        </div>
+
+        <div className="row cols3" style={{ marginTop: 10 }}>
+          <div>
+            <label>Language</label>
+            <select value={filterLanguage} onChange={(e) => setFilterLanguage(e.target.value)}>
+              <option value="">All languages</option>
+              {languages.map((l) => (
+                <option key={l} value={l}>{l}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label>Voice type (model)</label>
+            <select value={filterType} onChange={(e) => setFilterType(e.target.value)}>
+              <option value="">All types</option>
+              {voiceTypes.map((t) => (
+                <option key={t} value={t}>{voiceTypePretty(t)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label>Add voice ({selected.length}/{MAX_VOICES})</label>
+            <select value="" onChange={(e) => addVoice(e.target.value)} disabled={selected.length >= MAX_VOICES}>
+              <option value="">Pick a voice…</option>
+              {candidates.map((v) => (
+                <option key={v.name} value={v.name}>{v.name} ({voiceTypePretty(v.voiceType)})</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="hstack" style={{ marginTop: 10 }}>
+          {selected.length === 0 ? (
+            <div className="small">No voices selected yet. Pick one or more per voice type you want to compare.</div>
+          ) : (
+            selected.map((s) => (
+              <span key={s.voiceName} className="badge">
+                <span className="mono">{s.voiceName}</span> · {voiceTypePretty(s.voiceType)}{" "}
+                <a href="#" onClick={(e) => { e.preventDefault(); setSelected((list) => list.filter((x) => x.voiceName !== s.voiceName)); }}>✕</a>
+              </span>
+            ))
+          )}
+        </div>
+
+        <div style={{ marginTop: 10 }}>
+          <label>Texts (one per line, up to 20)</label>
+          <textarea value={texts} onChange={(e) => setTexts(e.target.value)} rows={5} />
+        </div>
+
+        <div className="row cols3" style={{ marginTop: 10 }}>
+          <div>
+            <label>Iterations per text</label>
+            <input type="number" min={1} max={50} value={iterations} onChange={(e) => setIterations(e.target.value)} />
+          </div>
+          <div>
+            <label>Warm-up requests per voice</label>
+            <input type="number" min={0} max={10} value={warmup} onChange={(e) => setWarmup(e.target.value)} />
+          </div>
+          <div>
+            <label>Concurrency</label>
+            <input type="number" min={1} max={8} value={concurrency} onChange={(e) => setConcurrency(e.target.value)} />
+          </div>
+          <div>
+            <label>Audio encoding</label>
+            <select value={audioEncoding} onChange={(e) => setAudioEncoding(e.target.value)}>
+              {ENCODINGS.map((enc) => (
+                <option key={enc} value={enc}>{enc}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label>Name</label>
+            <input type="text" value={runName} onChange={(e) => setRunName(e.target.value)} placeholder="optional" />
+          </div>
+        </div>
+
+        {estimate && (
+          <div className="small" style={{ marginTop: 10 }}>
+            {estimate.error ? (
+              <span className="error">{estimate.error}</span>
+            ) : (
+              <>
+                {estimate.requests.toLocaleString()} requests • {estimate.billableChars.toLocaleString()} billable chars • about {formatUsd(estimate.estimatedCostUsd)} at list price
+                {estimate.byVoiceType.length > 1 && ` (${estimate.byVoiceType.map((e) => `${voiceTypePretty(e.voiceType)} ${formatUsd(e.estimatedCostUsd)}`).join(", ")})`}
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="hstack" style={{ marginTop: 12 }}>
+          <button onClick={start} disabled={submitting || !config.texts.length || !config.voices.length || estimate?.error}>
+            {submitting ? "Starting…" : "Run benchmark"}
+          </button>
+          {error && <div className="error">{error}</div>}
+        </div>
+        {warnings.map((w) => (
+          <div key={w} className="warning small" style={{ marginTop: 6 }}>{w}</div>
+        ))}
+      </div>
+
+      <div className="card" style={{ marginTop: 14 }}>
+        <div style={{ fontWeight: 800 }}>Runs ({runs.length})</div>
+        {runs.length === 0 ? (
+          <div className="small" style={{ marginTop: 8 }}>No benchmarks yet.</div>
+        ) : (
+          <table className="table" style={{ marginTop: 8 }}>
+            <tbody>
+              {runs.map((r) => (
+                <tr key={r.id} style={{ background: r.id === selectedId ? "rgba(37,99,235,0.12)" : undefined }}>
+                  <td>
+                    <button className="secondary" style={{ padding: "4px 8px" }} onClick={() => setSelectedId(r.id)}>{r.name}</button>
+                    <div className="small" style={{ marginTop: 4 }}>{new Date(r.createdAt).toLocaleString()}</div>
+                  </td>
+                  <td><span className="badge">{r.status}</span></td>
+                  <td className="small">
+                    {r.config.voices.length} voice(s) × {r.config.texts.length} text(s) × {r.config.iterations} • concurrency {r.config.concurrency}
+                  </td>
+                  <td style={{ width: 180 }}>
+                    <div className="meter">
+                      <div style={{ width: `${r.progress.total ? Math.round((r.progress.done / r.progress.total) * 100) : 0}%` }} />
+                    </div>
+                    <div className="small" style={{ marginTop: 4 }}>{r.progress.done}/{r.progress.total} requests</div>
+                  </td>
+                  <td style={{ width: 260 }}>
+                    <div className="hstack">
+                      {ACTIVE.has(r.status) && <button className="secondary" onClick={() => act(r, "cancel")}>Cancel</button>}
+                      <a className="button secondary" href={`/api/benchmarks/${r.id}/export?format=csv`}>CSV</a>
+                      <a className="button secondary" href={`/api/benchmarks/${r.id}/export?format=json`}>JSON</a>
+                      <button className="danger" onClick={() => act(r, "delete")}>Delete</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {current && (
+        <div className="card" style={{ marginTop: 14 }}>
+          <div className="hstack" style={{ justifyContent: "space-between" }}>
+            <div style={{ fontWeight: 800 }}>
+              {current.name} <span className="badge">{current.status}</span>
+            </div>
+            <div className="hstack">
+              <button className={groupBy === "voiceType" ? "" : "secondary"} onClick={() => setGroupBy("voiceType")}>By voice type</button>
+              <button className={groupBy === "voice" ? "" : "secondary"} onClick={() => setGroupBy("voice")}>By voice</button>
+            </div>
+          </div>
+          <div className="small" style={{ marginTop: 4 }}>
+            Latency is the provider call (ttsMs); throughput is successful requests over each voice's measured wall time.
+            {ACTIVE.has(current.status) && " Figures update as samples come in."}
+          </div>
+          {reportRows.length > 0 && (
+            <>
+              <ReportTable rows={reportRows} />
+              <div style={{ fontWeight: 700, marginTop: 14 }}>Provider latency percentiles</div>
+              <PercentileChart rows={reportRows} metric="ttsMs" />
+              <div style={{ fontWeight: 700, marginTop: 14 }}>Every request</div>
+              <DistributionChart run={current} />
+            </>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,337 @@
+import { useMemo, useRef, useState } from "react";
+import { errorMessage, formatUsd, voiceTypePretty } from "./format.js";
+import PostProcessPanel, { PostProcessRow } from "./PostProcessPanel.jsx";
+import { AnalysisRows } from "./Waveform.jsx";
+
+const MAX_VOICES = 12;
+
+function shuffle(items) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function clipLabel(idx) {
+  return `Clip ${String.fromCharCode(65 + idx)}`;
+}
+
+export default function CompareMode({ voices, languages, voiceTypes, defaultLanguage }) {
+  const audioRefs = useRef({});
+
+  const [filterLanguage, setFilterLanguage] = useState(defaultLanguage || "");
+  const [filterType, setFilterType] = useState("");
+  const [selected, setSelected] = useState([]);
+
+  const [text, setText] = useState("Hello! This is a quick test of Google Text-to-Speech.");
+  const [audioEncoding, setAudioEncoding] = useState("MP3");
+  const [blind, setBlind] = useState(false);
+  const [postprocess, setPostprocess] = useState(null);
+
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [run, setRun] = useState(null);
+  const [revealed, setRevealed] = useState(false);
+  const [ratings, setRatings] = useState({});
+  const [durations, setDurations] = useState({});
+  const [sequenceIdx, setSequenceIdx] = useState(null);
+
+  const candidates = useMemo(() => {
+    return voices
+      .filter((v) => (filterLanguage ? (v.languageCodes || []).includes(filterLanguage) : true))
+      .filter((v) => (filterType ? v.voiceType === filterType : true))
+      .filter((v) => !selected.some((s) => s.voiceName === v.name))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [voices, filterLanguage, filterType, selected]);
+
+  const canCompare = !loading && text.trim() && selected.length > 0;
+
+  function addVoice(name) {
+    const v = voices.find((x) => x.name === name);
+    if (!v || selected.length >= MAX_VOICES) return;
+    const languageCode = (v.languageCodes || []).includes(filterLanguage) ? filterLanguage : v.languageCodes?.[0];
+    setSelected((s) => [...s, { voiceName: v.name, languageCode, voiceType: v.voiceType }]);
+  }
+
+  function removeVoice(name) {
+    setSelected((s) => s.filter((x) => x.voiceName !== name));
+  }
+
+  function stopAll() {
+    setSequenceIdx(null);
+    Object.values(audioRefs.current).forEach((a) => {
+      if (!a) return;
+      a.pause();
+      a.currentTime = 0;
+    });
+  }
+
+  function playClip(clip) {
+    const a = audioRefs.current[clip.id];
+    if (!a) return;
+    a.currentTime = 0;
+    a.play().catch(() => {});
+  }
+
+  function playAll() {
+    const clips = run?.clips.filter((c) => c.ok) || [];
+    if (!clips.length) return;
+    stopAll();
+    setSequenceIdx(0);
+    playClip(clips[0]);
+  }
+
+  function onClipEnded(clip) {
+    if (sequenceIdx == null) return;
+    const clips = run.clips.filter((c) => c.ok);
+    if (clips[sequenceIdx]?.id !== clip.id) return;
+    const nextIdx = sequenceIdx + 1;
+    if (nextIdx >= clips.length) {
+      setSequenceIdx(null);
+      return;
+    }
+    setSequenceIdx(nextIdx);
+    playClip(clips[nextIdx]);
+  }
+
+  async function compare() {
+    stopAll();
+    setError("");
+    setRevealed(false);
+    setRatings({});
+    setDurations({});
+
+    const payload = {
+      inputType: "text",
+      text: text.trim(),
+      audioEncoding,
+      voices: selected.map(({ voiceName, languageCode }) => ({ voiceName, languageCode })),
+      ...(postprocess ? { postprocess } : {}),
+    };
+
+    const t0 = performance.now();
+    setLoading(true);
+    try {
+      const res = await fetch("/api/synthesize/batch", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const t1 = performance.now();
+      const data = await res.json();
+      if (!res.ok) throw new Error(errorMessage(data, res.status));
+
+      const clips = data.results.map((r) => ({
+        ...r,
+        id: crypto.randomUUID(),
+        audioSrc: r.ok ? `data:${r.audio.mimeType};base64,${r.audio.base64}` : null,
+      }));
+      const ordered = (blind ? shuffle(clips) : clips).map((c, idx) => ({ ...c, label: clipLabel(idx) }));
+
+      audioRefs.current = {};
+      setRun({ clips: ordered, metrics: data.metrics, client: { totalMs: Math.round(t1 - t0) }, blind });
+    } catch (e) {
+      setError(String(e?.message || e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const ranking = useMemo(() => {
+    if (!run) return [];
+    return run.clips
+      .filter((c) => c.ok && ratings[c.id])
+      .sort((a, b) => ratings[b.id] - ratings[a.id]);
+  }, [run, ratings]);
+
+  const runHidesNames = run?.blind && !revealed;
+
+  return (
+    <>
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="row cols3">
+          <div>
+            <label>Language</label>
+            <select value={filterLanguage} onChange={(e) => setFilterLanguage(e.target.value)}>
+              <option value="">All languages</option>
+              {languages.map((l) => (
+                <option key={l} value={l}>{l}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label>Voice type (model)</label>
+            <select value={filterType} onChange={(e) => setFilterType(e.target.value)}>
+              <option value="">All types</option>
+              {voiceTypes.map((t) => (
+                <option key={t} value={t}>{voiceTypePretty(t)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label>Add voice ({selected.length}/{MAX_VOICES})</label>
+            <select value="" onChange={(e) => addVoice(e.target.value)} disabled={selected.length >= MAX_VOICES}>
+              <option value="">Pick a voice…</option>
+              {candidates.map((v) => (
+                <option key={v.name} value={v.name}>
+                  {v.name} ({v.ssmlGender})
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="hstack" style={{ marginTop: 10 }}>
+          {selected.length === 0 ? (
+            <div className="small">No voices selected yet. Mix voice types and languages freely.</div>
+          ) : (
+            selected.map((s) => (
+              <span key={s.voiceName} className="badge">
+                <span className="mono">{s.voiceName}</span> · {voiceTypePretty(s.voiceType)}{" "}
+                <a href="#" onClick={(e) => { e.preventDefault(); removeVoice(s.voiceName); }}>✕</a>
+              </span>
+            ))
+          )}
+        </div>
+
+        <div className="row cols3" style={{ marginTop: 12 }}>
+          <div>
+            <label>Audio encoding</label>
+            <select value={audioEncoding} onChange={(e) => setAudioEncoding(e.target.value)}>
+              <option value="MP3">MP3</option>
+              <option value="OGG_OPUS">OGG_OPUS</option>
+              <option value="LINEAR16">LINEAR16</option>
+              <option value="MULAW">MULAW</option>
+              <option value="ALAW">ALAW</option>
+              <option value="PCM">PCM</option>
+            </select>
+          </div>
+
+          <div>
+            <label>Blind listening</label>
+            <label className="hstack" style={{ fontSize: 13, opacity: 1 }}>
+              <input type="checkbox" checked={blind} onChange={(e) => setBlind(e.target.checked)} />
+              Shuffle clips and hide voice names until revealed
+            </label>
+          </div>
+        </div>
+
+        {/* Loudness-matched clips keep the louder voice from winning the comparison */}
+        <PostProcessPanel value={postprocess} onChange={setPostprocess} audioEncoding={audioEncoding} />
+
+        <div style={{ marginTop: 12 }}>
+          <label>Text (same text is sent to every selected voice)</label>
+          <textarea value={text} onChange={(e) => setText(e.target.value)} />
+        </div>
+
+        <div className="hstack" style={{ marginTop: 12 }}>
+          <button disabled={!canCompare} onClick={compare}>
+            {loading ? "Generating..." : `Compare ${selected.length || ""} voices`}
+          </button>
+          <button className="secondary" onClick={() => setSelected([])} disabled={loading || !selected.length}>Clear voices</button>
+          {error && <div className="error">{error}</div>}
+        </div>
+      </div>
+
+      {run && (
+        <div className="card" style={{ marginTop: 14 }}>
+          <div className="hstack" style={{ justifyContent: "space-between" }}>
+            <div style={{ fontWeight: 800 }}>Results</div>
+            <div className="hstack">
+              <button className="secondary" onClick={playAll}>Play all sequentially</button>
+              <button className="danger" onClick={stopAll}>Stop</button>
+              {run.blind && (
+                <button className="secondary" onClick={() => setRevealed((r) => !r)}>
+                  {revealed ? "Hide names" : "Reveal names"}
+                </button>
+              )}
+            </div>
+          </div>
+          <div className="small" style={{ marginTop: 6 }}>
+            {run.metrics.voiceCount} voices • backend {run.metrics.totalMs} ms • client {run.client.totalMs} ms • total est. {formatUsd(run.metrics.totalEstimatedCostUsd)}
+            {run.metrics.failedCount ? ` • ${run.metrics.failedCount} failed` : ""}
+          </div>
+
+          <div className="grid" style={{ marginTop: 12 }}>
+            {run.clips.map((c) => (
+              <div key={c.id} className={`card clip${sequenceIdx != null && run.clips.filter((x) => x.ok)[sequenceIdx]?.id === c.id ? " active" : ""}`}>
+                <div style={{ fontWeight: 700 }}>{runHidesNames ? c.label : (c.ok ? c.voice.name : c.voiceName)}</div>
+                {!runHidesNames && c.ok && <span className="badge" style={{ marginTop: 4 }}>{voiceTypePretty(c.voice.voiceType)}</span>}
+
+                {c.ok ? (
+                  <>
+                    <audio
+                      ref={(el) => { audioRefs.current[c.id] = el; }}
+                      src={c.audioSrc}
+                      controls
+                      style={{ width: "100%", marginTop: 8 }}
+                      onEnded={() => onClipEnded(c)}
+                      onLoadedMetadata={(e) => {
+                        const d = e.currentTarget.duration;
+                        if (!Number.isNaN(d) && Number.isFinite(d)) setDurations((m) => ({ ...m, [c.id]: d }));
+                      }}
+                    />
+                    <table className="table" style={{ marginTop: 6 }}>
+                      <tbody>
+                        <tr><td>Backend TTS time</td><td className="mono">{c.metrics.server.ttsMs} ms</td></tr>
+                        <tr><td>Input chars</td><td className="mono">{c.metrics.input.charCount}</td></tr>
+                        <tr><td>Estimated cost</td><td className="mono">{formatUsd(c.metrics.billingEstimate.estimatedCostUsd)}</td></tr>
+                        <tr><td>Cache</td><td className="mono">{c.metrics.cache?.hit ? "hit" : "miss"}</td></tr>
+                        <tr><td>Duration (browser)</td><td className="mono">{durations[c.id] ? `${durations[c.id].toFixed(2)} s` : "-"}</td></tr>
+                        <PostProcessRow report={c.metrics.postprocess} />
+                        <AnalysisRows analysis={c.analysis} />
+                      </tbody>
+                    </table>
+                    <div className="hstack" style={{ marginTop: 8, gap: 4 }}>
+                      <span className="small">Rating</span>
+                      {[1, 2, 3, 4, 5].map((n) => (
+                        <button
+                          key={n}
+                          className={`star${ratings[c.id] >= n ? " on" : ""}`}
+                          onClick={() => setRatings((r) => ({ ...r, [c.id]: n }))}
+                          title={`${n} / 5`}
+                        >
+                          ★
+                        </button>
+                      ))}
+                    </div>
+                    {c.warnings?.length ? (
+                      <div className="small" style={{ marginTop: 6 }}>
+                        {c.warnings.map((w, i) => (
+                          <div key={i} className="badge" style={{ marginRight: 6, marginTop: 6 }}>{w}</div>
+                        ))}
+                      </div>
+                    ) : null}
+                  </>
+                ) : (
+                  <div className="error small" style={{ marginTop: 8 }}>{errorMessage(c)}</div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {ranking.length ? (
+            <>
+              <hr />
+              <div style={{ fontWeight: 800, marginBottom: 8 }}>Votes</div>
+              <table className="table">
+                <tbody>
+                  {ranking.map((c) => (
+                    <tr key={c.id}>
+                      <td>{runHidesNames ? c.label : <span className="mono">{c.voice.name}</span>}</td>
+                      <td className="mono">{"★".repeat(ratings[c.id])}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          ) : null}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,261 @@
+import { useCallback, useMemo, useRef, useState } from "react";
+import VoicePicker from "./VoicePicker.jsx";
+import Waveform, { AnalysisRows } from "./Waveform.jsx";
+import { errorMessage, formatAudioFormat, formatBytes, formatUsd, voiceTypePretty } from "./format.js";
+
+const MAX_CHARS = 100000;
+const MAX_SPEAKERS = 8;
+
+const SAMPLE_SCRIPT = `Agent: Thanks for calling. How can I help you today?
+Caller: Hi, I'd like to check the balance on my account.
+[pause 1s]
+Agent: Sure, one moment while I look that up.`;
+
+// Same rule as the server's parser: a label of up to 24 characters before the first colon.
+const LABEL_RE = /^\s*([^\s:#[][^:]{0,23}?)\s*:/;
+
+// Speaker labels in order of first appearance.
+function detectLabels(script) {
+  const seen = new Map();
+  for (const line of script.split(/\r?\n/)) {
+    const m = LABEL_RE.exec(line);
+    if (m && !seen.has(m[1].toLowerCase())) seen.set(m[1].toLowerCase(), m[1]);
+  }
+  return Array.from(seen.values()).slice(0, MAX_SPEAKERS);
+}
+
+function SpeakerRow({ label, settings, voices, languages, voiceTypes, onChange }) {
+  const onPickChange = useCallback((patch) => onChange(label, patch), [label, onChange]);
+  const voice = voices.find((v) => v.name === settings.voiceName);
+  const rateAllowed = voice?.capabilities?.speakingRate !== false && !voice?.capabilities?.multiSpeaker;
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div style={{ fontWeight: 700 }}>{label}</div>
+      <VoicePicker voices={voices} languages={languages} voiceTypes={voiceTypes} value={settings} onChange={onPickChange} />
+      <div className="row cols3" style={{ marginTop: 6 }}>
+        <div>
+          <label>Speaking rate: {settings.speakingRate.toFixed(2)}</label>
+          <input type="range" min="0.25" max="4" step="0.05" value={settings.speakingRate} disabled={!rateAllowed}
+            onChange={(e) => onChange(label, { speakingRate: Number(e.target.value) })} />
+        </div>
+        <div>
+          <label>Pitch: {settings.pitch.toFixed(1)}</label>
+          <input type="range" min="-20" max="20" step="0.5" value={settings.pitch} disabled={!rateAllowed}
+            onChange={(e) => onChange(label, { pitch: Number(e.target.value) })} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Speaker-labelled scripts (/api/synthesize/dialogue): one voice per speaker, joined into one clip with pauses between turns.
+export default function DialogueMode({ voices, languages, voiceTypes, defaultLanguage, defaultVoiceType }) {
+  const audioRef = useRef(null);
+
+  const [script, setScript] = useState(SAMPLE_SCRIPT);
+  const [speakerSettings, setSpeakerSettings] = useState({});
+  const [audioEncoding, setAudioEncoding] = useState("MP3");
+  const [pauseMs, setPauseMs] = useState(400);
+
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [result, setResult] = useState(null);
+  const [currentTime, setCurrentTime] = useState(0);
+
+  const labels = useMemo(() => detectLabels(script), [script]);
+  const settingsFor = (label) =>
+    speakerSettings[label] ?? { language: defaultLanguage, voiceType: defaultVoiceType, voiceName: "", speakingRate: 1, pitch: 0 };
+
+  const onSpeakerChange = useCallback(
+    (label, patch) =>
+      setSpeakerSettings((s) => ({
+        ...s,
+        [label]: { ...(s[label] ?? { language: defaultLanguage, voiceType: defaultVoiceType, voiceName: "", speakingRate: 1, pitch: 0 }), ...patch },
+      })),
+    [defaultLanguage, defaultVoiceType],
+  );
+
+  const canGenerate = !loading && labels.length > 0 && labels.every((l) => settingsFor(l).voiceName) && script.length <= MAX_CHARS;
+
+  async function generate() {
+    setError("");
+    setCurrentTime(0);
+
+    const payload = {
+      script,
+      audioEncoding,
+      pauseMs,
+      speakers: labels.map((label) => {
+        const s = settingsFor(label);
+        const voice = voices.find((v) => v.name === s.voiceName);
+        const tunable = voice?.capabilities?.speakingRate !== false && !voice?.capabilities?.multiSpeaker;
+        return {
+          label,
+          voiceName: s.voiceName,
+          languageCode: s.language,
+          ...(tunable && s.speakingRate !== 1 ? { speakingRate: s.speakingRate } : {}),
+          ...(tunable && s.pitch !== 0 ? { pitch: s.pitch } : {}),
+        };
+      }),
+    };
+
+    const t0 = performance.now();
+    setLoading(true);
+    try {
+      const res = await fetch("/api/synthesize/dialogue", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const t1 = performance.now();
+      const data = await res.json();
+      if (!res.ok) throw new Error(errorMessage(data, res.status));
+
+      setResult({
+        audioSrc: `data:${data.audio.mimeType};base64,${data.audio.base64}`,
+        data,
+        client: { totalMs: Math.round(t1 - t0) },
+      });
+    } catch (e) {
+      setError(String(e?.message || e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function seek(turn) {
+    const a = audioRef.current;
+    if (!a) return;
+    a.currentTime = turn.startSec;
+    a.play().catch(() => {});
+  }
+
+  const turns = result?.data.turns ?? [];
+  const currentTurn = turns.find((t) => currentTime >= t.startSec && currentTime < t.endSec);
+
+  return (
+    <>
+      <div className="card" style={{ marginTop: 14 }}>
+        <label>
+          Script — one turn per line as <span className="mono">Speaker: text</span>; lines without a label continue the turn,{" "}
+          <span className="mono">[pause 800ms]</span> sets the pause before the next turn ({script.length.toLocaleString()} / {MAX_CHARS.toLocaleString()} chars)
+        </label>
+        <textarea style={{ minHeight: 200 }} value={script} onChange={(e) => setScript(e.target.value)} />
+
+        <div style={{ fontWeight: 800, marginTop: 12 }}>Speakers ({labels.length})</div>
+        {labels.length === 0 && <div className="small" style={{ marginTop: 4 }}>Start lines with a label such as <span className="mono">Alice:</span> to add speakers.</div>}
+        {labels.map((label) => (
+          <SpeakerRow key={label} label={label} settings={settingsFor(label)} voices={voices} languages={languages} voiceTypes={voiceTypes} onChange={onSpeakerChange} />
+        ))}
+
+        <div className="row cols3" style={{ marginTop: 12 }}>
+          <div>
+            <label>Audio encoding</label>
+            <select value={audioEncoding} onChange={(e) => setAudioEncoding(e.target.value)}>
+              <option value="MP3">MP3</option>
+              <option value="OGG_OPUS">OGG_OPUS</option>
+              <option value="LINEAR16">LINEAR16</option>
+              <option value="MULAW">MULAW</option>
+              <option value="ALAW">ALAW</option>
+              <option value="PCM">PCM</option>
+            </select>
+          </div>
+          <div>
+            <label>Pause between turns (ms)</label>
+            <input type="number" min="0" max="10000" step="50" value={pauseMs} onChange={(e) => setPauseMs(Math.max(0, Math.min(10000, Number(e.target.value) || 0)))} />
+          </div>
+        </div>
+
+        <div className="hstack" style={{ marginTop: 12 }}>
+          <button disabled={!canGenerate} onClick={generate}>
+            {loading ? "Generating..." : "Generate dialogue"}
+          </button>
+          <button className="secondary" onClick={() => setScript("")} disabled={loading}>Clear</button>
+          {error && <div className="error">{error}</div>}
+        </div>
+      </div>
+
+      <div className="card" style={{ marginTop: 14 }}>
+        <div style={{ fontWeight: 800, marginBottom: 8 }}>Output</div>
+
+        {result ? (
+          <>
+            <audio
+              ref={audioRef}
+              src={result.audioSrc}
+              controls
+              style={{ width: "100%" }}
+              onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+            />
+            {result.data.analysis && <Waveform key={result.audioSrc} peaks={result.data.analysis.waveform} audioRef={audioRef} durationSec={result.data.analysis.durationSec} />}
+            <div className="hstack" style={{ marginTop: 10 }}>
+              <a className="button secondary" href={result.audioSrc} download={`dialogue.${result.data.audio.extension}`}>
+                Download
+              </a>
+            </div>
+
+            {result.data.warnings?.length ? (
+              <div className="small" style={{ marginTop: 10 }}>
+                {result.data.warnings.map((w, idx) => (
+                  <div key={idx} className="badge" style={{ marginRight: 6, marginTop: 6 }}>{w}</div>
+                ))}
+              </div>
+            ) : null}
+
+            <hr />
+
+            <table className="table">
+              <tbody>
+                <tr><td>Engine</td><td className="mono">{result.data.engine === "multiSpeaker" ? "multi-speaker voice (one request)" : "one request per turn"}</td></tr>
+                <tr><td>Turns / speakers</td><td className="mono">{result.data.metrics.input.turnCount} / {result.data.metrics.input.speakerCount}</td></tr>
+                <tr><td>Duration</td><td className="mono">{result.data.durationSec != null ? `${result.data.durationSec.toFixed(2)} s` : "-"}</td></tr>
+                <AnalysisRows analysis={result.data.analysis} />
+                <tr><td>Format</td><td className="mono">{result.data.audio.container} • {formatAudioFormat(result.data.audio)} • {formatBytes(result.data.audio.bytes)}</td></tr>
+                <tr><td>Backend TTS time (sum of turns)</td><td className="mono">{result.data.metrics.server.ttsMs} ms</td></tr>
+                <tr><td>Total backend time</td><td className="mono">{result.data.metrics.server.totalMs} ms</td></tr>
+                <tr><td>Total client time</td><td className="mono">{result.client.totalMs} ms</td></tr>
+                {result.data.metrics.billingEstimate.byVoiceType.map((e) => (
+                  <tr key={e.voiceType}>
+                    <td>Cost — {voiceTypePretty(e.voiceType)}</td>
+                    <td className="mono">{e.billableChars.toLocaleString()} chars → {formatUsd(e.estimatedCostUsd)}</td>
+                  </tr>
+                ))}
+                <tr><td>Estimated cost (total)</td><td className="mono">{formatUsd(result.data.metrics.billingEstimate.estimatedCostUsd)}</td></tr>
+                <tr>
+                  <td>Cache</td>
+                  <td className="mono">
+                    {result.data.metrics.cache.hitCount}/{result.data.metrics.input.turnCount} turns cached — saved {formatUsd(result.data.metrics.cache.costSavedUsd)}
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+
+            <div style={{ fontWeight: 800, margin: "16px 0 8px" }}>Turns</div>
+            {turns.some((t) => t.estimated) && (
+              <div className="small" style={{ marginBottom: 6 }}>Multi-speaker voices don&apos;t report turn positions; start times are estimated from each turn&apos;s length.</div>
+            )}
+            <table className="table">
+              <tbody>
+                <tr className="small"><td>Start</td><td>Speaker</td><td>Text</td><td>Voice</td><td>Chars</td><td>Est. cost</td><td>Cache</td></tr>
+                {turns.map((t) => (
+                  <tr key={t.index} onClick={() => seek(t)} style={{ cursor: "pointer", background: t === currentTurn ? "rgba(37,99,235,0.12)" : undefined }}>
+                    <td className="mono">{t.estimated ? "~" : ""}{t.startSec.toFixed(2)} s</td>
+                    <td><span className="badge">{t.speaker}</span></td>
+                    <td className="small" style={{ whiteSpace: "pre-wrap" }}>{t.text}</td>
+                    <td className="mono small">{t.voiceName}</td>
+                    <td className="mono">{t.charCount}</td>
+                    <td className="mono">{formatUsd(t.estimatedCostUsd)}</td>
+                    <td className="mono">{t.cacheHit ? "hit" : "miss"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        ) : (
+          <div className="small">Generate the dialogue to hear the joined clip and see each turn on the timeline.</div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,148 @@
+import { useEffect, useState } from "react";
+import { errorMessage, formatUsd, voiceTypePretty } from "./format.js";
+
+const PAGE_SIZE = 20;
+
+export function permalinkFor(id) {
+  return `${window.location.origin}${window.location.pathname}?clip=${id}`;
+}
+
+// Server-side history (GET /api/history) with filters and pagination. `refreshKey` changes after each generation.
+export default function HistoryPanel({ languages, voiceTypes, refreshKey, onLoad, onRegenerate }) {
+  const [filters, setFilters] = useState({ voiceType: "", language: "", from: "", to: "", q: "" });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ items: [], total: 0 });
+  const [error, setError] = useState("");
+  const [copiedId, setCopiedId] = useState(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+    if (filters.voiceType) params.set("voiceType", filters.voiceType);
+    if (filters.language) params.set("language", filters.language);
+    if (filters.q.trim()) params.set("q", filters.q.trim());
+    // Dates are whole days in the browser's timezone
+    if (filters.from) params.set("from", new Date(`${filters.from}T00:00:00`).toISOString());
+    if (filters.to) params.set("to", new Date(`${filters.to}T23:59:59.999`).toISOString());
+
+    let cancelled = false;
+    (async () => {
+      try {
+        setError("");
+        const res = await fetch(`/api/history?${params}`);
+        const body = await res.json();
+        if (!res.ok) throw new Error(errorMessage(body, res.status));
+        if (!cancelled) setData(body);
+      } catch (e) {
+        if (!cancelled) setError(String(e?.message || e));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [filters, page, refreshKey]);
+
+  function setFilter(patch) {
+    setFilters((f) => ({ ...f, ...patch }));
+    setPage(1);
+  }
+
+  async function remove(id) {
+    if (!window.confirm("Delete this clip from history? Its permalink will stop working.")) return;
+    const res = await fetch(`/api/history/${id}`, { method: "DELETE" });
+    if (!res.ok) {
+      setError(`Delete failed: HTTP ${res.status}`);
+      return;
+    }
+    setData((d) => ({ ...d, items: d.items.filter((r) => r.id !== id), total: d.total - 1 }));
+  }
+
+  async function copyLink(id) {
+    await navigator.clipboard.writeText(permalinkFor(id)).catch(() => {});
+    setCopiedId(id);
+    setTimeout(() => setCopiedId((c) => (c === id ? null : c)), 1500);
+  }
+
+  const pageCount = Math.max(1, Math.ceil(data.total / PAGE_SIZE));
+
+  return (
+    <div className="card" style={{ marginTop: 14 }}>
+      <div className="hstack" style={{ justifyContent: "space-between" }}>
+        <div style={{ fontWeight: 800 }}>History ({data.total})</div>
+        <div className="small">Stored on the server; every clip has a shareable link.</div>
+      </div>
+
+      <div className="row cols3" style={{ marginTop: 10 }}>
+        <div>
+          <label>Search text or voice</label>
+          <input type="text" value={filters.q} onChange={(e) => setFilter({ q: e.target.value })} placeholder="e.g. welcome" />
+        </div>
+        <div>
+          <label>Voice type</label>
+          <select value={filters.voiceType} onChange={(e) => setFilter({ voiceType: e.target.value })}>
+            <option value="">All types</option>
+            {voiceTypes.map((t) => (
+              <option key={t} value={t}>{voiceTypePretty(t)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label>Language</label>
+          <select value={filters.language} onChange={(e) => setFilter({ language: e.target.value })}>
+            <option value="">All languages</option>
+            {languages.map((l) => (
+              <option key={l} value={l}>{l}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="row cols3" style={{ marginTop: 10 }}>
+        <div>
+          <label>From</label>
+          <input type="date" value={filters.from} onChange={(e) => setFilter({ from: e.target.value })} />
+        </div>
+        <div>
+          <label>To</label>
+          <input type="date" value={filters.to} onChange={(e) => setFilter({ to: e.target.value })} />
+        </div>
+      </div>
+
+      {error && <div className="error" style={{ marginTop: 8 }}>{error}</div>}
+
+      {data.items.length === 0 ? (
+        <div className="small" style={{ marginTop: 8 }}>No history yet.</div>
+      ) : (
+        <div style={{ marginTop: 10 }}>
+          {data.items.map((r) => (
+            <div key={r.id} className="hstack" style={{ justifyContent: "space-between", padding: "10px 0", borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
+              <div style={{ minWidth: 0, flex: 1 }}>
+                <div className="mono">{r.voice.name}</div>
+                <div className="small">
+                  {new Date(r.createdAt).toLocaleString()} • {r.source} • {voiceTypePretty(r.voice.voiceType)} • {r.metrics.server.ttsMs} ms • {r.metrics.input.charCount} chars • {formatUsd(r.metrics.billingEstimate.estimatedCostUsd)}
+                </div>
+                <div className="small" style={{ opacity: 0.6, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                  {r.params.text.slice(0, 160)}
+                </div>
+              </div>
+              <div className="hstack">
+                <button className="secondary" onClick={() => onLoad(r)}>Load</button>
+                {r.source !== "dialogue" && (
+                  <button className="secondary" onClick={() => onRegenerate(r)} title="Copy text and settings into the form">Tweak</button>
+                )}
+                <button className="secondary" onClick={() => copyLink(r.id)}>{copiedId === r.id ? "Copied!" : "Link"}</button>
+                <button className="danger" onClick={() => remove(r.id)}>Delete</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pageCount > 1 && (
+        <div className="hstack" style={{ marginTop: 10 }}>
+          <button className="secondary" disabled={page <= 1} onClick={() => setPage((p) => p - 1)}>Prev</button>
+          <div className="small">Page {page} / {pageCount}</div>
+          <button className="secondary" disabled={page >= pageCount} onClick={() => setPage((p) => p + 1)}>Next</button>
+        </div>
+      )}
+    </div>
+  );
+}
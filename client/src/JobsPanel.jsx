@@ -0,0 +1,238 @@
+import { useCallback, useEffect, useState } from "react";
+import VoicePicker from "./VoicePicker.jsx";
+import { errorMessage, formatUsd } from "./format.js";
+
+const ENCODINGS = ["MP3", "OGG_OPUS", "LINEAR16", "MULAW", "ALAW", "PCM"];
+const ACTIVE = new Set(["queued", "running"]);
+const POLL_MS = 2000;
+
+const SAMPLE_CSV = `id,text,voice,rate,pitch
+intro,"Welcome to the show.",,1.0,0
+outro,"Thanks for listening!",,0.9,-2`;
+
+async function request(url, options) {
+  const res = await fetch(url, options ? { headers: { "content-type": "application/json" }, ...options } : undefined);
+  const data = await res.json();
+  if (!res.ok) throw new Error(errorMessage(data, res.status));
+  return data;
+}
+
+function Progress({ job }) {
+  const { total, done, failed, cancelled } = job.counts;
+  const pct = total ? Math.round(((done + failed + cancelled) / total) * 100) : 0;
+  return (
+    <div>
+      <div className="meter">
+        <div style={{ width: `${pct}%`, background: failed ? "#f59e0b" : undefined }} />
+      </div>
+      <div className="small" style={{ marginTop: 4 }}>
+        {done}/{total} done{failed ? ` • ${failed} failed` : ""}{cancelled ? ` • ${cancelled} cancelled` : ""}
+      </div>
+    </div>
+  );
+}
+
+// Bulk synthesis (/api/jobs): upload CSV or JSONL, follow progress per row, retry failures and download a ZIP.
+export default function JobsPanel({ voices, languages, voiceTypes, defaultLanguage, defaultVoiceType }) {
+  const [file, setFile] = useState(null); // { name, format, content }
+  const [jobName, setJobName] = useState("");
+  const [pick, setPick] = useState({ language: defaultLanguage, voiceType: defaultVoiceType, voiceName: "" });
+  const [audioEncoding, setAudioEncoding] = useState("MP3");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [warnings, setWarnings] = useState([]);
+
+  const [jobs, setJobs] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const onPickChange = useCallback((patch) => setPick((p) => ({ ...p, ...patch })), []);
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await request("/api/jobs");
+      setJobs(data.jobs);
+      if (selectedId) setSelected(await request(`/api/jobs/${selectedId}`));
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }, [selectedId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Poll only while something is still queued or running.
+  const anyActive = jobs.some((j) => ACTIVE.has(j.status));
+  useEffect(() => {
+    if (!anyActive) return undefined;
+    const timer = setInterval(refresh, POLL_MS);
+    return () => clearInterval(timer);
+  }, [anyActive, refresh]);
+
+  async function onFile(e) {
+    const f = e.target.files?.[0];
+    if (!f) return;
+    const format = /\.jsonl?$/i.test(f.name) || /\.ndjson$/i.test(f.name) ? "jsonl" : "csv";
+    setFile({ name: f.name, format, content: await f.text() });
+    if (!jobName) setJobName(f.name.replace(/\.[^.]+$/, ""));
+  }
+
+  async function submit() {
+    setSubmitting(true);
+    setError("");
+    setWarnings([]);
+    try {
+      const job = await request("/api/jobs", {
+        method: "POST",
+        body: JSON.stringify({
+          name: jobName.trim() || undefined,
+          format: file.format,
+          content: file.content,
+          defaults: { ...(pick.voiceName ? { voiceName: pick.voiceName } : {}), audioEncoding },
+        }),
+      });
+      setWarnings(job.warnings || []);
+      setFile(null);
+      setJobName("");
+      setSelectedId(job.id);
+    } catch (e) {
+      setError(String(e?.message || e));
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  async function act(job, action) {
+    setError("");
+    try {
+      if (action === "delete") {
+        if (!window.confirm(`Delete “${job.name}” and its audio?`)) return;
+        await request(`/api/jobs/${job.id}`, { method: "DELETE" });
+        if (selectedId === job.id) {
+          setSelectedId(null);
+          setSelected(null);
+        }
+      } else {
+        await request(`/api/jobs/${job.id}/${action}`, { method: "POST" });
+      }
+      await refresh();
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  return (
+    <>
+      <div className="card" style={{ marginTop: 14 }}>
+        <div style={{ fontWeight: 800 }}>New batch job</div>
+        <div className="small" style={{ marginTop: 4 }}>
+          CSV with a header row, or JSONL with one object per line. Columns: <span className="mono">id, text, voice, language, encoding, rate, pitch, volume, inputType</span>.
+          Empty cells use the defaults below.
+        </div>
+        <pre className="mono small" style={{ marginTop: 8, whiteSpace: "pre-wrap" }}>{SAMPLE_CSV}</pre>
+
+        <div className="row cols2" style={{ marginTop: 10 }}>
+          <div>
+            <label>File (.csv, .jsonl)</label>
+            <input type="file" accept=".csv,.jsonl,.json,.ndjson,text/csv" onChange={onFile} />
+            {file && <div className="small" style={{ marginTop: 4 }}>{file.name} ({file.format.toUpperCase()}, {file.content.length.toLocaleString()} chars)</div>}
+          </div>
+          <div>
+            <label>Job name</label>
+            <input type="text" value={jobName} onChange={(e) => setJobName(e.target.value)} placeholder="optional" />
+          </div>
+        </div>
+
+        <div style={{ marginTop: 10 }}>
+          <label>Default voice (for rows without one)</label>
+          <VoicePicker voices={voices} languages={languages} voiceTypes={voiceTypes} value={pick} onChange={onPickChange} />
+        </div>
+        <div className="row cols3" style={{ marginTop: 10 }}>
+          <div>
+            <label>Default encoding</label>
+            <select value={audioEncoding} onChange={(e) => setAudioEncoding(e.target.value)}>
+              {ENCODINGS.map((enc) => (
+                <option key={enc} value={enc}>{enc}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="hstack" style={{ marginTop: 12 }}>
+          <button onClick={submit} disabled={!file || submitting}>{submitting ? "Queueing…" : "Start job"}</button>
+          {error && <div className="error">{error}</div>}
+        </div>
+        {warnings.map((w) => (
+          <div key={w} className="warning small" style={{ marginTop: 6 }}>{w}</div>
+        ))}
+      </div>
+
+      <div className="card" style={{ marginTop: 14 }}>
+        <div style={{ fontWeight: 800 }}>Jobs ({jobs.length})</div>
+        {jobs.length === 0 ? (
+          <div className="small" style={{ marginTop: 8 }}>No jobs yet.</div>
+        ) : (
+          <table className="table" style={{ marginTop: 8 }}>
+            <tbody>
+              {jobs.map((j) => (
+                <tr key={j.id} style={{ background: j.id === selectedId ? "rgba(37,99,235,0.12)" : undefined }}>
+                  <td>
+                    <button className="secondary" style={{ padding: "4px 8px" }} onClick={() => setSelectedId(j.id)}>{j.name}</button>
+                    <div className="small" style={{ marginTop: 4 }}>{new Date(j.createdAt).toLocaleString()}</div>
+                  </td>
+                  <td><span className="badge">{j.status}</span></td>
+                  <td style={{ width: 220 }}><Progress job={j} /></td>
+                  <td className="mono">{formatUsd(j.estimatedCostUsd)}</td>
+                  <td style={{ width: 330 }}>
+                    <div className="hstack">
+                      {ACTIVE.has(j.status) && <button className="secondary" onClick={() => act(j, "cancel")}>Cancel</button>}
+                      {!ACTIVE.has(j.status) && (j.counts.failed > 0 || j.counts.cancelled > 0) && (
+                        <button className="secondary" onClick={() => act(j, "retry")}>Retry failed</button>
+                      )}
+                      {j.counts.done > 0 && <a className="button secondary" href={`/api/jobs/${j.id}/download`}>ZIP</a>}
+                      <button className="danger" onClick={() => act(j, "delete")}>Delete</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {selected && (
+        <div className="card" style={{ marginTop: 14 }}>
+          <div className="hstack" style={{ justifyContent: "space-between" }}>
+            <div style={{ fontWeight: 800 }}>{selected.name}</div>
+            <div className="small">
+              {selected.startedAt ? `Started ${new Date(selected.startedAt).toLocaleString()}` : "Waiting to start"}
+              {selected.finishedAt ? ` • finished ${new Date(selected.finishedAt).toLocaleString()}` : ""}
+            </div>
+          </div>
+          <table className="table" style={{ marginTop: 8 }}>
+            <tbody>
+              <tr className="small"><td>Row</td><td>Voice</td><td>Status</td><td>Tries</td><td>Duration</td><td>Cost</td><td>Text / error</td></tr>
+              {selected.rows.map((r) => (
+                <tr key={r.index}>
+                  <td className="mono">{r.id}<div className="small">line {r.line}</div></td>
+                  <td className="mono">{r.params.voiceName}</td>
+                  <td>
+                    <span className="badge">{r.status}</span>
+                    {r.result?.cacheHit && <span className="badge" style={{ marginLeft: 4 }}>cache</span>}
+                  </td>
+                  <td className="mono">{r.attempts}</td>
+                  <td className="mono">{r.result?.durationSec != null ? `${r.result.durationSec.toFixed(2)}s` : "-"}</td>
+                  <td className="mono">{r.result ? formatUsd(r.result.estimatedCostUsd) : "-"}</td>
+                  <td>
+                    <div className="small" style={{ maxWidth: 360, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{r.params.text}</div>
+                    {r.error && <div className="error small">{r.error}{r.status === "pending" ? " (will retry)" : ""}</div>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </>
+  );
+}
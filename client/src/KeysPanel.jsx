@@ -0,0 +1,136 @@
+import { useEffect, useState } from "react";
+import { errorMessage, formatUsd } from "./format.js";
+
+async function request(url, options) {
+  const res = await fetch(url, options ? { headers: { "content-type": "application/json" }, ...options } : undefined);
+  const data = await res.json();
+  if (!res.ok) throw new Error(errorMessage(data, res.status));
+  return data;
+}
+
+const limitText = (n, unit) => (n ? `${n.toLocaleString()} ${unit}` : "unlimited");
+
+// Admin page for API keys (/api/admin/keys): issue keys with their limits, revoke them, see this month's usage.
+export default function KeysPanel() {
+  const [keys, setKeys] = useState([]);
+  const [draft, setDraft] = useState({ name: "", role: "user", rateLimitPerMin: 30, monthlyCharQuota: 1000000 });
+  const [created, setCreated] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    request("/api/admin/keys")
+      .then((data) => {
+        setKeys(data.keys);
+        setDraft((d) => ({ ...d, ...data.defaults }));
+      })
+      .catch((e) => setError(String(e?.message || e)));
+  }, []);
+
+  async function create() {
+    setError("");
+    try {
+      const data = await request("/api/admin/keys", { method: "POST", body: JSON.stringify(draft) });
+      setKeys((ks) => [data.key, ...ks]);
+      setCreated(data);
+      setDraft((d) => ({ ...d, name: "" }));
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  async function revoke(key) {
+    if (!window.confirm(`Revoke "${key.name}"? Scripts and sessions using it stop working immediately.`)) return;
+    setError("");
+    try {
+      const updated = await request(`/api/admin/keys/${key.id}/revoke`, { method: "POST" });
+      setKeys((ks) => ks.map((k) => (k.id === updated.id ? updated : k)));
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  return (
+    <>
+      <div className="card" style={{ marginTop: 14 }}>
+        <div style={{ fontWeight: 800, marginBottom: 8 }}>New API key</div>
+        <div className="row cols3">
+          <div>
+            <label>Name</label>
+            <input type="text" placeholder="e.g. alice, ivr-staging" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          </div>
+          <div>
+            <label>Role</label>
+            <select value={draft.role} onChange={(e) => setDraft({ ...draft, role: e.target.value })}>
+              <option value="user">user</option>
+              <option value="admin">admin (can manage keys)</option>
+            </select>
+          </div>
+          <div />
+          <div>
+            <label>Requests per minute (0 = unlimited)</label>
+            <input type="number" min="0" value={draft.rateLimitPerMin} onChange={(e) => setDraft({ ...draft, rateLimitPerMin: Math.max(0, Math.round(Number(e.target.value) || 0)) })} />
+          </div>
+          <div>
+            <label>Characters per month (0 = unlimited)</label>
+            <input type="number" min="0" step="1000" value={draft.monthlyCharQuota} onChange={(e) => setDraft({ ...draft, monthlyCharQuota: Math.max(0, Math.round(Number(e.target.value) || 0)) })} />
+          </div>
+        </div>
+        <div className="hstack" style={{ marginTop: 12 }}>
+          <button disabled={!draft.name.trim()} onClick={create}>Create key</button>
+          {error && <div className="error">{error}</div>}
+        </div>
+
+        {created && (
+          <div style={{ marginTop: 12 }}>
+            <label>Key for {created.key.name} — copy it now, it won&apos;t be shown again</label>
+            <div className="hstack">
+              <input type="text" readOnly className="mono" value={created.apiKey} onFocus={(e) => e.target.select()} />
+              <button className="secondary" onClick={() => navigator.clipboard?.writeText(created.apiKey)}>Copy</button>
+              <button className="secondary" onClick={() => setCreated(null)}>Done</button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="card" style={{ marginTop: 14 }}>
+        <div style={{ fontWeight: 800, marginBottom: 8 }}>Keys ({keys.length})</div>
+        {keys.length === 0 ? (
+          <div className="small">No keys yet. The ADMIN_API_KEY from the server environment isn&apos;t listed here.</div>
+        ) : (
+          <table className="table">
+            <tbody>
+              <tr className="small"><td>Name</td><td>Key</td><td>Role</td><td>Limits</td><td>This month</td><td>Last used</td><td /></tr>
+              {keys.map((k) => (
+                <tr key={k.id} style={{ opacity: k.revokedAt ? 0.5 : 1 }}>
+                  <td>{k.name}</td>
+                  <td className="mono small">{k.prefix}…</td>
+                  <td><span className="badge">{k.role}</span></td>
+                  <td className="small">{limitText(k.rateLimitPerMin, "req/min")}<br />{limitText(k.monthlyCharQuota, "chars/month")}</td>
+                  <td style={{ minWidth: 160 }}>
+                    {k.monthlyCharQuota ? (
+                      <div className="meter">
+                        <div style={{ width: `${Math.min(100, (k.usage.billableChars / k.monthlyCharQuota) * 100)}%` }} />
+                      </div>
+                    ) : null}
+                    <div className="small">
+                      {k.usage.billableChars.toLocaleString()} chars • {k.usage.requests} req • {formatUsd(k.usage.estimatedCostUsd)}
+                    </div>
+                  </td>
+                  <td className="small">{k.lastUsedAt ? new Date(k.lastUsedAt).toLocaleString() : "never"}</td>
+                  <td>
+                    {k.revokedAt ? (
+                      <span className="small">revoked {new Date(k.revokedAt).toLocaleDateString()}</span>
+                    ) : (
+                      <button className="secondary" onClick={() => revoke(k)}>Revoke</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div className="small" style={{ marginTop: 8 }}>Usage is billable characters sent to the provider (cache hits are free) in the current UTC month.</div>
+      </div>
+    </>
+  );
+}
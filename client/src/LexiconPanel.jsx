@@ -0,0 +1,264 @@
+import { useCallback, useEffect, useState } from "react";
+import VoicePicker from "./VoicePicker.jsx";
+import { errorMessage } from "./format.js";
+
+const EMPTY_RULE = {
+  languageCode: "en",
+  term: "",
+  type: "phoneme",
+  ipa: "",
+  respelling: "",
+  alias: "",
+  replacement: "",
+  caseSensitive: false,
+  wholeWord: true,
+  enabled: true,
+};
+
+const TYPE_LABELS = { phoneme: "Phoneme (IPA)", sub: "Substitute (alias)", replace: "Replace text" };
+
+// Only the fields of the rule's own type are sent; the server stores exactly what it receives.
+function toPayload(rule) {
+  const base = {
+    languageCode: rule.languageCode.trim(),
+    term: rule.term,
+    type: rule.type,
+    caseSensitive: rule.caseSensitive,
+    wholeWord: rule.wholeWord,
+    enabled: rule.enabled,
+  };
+  if (rule.type === "phoneme") return { ...base, ipa: rule.ipa, ...(rule.respelling ? { respelling: rule.respelling } : {}) };
+  if (rule.type === "sub") return { ...base, alias: rule.alias };
+  return { ...base, replacement: rule.replacement };
+}
+
+function describe(rule) {
+  if (rule.type === "phoneme") return `/${rule.ipa}/${rule.respelling ? ` • Chirp: “${rule.respelling}”` : ""}`;
+  if (rule.type === "sub") return `“${rule.alias}”`;
+  return `→ “${rule.replacement}”`;
+}
+
+async function request(url, options) {
+  const res = await fetch(url, options ? { headers: { "content-type": "application/json" }, ...options } : undefined);
+  const data = await res.json();
+  if (!res.ok) throw new Error(errorMessage(data, res.status));
+  return data;
+}
+
+// Pronunciation lexicon editor (/api/lexicon) with a preview of what the synthesis pipeline would send.
+export default function LexiconPanel({ voices, languages, voiceTypes, defaultLanguage, defaultVoiceType }) {
+  const [rules, setRules] = useState([]);
+  const [filter, setFilter] = useState("");
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState("");
+
+  const [pick, setPick] = useState({ language: defaultLanguage, voiceType: defaultVoiceType, voiceName: "" });
+  const [sample, setSample] = useState("");
+  const [preview, setPreview] = useState(null);
+  const onPickChange = useCallback((patch) => setPick((p) => ({ ...p, ...patch })), []);
+
+  useEffect(() => {
+    request("/api/lexicon")
+      .then((data) => setRules(data.rules))
+      .catch((e) => setError(String(e?.message || e)));
+  }, []);
+
+  async function save() {
+    setError("");
+    try {
+      const body = JSON.stringify(toPayload(draft));
+      const saved = editingId
+        ? await request(`/api/lexicon/${editingId}`, { method: "PUT", body })
+        : await request("/api/lexicon", { method: "POST", body });
+      setRules((rs) => (editingId ? rs.map((r) => (r.id === saved.id ? saved : r)) : [...rs, saved]));
+      setDraft({ ...EMPTY_RULE, languageCode: draft.languageCode });
+      setEditingId(null);
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  async function toggle(rule) {
+    try {
+      const saved = await request(`/api/lexicon/${rule.id}`, { method: "PUT", body: JSON.stringify(toPayload({ ...EMPTY_RULE, ...rule, enabled: !rule.enabled })) });
+      setRules((rs) => rs.map((r) => (r.id === saved.id ? saved : r)));
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  async function remove(rule) {
+    if (!window.confirm(`Delete the rule for “${rule.term}”?`)) return;
+    try {
+      await request(`/api/lexicon/${rule.id}`, { method: "DELETE" });
+      setRules((rs) => rs.filter((r) => r.id !== rule.id));
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  function edit(rule) {
+    setDraft({ ...EMPTY_RULE, ...rule });
+    setEditingId(rule.id);
+  }
+
+  async function runPreview() {
+    setError("");
+    try {
+      setPreview(await request("/api/lexicon/preview", {
+        method: "POST",
+        body: JSON.stringify({ text: sample, voiceName: pick.voiceName, languageCode: pick.language }),
+      }));
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const shown = rules
+    .filter((r) => !filter || r.languageCode === filter)
+    .sort((a, b) => a.languageCode.localeCompare(b.languageCode) || a.term.localeCompare(b.term));
+  const ruleLanguages = Array.from(new Set(rules.map((r) => r.languageCode))).sort();
+
+  return (
+    <>
+      <div className="card" style={{ marginTop: 14 }}>
+        <div style={{ fontWeight: 800 }}>{editingId ? "Edit rule" : "Add rule"}</div>
+        <div className="row cols3" style={{ marginTop: 10 }}>
+          <div>
+            <label>Language (en-US, en for all English, * for all)</label>
+            <input type="text" value={draft.languageCode} onChange={(e) => set({ languageCode: e.target.value })} />
+          </div>
+          <div>
+            <label>Term</label>
+            <input type="text" value={draft.term} onChange={(e) => set({ term: e.target.value })} placeholder="e.g. Nguyen" />
+          </div>
+          <div>
+            <label>Rule type</label>
+            <select value={draft.type} onChange={(e) => set({ type: e.target.value })}>
+              {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="row cols3" style={{ marginTop: 10 }}>
+          {draft.type === "phoneme" && (
+            <>
+              <div>
+                <label>IPA</label>
+                <input type="text" value={draft.ipa} onChange={(e) => set({ ipa: e.target.value })} placeholder="e.g. wɪn" />
+              </div>
+              <div>
+                <label>Respelling (Chirp 3: HD, no SSML)</label>
+                <input type="text" value={draft.respelling} onChange={(e) => set({ respelling: e.target.value })} placeholder="e.g. win" />
+              </div>
+            </>
+          )}
+          {draft.type === "sub" && (
+            <div>
+              <label>Spoken as</label>
+              <input type="text" value={draft.alias} onChange={(e) => set({ alias: e.target.value })} placeholder="e.g. sequel" />
+            </div>
+          )}
+          {draft.type === "replace" && (
+            <div>
+              <label>Replacement text</label>
+              <input type="text" value={draft.replacement} onChange={(e) => set({ replacement: e.target.value })} />
+            </div>
+          )}
+          <div>
+            <label>Matching</label>
+            <div className="hstack">
+              <label className="hstack" style={{ margin: 0 }}>
+                <input type="checkbox" checked={draft.wholeWord} onChange={(e) => set({ wholeWord: e.target.checked })} /> Whole word
+              </label>
+              <label className="hstack" style={{ margin: 0 }}>
+                <input type="checkbox" checked={draft.caseSensitive} onChange={(e) => set({ caseSensitive: e.target.checked })} /> Case-sensitive
+              </label>
+            </div>
+          </div>
+        </div>
+
+        <div className="hstack" style={{ marginTop: 12 }}>
+          <button onClick={save} disabled={!draft.term.trim() || !draft.languageCode.trim()}>{editingId ? "Save rule" : "Add rule"}</button>
+          {editingId && (
+            <button className="secondary" onClick={() => { setDraft(EMPTY_RULE); setEditingId(null); }}>Cancel</button>
+          )}
+          {error && <div className="error">{error}</div>}
+        </div>
+      </div>
+
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="hstack" style={{ justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 800 }}>Lexicon ({rules.length})</div>
+          <select style={{ width: 160 }} value={filter} onChange={(e) => setFilter(e.target.value)}>
+            <option value="">All languages</option>
+            {ruleLanguages.map((l) => (
+              <option key={l} value={l}>{l}</option>
+            ))}
+          </select>
+        </div>
+        {shown.length === 0 ? (
+          <div className="small" style={{ marginTop: 8 }}>No rules yet. They are applied to every synthesis in a matching language.</div>
+        ) : (
+          <table className="table" style={{ marginTop: 8 }}>
+            <tbody>
+              {shown.map((r) => (
+                <tr key={r.id} style={{ opacity: r.enabled ? 1 : 0.5 }}>
+                  <td className="mono" style={{ width: 70 }}>{r.languageCode}</td>
+                  <td className="mono">{r.term}</td>
+                  <td><span className="badge">{r.type}</span></td>
+                  <td className="mono">{describe(r)}</td>
+                  <td style={{ width: 260 }}>
+                    <div className="hstack">
+                      <button className="secondary" onClick={() => toggle(r)}>{r.enabled ? "Disable" : "Enable"}</button>
+                      <button className="secondary" onClick={() => edit(r)}>Edit</button>
+                      <button className="danger" onClick={() => remove(r)}>Delete</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card" style={{ marginTop: 14 }}>
+        <div style={{ fontWeight: 800, marginBottom: 8 }}>Preview</div>
+        <VoicePicker voices={voices} languages={languages} voiceTypes={voiceTypes} value={pick} onChange={onPickChange} />
+        <div style={{ marginTop: 10 }}>
+          <label>Sample text</label>
+          <textarea value={sample} onChange={(e) => setSample(e.target.value)} style={{ minHeight: 80 }} />
+        </div>
+        <div className="hstack" style={{ marginTop: 10 }}>
+          <button className="secondary" onClick={runPreview} disabled={!sample.trim() || !pick.voiceName}>Preview</button>
+        </div>
+        {preview && (
+          <div style={{ marginTop: 10 }}>
+            <pre className="mono" style={{ whiteSpace: "pre-wrap", margin: 0 }}>{preview.text}</pre>
+            <LexiconReport report={preview} />
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
+
+export function LexiconReport({ report }) {
+  if (!report.applied.length && !report.skipped.length) return <div className="small">No lexicon rules matched.</div>;
+  return (
+    <div className="small" style={{ marginTop: 6 }}>
+      {report.applied.map((a) => (
+        <span key={`${a.ruleId}:${a.as}`} className="badge" style={{ marginRight: 6 }}>
+          {a.term} → {a.as} ×{a.count}
+        </span>
+      ))}
+      {report.skipped.map((s) => (
+        <div key={s.ruleId} className="warning">{s.term}: {s.reason}</div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,419 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { errorMessage, formatUsd, voiceTypePretty } from "./format.js";
+import PostProcessPanel from "./PostProcessPanel.jsx";
+
+const TABLE_ACCEPT = ".json,.arb,.xlf,.xliff,.po,.pot";
+
+async function request(url, options) {
+  const res = await fetch(url, options ? { headers: { "content-type": "application/json" }, ...options } : undefined);
+  const data = await res.json();
+  if (!res.ok) throw new Error(errorMessage(data, res.status));
+  return data;
+}
+
+const baseOf = (code) => code.toLowerCase().split("-")[0];
+
+// Language and script, like the server's: zh-TW and zh-CN differ, en-GB and en-US don't.
+function writtenForm(code) {
+  try {
+    const { language, script } = new Intl.Locale(code).maximize();
+    return script ? `${language}-${script}` : code.toLowerCase();
+  } catch {
+    return code.toLowerCase();
+  }
+}
+
+const sameLanguage = (a, b) => writtenForm(a) === writtenForm(b);
+
+// A table row's text for `locale`: the exact locale, else another region written the same way.
+function tableText(entry, locale) {
+  if (!entry) return "";
+  const texts = Object.entries(entry.texts);
+  return (texts.find(([l]) => l.toLowerCase() === locale.toLowerCase()) ?? texts.find(([l]) => sameLanguage(l, locale)))?.[1] ?? "";
+}
+
+function describeTranslation(t) {
+  if (t.origin === "provided") return "from the table / typed in";
+  if (t.origin === "source") return "source text (same language)";
+  return `translated by ${t.provider}${t.cached ? " (cached)" : ""}`;
+}
+
+// Translate-and-speak (/api/localize): one UI string in many locales for localization reviews. Translations
+// come from uploaded string tables (JSON, XLIFF, .po), typed-in text or the server's translation provider;
+// each locale gets the chosen voice or the best tier the catalog has.
+export default function LocalizeMode({ voices, languages, languageNames, voiceTypes, defaultLanguage }) {
+  const audioRefs = useRef({});
+
+  const [options, setOptions] = useState(null);
+  const [sourceLanguage, setSourceLanguage] = useState(defaultLanguage || "en-US");
+  const [text, setText] = useState("You have {count} new messages");
+  const [entries, setEntries] = useState([]); // merged string tables: [{ key, texts, note? }]
+  const [tableFiles, setTableFiles] = useState([]);
+  const [fileLanguage, setFileLanguage] = useState(""); // for single-language files that don't say which
+  const [selectedKey, setSelectedKey] = useState("");
+  const [targets, setTargets] = useState([]); // [{ languageCode, voiceName ("" = auto), text }]
+  const [autoTiers, setAutoTiers] = useState([]); // [] = every tier
+  const [audioEncoding, setAudioEncoding] = useState("MP3");
+  const [normalize, setNormalize] = useState(false);
+  const [postprocess, setPostprocess] = useState(null);
+
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [run, setRun] = useState(null);
+  const [durations, setDurations] = useState({});
+  const [playingIdx, setPlayingIdx] = useState(null);
+
+  useEffect(() => {
+    request("/api/localize")
+      .then(setOptions)
+      .catch((e) => setError(String(e?.message || e)));
+  }, []);
+
+  const entry = entries.find((e) => e.key === selectedKey) ?? null;
+  const maxLocales = options?.maxLocales ?? 24;
+  const canTranslate = Boolean(options?.translationProvider.available);
+  const tableLanguages = useMemo(() => [...new Set(entries.flatMap((e) => Object.keys(e.texts)))].sort(), [entries]);
+
+  const voicesFor = (locale) =>
+    voices.filter((v) => (v.languageCodes || []).some((c) => c.toLowerCase() === locale.toLowerCase() || baseOf(c) === baseOf(locale))).sort((a, b) => a.name.localeCompare(b.name));
+
+  // Locales that can't be spoken unless a translation is given
+  const missing = targets.filter((t) => !t.text.trim() && !sameLanguage(t.languageCode, sourceLanguage));
+  const canRun = !loading && text.trim() && targets.length > 0 && (canTranslate || !missing.length);
+
+  async function uploadTables(e) {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    setError("");
+    for (const file of files) {
+      try {
+        const table = await request("/api/localize/tables", {
+          method: "POST",
+          body: JSON.stringify({ fileName: file.name, content: await file.text(), sourceLanguage, ...(fileLanguage ? { languageCode: fileLanguage } : {}) }),
+        });
+        // Files are merged by key, so one .po per locale adds up to a full table.
+        setEntries((current) => {
+          const byKey = new Map(current.map((x) => [x.key, { ...x, texts: { ...x.texts } }]));
+          for (const row of table.entries) {
+            const existing = byKey.get(row.key);
+            if (existing) Object.assign(existing.texts, row.texts);
+            else byKey.set(row.key, row);
+          }
+          return [...byKey.values()];
+        });
+        setTableFiles((names) => [...names.filter((n) => n !== file.name), file.name]);
+        if (table.sourceLanguage && !entries.length) setSourceLanguage(table.sourceLanguage);
+      } catch (err) {
+        setError(`${file.name}: ${String(err?.message || err)}`);
+      }
+    }
+  }
+
+  function clearTables() {
+    setEntries([]);
+    setTableFiles([]);
+    setSelectedKey("");
+  }
+
+  function selectKey(key) {
+    setSelectedKey(key);
+    const row = entries.find((x) => x.key === key);
+    if (!row) return;
+    setText(tableText(row, sourceLanguage) || text);
+    setTargets((ts) => ts.map((t) => ({ ...t, text: tableText(row, t.languageCode) })));
+  }
+
+  function addTarget(languageCode) {
+    if (!languageCode || targets.length >= maxLocales || targets.some((t) => t.languageCode === languageCode)) return;
+    setTargets((ts) => [...ts, { languageCode, voiceName: "", text: tableText(entry, languageCode) }]);
+  }
+
+  // Every locale the uploaded tables translate into (other than the source)
+  function addTableLocales() {
+    const wanted = tableLanguages.filter((l) => l.toLowerCase() !== sourceLanguage.toLowerCase() && !targets.some((t) => t.languageCode.toLowerCase() === l.toLowerCase()));
+    setTargets((ts) => [...ts, ...wanted.slice(0, maxLocales - ts.length).map((languageCode) => ({ languageCode, voiceName: "", text: tableText(entry, languageCode) }))]);
+  }
+
+  const updateTarget = (languageCode, fields) => setTargets((ts) => ts.map((t) => (t.languageCode === languageCode ? { ...t, ...fields } : t)));
+
+  function toggleTier(tier) {
+    setAutoTiers((tiers) => (tiers.includes(tier) ? tiers.filter((t) => t !== tier) : [...tiers, tier]));
+  }
+
+  function stopAll() {
+    setPlayingIdx(null);
+    Object.values(audioRefs.current).forEach((a) => {
+      if (!a) return;
+      a.pause();
+      a.currentTime = 0;
+    });
+  }
+
+  function playAt(idx) {
+    const clips = run.results.filter((r) => r.ok);
+    const a = audioRefs.current[clips[idx]?.languageCode];
+    if (!a) return setPlayingIdx(null);
+    setPlayingIdx(idx);
+    a.currentTime = 0;
+    a.play().catch(() => {});
+  }
+
+  function onClipEnded(clip) {
+    if (playingIdx == null) return;
+    const clips = run.results.filter((r) => r.ok);
+    if (clips[playingIdx]?.languageCode !== clip.languageCode) return;
+    if (playingIdx + 1 < clips.length) playAt(playingIdx + 1);
+    else setPlayingIdx(null);
+  }
+
+  async function generate() {
+    stopAll();
+    setError("");
+    setDurations({});
+    setLoading(true);
+    try {
+      const data = await request("/api/localize", {
+        method: "POST",
+        body: JSON.stringify({
+          text: text.trim(),
+          sourceLanguage,
+          ...(selectedKey ? { key: selectedKey } : {}),
+          targets: targets.map((t) => ({ languageCode: t.languageCode, ...(t.voiceName ? { voiceName: t.voiceName } : {}), ...(t.text.trim() ? { text: t.text.trim() } : {}) })),
+          ...(autoTiers.length ? { voiceTypes: autoTiers } : {}),
+          audioEncoding,
+          ...(normalize ? { normalize: true } : {}),
+          ...(postprocess ? { postprocess } : {}),
+        }),
+      });
+      audioRefs.current = {};
+      setRun({
+        ...data,
+        results: data.results.map((r) => ({ ...r, audioSrc: r.ok ? `data:${r.audio.mimeType};base64,${r.audio.base64}` : null })),
+      });
+    } catch (e) {
+      setError(String(e?.message || e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const localeLabel = (code) => (languageNames[code] ? `${code} — ${languageNames[code]}` : code);
+  const playing = playingIdx != null ? run?.results.filter((r) => r.ok)[playingIdx]?.languageCode : null;
+
+  return (
+    <>
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="row cols3">
+          <div>
+            <label>String tables (JSON, XLIFF, .po)</label>
+            <input type="file" accept={TABLE_ACCEPT} multiple onChange={uploadTables} />
+            <div className="small">
+              {tableFiles.length ? (
+                <>
+                  {entries.length} strings in {tableLanguages.length} locales from {tableFiles.join(", ")}{" "}
+                  <a href="#" onClick={(e) => { e.preventDefault(); clearTables(); }}>clear</a>
+                </>
+              ) : (
+                "Optional. Several files are merged by key, e.g. one .po per locale."
+              )}
+            </div>
+          </div>
+
+          <div>
+            <label>Language of single-language files</label>
+            <select value={fileLanguage} onChange={(e) => setFileLanguage(e.target.value)}>
+              <option value="">From the file (name or header)</option>
+              {languages.map((l) => (
+                <option key={l} value={l}>{localeLabel(l)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label>String ({entries.length})</label>
+            <select value={selectedKey} onChange={(e) => selectKey(e.target.value)} disabled={!entries.length}>
+              <option value="">{entries.length ? "Pick a key…" : "Upload a table to pick a key"}</option>
+              {entries.map((x) => (
+                <option key={x.key} value={x.key}>{x.key}</option>
+              ))}
+            </select>
+            {entry?.note && <div className="small">{entry.note}</div>}
+          </div>
+        </div>
+
+        <div className="row cols3" style={{ marginTop: 12 }}>
+          <div>
+            <label>Source language</label>
+            <select value={sourceLanguage} onChange={(e) => setSourceLanguage(e.target.value)}>
+              {[...new Set([sourceLanguage, ...languages])].map((l) => (
+                <option key={l} value={l}>{localeLabel(l)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label>Add locale ({targets.length}/{maxLocales})</label>
+            <select value="" onChange={(e) => addTarget(e.target.value)} disabled={targets.length >= maxLocales}>
+              <option value="">Pick a locale…</option>
+              {languages
+                .filter((l) => !targets.some((t) => t.languageCode === l))
+                .map((l) => (
+                  <option key={l} value={l}>{localeLabel(l)}</option>
+                ))}
+            </select>
+            {tableLanguages.length > 1 && (
+              <button className="secondary" style={{ marginTop: 6 }} onClick={addTableLocales} disabled={targets.length >= maxLocales}>
+                Add the tables&apos; locales
+              </button>
+            )}
+          </div>
+
+          <div>
+            <label>Audio encoding</label>
+            <select value={audioEncoding} onChange={(e) => setAudioEncoding(e.target.value)}>
+              <option value="MP3">MP3</option>
+              <option value="OGG_OPUS">OGG_OPUS</option>
+              <option value="LINEAR16">LINEAR16</option>
+            </select>
+            <label className="hstack" style={{ fontSize: 13, opacity: 1, marginTop: 6 }}>
+              <input type="checkbox" checked={normalize} onChange={(e) => setNormalize(e.target.checked)} />
+              Normalize numbers, dates and amounts per locale
+            </label>
+          </div>
+        </div>
+
+        <div style={{ marginTop: 12 }}>
+          <label>Auto-picked voices may use (none ticked = any tier, best first)</label>
+          <div className="hstack" style={{ flexWrap: "wrap" }}>
+            {(options?.voiceTierOrder ?? []).filter((t) => voiceTypes.includes(t)).map((t) => (
+              <label key={t} className="hstack small" style={{ fontWeight: 400 }}>
+                <input type="checkbox" checked={autoTiers.includes(t)} onChange={() => toggleTier(t)} />
+                {voiceTypePretty(t)}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div style={{ marginTop: 12 }}>
+          <label>Source text ({sourceLanguage})</label>
+          <textarea value={text} onChange={(e) => setText(e.target.value)} />
+        </div>
+
+        {targets.length > 0 && (
+          <table className="table" style={{ marginTop: 12 }}>
+            <tbody>
+              <tr className="small"><td>Locale</td><td>Voice</td><td>Translation</td><td /></tr>
+              {targets.map((t) => {
+                const sameAsSource = sameLanguage(t.languageCode, sourceLanguage);
+                return (
+                  <tr key={t.languageCode}>
+                    <td className="small">{localeLabel(t.languageCode)}</td>
+                    <td>
+                      <select value={t.voiceName} onChange={(e) => updateTarget(t.languageCode, { voiceName: e.target.value })}>
+                        <option value="">Auto (best tier)</option>
+                        {voicesFor(t.languageCode).map((v) => (
+                          <option key={v.name} value={v.name}>{v.name} ({voiceTypePretty(v.voiceType)})</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        value={t.text}
+                        placeholder={sameAsSource ? "Source text" : canTranslate ? `Translated by ${options.translationProvider.label}` : "Needs a translation"}
+                        onChange={(e) => updateTarget(t.languageCode, { text: e.target.value })}
+                      />
+                    </td>
+                    <td>
+                      <button className="secondary" onClick={() => setTargets((ts) => ts.filter((x) => x.languageCode !== t.languageCode))}>✕</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        <PostProcessPanel value={postprocess} onChange={setPostprocess} audioEncoding={audioEncoding} />
+
+        <div className="hstack" style={{ marginTop: 12 }}>
+          <button disabled={!canRun} onClick={generate}>
+            {loading ? "Generating..." : `Speak in ${targets.length || ""} locale${targets.length === 1 ? "" : "s"}`}
+          </button>
+          <button className="secondary" onClick={() => setTargets([])} disabled={loading || !targets.length}>Clear locales</button>
+          {options && (
+            <div className="small">
+              Translation provider: {options.translationProvider.label}
+              {!canTranslate && missing.length ? ` — add translations for ${missing.map((t) => t.languageCode).join(", ")}` : ""}
+            </div>
+          )}
+          {error && <div className="error">{error}</div>}
+        </div>
+      </div>
+
+      {run && (
+        <div className="card" style={{ marginTop: 14 }}>
+          <div className="hstack" style={{ justifyContent: "space-between" }}>
+            <div style={{ fontWeight: 800 }}>{run.key ? <span className="mono">{run.key}</span> : "Results"}</div>
+            <div className="hstack">
+              <button className="secondary" onClick={() => playAt(0)}>Play all sequentially</button>
+              <button className="danger" onClick={stopAll}>Stop</button>
+            </div>
+          </div>
+          <div className="small" style={{ marginTop: 6 }}>
+            {run.metrics.localeCount} locales • {run.metrics.totalMs} ms • speech {formatUsd(run.metrics.ttsCostUsd)} + translation {formatUsd(run.metrics.translationCostUsd)} ={" "}
+            {formatUsd(run.metrics.totalEstimatedCostUsd)}
+            {run.metrics.failedCount ? ` • ${run.metrics.failedCount} failed` : ""}
+          </div>
+
+          <div className="grid" style={{ marginTop: 12 }}>
+            {run.results.map((r) => (
+              <div key={r.languageCode} className={`card clip${playing === r.languageCode ? " active" : ""}`}>
+                <div style={{ fontWeight: 700 }}>{r.languageName} <span className="mono small">{r.languageCode}</span></div>
+                {r.ok ? (
+                  <>
+                    <div className="hstack" style={{ marginTop: 4 }}>
+                      <span className="mono small">{r.voice.name}</span>
+                      <span className="badge">{voiceTypePretty(r.voice.voiceType)}</span>
+                      {r.voicePicked === "auto" && <span className="badge">auto</span>}
+                    </div>
+                    <div style={{ marginTop: 8 }}>{r.translation.text}</div>
+                    <div className="small">{describeTranslation(r.translation)}</div>
+                    <audio
+                      ref={(el) => { audioRefs.current[r.languageCode] = el; }}
+                      src={r.audioSrc}
+                      controls
+                      style={{ width: "100%", marginTop: 8 }}
+                      onEnded={() => onClipEnded(r)}
+                      onLoadedMetadata={(e) => {
+                        const d = e.currentTarget.duration;
+                        if (!Number.isNaN(d) && Number.isFinite(d)) setDurations((m) => ({ ...m, [r.languageCode]: d }));
+                      }}
+                    />
+                    <table className="table" style={{ marginTop: 6 }}>
+                      <tbody>
+                        <tr><td>Speech</td><td className="mono">{formatUsd(r.metrics.billingEstimate.estimatedCostUsd)} ({r.metrics.billingEstimate.billableChars} chars)</td></tr>
+                        <tr><td>Translation</td><td className="mono">{formatUsd(r.translation.estimatedCostUsd)}{r.translation.billableChars ? ` (${r.translation.billableChars} chars)` : ""}</td></tr>
+                        <tr><td>Total</td><td className="mono">{formatUsd(r.totalCostUsd)}</td></tr>
+                        <tr><td>Duration (browser)</td><td className="mono">{durations[r.languageCode] ? `${durations[r.languageCode].toFixed(2)} s` : "-"}</td></tr>
+                      </tbody>
+                    </table>
+                    {r.warnings?.length ? (
+                      <div className="small" style={{ marginTop: 6 }}>
+                        {r.warnings.map((w, i) => (
+                          <div key={i} className="badge" style={{ marginRight: 6, marginTop: 6 }}>{w}</div>
+                        ))}
+                      </div>
+                    ) : null}
+                  </>
+                ) : (
+                  <div className="error small" style={{ marginTop: 8 }}>{errorMessage(r)}</div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
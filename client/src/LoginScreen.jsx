@@ -0,0 +1,43 @@
+import { useState } from "react";
+import { errorMessage } from "./format.js";
+
+// Shown instead of the app when the backend requires a key: the key is exchanged for a session cookie
+// (POST /api/auth/login) and not kept in the browser.
+export default function LoginScreen({ onLogin }) {
+  const [apiKey, setApiKey] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function login(e) {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+    try {
+      const res = await fetch("/api/auth/login", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ apiKey }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(errorMessage(data, res.status));
+      onLogin(data.key);
+    } catch (err) {
+      setError(String(err?.message || err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <form className="card" style={{ marginTop: 14, maxWidth: 520 }} onSubmit={login}>
+      <div style={{ fontWeight: 800, marginBottom: 8 }}>Sign in</div>
+      <label>API key</label>
+      <input type="password" autoFocus autoComplete="off" placeholder="tts_…" value={apiKey} onChange={(e) => setApiKey(e.target.value)} />
+      <div className="hstack" style={{ marginTop: 12 }}>
+        <button type="submit" disabled={loading || !apiKey.trim()}>{loading ? "Signing in..." : "Sign in"}</button>
+        {error && <div className="error">{error}</div>}
+      </div>
+      <div className="small" style={{ marginTop: 10 }}>Ask an admin of this deployment for a key.</div>
+    </form>
+  );
+}
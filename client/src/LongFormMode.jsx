@@ -0,0 +1,191 @@
+import { useCallback, useRef, useState } from "react";
+import VoicePicker from "./VoicePicker.jsx";
+import Waveform, { AnalysisRows } from "./Waveform.jsx";
+import { errorMessage, formatAudioFormat, formatBytes, formatUsd, voiceTypePretty } from "./format.js";
+
+const MAX_CHARS = 100000;
+
+export default function LongFormMode({ voices, languages, voiceTypes, defaultLanguage, defaultVoiceType }) {
+  const audioRef = useRef(null);
+
+  const [pick, setPick] = useState({ language: defaultLanguage, voiceType: defaultVoiceType, voiceName: "" });
+  const [audioEncoding, setAudioEncoding] = useState("MP3");
+  const [inputType, setInputType] = useState("text");
+  const [text, setText] = useState("");
+
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [result, setResult] = useState(null);
+  const [audioDuration, setAudioDuration] = useState(null);
+
+  const isChirp = pick.voiceType === "CHIRP_HD";
+  const onPickChange = useCallback((patch) => setPick((p) => ({ ...p, ...patch })), []);
+  const canGenerate = !loading && text.trim() && pick.voiceName && text.length <= MAX_CHARS;
+
+  async function generate() {
+    setError("");
+    setAudioDuration(null);
+
+    const payload = {
+      inputType: isChirp ? "text" : inputType,
+      text: text.trim(),
+      voiceName: pick.voiceName,
+      languageCode: pick.language,
+      audioEncoding,
+    };
+
+    const t0 = performance.now();
+    setLoading(true);
+    try {
+      const res = await fetch("/api/synthesize/long", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const t1 = performance.now();
+      const data = await res.json();
+      if (!res.ok) throw new Error(errorMessage(data, res.status));
+
+      setResult({
+        audioSrc: `data:${data.audio.mimeType};base64,${data.audio.base64}`,
+        data,
+        client: { totalMs: Math.round(t1 - t0) },
+      });
+    } catch (e) {
+      setError(String(e?.message || e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <>
+      <div className="card" style={{ marginTop: 14 }}>
+        <VoicePicker voices={voices} languages={languages} voiceTypes={voiceTypes} value={pick} onChange={onPickChange} />
+
+        <div className="row cols3" style={{ marginTop: 12 }}>
+          <div>
+            <label>Audio encoding</label>
+            <select value={audioEncoding} onChange={(e) => setAudioEncoding(e.target.value)}>
+              <option value="MP3">MP3</option>
+              <option value="OGG_OPUS">OGG_OPUS</option>
+              <option value="LINEAR16">LINEAR16</option>
+              <option value="MULAW">MULAW</option>
+              <option value="ALAW">ALAW</option>
+              <option value="PCM">PCM</option>
+            </select>
+          </div>
+
+          <div>
+            <label>Input type</label>
+            <select value={isChirp ? "text" : inputType} onChange={(e) => setInputType(e.target.value)} disabled={isChirp}>
+              <option value="text">Text</option>
+              <option value="ssml">SSML</option>
+            </select>
+            {isChirp && <div className="small">Chirp 3: HD doesn&apos;t support SSML.</div>}
+          </div>
+        </div>
+
+        <div style={{ marginTop: 12 }}>
+          <label>
+            Long text — split on paragraphs and sentences, synthesized in parallel and joined into one file
+            ({text.length.toLocaleString()} / {MAX_CHARS.toLocaleString()} chars)
+          </label>
+          <textarea style={{ minHeight: 280 }} value={text} onChange={(e) => setText(e.target.value)} />
+        </div>
+
+        <div className="hstack" style={{ marginTop: 12 }}>
+          <button disabled={!canGenerate} onClick={generate}>
+            {loading ? "Generating..." : "Generate long-form"}
+          </button>
+          <button className="secondary" onClick={() => setText("")} disabled={loading}>Clear</button>
+          {error && <div className="error">{error}</div>}
+        </div>
+      </div>
+
+      <div className="card" style={{ marginTop: 14 }}>
+        <div style={{ fontWeight: 800, marginBottom: 8 }}>Output</div>
+
+        {result ? (
+          <>
+            <audio
+              ref={audioRef}
+              src={result.audioSrc}
+              controls
+              style={{ width: "100%" }}
+              onLoadedMetadata={() => {
+                const a = audioRef.current;
+                if (!a) return;
+                if (!Number.isNaN(a.duration) && Number.isFinite(a.duration)) {
+                  setAudioDuration(a.duration);
+                }
+              }}
+            />
+            {result.data.analysis && <Waveform key={result.audioSrc} peaks={result.data.analysis.waveform} audioRef={audioRef} durationSec={result.data.analysis.durationSec} />}
+            <div className="hstack" style={{ marginTop: 10 }}>
+              <a className="button secondary" href={result.audioSrc} download={`long-form.${result.data.audio.extension}`}>
+                Download
+              </a>
+            </div>
+
+            {result.data.warnings?.length ? (
+              <div className="small" style={{ marginTop: 10 }}>
+                {result.data.warnings.map((w, idx) => (
+                  <div key={idx} className="badge" style={{ marginRight: 6, marginTop: 6 }}>{w}</div>
+                ))}
+              </div>
+            ) : null}
+
+            <hr />
+
+            <table className="table">
+              <tbody>
+                <tr><td>Voice</td><td className="mono">{result.data.voice.name}</td></tr>
+                <tr><td>Voice type</td><td><span className="badge">{voiceTypePretty(result.data.voice.voiceType)}</span></td></tr>
+                <tr><td>Input chars</td><td className="mono">{result.data.metrics.input.charCount}</td></tr>
+                <tr><td>Chunks</td><td className="mono">{result.data.metrics.input.chunkCount} (concurrency {result.data.metrics.server.concurrency})</td></tr>
+                <tr><td>Backend TTS time (sum of chunks)</td><td className="mono">{result.data.metrics.server.ttsMs} ms</td></tr>
+                <tr><td>Total backend time</td><td className="mono">{result.data.metrics.server.totalMs} ms</td></tr>
+                <tr><td>Total client time</td><td className="mono">{result.client.totalMs} ms</td></tr>
+                <tr><td>Estimated cost</td><td className="mono">{formatUsd(result.data.metrics.billingEstimate.estimatedCostUsd)}</td></tr>
+                <tr>
+                  <td>Cache</td>
+                  <td className="mono">
+                    {result.data.metrics.cache.hitCount}/{result.data.metrics.input.chunkCount} chunks cached — saved {formatUsd(result.data.metrics.cache.costSavedUsd)}
+                  </td>
+                </tr>
+                <tr><td>Encoding</td><td className="mono">{result.data.audio.encoding}</td></tr>
+                <tr><td>Container</td><td className="mono">{result.data.audio.container}</td></tr>
+                <tr><td>Sample rate</td><td className="mono">{formatAudioFormat(result.data.audio)}</td></tr>
+                <tr><td>Bitrate</td><td className="mono">{result.data.audio.bitrateKbps != null ? `${result.data.audio.bitrateKbps} kbps` : "-"}</td></tr>
+                <tr><td>File size</td><td className="mono">{formatBytes(result.data.audio.bytes)}</td></tr>
+                <tr><td>Duration (browser)</td><td className="mono">{audioDuration ? `${audioDuration.toFixed(2)} s` : "-"}</td></tr>
+                <AnalysisRows analysis={result.data.analysis} />
+              </tbody>
+            </table>
+
+            <div style={{ fontWeight: 800, margin: "16px 0 8px" }}>Chunks</div>
+            <table className="table">
+              <tbody>
+                <tr className="small"><td>#</td><td>Starts with</td><td>Chars</td><td>TTS time</td><td>Bytes</td><td>Est. cost</td><td>Cache</td></tr>
+                {result.data.chunks.map((c) => (
+                  <tr key={c.index}>
+                    <td className="mono">{c.index + 1}</td>
+                    <td className="small">{c.preview}…</td>
+                    <td className="mono">{c.charCount}</td>
+                    <td className="mono">{c.ttsMs} ms</td>
+                    <td className="mono">{c.bytes.toLocaleString()}</td>
+                    <td className="mono">{formatUsd(c.estimatedCostUsd)}</td>
+                    <td className="mono">{c.cacheHit ? "hit" : "miss"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        ) : (
+          <div className="small">Generate audio to see the stitched file and per-chunk timings here.</div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,126 @@
+import { useEffect, useState } from "react";
+import { errorMessage } from "./format.js";
+
+const PREVIEW_DEBOUNCE_MS = 400;
+
+async function request(url, options) {
+  const res = await fetch(url, options ? { headers: { "content-type": "application/json" }, ...options } : undefined);
+  const data = await res.json();
+  if (!res.ok) throw new Error(errorMessage(data, res.status));
+  return data;
+}
+
+// The preview text with every change highlighted; hovering one shows what it replaced.
+function HighlightedText({ text, changes }) {
+  const parts = [];
+  let at = 0;
+  for (const [i, c] of changes.entries()) {
+    if (c.start > at) parts.push(text.slice(at, c.start));
+    parts.push(
+      <mark key={i} title={`${c.rule}: ${c.from}`} style={{ background: "rgba(59, 130, 246, 0.25)", color: "inherit", borderRadius: 3 }}>
+        {text.slice(c.start, c.end)}
+      </mark>,
+    );
+    at = c.end;
+  }
+  parts.push(text.slice(at));
+  return <div className="mono small" style={{ whiteSpace: "pre-wrap", marginTop: 6 }}>{parts}</div>;
+}
+
+// Result-table row counting what normalization changed in a clip.
+export function NormalizationRow({ report }) {
+  if (!report) return null;
+  return (
+    <tr>
+      <td>Normalization</td>
+      <td className="small">
+        {!report.supported ? (
+          <span>No rules for {report.languageCode}; text sent as written.</span>
+        ) : report.applied.length ? (
+          report.applied.map((a) => (
+            <span key={a.rule} className="badge" style={{ marginRight: 6 }}>{a.rule} ×{a.count}</span>
+          ))
+        ) : (
+          <span>Nothing to normalize.</span>
+        )}
+      </td>
+    </tr>
+  );
+}
+
+// Spells out numbers, dates, amounts, units, URLs and abbreviations before synthesis (see server/normalize.js).
+// `value` is null (off), true (every rule) or an object of the rules turned off, e.g. { phones: false }.
+export default function NormalizePanel({ value, onChange, text, inputType, voiceName, languageCode }) {
+  const [rules, setRules] = useState([]);
+  const [languages, setLanguages] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    request("/api/normalize")
+      .then((data) => {
+        setRules(data.rules);
+        setLanguages(data.languages);
+      })
+      .catch((e) => setError(String(e?.message || e)));
+  }, []);
+
+  // Re-run the preview as the text or settings change (debounced).
+  useEffect(() => {
+    if (!value || !text.trim() || !voiceName) {
+      setPreview(null);
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      request("/api/normalize/preview", { method: "POST", body: JSON.stringify({ text, inputType, voiceName, languageCode, normalize: value }) })
+        .then((data) => {
+          setPreview(data);
+          setError("");
+        })
+        .catch((e) => setError(String(e?.message || e)));
+    }, PREVIEW_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [value, text, inputType, voiceName, languageCode]);
+
+  const enabled = (id) => value === true || (value && value[id] !== false);
+
+  function toggleRule(id, on) {
+    const off = { ...(value === true ? {} : value), [id]: !on };
+    for (const [rule, state] of Object.entries(off)) if (state) delete off[rule];
+    onChange(Object.keys(off).length ? off : true);
+  }
+
+  return (
+    <div className="card" style={{ marginTop: 12 }}>
+      <label className="hstack" style={{ fontSize: 13, opacity: 1, margin: 0 }}>
+        <input type="checkbox" checked={Boolean(value)} onChange={(e) => onChange(e.target.checked ? true : null)} />
+        Normalize text (spell out numbers, dates, amounts, units, URLs and abbreviations)
+      </label>
+      {value && (
+        <>
+          <div className="hstack" style={{ flexWrap: "wrap", marginTop: 8 }}>
+            {rules.map((r) => (
+              <label key={r.id} className="hstack small" style={{ fontWeight: 400 }} title={`e.g. ${r.example}`}>
+                <input type="checkbox" checked={enabled(r.id)} onChange={(e) => toggleRule(r.id, e.target.checked)} />
+                {r.label}
+              </label>
+            ))}
+          </div>
+          <div className="small" style={{ marginTop: 6 }}>
+            Languages: {languages.join(", ")} (regional dates, spelling and currencies follow the voice&apos;s locale). Runs after the lexicon.
+          </div>
+          {preview && !preview.supported && <div className="warning small">No normalization rules for {preview.languageCode}; the text is sent as written.</div>}
+          {preview?.supported && (
+            <div style={{ marginTop: 8 }}>
+              <div className="small" style={{ fontWeight: 700 }}>
+                Preview — {preview.changes.length} change{preview.changes.length === 1 ? "" : "s"}
+              </div>
+              <HighlightedText text={preview.text} changes={preview.changes} />
+            </div>
+          )}
+        </>
+      )}
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
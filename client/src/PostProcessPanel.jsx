@@ -0,0 +1,240 @@
+import { useCallback, useEffect, useState } from "react";
+import { errorMessage } from "./format.js";
+
+// Encodings the server can write after post-processing (see server/postprocess.js)
+export const POSTPROCESS_ENCODINGS = ["MP3", "LINEAR16", "PCM", "MULAW", "ALAW"];
+
+export const DEFAULT_POSTPROCESS = { trimSilence: true, trimPaddingMs: 100, normalizeLufs: -16, peakCeilingDbfs: -1, fadeInMs: 0, fadeOutMs: 0 };
+const DEFAULT_BED = { gainDb: -20, loop: true, leadInMs: 0, tailMs: 0 };
+
+const LUFS_TARGETS = [
+  { value: -14, label: "-14 LUFS (streaming music)" },
+  { value: -16, label: "-16 LUFS (podcasts, web)" },
+  { value: -19, label: "-19 LUFS (mono speech)" },
+  { value: -23, label: "-23 LUFS (EBU R128 broadcast)" },
+  { value: -24, label: "-24 LUFS (ATSC A/85)" },
+];
+
+function describeStep(s) {
+  switch (s.step) {
+    case "trim":
+      return `trimmed ${s.removedLeadingSec}s / ${s.removedTrailingSec}s of silence (kept ${s.paddingMs} ms)`;
+    case "resample":
+      return `resampled ${s.fromHz / 1000} → ${s.toHz / 1000} kHz`;
+    case "normalize":
+      return s.skipped
+        ? `normalize skipped: ${s.skipped}`
+        : `${s.measuredLufs} → ${s.resultLufs} LUFS (${s.gainDb > 0 ? "+" : ""}${s.gainDb} dB${s.limitedByPeak ? `, held at ${s.peakCeilingDbfs} dBFS peak` : ""})`;
+    case "bed":
+      return `bed “${s.name}” at ${s.gainDb} dB ${s.relativeTo === "speech" ? "under the speech" : "gain"}${s.loop ? ", looped" : ""}${s.leadInMs || s.tailMs ? `, ${s.leadInMs} ms in / ${s.tailMs} ms out` : ""}`;
+    case "fade":
+      return `fade in ${s.inMs} ms, out ${s.outMs} ms`;
+    case "clip-guard":
+      return `mix lowered ${s.gainDb} dB to avoid clipping`;
+    case "encode":
+      return `encoded as ${s.to} at ${s.sampleRateHertz / 1000} kHz`;
+    default:
+      return s.step;
+  }
+}
+
+// Result-table row listing what post-processing did to a clip.
+export function PostProcessRow({ report }) {
+  if (!report) return null;
+  return (
+    <tr>
+      <td>Post-processing</td>
+      <td className="small">
+        {report.steps.map((s, i) => (
+          <div key={i}>{describeStep(s)}</div>
+        ))}
+        <div style={{ opacity: 0.7 }}>{report.ms} ms</div>
+      </td>
+    </tr>
+  );
+}
+
+// Upload, preview and delete background beds (/api/beds).
+function BedManager({ beds, limits, onChanged }) {
+  const [name, setName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function upload(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setBusy(true);
+    setError("");
+    try {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      let binary = "";
+      for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+      const res = await fetch("/api/beds", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ name: name.trim() || file.name.replace(/\.[^.]+$/, ""), fileName: file.name, base64: btoa(binary) }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(errorMessage(data, res.status));
+      setName("");
+      onChanged(data.id);
+    } catch (err) {
+      setError(String(err?.message || err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function remove(bed) {
+    if (!window.confirm(`Delete the bed “${bed.name}”?`)) return;
+    setError("");
+    const res = await fetch(`/api/beds/${bed.id}`, { method: "DELETE" });
+    if (!res.ok) setError(errorMessage(await res.json(), res.status));
+    onChanged(null);
+  }
+
+  return (
+    <div style={{ marginTop: 8 }}>
+      <div className="hstack">
+        <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Bed name (optional)" style={{ maxWidth: 220 }} />
+        <input type="file" accept=".wav,.mp3,.ogg,.opus,audio/*" onChange={upload} disabled={busy} style={{ maxWidth: 260 }} />
+        {busy && <span className="small">Uploading…</span>}
+      </div>
+      <div className="small" style={{ marginTop: 4 }}>
+        WAV, MP3 or Ogg Opus{limits ? `, up to ${limits.maxMb} MB and ${limits.maxSec} s` : ""}.
+      </div>
+      {error && <div className="error small">{error}</div>}
+      {beds.length > 0 && (
+        <table className="table" style={{ marginTop: 6 }}>
+          <tbody>
+            {beds.map((b) => (
+              <tr key={b.id}>
+                <td>{b.name}<div className="small mono">{b.fileName}</div></td>
+                <td className="mono">{b.durationSec.toFixed(1)} s • {b.integratedLufs ?? "-"} LUFS</td>
+                <td><audio controls preload="none" src={`/api/beds/${b.id}/audio`} style={{ height: 28 }} /></td>
+                <td><button className="danger" onClick={() => remove(b)}>Delete</button></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Post-processing options for a synthesis request: `value` is null when off, else the request's `postprocess` object.
+export default function PostProcessPanel({ value, onChange, audioEncoding, disabledReason }) {
+  const [beds, setBeds] = useState([]);
+  const [limits, setLimits] = useState(null);
+  const [managing, setManaging] = useState(false);
+
+  const refreshBeds = useCallback(async () => {
+    const res = await fetch("/api/beds");
+    if (!res.ok) return;
+    const data = await res.json();
+    setBeds(data.beds);
+    setLimits({ maxMb: data.maxMb, maxSec: data.maxSec });
+  }, []);
+
+  // Only when post-processing is switched on, not on every option change
+  const enabled = Boolean(value);
+  useEffect(() => {
+    if (enabled) refreshBeds();
+  }, [enabled, refreshBeds]);
+
+  const set = (patch) => onChange({ ...value, ...patch });
+  const setBed = (patch) => set({ bed: { ...value.bed, ...patch } });
+  const num = (v) => (v === "" ? 0 : Number(v));
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <label className="hstack" style={{ fontSize: 13, opacity: 1, margin: 0 }}>
+        <input type="checkbox" checked={Boolean(value)} onChange={(e) => onChange(e.target.checked ? DEFAULT_POSTPROCESS : null)} disabled={Boolean(disabledReason)} />
+        Post-process (trim, loudness, fades, background bed)
+        {disabledReason && <span className="small">— {disabledReason}</span>}
+      </label>
+      {value && !POSTPROCESS_ENCODINGS.includes(audioEncoding) && (
+        <div className="warning small" style={{ marginTop: 4 }}>
+          Post-processed audio is delivered as {POSTPROCESS_ENCODINGS.join(", ")}; pick one of those encodings.
+        </div>
+      )}
+
+      {value && (
+        <div className="card clip" style={{ marginTop: 8 }}>
+          <div className="row cols3">
+            <div>
+              <label className="hstack" style={{ margin: 0 }}>
+                <input type="checkbox" checked={value.trimSilence} onChange={(e) => set({ trimSilence: e.target.checked })} /> Trim silence, keep (ms)
+              </label>
+              <input type="number" min={0} max={2000} step={10} value={value.trimPaddingMs} disabled={!value.trimSilence} onChange={(e) => set({ trimPaddingMs: num(e.target.value) })} />
+            </div>
+            <div>
+              <label className="hstack" style={{ margin: 0 }}>
+                <input
+                  type="checkbox"
+                  checked={value.normalizeLufs != null}
+                  onChange={(e) => set({ normalizeLufs: e.target.checked ? DEFAULT_POSTPROCESS.normalizeLufs : undefined })}
+                />{" "}
+                Normalize loudness
+              </label>
+              <select value={value.normalizeLufs ?? ""} disabled={value.normalizeLufs == null} onChange={(e) => set({ normalizeLufs: Number(e.target.value) })}>
+                {value.normalizeLufs == null && <option value="">Off</option>}
+                {LUFS_TARGETS.map((t) => (
+                  <option key={t.value} value={t.value}>{t.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label>Peak ceiling (dBFS)</label>
+              <input type="number" min={-12} max={0} step={0.5} value={value.peakCeilingDbfs} onChange={(e) => set({ peakCeilingDbfs: num(e.target.value) })} />
+            </div>
+            <div>
+              <label>Fade in / out (ms)</label>
+              <div className="hstack">
+                <input type="number" min={0} max={10000} step={50} value={value.fadeInMs} onChange={(e) => set({ fadeInMs: num(e.target.value) })} />
+                <input type="number" min={0} max={10000} step={50} value={value.fadeOutMs} onChange={(e) => set({ fadeOutMs: num(e.target.value) })} />
+              </div>
+            </div>
+            <div>
+              <label>Background bed</label>
+              <select value={value.bed?.id ?? ""} onChange={(e) => set({ bed: e.target.value ? { ...DEFAULT_BED, ...value.bed, id: e.target.value } : undefined })}>
+                <option value="">None</option>
+                {beds.map((b) => (
+                  <option key={b.id} value={b.id}>{b.name} ({b.durationSec.toFixed(0)} s)</option>
+                ))}
+              </select>
+              <a href="#" className="small" onClick={(e) => { e.preventDefault(); setManaging((m) => !m); }}>
+                {managing ? "Hide bed uploads" : "Upload / manage beds"}
+              </a>
+            </div>
+            {value.bed && (
+              <div>
+                <label>Bed level under speech (dB) / lead-in / tail (ms)</label>
+                <div className="hstack">
+                  <input type="number" min={-60} max={0} step={1} value={value.bed.gainDb} onChange={(e) => setBed({ gainDb: num(e.target.value) })} />
+                  <input type="number" min={0} max={10000} step={100} value={value.bed.leadInMs} onChange={(e) => setBed({ leadInMs: num(e.target.value) })} />
+                  <input type="number" min={0} max={10000} step={100} value={value.bed.tailMs} onChange={(e) => setBed({ tailMs: num(e.target.value) })} />
+                </div>
+                <label className="hstack" style={{ margin: "4px 0 0" }}>
+                  <input type="checkbox" checked={value.bed.loop} onChange={(e) => setBed({ loop: e.target.checked })} /> Loop the bed
+                </label>
+              </div>
+            )}
+          </div>
+          {managing && (
+            <BedManager
+              beds={beds}
+              limits={limits}
+              onChanged={async (id) => {
+                await refreshBeds();
+                if (id) set({ bed: { ...DEFAULT_BED, ...value.bed, id } });
+                else if (value.bed && !beds.some((b) => b.id === value.bed.id)) set({ bed: undefined });
+              }}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
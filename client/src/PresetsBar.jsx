@@ -0,0 +1,154 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { errorMessage, voiceTypePretty } from "./format.js";
+import { configFromPreset, presetFromConfig } from "./shareConfig.js";
+
+async function request(url, options) {
+  const res = await fetch(url, options ? { headers: { "content-type": "application/json" }, ...options } : undefined);
+  const data = await res.json();
+  if (!res.ok) throw new Error(errorMessage(data, res.status));
+  return data;
+}
+
+// Saved presets (/api/presets) for the single-voice form, a copyable link to the current setup, and
+// import/export of the whole collection as JSON.
+export default function PresetsBar({ config, onApply, voices, shareUrl }) {
+  const fileRef = useRef(null);
+  const [presets, setPresets] = useState([]);
+  const [selectedId, setSelectedId] = useState("");
+  const [saveName, setSaveName] = useState("");
+  const [importMode, setImportMode] = useState("merge");
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const refresh = useCallback(async () => {
+    try {
+      setPresets((await request("/api/presets")).presets);
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const selected = presets.find((p) => p.id === selectedId);
+  const missingVoice = selected && voices.length > 0 && !voices.some((v) => v.name === selected.voiceName);
+
+  async function run(fn) {
+    setError("");
+    setNotice("");
+    try {
+      await fn();
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  function choose(id) {
+    setSelectedId(id);
+    const preset = presets.find((p) => p.id === id);
+    if (preset) onApply(configFromPreset(preset));
+  }
+
+  const saveNew = () =>
+    run(async () => {
+      const preset = await request("/api/presets", { method: "POST", body: JSON.stringify({ name: saveName.trim(), ...presetFromConfig(config) }) });
+      setSaveName("");
+      await refresh();
+      setSelectedId(preset.id);
+      setNotice(`Saved “${preset.name}”.`);
+    });
+
+  const update = () =>
+    run(async () => {
+      const { name, description } = selected;
+      await request(`/api/presets/${selected.id}`, { method: "PUT", body: JSON.stringify({ name, description, ...presetFromConfig(config) }) });
+      await refresh();
+      setNotice(`Updated “${name}” with the current settings.`);
+    });
+
+  const remove = () =>
+    run(async () => {
+      if (!window.confirm(`Delete the preset “${selected.name}” for everyone?`)) return;
+      await request(`/api/presets/${selected.id}`, { method: "DELETE" });
+      setSelectedId("");
+      await refresh();
+    });
+
+  const copyLink = () =>
+    run(async () => {
+      await navigator.clipboard.writeText(shareUrl);
+      setNotice("Link copied.");
+    });
+
+  async function onImportFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    await run(async () => {
+      let body;
+      try {
+        body = JSON.parse(await file.text());
+      } catch {
+        throw new Error(`${file.name} isn't valid JSON.`);
+      }
+      if (importMode === "replace" && !window.confirm("Replace all saved presets with the ones in this file?")) return;
+      const result = await request(`/api/presets/import?mode=${importMode}`, { method: "POST", body: JSON.stringify(body) });
+      await refresh();
+      setNotice(`Imported ${file.name}: ${result.created} new, ${result.updated} updated.`);
+    });
+  }
+
+  return (
+    <div className="card" style={{ marginTop: 14 }}>
+      <div className="row cols3">
+        <div>
+          <label>Preset</label>
+          <select value={selectedId} onChange={(e) => choose(e.target.value)}>
+            <option value="">{presets.length ? "Choose a preset…" : "No presets saved yet"}</option>
+            {presets.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name} — {p.voiceName}{p.voiceType ? ` (${voiceTypePretty(p.voiceType)})` : ""}
+              </option>
+            ))}
+          </select>
+          {selected?.description && <div className="small" style={{ marginTop: 4 }}>{selected.description}</div>}
+          {missingVoice && <div className="warning small" style={{ marginTop: 4 }}>{selected.voiceName} isn&apos;t offered by this server.</div>}
+        </div>
+        <div>
+          <label>Save current settings as</label>
+          <div className="hstack">
+            <input type="text" value={saveName} onChange={(e) => setSaveName(e.target.value)} placeholder="Preset name" maxLength={100} />
+            <button onClick={saveNew} disabled={!saveName.trim() || !config.voiceName}>Save</button>
+          </div>
+        </div>
+        <div>
+          <label>Share</label>
+          <div className="hstack">
+            <button className="secondary" onClick={copyLink} title={shareUrl}>Copy link to this setup</button>
+            {selected && <a className="button secondary" href={`?preset=${selected.id}`}>Preset link</a>}
+          </div>
+        </div>
+      </div>
+
+      <div className="hstack" style={{ marginTop: 10 }}>
+        {selected && (
+          <>
+            <button className="secondary" onClick={update}>Update “{selected.name}”</button>
+            <button className="danger" onClick={remove}>Delete</button>
+          </>
+        )}
+        <a className="button secondary" href="/api/presets/export">Export all</a>
+        <select value={importMode} onChange={(e) => setImportMode(e.target.value)} style={{ width: "auto" }} title="What to do with existing presets">
+          <option value="merge">Import: merge by name</option>
+          <option value="replace">Import: replace all</option>
+        </select>
+        <button className="secondary" onClick={() => fileRef.current?.click()}>Import…</button>
+        <input ref={fileRef} type="file" accept=".json,application/json" onChange={onImportFile} style={{ display: "none" }} />
+        {notice && <div className="success small">{notice}</div>}
+        {error && <div className="error small">{error}</div>}
+      </div>
+    </div>
+  );
+}
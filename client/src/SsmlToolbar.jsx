@@ -0,0 +1,113 @@
+import { useEffect, useState } from "react";
+import { errorMessage, voiceTypePretty } from "./format.js";
+
+// Each snippet wraps the current selection (or a placeholder); `break` is inserted at the cursor.
+const SNIPPETS = [
+  { label: "Break", open: '<break time="500ms"/>', close: null },
+  { label: "Prosody", open: '<prosody rate="slow" pitch="+2st">', close: "</prosody>", placeholder: "slower and higher" },
+  { label: "Emphasis", open: '<emphasis level="strong">', close: "</emphasis>", placeholder: "important" },
+  { label: "Say-as", open: '<say-as interpret-as="characters">', close: "</say-as>", placeholder: "SSML" },
+  { label: "Sub", open: '<sub alias="World Wide Web">', close: "</sub>", placeholder: "WWW" },
+];
+
+// SSML helpers for the single-clip textarea: tag insertion, plain text conversion and live validation
+// against POST /api/ssml/validate for the selected voice.
+export default function SsmlToolbar({ textareaRef, text, onChange, voiceName }) {
+  const [check, setCheck] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!text.trim()) {
+      setCheck(null);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch("/api/ssml/validate", {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({ ssml: text, voiceName }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(errorMessage(data, res.status));
+        if (!cancelled) {
+          setError("");
+          setCheck(data);
+        }
+      } catch (e) {
+        if (!cancelled) setError(String(e?.message || e));
+      }
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [text, voiceName]);
+
+  function insert({ open, close, placeholder }) {
+    const el = textareaRef.current;
+    const start = el?.selectionStart ?? text.length;
+    const end = el?.selectionEnd ?? text.length;
+    const selected = text.slice(start, end) || placeholder || "";
+    const snippet = close ? `${open}${selected}${close}` : open;
+    onChange(text.slice(0, start) + snippet + text.slice(end));
+
+    // Re-select the wrapped text so snippets can be nested or the placeholder typed over.
+    requestAnimationFrame(() => {
+      if (!el) return;
+      el.focus();
+      if (close) el.setSelectionRange(start + open.length, start + open.length + selected.length);
+      else el.setSelectionRange(start + snippet.length, start + snippet.length);
+    });
+  }
+
+  async function convertToSsml() {
+    try {
+      const res = await fetch("/api/ssml/convert", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ text, to: "ssml" }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(errorMessage(data, res.status));
+      onChange(data.text);
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  const looksLikeSsml = text.trimStart().startsWith("<speak");
+
+  return (
+    <div style={{ marginTop: 8 }}>
+      <div className="hstack" style={{ flexWrap: "wrap" }}>
+        {SNIPPETS.map((s) => (
+          <button key={s.label} className="secondary" onClick={() => insert(s)} disabled={!looksLikeSsml} title={s.close ? `${s.open}…${s.close}` : s.open}>
+            {s.label}
+          </button>
+        ))}
+        <button className="secondary" onClick={convertToSsml} disabled={!text.trim() || looksLikeSsml} title="Escape the text and wrap it in <speak> with paragraphs">
+          Text → SSML
+        </button>
+      </div>
+
+      {error && <div className="error" style={{ marginTop: 6 }}>{error}</div>}
+      {!error && check && (
+        <div className="small" style={{ marginTop: 6 }}>
+          {check.valid ? <div>✓ Valid SSML{check.voiceType ? ` for ${voiceTypePretty(check.voiceType)} voices` : ""}.</div> : null}
+          {check.errors.map((e, idx) => (
+            <div key={`e${idx}`} className="error">
+              <span className="mono">{e.line}:{e.column}</span> {e.message}
+            </div>
+          ))}
+          {check.warnings.map((w, idx) => (
+            <div key={`w${idx}`} className="warning">
+              <span className="mono">{w.line}:{w.column}</span> {w.message}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
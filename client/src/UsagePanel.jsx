@@ -0,0 +1,139 @@
+import { useEffect, useState } from "react";
+import { errorMessage, formatUsd, voiceTypePretty } from "./format.js";
+
+function formatChars(n) {
+  if (n >= 1_000_000) return `${(n / 1_000_000).toFixed(2)}M`;
+  if (n >= 1_000) return `${(n / 1_000).toFixed(1)}K`;
+  return String(n);
+}
+
+// Monthly usage from GET /api/usage: free-tier consumption per voice tier, daily totals and budget caps.
+export default function UsagePanel() {
+  const [month, setMonth] = useState("");
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    (async () => {
+      try {
+        setError("");
+        const res = await fetch(`/api/usage${month ? `?month=${month}` : ""}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(errorMessage(data, res.status));
+        setUsage(data);
+      } catch (e) {
+        setError(String(e?.message || e));
+      }
+    })();
+  }, [month]);
+
+  if (error) {
+    return (
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="error">{error}</div>
+      </div>
+    );
+  }
+  if (!usage) {
+    return (
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="small">Loading usage…</div>
+      </div>
+    );
+  }
+
+  const { budget } = usage;
+  const maxDayChars = Math.max(1, ...usage.daily.map((d) => d.chars));
+  const months = usage.months.includes(usage.month) ? usage.months : [usage.month, ...usage.months];
+
+  return (
+    <>
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="hstack" style={{ justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 800 }}>Usage — {usage.month}</div>
+          <select style={{ width: 160 }} value={usage.month} onChange={(e) => setMonth(e.target.value)}>
+            {months.map((m) => (
+              <option key={m} value={m}>{m}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="row cols3" style={{ marginTop: 12 }}>
+          <div>
+            <label>Characters billed by Google</label>
+            <div style={{ fontSize: 22, fontWeight: 800 }}>{formatChars(usage.totalChars)}</div>
+          </div>
+          <div>
+            <label>Cost after free tier</label>
+            <div style={{ fontSize: 22, fontWeight: 800 }}>{formatUsd(usage.totalCostUsd)}</div>
+          </div>
+          <div>
+            <label>Budget ({budget.currentMonth})</label>
+            <div className={budget.hardCapReached ? "error" : budget.softCapExceeded ? "warning" : ""}>
+              {formatUsd(budget.spentUsd)} spent
+              {budget.softCapUsd ? ` • soft $${budget.softCapUsd}` : ""}
+              {budget.hardCapUsd ? ` • hard $${budget.hardCapUsd}` : ""}
+              {!budget.softCapUsd && !budget.hardCapUsd ? " • no caps set" : ""}
+            </div>
+            {budget.hardCapReached && <div className="small error">Hard cap reached: new requests are rejected.</div>}
+          </div>
+        </div>
+
+        <hr />
+
+        {usage.byVoiceType.length === 0 ? (
+          <div className="small">No billable requests this month.</div>
+        ) : (
+          <table className="table">
+            <tbody>
+              <tr className="small"><td>Voice type</td><td>Requests</td><td>Used</td><td>Free tier</td><td>Billable</td><td>Cost</td></tr>
+              {usage.byVoiceType.map((t) => (
+                <tr key={t.voiceType}>
+                  <td><span className="badge">{voiceTypePretty(t.voiceType)}</span></td>
+                  <td className="mono">{t.requests}</td>
+                  <td className="mono">{formatChars(t.chars)}</td>
+                  <td style={{ minWidth: 160 }}>
+                    <div className="meter">
+                      <div style={{ width: `${t.freeTierChars ? Math.min(100, (t.chars / t.freeTierChars) * 100) : 100}%` }} />
+                    </div>
+                    <div className="small">{formatChars(t.freeTierRemainingChars)} of {formatChars(t.freeTierChars)} left</div>
+                  </td>
+                  <td className="mono">{formatChars(t.billableChars)}</td>
+                  <td className="mono">{formatUsd(t.costUsd)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card" style={{ marginTop: 14 }}>
+        <div style={{ fontWeight: 800, marginBottom: 8 }}>Daily</div>
+        {usage.daily.length === 0 ? (
+          <div className="small">Nothing recorded for this month.</div>
+        ) : (
+          <table className="table">
+            <tbody>
+              {usage.daily.map((d) => (
+                <tr key={d.date}>
+                  <td className="mono" style={{ width: 100 }}>{d.date}</td>
+                  <td>
+                    <div className="meter">
+                      <div style={{ width: `${(d.chars / maxDayChars) * 100}%` }} />
+                    </div>
+                  </td>
+                  <td className="mono" style={{ width: 80 }}>{formatChars(d.chars)}</td>
+                  <td className="mono" style={{ width: 60 }}>{d.requests} req</td>
+                  <td className="mono" style={{ width: 110 }} title="List price, before free tier">{formatUsd(d.grossCostUsd)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div className="small" style={{ marginTop: 8 }}>
+          Months are UTC calendar months. Prices and free tiers are estimates; verify in your Cloud Console.
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,54 @@
+import { useEffect, useMemo } from "react";
+import { voiceTypePretty } from "./format.js";
+
+// Language / voice type / voice selects. `value` is { language, voiceType, voiceName }; `onChange` receives a partial update.
+export default function VoicePicker({ voices, languages, voiceTypes, value, onChange }) {
+  const { language, voiceType, voiceName } = value;
+
+  const filteredVoices = useMemo(() => {
+    return voices
+      .filter((v) => (language ? (v.languageCodes || []).includes(language) : true))
+      .filter((v) => (voiceType ? v.voiceType === voiceType : true))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [voices, language, voiceType]);
+
+  useEffect(() => {
+    // If current voiceName not in list, pick first
+    if (!filteredVoices.length) return;
+    const exists = filteredVoices.some((v) => v.name === voiceName);
+    if (!exists) onChange({ voiceName: filteredVoices[0].name });
+  }, [filteredVoices, voiceName, onChange]);
+
+  return (
+    <div className="row cols3">
+      <div>
+        <label>Language</label>
+        <select value={language} onChange={(e) => onChange({ language: e.target.value })}>
+          {languages.map((l) => (
+            <option key={l} value={l}>{l}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label>Voice type (model)</label>
+        <select value={voiceType} onChange={(e) => onChange({ voiceType: e.target.value })}>
+          {voiceTypes.map((t) => (
+            <option key={t} value={t}>{voiceTypePretty(t)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label>Voice</label>
+        <select value={voiceName} onChange={(e) => onChange({ voiceName: e.target.value })}>
+          {filteredVoices.map((v) => (
+            <option key={v.name} value={v.name}>
+              {v.name} ({v.ssmlGender})
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+import { useEffect, useState } from "react";
+import { errorMessage, voiceTypePretty } from "./format.js";
+
+const GENDERS = ["FEMALE", "MALE", "NEUTRAL"];
+
+function Flag({ on, children }) {
+  return (
+    <span className="badge" style={{ marginRight: 4, opacity: on ? 1 : 0.35, textDecoration: on ? "none" : "line-through" }}>
+      {children}
+    </span>
+  );
+}
+
+// Voice catalog browser: server-side filtering of GET /api/voices, capability flags and catalog changes.
+export default function VoicesPanel({ languages, languageNames, voiceTypes, onUse }) {
+  const [filters, setFilters] = useState({ language: "", voiceType: "", gender: "", sampleRateHertz: "", q: "" });
+  const [data, setData] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, v]) => String(v).trim()));
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setError("");
+        const res = await fetch(`/api/voices?${params}`);
+        const body = await res.json();
+        if (!res.ok) throw new Error(errorMessage(body, res.status));
+        if (!cancelled) setData(body);
+      } catch (e) {
+        if (!cancelled) setError(String(e?.message || e));
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [filters]);
+
+  useEffect(() => {
+    fetch("/api/voices/diff")
+      .then((res) => res.json())
+      .then(setDiff)
+      .catch(() => {});
+  }, []);
+
+  async function refresh() {
+    setRefreshing(true);
+    try {
+      const res = await fetch("/api/admin/voices/refresh", { method: "POST" });
+      const body = await res.json();
+      if (!res.ok) throw new Error(errorMessage(body, res.status));
+      setDiff(body);
+      setFilters((f) => ({ ...f }));
+    } catch (e) {
+      setError(String(e?.message || e));
+    } finally {
+      setRefreshing(false);
+    }
+  }
+
+  const setFilter = (patch) => setFilters((f) => ({ ...f, ...patch }));
+  const change = diff?.lastChange;
+
+  return (
+    <>
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="hstack" style={{ justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 800 }}>Voices {data ? `(${data.voices.length} of ${data.total})` : ""}</div>
+          <div className="small">{data?.cache.cachedAt ? `Catalog fetched ${new Date(data.cache.cachedAt).toLocaleString()}` : ""}</div>
+        </div>
+
+        <div className="row cols3" style={{ marginTop: 10 }}>
+          <div>
+            <label>Search name or language</label>
+            <input type="text" value={filters.q} onChange={(e) => setFilter({ q: e.target.value })} placeholder="e.g. Aoede, Japanese" />
+          </div>
+          <div>
+            <label>Language</label>
+            <select value={filters.language} onChange={(e) => setFilter({ language: e.target.value })}>
+              <option value="">All languages</option>
+              {languages.map((l) => (
+                <option key={l} value={l}>{languageNames[l] ? `${l} — ${languageNames[l]}` : l}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label>Voice type</label>
+            <select value={filters.voiceType} onChange={(e) => setFilter({ voiceType: e.target.value })}>
+              <option value="">All types</option>
+              {voiceTypes.map((t) => (
+                <option key={t} value={t}>{voiceTypePretty(t)}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="row cols3" style={{ marginTop: 10 }}>
+          <div>
+            <label>Gender</label>
+            <select value={filters.gender} onChange={(e) => setFilter({ gender: e.target.value })}>
+              <option value="">Any</option>
+              {GENDERS.map((g) => (
+                <option key={g} value={g}>{g.toLowerCase()}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label>Natural sample rate</label>
+            <select value={filters.sampleRateHertz} onChange={(e) => setFilter({ sampleRateHertz: e.target.value })}>
+              <option value="">Any</option>
+              {(data?.sampleRatesHertz || []).map((hz) => (
+                <option key={hz} value={hz}>{hz} Hz</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {error && <div className="error" style={{ marginTop: 8 }}>{error}</div>}
+
+        {data && (
+          <table className="table" style={{ marginTop: 10 }}>
+            <tbody>
+              <tr className="small"><td>Voice</td><td>Type</td><td>Language</td><td>Gender</td><td>Rate</td><td>Supports</td><td>$/1M chars</td><td /></tr>
+              {data.voices.map((v) => (
+                <tr key={v.name}>
+                  <td className="mono">{v.name}</td>
+                  <td><span className="badge">{voiceTypePretty(v.voiceType)}</span></td>
+                  <td>{v.languageNames.join(", ")}</td>
+                  <td className="small">{v.ssmlGender.toLowerCase()}</td>
+                  <td className="mono">{v.naturalSampleRateHertz ?? "-"}</td>
+                  <td>
+                    <Flag on={v.capabilities.ssml}>SSML</Flag>
+                    <Flag on={v.capabilities.speakingRate && v.capabilities.pitch}>rate/pitch</Flag>
+                    <Flag on={v.capabilities.timepoints}>word timings</Flag>
+                    {v.capabilities.nativeStreaming && <Flag on>streaming</Flag>}
+                  </td>
+                  <td className="mono">${v.capabilities.pricing.per1MCharactersUsd}</td>
+                  <td><button className="secondary" onClick={() => onUse(v)}>Use</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="hstack" style={{ justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 800 }}>Catalog changes</div>
+          <button className="secondary" onClick={refresh} disabled={refreshing}>{refreshing ? "Refreshing…" : "Refresh from Google"}</button>
+        </div>
+        {!change ? (
+          <div className="small" style={{ marginTop: 8 }}>
+            No changes seen{diff?.refreshedAt ? ` (last refresh ${new Date(diff.refreshedAt).toLocaleString()})` : ""}.
+          </div>
+        ) : (
+          <div style={{ marginTop: 8 }}>
+            <div className="small">
+              {new Date(change.at).toLocaleString()} vs. {change.previousRefreshAt ? new Date(change.previousRefreshAt).toLocaleString() : "previous refresh"}:
+              {" "}{change.added.length} added, {change.removed.length} removed
+            </div>
+            {change.added.map((n) => (
+              <div key={`+${n}`} className="mono">+ {n}</div>
+            ))}
+            {change.removed.map((n) => (
+              <div key={`-${n}`} className="mono error">− {n}</div>
+            ))}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,97 @@
+import { useEffect, useRef } from "react";
+
+const HEIGHT = 72;
+
+function formatDb(n, unit) {
+  return n == null ? "-" : `${n.toFixed(1)} ${unit}`;
+}
+
+// Output-table rows for a clip's server-side analysis (loudness, peak, silence, pacing).
+export function AnalysisRows({ analysis }) {
+  if (!analysis) return null;
+  return (
+    <>
+      <tr><td>Duration (decoded)</td><td className="mono">{analysis.durationSec.toFixed(3)} s</td></tr>
+      <tr><td>Integrated loudness</td><td className="mono">{formatDb(analysis.integratedLufs, "LUFS")}</td></tr>
+      <tr><td>Peak</td><td className="mono">{formatDb(analysis.peakDbfs, "dBFS")}</td></tr>
+      <tr>
+        <td>Leading / trailing silence</td>
+        <td className="mono">{analysis.leadingSilenceSec.toFixed(2)} s / {analysis.trailingSilenceSec.toFixed(2)} s</td>
+      </tr>
+      <tr>
+        <td>Speech rate</td>
+        <td className="mono">
+          {analysis.charsPerSec != null ? `${analysis.charsPerSec} chars/s • ${analysis.wordsPerSec} words/s` : "-"}
+        </td>
+      </tr>
+    </>
+  );
+}
+
+// Peak waveform of a clip with a playhead that follows `audioRef`; click to seek.
+export default function Waveform({ peaks, audioRef, durationSec }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const audio = audioRef.current;
+    if (!canvas) return undefined;
+    let raf = 0;
+
+    const draw = () => {
+      const width = canvas.clientWidth;
+      const ratio = window.devicePixelRatio || 1;
+      if (canvas.width !== Math.round(width * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(HEIGHT * ratio);
+      }
+      const ctx = canvas.getContext("2d");
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, width, HEIGHT);
+
+      const progress = audio && durationSec ? Math.min(1, audio.currentTime / durationSec) : 0;
+      const barWidth = width / peaks.length;
+      peaks.forEach((p, i) => {
+        const h = Math.max(1, p * (HEIGHT - 4));
+        ctx.fillStyle = (i + 0.5) / peaks.length <= progress ? "#2563eb" : "rgba(148,163,184,0.6)";
+        ctx.fillRect(i * barWidth, (HEIGHT - h) / 2, Math.max(1, barWidth - 1), h);
+      });
+      if (progress > 0) {
+        ctx.fillStyle = "#f8fafc";
+        ctx.fillRect(progress * width - 1, 0, 2, HEIGHT);
+      }
+    };
+
+    // Redraw per frame while playing so the playhead moves smoothly.
+    const tick = () => {
+      draw();
+      if (audio && !audio.paused) raf = requestAnimationFrame(tick);
+    };
+    const onPlay = () => {
+      cancelAnimationFrame(raf);
+      raf = requestAnimationFrame(tick);
+    };
+
+    draw();
+    window.addEventListener("resize", draw);
+    audio?.addEventListener("play", onPlay);
+    audio?.addEventListener("seeked", draw);
+    audio?.addEventListener("ended", draw);
+    return () => {
+      cancelAnimationFrame(raf);
+      window.removeEventListener("resize", draw);
+      audio?.removeEventListener("play", onPlay);
+      audio?.removeEventListener("seeked", draw);
+      audio?.removeEventListener("ended", draw);
+    };
+  }, [peaks, audioRef, durationSec]);
+
+  function seek(e) {
+    const audio = audioRef.current;
+    if (!audio || !durationSec) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    audio.currentTime = ((e.clientX - rect.left) / rect.width) * durationSec;
+  }
+
+  return <canvas ref={canvasRef} onClick={seek} style={{ width: "100%", height: HEIGHT, cursor: "pointer", display: "block", marginTop: 10 }} />;
+}
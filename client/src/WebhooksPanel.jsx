@@ -0,0 +1,270 @@
+import { useCallback, useEffect, useState } from "react";
+import { errorMessage } from "./format.js";
+
+const STATUS_COLORS = { delivered: "#16a34a", failed: "#dc2626", pending: "#f59e0b" };
+const POLL_MS = 5000;
+
+async function request(url, options) {
+  const res = await fetch(url, options ? { headers: { "content-type": "application/json" }, ...options } : undefined);
+  const data = await res.json();
+  if (!res.ok) throw new Error(errorMessage(data, res.status));
+  return data;
+}
+
+function SecretNotice({ secret, onDone }) {
+  return (
+    <div style={{ marginTop: 12 }}>
+      <label>Signing secret for {secret.url} — copy it now, it won&apos;t be shown again</label>
+      <div className="hstack">
+        <input type="text" readOnly className="mono" value={secret.secret} onFocus={(e) => e.target.select()} />
+        <button className="secondary" onClick={() => navigator.clipboard?.writeText(secret.secret)}>Copy</button>
+        <button className="secondary" onClick={onDone}>Done</button>
+      </div>
+    </div>
+  );
+}
+
+function DeliveryRow({ delivery, webhook, onRedeliver }) {
+  const [open, setOpen] = useState(false);
+  const last = delivery.attempts.at(-1);
+  return (
+    <>
+      <tr>
+        <td className="small">{new Date(delivery.createdAt).toLocaleString()}</td>
+        <td className="mono small">{delivery.event}</td>
+        <td className="small" style={{ maxWidth: 240, overflow: "hidden", textOverflow: "ellipsis" }}>{webhook?.url ?? "(deleted)"}</td>
+        <td>
+          <span className="badge" style={{ color: STATUS_COLORS[delivery.status] }}>{delivery.status}</span>
+          {delivery.status === "pending" && delivery.nextAttemptAt && (
+            <div className="small">next try {new Date(delivery.nextAttemptAt).toLocaleTimeString()}</div>
+          )}
+        </td>
+        <td className="small">
+          {delivery.attempts.length} attempt{delivery.attempts.length === 1 ? "" : "s"}
+          {last && <><br />{last.error || `HTTP ${last.statusCode}`} • {last.durationMs} ms</>}
+        </td>
+        <td>
+          <div className="hstack">
+            <button className="secondary" onClick={() => setOpen(!open)}>{open ? "Hide" : "Details"}</button>
+            {webhook && <button className="secondary" onClick={() => onRedeliver(delivery)}>Redeliver</button>}
+          </div>
+        </td>
+      </tr>
+      {open && (
+        <tr>
+          <td colSpan={6}>
+            <div className="small" style={{ fontWeight: 700 }}>Payload</div>
+            <pre className="mono small" style={{ whiteSpace: "pre-wrap", margin: "4px 0 8px" }}>{JSON.stringify(delivery.payload, null, 2)}</pre>
+            {delivery.attempts.length > 0 && (
+              <table className="table">
+                <tbody>
+                  <tr className="small"><td>Attempt</td><td>Result</td><td>Time</td><td>Response</td></tr>
+                  {delivery.attempts.map((a, i) => (
+                    <tr key={i} className="small">
+                      <td>{new Date(a.at).toLocaleString()}</td>
+                      <td className={a.error ? "error" : ""}>{a.error || `HTTP ${a.statusCode}`}</td>
+                      <td>{a.durationMs ?? "—"} ms</td>
+                      <td className="mono">{a.responseBody || ""}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+// Webhook endpoints (/api/webhooks): register receivers for synthesis and job events, send test pings, rotate
+// signing secrets and follow the delivery log.
+export default function WebhooksPanel() {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [canAllKeys, setCanAllKeys] = useState(false);
+  const [deliveries, setDeliveries] = useState([]);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [draft, setDraft] = useState({ url: "", description: "", events: [], allKeys: false });
+  const [secret, setSecret] = useState(null); // { url, secret }
+  const [error, setError] = useState("");
+
+  const refreshDeliveries = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ limit: "100", ...(statusFilter ? { status: statusFilter } : {}) });
+      setDeliveries((await request(`/api/webhooks/deliveries?${params}`)).deliveries);
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    request("/api/webhooks")
+      .then((data) => {
+        setWebhooks(data.webhooks);
+        setEvents(data.events);
+        setCanAllKeys(data.canSubscribeAllKeys);
+        setDraft((d) => ({ ...d, events: d.events.length ? d.events : data.events }));
+      })
+      .catch((e) => setError(String(e?.message || e)));
+  }, []);
+
+  // Pending deliveries change on their own as retries run.
+  useEffect(() => {
+    refreshDeliveries();
+    const timer = setInterval(refreshDeliveries, POLL_MS);
+    return () => clearInterval(timer);
+  }, [refreshDeliveries]);
+
+  async function run(action) {
+    setError("");
+    try {
+      await action();
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  const replace = (updated) => setWebhooks((ws) => ws.map((w) => (w.id === updated.id ? updated : w)));
+
+  const create = () =>
+    run(async () => {
+      const { secret: created, ...webhook } = await request("/api/webhooks", { method: "POST", body: JSON.stringify({ ...draft, description: draft.description || undefined }) });
+      setWebhooks((ws) => [...ws, webhook]);
+      setSecret({ url: webhook.url, secret: created });
+      setDraft((d) => ({ ...d, url: "", description: "" }));
+    });
+
+  const toggleEvent = (event) =>
+    setDraft((d) => ({ ...d, events: d.events.includes(event) ? d.events.filter((e) => e !== event) : [...d.events, event] }));
+
+  const setEnabled = (webhook, enabled) =>
+    run(async () => replace(await request(`/api/webhooks/${webhook.id}`, { method: "PATCH", body: JSON.stringify({ enabled }) })));
+
+  const rotate = (webhook) =>
+    run(async () => {
+      if (!window.confirm(`Rotate the secret for ${webhook.url}? Deliveries are signed with the new one right away.`)) return;
+      const { secret: rotated, ...updated } = await request(`/api/webhooks/${webhook.id}/rotate-secret`, { method: "POST" });
+      replace(updated);
+      setSecret({ url: updated.url, secret: rotated });
+    });
+
+  const test = (webhook) =>
+    run(async () => {
+      await request(`/api/webhooks/${webhook.id}/test`, { method: "POST" });
+      await refreshDeliveries();
+    });
+
+  const remove = (webhook) =>
+    run(async () => {
+      if (!window.confirm(`Delete the webhook for ${webhook.url}? Pending retries to it are dropped.`)) return;
+      await request(`/api/webhooks/${webhook.id}`, { method: "DELETE" });
+      setWebhooks((ws) => ws.filter((w) => w.id !== webhook.id));
+    });
+
+  const redeliver = (delivery) =>
+    run(async () => {
+      await request(`/api/webhooks/deliveries/${delivery.id}/redeliver`, { method: "POST" });
+      await refreshDeliveries();
+    });
+
+  const byId = new Map(webhooks.map((w) => [w.id, w]));
+
+  return (
+    <>
+      <div className="card" style={{ marginTop: 14 }}>
+        <div style={{ fontWeight: 800, marginBottom: 8 }}>New webhook</div>
+        <div className="row cols3">
+          <div>
+            <label>Endpoint URL</label>
+            <input type="text" placeholder="https://example.com/tts-events" value={draft.url} onChange={(e) => setDraft({ ...draft, url: e.target.value })} />
+          </div>
+          <div>
+            <label>Description</label>
+            <input type="text" placeholder="optional" value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} />
+          </div>
+          <div>
+            <label>Events</label>
+            {events.map((event) => (
+              <label key={event} className="hstack small" style={{ fontWeight: 400 }}>
+                <input type="checkbox" checked={draft.events.includes(event)} onChange={() => toggleEvent(event)} />
+                <span className="mono">{event}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+        <div className="hstack" style={{ marginTop: 12 }}>
+          {canAllKeys && (
+            <label className="hstack small" style={{ fontWeight: 400 }}>
+              <input type="checkbox" checked={draft.allKeys} onChange={(e) => setDraft({ ...draft, allKeys: e.target.checked })} />
+              Events from every API key&apos;s requests
+            </label>
+          )}
+          <button disabled={!draft.url.trim() || !draft.events.length} onClick={create}>Add webhook</button>
+          {error && <div className="error">{error}</div>}
+        </div>
+        {secret && <SecretNotice secret={secret} onDone={() => setSecret(null)} />}
+        <div className="small" style={{ marginTop: 8 }}>
+          Deliveries are signed: <span className="mono">X-TTS-Signature: t=&lt;unix time&gt;,v1=&lt;hex HMAC-SHA256 of &quot;t.body&quot;&gt;</span>. Failed
+          deliveries are retried with backoff; answer 410 to stop them.
+        </div>
+      </div>
+
+      <div className="card" style={{ marginTop: 14 }}>
+        <div style={{ fontWeight: 800, marginBottom: 8 }}>Webhooks ({webhooks.length})</div>
+        {webhooks.length === 0 ? (
+          <div className="small">No webhooks yet.</div>
+        ) : (
+          <table className="table">
+            <tbody>
+              <tr className="small"><td>Endpoint</td><td>Events</td><td>Secret</td><td>Enabled</td><td /></tr>
+              {webhooks.map((w) => (
+                <tr key={w.id} style={{ opacity: w.enabled ? 1 : 0.5 }}>
+                  <td>
+                    <div className="mono small">{w.url}</div>
+                    {w.description && <div className="small">{w.description}</div>}
+                    {w.allKeys && <span className="badge">all keys</span>}
+                  </td>
+                  <td className="small">{w.events.map((e) => <div key={e} className="mono">{e}</div>)}</td>
+                  <td className="mono small">{w.secretHint}</td>
+                  <td><input type="checkbox" checked={w.enabled} onChange={(e) => setEnabled(w, e.target.checked)} /></td>
+                  <td>
+                    <div className="hstack">
+                      <button className="secondary" onClick={() => test(w)}>Send test</button>
+                      <button className="secondary" onClick={() => rotate(w)}>Rotate secret</button>
+                      <button className="danger" onClick={() => remove(w)}>Delete</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="hstack" style={{ justifyContent: "space-between", marginBottom: 8 }}>
+          <div style={{ fontWeight: 800 }}>Deliveries</div>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} style={{ width: "auto" }}>
+            <option value="">All</option>
+            <option value="pending">Pending</option>
+            <option value="delivered">Delivered</option>
+            <option value="failed">Failed</option>
+          </select>
+        </div>
+        {deliveries.length === 0 ? (
+          <div className="small">Nothing delivered yet. Events are sent when a synthesis or batch job finishes.</div>
+        ) : (
+          <table className="table">
+            <tbody>
+              <tr className="small"><td>Created</td><td>Event</td><td>Endpoint</td><td>Status</td><td>Last attempt</td><td /></tr>
+              {deliveries.map((d) => (
+                <DeliveryRow key={d.id} delivery={d} webhook={byId.get(d.webhookId)} onRedeliver={redeliver} />
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,79 @@
+import { Fragment, useEffect, useState } from "react";
+import { toSrt, toWebVtt } from "./captions.js";
+
+function download(content, type, filename) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Read-along view of a clip's word timeline: highlights the word being spoken by `audioRef`,
+// seeks on click and exports the timings as captions.
+export default function WordTimeline({ timeline, audioRef, durationSec, filename = "captions" }) {
+  const [current, setCurrent] = useState(-1);
+  const { text, words } = timeline;
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    let raf = 0;
+    // timeupdate fires only ~4 times a second, too coarse for single words; poll per frame while playing.
+    const tick = () => {
+      const t = audio.currentTime;
+      let i = words.length - 1;
+      while (i >= 0 && words[i].timeSeconds > t) i--;
+      setCurrent(i);
+      if (!audio.paused) raf = requestAnimationFrame(tick);
+    };
+    const onPlay = () => {
+      cancelAnimationFrame(raf);
+      raf = requestAnimationFrame(tick);
+    };
+    audio.addEventListener("play", onPlay);
+    audio.addEventListener("seeked", tick);
+    audio.addEventListener("ended", tick);
+    return () => {
+      cancelAnimationFrame(raf);
+      audio.removeEventListener("play", onPlay);
+      audio.removeEventListener("seeked", tick);
+      audio.removeEventListener("ended", tick);
+    };
+  }, [audioRef, words]);
+
+  function seek(w) {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = w.timeSeconds;
+    audio.play().catch(() => {});
+  }
+
+  // Text between words is rendered as-is so punctuation and line breaks survive.
+  const parts = [];
+  let pos = 0;
+  words.forEach((w, i) => {
+    if (w.start > pos) parts.push(<Fragment key={`t${i}`}>{text.slice(pos, w.start)}</Fragment>);
+    parts.push(
+      <span key={i} className={`word${i === current ? " active" : ""}`} onClick={() => seek(w)} title={`${w.timeSeconds.toFixed(2)} s`}>
+        {text.slice(w.start, w.end)}
+      </span>
+    );
+    pos = w.end;
+  });
+  if (pos < text.length) parts.push(<Fragment key="tail">{text.slice(pos)}</Fragment>);
+
+  return (
+    <div style={{ marginTop: 10 }}>
+      <div className="hstack" style={{ justifyContent: "space-between" }}>
+        <label style={{ margin: 0 }}>Word timings ({words.length} words, click to seek)</label>
+        <div className="hstack">
+          <button className="secondary" onClick={() => download(toWebVtt(timeline, durationSec), "text/vtt", `${filename}.vtt`)}>WebVTT</button>
+          <button className="secondary" onClick={() => download(toSrt(timeline, durationSec), "application/x-subrip", `${filename}.srt`)}>SRT</button>
+        </div>
+      </div>
+      <div className="read-along">{parts}</div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+// WebVTT / SRT captions from a word timeline ({ text, words: [{ word, start, end, timeSeconds }] }).
+
+const MAX_CUE_CHARS = 42;
+const MAX_CUE_SECONDS = 5;
+
+// Groups words into caption lines, breaking after sentence punctuation, at paragraph breaks and at
+// MAX_CUE_CHARS / MAX_CUE_SECONDS. Each cue ends when the next one starts (or at `durationSec`).
+export function buildCues({ text, words }, durationSec) {
+  const cues = [];
+  let current = null;
+
+  words.forEach((w, i) => {
+    const next = words[i + 1];
+    if (!current) current = { start: w.timeSeconds, from: w.start };
+
+    const gap = next ? text.slice(w.end, next.start) : "";
+    const cueText = text.slice(current.from, next ? next.start : text.length).replace(/\s+/g, " ").trim();
+    const breakHere =
+      !next ||
+      /[.!?…。！？]/.test(gap) ||
+      gap.includes("\n") ||
+      text.slice(current.from, next.end).length > MAX_CUE_CHARS ||
+      next.timeSeconds - current.start > MAX_CUE_SECONDS;
+
+    if (breakHere) {
+      const end = next ? next.timeSeconds : Math.max(durationSec || 0, w.timeSeconds + 0.5);
+      cues.push({ start: current.start, end, text: cueText });
+      current = null;
+    }
+  });
+  return cues;
+}
+
+function timestamp(sec, decimalSep) {
+  const ms = Math.max(0, Math.round(sec * 1000));
+  const pad = (n, len = 2) => String(n).padStart(len, "0");
+  const h = Math.floor(ms / 3_600_000);
+  const m = Math.floor(ms / 60_000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)}${decimalSep}${pad(ms % 1000, 3)}`;
+}
+
+export function toWebVtt(timeline, durationSec) {
+  const cues = buildCues(timeline, durationSec).map((c) => `${timestamp(c.start, ".")} --> ${timestamp(c.end, ".")}\n${c.text}`);
+  return `WEBVTT\n\n${cues.join("\n\n")}\n`;
+}
+
+export function toSrt(timeline, durationSec) {
+  return buildCues(timeline, durationSec)
+    .map((c, i) => `${i + 1}\n${timestamp(c.start, ",")} --> ${timestamp(c.end, ",")}\n${c.text}`)
+    .join("\n\n") + "\n";
+}
@@ -0,0 +1,59 @@
+export function voiceTypePretty(t) {
+  if (t === "CHIRP_HD") return "Chirp 3: HD";
+  if (t === "WAVENET") return "WaveNet";
+  if (t === "NEURAL2") return "Neural2";
+  if (t === "STUDIO") return "Studio";
+  if (t === "STANDARD") return "Standard";
+  if (t === "POLYGLOT") return "Polyglot";
+  if (t === "LOCAL") return "Local (offline)";
+  if (t === "MIXED") return "Mixed";
+  return t || "Other";
+}
+
+export function formatBytes(n) {
+  if (n == null) return "-";
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(2)} MB`;
+}
+
+// "24 kHz mono, 16-bit" from the server's audio description; parts it couldn't read are left out.
+export function formatAudioFormat(audio) {
+  if (!audio?.sampleRateHertz) return "-";
+  const channels = audio.channels === 1 ? " mono" : audio.channels === 2 ? " stereo" : "";
+  return `${audio.sampleRateHertz / 1000} kHz${channels}${audio.bitsPerSample ? `, ${audio.bitsPerSample}-bit` : ""}`;
+}
+
+export function formatUsd(n) {
+  if (n == null || Number.isNaN(n)) return "-";
+  if (n === 0) return "$0";
+  if (n < 0.0001) return `$${n.toExponential(2)}`;
+  return `$${n.toFixed(6)}`;
+}
+
+const ERROR_CATEGORY_LABELS = {
+  validation: "Request rejected",
+  auth: "Not authorized",
+  quota: "Limit reached",
+  transient: "Service temporarily unavailable",
+  internal: "Server error",
+};
+
+// For responses without a category (e.g. a proxy's own error page)
+function categoryForStatus(status) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 402 || status === 429) return "quota";
+  if (status >= 502) return "transient";
+  return status >= 500 ? "internal" : "validation";
+}
+
+// Message for a failed API response body (or stream error event), led by what kind of failure it was so
+// "fix your input", "wait" and "ask an admin" read differently. SSML and upload errors are listed with their line (and column).
+export function errorMessage(data, status) {
+  const category = data?.category ?? categoryForStatus(status);
+  const message = data?.errors?.length
+    ? `${data.error}: ${data.errors.map((e) => `line ${e.line}${e.column ? `:${e.column}` : ""} ${e.message}`).join("; ")}`
+    : (data?.error || `HTTP ${status}`);
+  const retry = data?.retryAfterSec ? ` Try again in ${data.retryAfterSec}s.` : category === "transient" ? " Try again shortly." : "";
+  return `${ERROR_CATEGORY_LABELS[category] ?? "Error"}: ${message}${retry}`;
+}
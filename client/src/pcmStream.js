@@ -0,0 +1,148 @@
+import { errorMessage } from "./format.js";
+
+// Progressive playback for /api/synthesize/stream: NDJSON events carrying 16-bit mono PCM.
+
+function base64ToBytes(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+// Schedules PCM chunks back-to-back on a Web Audio clock as they arrive.
+export function createPcmPlayer(sampleRate) {
+  const ctx = new AudioContext({ sampleRate });
+  const sources = new Set();
+  let playhead = 0;
+  let carry = null; // odd trailing byte from the previous chunk
+
+  return {
+    push(bytes) {
+      if (carry) {
+        const joined = new Uint8Array(carry.length + bytes.length);
+        joined.set(carry);
+        joined.set(bytes, carry.length);
+        bytes = joined;
+        carry = null;
+      }
+      if (bytes.length % 2) {
+        carry = bytes.slice(-1);
+        bytes = bytes.subarray(0, bytes.length - 1);
+      }
+      if (!bytes.length) return;
+
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      const samples = new Float32Array(bytes.length / 2);
+      for (let i = 0; i < samples.length; i++) samples[i] = view.getInt16(i * 2, true) / 32768;
+
+      const buffer = ctx.createBuffer(1, samples.length, sampleRate);
+      buffer.copyToChannel(samples, 0);
+      const src = ctx.createBufferSource();
+      src.buffer = buffer;
+      src.connect(ctx.destination);
+      src.onended = () => sources.delete(src);
+      sources.add(src);
+
+      // A small lead avoids clicks when the first chunk lands right at currentTime.
+      playhead = Math.max(playhead, ctx.currentTime + 0.05);
+      src.start(playhead);
+      playhead += buffer.duration;
+    },
+    stop() {
+      sources.forEach((s) => s.stop());
+      sources.clear();
+      ctx.close().catch(() => {});
+    },
+  };
+}
+
+export function pcmToWavBlob(chunks, sampleRate) {
+  const dataLength = chunks.reduce((sum, c) => sum + c.length, 0);
+  const header = new DataView(new ArrayBuffer(44));
+  const writeStr = (o, s) => [...s].forEach((ch, i) => header.setUint8(o + i, ch.charCodeAt(0)));
+  writeStr(0, "RIFF");
+  header.setUint32(4, 36 + dataLength, true);
+  writeStr(8, "WAVE");
+  writeStr(12, "fmt ");
+  header.setUint32(16, 16, true);
+  header.setUint16(20, 1, true);
+  header.setUint16(22, 1, true);
+  header.setUint32(24, sampleRate, true);
+  header.setUint32(28, sampleRate * 2, true);
+  header.setUint16(32, 2, true);
+  header.setUint16(34, 16, true);
+  writeStr(36, "data");
+  header.setUint32(40, dataLength, true);
+  return new Blob([header, ...chunks], { type: "audio/wav" });
+}
+
+// POSTs `payload` to the streaming route, feeding audio to a player as it arrives.
+// Resolves with the start/done events, the collected PCM and client-side timings.
+export async function streamSynthesize(payload, { onStart, onFirstAudio } = {}) {
+  const t0 = performance.now();
+  const res = await fetch("/api/synthesize/stream", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(errorMessage(data, res.status));
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  const pcm = [];
+  let player = null;
+  let start = null;
+  let done = null;
+  let firstAudioMs = null;
+  let buffered = "";
+
+  const handle = (event) => {
+    if (event.type === "start") {
+      start = event;
+      player = createPcmPlayer(event.audio.sampleRateHertz);
+      onStart?.(event, player);
+    } else if (event.type === "audio") {
+      const bytes = base64ToBytes(event.base64);
+      if (firstAudioMs === null) {
+        firstAudioMs = Math.round(performance.now() - t0);
+        onFirstAudio?.(firstAudioMs);
+      }
+      pcm.push(bytes);
+      player?.push(bytes);
+    } else if (event.type === "done") {
+      done = event;
+    } else if (event.type === "error") {
+      throw new Error(errorMessage(event));
+    }
+  };
+
+  try {
+    for (;;) {
+      const { value, done: eof } = await reader.read();
+      if (eof) break;
+      buffered += decoder.decode(value, { stream: true });
+      const lines = buffered.split("\n");
+      buffered = lines.pop();
+      lines.filter(Boolean).forEach((line) => handle(JSON.parse(line)));
+    }
+    if (buffered.trim()) handle(JSON.parse(buffered));
+  } catch (e) {
+    player?.stop();
+    throw e;
+  }
+  if (!done) {
+    player?.stop();
+    throw new Error("Stream ended before completion");
+  }
+
+  return {
+    start,
+    done,
+    player,
+    wavBlob: pcmToWavBlob(pcm, start.audio.sampleRateHertz),
+    client: { firstAudioMs, totalMs: Math.round(performance.now() - t0) },
+  };
+}
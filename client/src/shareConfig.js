@@ -0,0 +1,108 @@
+// The single-voice form's setup as URL query parameters, so a link reproduces it exactly:
+//   /?lang=en-US&type=NEURAL2&voice=en-US-Neural2-C&enc=OGG_OPUS&rate=1.1&pitch=-2&text=Hello
+// Settings at their defaults are left out to keep links short. `?preset=<id>` (a saved preset) and
+// `?clip=<id>` (a history clip) are separate and handled by App.
+
+const PARAMS = {
+  language: "lang",
+  voiceType: "type",
+  voiceName: "voice",
+  audioEncoding: "enc",
+  sampleRateHertz: "sr",
+  inputType: "input",
+  speakingRate: "rate",
+  pitch: "pitch",
+  volumeGainDb: "gain",
+  postprocess: "post",
+  normalize: "norm",
+  wordTimings: "timings",
+  streaming: "stream",
+  text: "text",
+};
+
+const DEFAULTS = { audioEncoding: "MP3", sampleRateHertz: "", inputType: "text", speakingRate: 1, pitch: 0, volumeGainDb: 0, wordTimings: false, streaming: false };
+
+export function configToSearch(config) {
+  const params = new URLSearchParams();
+  for (const [field, param] of Object.entries(PARAMS)) {
+    const value = config[field];
+    if (value == null || value === "" || String(value) === String(DEFAULTS[field] ?? "")) continue;
+    // Post-processing options are an object; they travel as JSON
+    if (field === "postprocess") params.set(param, JSON.stringify(value));
+    // Normalization is true (every rule) or an object of the rules turned off
+    else if (field === "normalize") params.set(param, value === true ? "1" : JSON.stringify(value));
+    else params.set(param, typeof value === "boolean" ? (value ? "1" : "0") : String(value));
+  }
+  return params.toString();
+}
+
+// Only the fields present in the URL (and that parse) are returned; null when there are none.
+export function configFromSearch(search) {
+  const params = new URLSearchParams(search);
+  const config = {};
+  for (const [field, param] of Object.entries(PARAMS)) {
+    const raw = params.get(param);
+    if (raw == null) continue;
+    if (field === "wordTimings" || field === "streaming") config[field] = raw === "1" || raw === "true";
+    else if (field === "speakingRate" || field === "pitch" || field === "volumeGainDb" || field === "sampleRateHertz") {
+      if (raw !== "" && Number.isFinite(Number(raw))) config[field] = Number(raw);
+    } else if (field === "postprocess") {
+      try {
+        const value = JSON.parse(raw);
+        if (value && typeof value === "object" && !Array.isArray(value)) config[field] = value;
+      } catch {
+        // ignore a mangled link's options rather than failing the whole setup
+      }
+    } else if (field === "normalize") {
+      if (raw === "1" || raw === "true") config[field] = true;
+      else {
+        try {
+          const value = JSON.parse(raw);
+          if (value && typeof value === "object" && !Array.isArray(value)) config[field] = value;
+        } catch {
+          // as above
+        }
+      }
+    } else if (field === "inputType") {
+      if (raw === "text" || raw === "ssml") config[field] = raw;
+    } else config[field] = raw;
+  }
+  return Object.keys(config).length ? config : null;
+}
+
+// Preset fields (server shape) <-> form config
+export function configFromPreset(preset) {
+  return {
+    language: preset.languageCode,
+    voiceType: preset.voiceType,
+    voiceName: preset.voiceName,
+    audioEncoding: preset.audioEncoding,
+    sampleRateHertz: preset.sampleRateHertz ?? "",
+    inputType: preset.inputType,
+    speakingRate: preset.speakingRate ?? 1,
+    pitch: preset.pitch ?? 0,
+    volumeGainDb: preset.volumeGainDb ?? 0,
+    postprocess: preset.postprocess ?? null,
+    normalize: preset.normalize ?? null,
+    wordTimings: Boolean(preset.timepoints),
+    text: preset.text,
+  };
+}
+
+export function presetFromConfig(config) {
+  return {
+    voiceName: config.voiceName,
+    languageCode: config.language,
+    voiceType: config.voiceType,
+    audioEncoding: config.audioEncoding,
+    ...(config.sampleRateHertz ? { sampleRateHertz: Number(config.sampleRateHertz) } : {}),
+    // Chirp 3: HD takes neither, so they aren't saved for it
+    ...(config.voiceType === "CHIRP_HD" ? {} : { speakingRate: Number(config.speakingRate), pitch: Number(config.pitch) }),
+    ...(Number(config.volumeGainDb) ? { volumeGainDb: Number(config.volumeGainDb) } : {}),
+    inputType: config.inputType,
+    text: config.text,
+    ...(config.wordTimings ? { timepoints: true } : {}),
+    ...(config.postprocess ? { postprocess: config.postprocess } : {}),
+    ...(config.normalize ? { normalize: config.normalize } : {}),
+  };
+}
@@ -0,0 +1,164 @@
+// Types for tts-google-sdk. Request shapes follow the server's OpenAPI document (GET /api/v1/openapi.json).
+
+export type AudioEncoding = "MP3" | "OGG_OPUS" | "LINEAR16" | "MULAW" | "ALAW" | "PCM" | "M4A";
+export type ErrorCategory = "validation" | "auth" | "quota" | "transient" | "internal";
+
+export interface ClientOptions {
+  /** Server origin, e.g. "https://tts.example.com"; /api/v1 is appended */
+  baseUrl: string;
+  /** Sent as "Authorization: Bearer <key>" */
+  apiKey?: string;
+  /** Retries of retryable failures (default 2) */
+  retries?: number;
+  /** Per attempt (default 60000) */
+  timeoutMs?: number;
+  fetch?: typeof fetch;
+}
+
+export interface VoiceFilters {
+  language?: string;
+  voiceType?: string;
+  gender?: "MALE" | "FEMALE" | "NEUTRAL" | "SSML_VOICE_GENDER_UNSPECIFIED";
+  sampleRateHertz?: number;
+  /** Name or language search */
+  q?: string;
+}
+
+export interface Voice {
+  name: string;
+  voiceType: string;
+  languageCodes: string[];
+  ssmlGender: string;
+  naturalSampleRateHertz: number;
+  capabilities?: {
+    ssml: boolean;
+    speakingRate: boolean;
+    pitch: boolean;
+    timepoints: boolean;
+    audioEncodings: AudioEncoding[];
+    [key: string]: unknown;
+  };
+  [key: string]: unknown;
+}
+
+export interface VoiceList {
+  voices: Voice[];
+  languages: string[];
+  languageNames: Record<string, string>;
+  voiceTypes: string[];
+  total: number;
+  [key: string]: unknown;
+}
+
+export interface Pricing {
+  currency: "USD";
+  provider: string;
+  /** USD per million characters by voice type */
+  per1MCharacters: Record<string, number>;
+  freeTierCharactersPerMonth: Record<string, number>;
+  note?: string;
+}
+
+export interface PostProcessOptions {
+  trimSilence?: boolean;
+  trimPaddingMs?: number;
+  normalizeLufs?: number;
+  peakCeilingDbfs?: number;
+  fadeInMs?: number;
+  fadeOutMs?: number;
+  bed?: { id: string; gainDb?: number; loop?: boolean; leadInMs?: number; tailMs?: number };
+}
+
+export type NormalizeRule = "urls" | "phones" | "dates" | "times" | "currency" | "units" | "fractions" | "ordinals" | "abbreviations" | "numbers";
+
+export interface SynthesizeParams {
+  text: string;
+  voiceName: string;
+  inputType?: "text" | "ssml";
+  languageCode?: string;
+  audioEncoding?: AudioEncoding;
+  sampleRateHertz?: number;
+  speakingRate?: number;
+  pitch?: number;
+  volumeGainDb?: number;
+  useCache?: boolean;
+  saveHistory?: boolean;
+  useLexicon?: boolean;
+  /** Word timings; JSON responses only */
+  timepoints?: boolean;
+  postprocess?: PostProcessOptions;
+  /** Spell out numbers, dates, amounts, units, URLs and abbreviations: true, or the rules to leave out set to false */
+  normalize?: boolean | Partial<Record<NormalizeRule, boolean>>;
+}
+
+export interface SynthesisResult {
+  audio: {
+    base64: string;
+    encoding: AudioEncoding;
+    mimeType: string;
+    container: string;
+    extension: string;
+    sampleRateHertz: number | null;
+    bytes: number;
+    durationSec: number | null;
+    [key: string]: unknown;
+  };
+  voice: Pick<Voice, "name" | "voiceType" | "ssmlGender" | "languageCodes" | "naturalSampleRateHertz">;
+  metrics: {
+    server: { ttsMs: number; totalMs: number; startedAtIso: string };
+    input: { charCount: number; inputType: "text" | "ssml" };
+    billingEstimate: { currency: "USD"; billableChars: number; estimatedCostUsd: number; marginalCostUsd: number; per1MCharactersUsd: number };
+    cache: { hit: boolean; costSavedUsd: number; [key: string]: unknown };
+    postprocess?: { steps: Array<{ step: string; [key: string]: unknown }>; ms: number };
+  };
+  /** Word timings, when requested: character offsets into `text` and start times */
+  timeline?: { text: string; words: Array<{ word: string; start: number; end: number; timeSeconds: number }> };
+  analysis: Record<string, unknown> | null;
+  /** Present when `normalize` was requested */
+  normalization?: { languageCode: string; supported: boolean; applied: Array<{ rule: NormalizeRule; count: number }> };
+  warnings: string[];
+  history: { id: string; permalink: string; audioUrl: string } | null;
+  [key: string]: unknown;
+}
+
+export interface AudioResult {
+  audio: Uint8Array;
+  mimeType: string | null;
+  voiceName: string | null;
+  voiceType: string | null;
+  billableChars: number | null;
+  estimatedCostUsd: number | null;
+  cacheHit: boolean;
+  durationSec: number | null;
+  integratedLufs: number | null;
+  historyId: string | null;
+  requestId: string | null;
+  /** true when the server answered from an earlier request with the same idempotency key */
+  replayed: boolean;
+}
+
+export interface RequestOptions {
+  /** Defaults to a fresh UUID per call; pass your own to make retries across processes safe */
+  idempotencyKey?: string;
+}
+
+export declare class TtsApiError extends Error {
+  name: "TtsApiError";
+  status: number;
+  code: string;
+  category: ErrorCategory;
+  retryable: boolean;
+  retryAfterSec: number | null;
+  requestId: string | null;
+  body: unknown;
+}
+
+export interface TtsClient {
+  listVoices(filters?: VoiceFilters): Promise<VoiceList>;
+  pricing(): Promise<Pricing>;
+  synthesize(params: SynthesizeParams, options?: RequestOptions): Promise<SynthesisResult>;
+  synthesizeAudio(params: SynthesizeParams, options?: RequestOptions): Promise<AudioResult>;
+  openApi(): Promise<Record<string, unknown>>;
+}
+
+export declare function createTtsClient(options: ClientOptions): TtsClient;
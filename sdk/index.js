@@ -0,0 +1,131 @@
+// ---- Client for the Text-to-Speech backend's versioned API (/api/v1) ----
+// No dependencies: uses the global fetch (Node 18+, browsers). Failed requests throw TtsApiError carrying the
+// server's { code, category, retryable }. Synthesis requests always send an Idempotency-Key, so the built-in
+// retries of transient failures (and the caller's own, if it passes the same key) are never billed twice.
+
+export class TtsApiError extends Error {
+  constructor(message, { status, code, category, retryable, retryAfterSec, requestId, body }) {
+    super(message);
+    this.name = "TtsApiError";
+    this.status = status;
+    this.code = code;
+    this.category = category;
+    this.retryable = retryable;
+    this.retryAfterSec = retryAfterSec ?? null;
+    this.requestId = requestId ?? null;
+    this.body = body;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function newIdempotencyKey() {
+  return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+async function errorFrom(res) {
+  const body = await res.json().catch(() => null);
+  const retryAfter = Number(res.headers.get("retry-after"));
+  return new TtsApiError(body?.error || `HTTP ${res.status}`, {
+    status: res.status,
+    code: body?.code ?? "HTTP_ERROR",
+    category: body?.category ?? (res.status >= 500 ? "transient" : "validation"),
+    retryable: body?.retryable ?? res.status >= 500,
+    retryAfterSec: body?.retryAfterSec ?? (Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : null),
+    requestId: res.headers.get("x-request-id"),
+    body,
+  });
+}
+
+const numberHeader = (res, name) => {
+  const value = res.headers.get(name);
+  return value == null || value === "" ? null : Number(value);
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.baseUrl   Server origin, e.g. "https://tts.example.com" (/api/v1 is appended)
+ * @param {string} [options.apiKey]  Sent as "Authorization: Bearer <key>"
+ * @param {number} [options.retries] Retries of retryable failures (default 2)
+ * @param {number} [options.timeoutMs] Per attempt (default 60000)
+ * @param {typeof fetch} [options.fetch]
+ */
+export function createTtsClient({ baseUrl, apiKey, retries = 2, timeoutMs = 60_000, fetch: fetchImpl = globalThis.fetch } = {}) {
+  if (!baseUrl) throw new TypeError("createTtsClient: baseUrl is required");
+  if (!fetchImpl) throw new TypeError("createTtsClient: no fetch available; pass one as options.fetch");
+  const apiBase = `${baseUrl.replace(/\/+$/, "")}/api/v1`;
+
+  async function request(method, path, { query, body, accept = "application/json", idempotencyKey } = {}) {
+    const url = new URL(`${apiBase}${path}`);
+    for (const [name, value] of Object.entries(query ?? {})) if (value != null && value !== "") url.searchParams.set(name, String(value));
+    const headers = { accept };
+    if (apiKey) headers.authorization = `Bearer ${apiKey}`;
+    if (body !== undefined) headers["content-type"] = "application/json";
+    if (idempotencyKey) headers["idempotency-key"] = idempotencyKey;
+
+    // GETs are safe to repeat; POSTs only with an idempotency key.
+    const attempts = method === "GET" || idempotencyKey ? retries + 1 : 1;
+    for (let attempt = 1; ; attempt++) {
+      let res;
+      try {
+        res = await fetchImpl(url, {
+          method,
+          headers,
+          body: body === undefined ? undefined : JSON.stringify(body),
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (e) {
+        if (attempt >= attempts) throw e;
+        await sleep(Math.min(5000, 300 * 2 ** (attempt - 1)));
+        continue;
+      }
+      if (res.ok) return res;
+      const error = await errorFrom(res);
+      if (!error.retryable || attempt >= attempts) throw error;
+      await sleep(error.retryAfterSec ? error.retryAfterSec * 1000 : Math.min(5000, 300 * 2 ** (attempt - 1)));
+    }
+  }
+
+  const json = async (res) => res.json();
+
+  return {
+    /** Voice catalog; filters: language, voiceType, gender, sampleRateHertz, q */
+    async listVoices(filters = {}) {
+      return json(await request("GET", "/voices", { query: filters }));
+    },
+
+    /** Price per million characters by voice type, and the monthly free tier */
+    async pricing() {
+      return json(await request("GET", "/pricing"));
+    },
+
+    /** One clip as JSON: base64 audio plus voice, metrics, analysis and (when requested) word timings */
+    async synthesize(params, { idempotencyKey = newIdempotencyKey() } = {}) {
+      return json(await request("POST", "/synthesize", { body: params, idempotencyKey }));
+    },
+
+    /** One clip as raw bytes, with the metrics the server sends in headers */
+    async synthesizeAudio(params, { idempotencyKey = newIdempotencyKey() } = {}) {
+      const res = await request("POST", "/synthesize", { body: params, accept: "audio/*", idempotencyKey });
+      return {
+        audio: new Uint8Array(await res.arrayBuffer()),
+        mimeType: res.headers.get("content-type"),
+        voiceName: res.headers.get("x-tts-voice"),
+        voiceType: res.headers.get("x-tts-voice-type"),
+        billableChars: numberHeader(res, "x-tts-billable-chars"),
+        estimatedCostUsd: numberHeader(res, "x-tts-estimated-cost-usd"),
+        cacheHit: res.headers.get("x-tts-cache") === "hit",
+        durationSec: numberHeader(res, "x-tts-duration-sec"),
+        integratedLufs: numberHeader(res, "x-tts-loudness-lufs"),
+        historyId: res.headers.get("x-tts-history-id"),
+        requestId: res.headers.get("x-request-id"),
+        replayed: res.headers.get("idempotent-replayed") === "true",
+      };
+    },
+
+    /** The server's OpenAPI document */
+    async openApi() {
+      return json(await request("GET", "/openapi.json"));
+    },
+  };
+}
@@ -0,0 +1,206 @@
+import { MPEGDecoder } from "mpg123-decoder";
+import { OggOpusDecoder } from "ogg-opus-decoder";
+import { audioDurationSec, parseWav } from "./audio.js";
+
+// ---- Audio analysis: decode a finished clip and measure it ----
+// Loudness follows ITU-R BS.1770-4 (K-weighting, 400 ms blocks with 75% overlap, absolute gate at -70 LUFS and
+// a relative gate 10 LU below the ungated level). Silence is anything quieter than SILENCE_DBFS over 10 ms.
+
+const SILENCE_DBFS = -50;
+const SILENCE_WINDOW_SEC = 0.01;
+const WAVEFORM_POINTS = 200;
+// Longer clips aren't decoded; a long-form render can run to hours and the samples are held in memory.
+const MAX_ANALYSIS_SEC = Number(process.env.ANALYSIS_MAX_SEC || 900);
+
+// G.711 expansions to [-1, 1]
+function mulawSample(v) {
+  v = ~v & 0xff;
+  const t = (((v & 0x0f) << 3) + 0x84) << ((v & 0x70) >> 4);
+  return ((v & 0x80 ? 0x84 - t : t - 0x84) / 32768);
+}
+
+function alawSample(v) {
+  v ^= 0x55;
+  const exponent = (v & 0x70) >> 4;
+  let t = ((v & 0x0f) << 4) + 8;
+  if (exponent > 0) t = (t + 0x100) << (exponent - 1);
+  return (v & 0x80 ? t : -t) / 32768;
+}
+
+function mixDown(channelData, length) {
+  if (channelData.length === 1) return channelData[0].subarray(0, length);
+  const out = new Float32Array(length);
+  for (const ch of channelData) for (let i = 0; i < length; i++) out[i] += ch[i] / channelData.length;
+  return out;
+}
+
+// -> { samples: Float32Array (mono), sampleRate } or null when the encoding can't be decoded here (M4A).
+export async function decodeAudio(audioEncoding, buf) {
+  if (audioEncoding === "MP3") {
+    const decoder = new MPEGDecoder();
+    await decoder.ready;
+    try {
+      const { channelData, samplesDecoded, sampleRate } = decoder.decode(buf);
+      return { samples: mixDown(channelData, samplesDecoded), sampleRate };
+    } finally {
+      decoder.free();
+    }
+  }
+  if (audioEncoding === "OGG_OPUS") {
+    const decoder = new OggOpusDecoder();
+    await decoder.ready;
+    try {
+      const { channelData, samplesDecoded, sampleRate } = await decoder.decodeFile(buf);
+      return { samples: mixDown(channelData, samplesDecoded), sampleRate };
+    } finally {
+      decoder.free();
+    }
+  }
+  if (["LINEAR16", "PCM", "MULAW", "ALAW"].includes(audioEncoding)) {
+    const { fmt, data } = parseWav(buf);
+    const bytesPerSample = fmt.bitsPerSample / 8;
+    const frames = Math.floor(data.length / (bytesPerSample * fmt.channels));
+    const read =
+      fmt.audioFormat === 7 ? (i) => mulawSample(data[i])
+      : fmt.audioFormat === 6 ? (i) => alawSample(data[i])
+      : (i) => data.readInt16LE(i) / 32768;
+    const samples = new Float32Array(frames);
+    for (let f = 0; f < frames; f++) {
+      let sum = 0;
+      for (let c = 0; c < fmt.channels; c++) sum += read((f * fmt.channels + c) * bytesPerSample);
+      samples[f] = sum / fmt.channels;
+    }
+    return { samples, sampleRate: fmt.sampleRate };
+  }
+  return null;
+}
+
+// K-weighting as two biquads, with coefficients derived for any sample rate (as libebur128 does).
+function kWeightingFilters(sampleRate) {
+  const shelf = (() => {
+    const K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+    const Q = 0.7071752369554196;
+    const Vh = 10 ** (3.999843853973347 / 20);
+    const Vb = Vh ** 0.4996667741545416;
+    const a0 = 1 + K / Q + K * K;
+    return {
+      b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+      a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+    };
+  })();
+  const highPass = (() => {
+    const K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+    const Q = 0.5003270373238773;
+    const a0 = 1 + K / Q + K * K;
+    return { b: [1, -2, 1], a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0] };
+  })();
+  return [shelf, highPass];
+}
+
+// Direct form I biquad as a per-sample function, so long clips are filtered without extra buffers.
+function biquad({ b, a }) {
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  return (x) => {
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+    return y;
+  };
+}
+
+const blockLoudness = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+
+// Integrated loudness in LUFS, or null for clips shorter than one block or entirely below the gate.
+export function integratedLoudness(samples, sampleRate) {
+  const [shelf, highPass] = kWeightingFilters(sampleRate).map(biquad);
+  // 400 ms blocks overlapping by 75% are four consecutive 100 ms steps.
+  const step = Math.round(0.1 * sampleRate);
+  const steps = [];
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const y = highPass(shelf(samples[i]));
+    sum += y * y;
+    if ((i + 1) % step === 0) {
+      steps.push(sum);
+      sum = 0;
+    }
+  }
+  const blocks = [];
+  for (let i = 0; i + 4 <= steps.length; i++) blocks.push((steps[i] + steps[i + 1] + steps[i + 2] + steps[i + 3]) / (4 * step));
+
+  const aboveAbsolute = blocks.filter((ms) => ms > 0 && blockLoudness(ms) > -70);
+  if (!aboveAbsolute.length) return null;
+  const relativeGate = blockLoudness(aboveAbsolute.reduce((s, ms) => s + ms, 0) / aboveAbsolute.length) - 10;
+  const gated = aboveAbsolute.filter((ms) => blockLoudness(ms) > relativeGate);
+  return blockLoudness(gated.reduce((s, ms) => s + ms, 0) / gated.length);
+}
+
+// Leading and trailing silence in seconds, from 10 ms RMS windows.
+export function silenceEdges(samples, sampleRate) {
+  const window = Math.max(1, Math.round(SILENCE_WINDOW_SEC * sampleRate));
+  const threshold = 10 ** (SILENCE_DBFS / 20);
+  const loud = [];
+  for (let start = 0; start < samples.length; start += window) {
+    const end = Math.min(samples.length, start + window);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    loud.push(Math.sqrt(sum / (end - start)) > threshold);
+  }
+  const first = loud.indexOf(true);
+  const total = samples.length / sampleRate;
+  if (first === -1) return { leadingSilenceSec: total, trailingSilenceSec: 0 };
+  const last = loud.lastIndexOf(true);
+  return {
+    leadingSilenceSec: (first * window) / sampleRate,
+    trailingSilenceSec: Math.max(0, total - ((last + 1) * window) / sampleRate),
+  };
+}
+
+// Peak magnitude per slice, 0..1, for drawing.
+function waveform(samples, points) {
+  const size = samples.length / points;
+  const peaks = [];
+  for (let p = 0; p < points; p++) {
+    let peak = 0;
+    for (let i = Math.floor(p * size); i < Math.floor((p + 1) * size); i++) peak = Math.max(peak, Math.abs(samples[i]));
+    peaks.push(Math.round(Math.min(1, peak) * 1000) / 1000);
+  }
+  return peaks;
+}
+
+const round = (n, digits) => (n == null || !Number.isFinite(n) ? null : Number(n.toFixed(digits)));
+
+// Measurements for a finished clip; `spokenText` (plain text, no markup) drives the speech-rate figures.
+// Returns null when the encoding can't be decoded or the clip is longer than MAX_ANALYSIS_SEC.
+export async function analyzeAudio(audioEncoding, buf, spokenText = "") {
+  if ((audioDurationSec(audioEncoding, buf) ?? 0) > MAX_ANALYSIS_SEC) return null;
+  const decoded = await decodeAudio(audioEncoding, buf);
+  if (!decoded || !decoded.samples.length) return null;
+  const { samples, sampleRate } = decoded;
+
+  let peak = 0;
+  for (const s of samples) peak = Math.max(peak, Math.abs(s));
+  // The container's own length is exact; decoders can add codec delay.
+  const durationSec = audioDurationSec(audioEncoding, buf) ?? samples.length / sampleRate;
+  const { leadingSilenceSec, trailingSilenceSec } = silenceEdges(samples, sampleRate);
+  const speechSec = Math.max(0, durationSec - leadingSilenceSec - trailingSilenceSec);
+
+  const chars = spokenText.replace(/\s+/g, "").length;
+  const words = (spokenText.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
+
+  return {
+    durationSec: round(durationSec, 3),
+    decodedSampleRateHertz: sampleRate,
+    integratedLufs: round(integratedLoudness(samples, sampleRate), 1),
+    // Below -120 dBFS is decoder noise in digital silence
+    peakDbfs: peak > 1e-6 ? round(20 * Math.log10(peak), 1) : null,
+    leadingSilenceSec: round(leadingSilenceSec, 3),
+    trailingSilenceSec: round(trailingSilenceSec, 3),
+    speechSec: round(speechSec, 3),
+    // Over the span between the leading and trailing silence
+    charsPerSec: speechSec > 0 ? round(chars / speechSec, 2) : null,
+    wordsPerSec: speechSec > 0 ? round(words / speechSec, 2) : null,
+    silenceThresholdDbfs: SILENCE_DBFS,
+    waveform: waveform(samples, WAVEFORM_POINTS),
+  };
+}
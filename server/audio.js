@@ -0,0 +1,455 @@
+// ---- Audio container helpers (WAV / MP3 / Ogg / MP4) ----
+// Google returns one complete file per request. These helpers take those files apart and
+// re-assemble several of them into a single playable file of the same encoding.
+
+// What each encoding is delivered as. The sample encodings are always served as WAV: Google adds the header
+// for LINEAR16/MULAW/ALAW but not for PCM, and withContainer() fills in whatever is missing.
+const CONTAINERS = {
+  MP3: { container: "MP3", mimeType: "audio/mpeg", extension: "mp3" },
+  OGG_OPUS: { container: "Ogg Opus", mimeType: "audio/ogg", extension: "ogg" },
+  LINEAR16: { container: "WAV (16-bit PCM)", mimeType: "audio/wav", extension: "wav" },
+  PCM: { container: "WAV (16-bit PCM)", mimeType: "audio/wav", extension: "wav" },
+  MULAW: { container: "WAV (G.711 µ-law)", mimeType: "audio/wav", extension: "wav" },
+  ALAW: { container: "WAV (G.711 A-law)", mimeType: "audio/wav", extension: "wav" },
+  M4A: { container: "MP4 (AAC)", mimeType: "audio/mp4", extension: "m4a" },
+};
+
+// WAV fmt codes: 1 = PCM, 6 = A-law, 7 = µ-law
+const WAV_FORMATS = {
+  LINEAR16: { audioFormat: 1, bitsPerSample: 16 },
+  PCM: { audioFormat: 1, bitsPerSample: 16 },
+  MULAW: { audioFormat: 7, bitsPerSample: 8 },
+  ALAW: { audioFormat: 6, bitsPerSample: 8 },
+};
+
+const isWav = (audioEncoding) => audioEncoding in WAV_FORMATS;
+
+export function mimeTypeFor(audioEncoding) {
+  return CONTAINERS[audioEncoding]?.mimeType || "application/octet-stream";
+}
+
+export function extensionFor(audioEncoding) {
+  return CONTAINERS[audioEncoding]?.extension || "bin";
+}
+
+// ---- WAV (LINEAR16 / MULAW / ALAW come back as RIFF/WAVE, PCM as bare samples) ----
+export function parseWav(buf) {
+  if (buf.length < 12 || buf.toString("ascii", 0, 4) !== "RIFF" || buf.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("Not a RIFF/WAVE buffer");
+  }
+  let fmt = null;
+  let data = null;
+  let pos = 12;
+  while (pos + 8 <= buf.length) {
+    const id = buf.toString("ascii", pos, pos + 4);
+    const size = buf.readUInt32LE(pos + 4);
+    const body = buf.subarray(pos + 8, Math.min(pos + 8 + size, buf.length));
+    if (id === "fmt ") {
+      fmt = {
+        audioFormat: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14),
+      };
+    } else if (id === "data") {
+      data = body;
+    }
+    pos += 8 + size + (size % 2);
+  }
+  if (!fmt || !data) throw new Error("WAV is missing fmt or data chunk");
+  return { fmt, data };
+}
+
+export function buildWav({ audioFormat, channels, sampleRate, bitsPerSample }, data) {
+  const blockAlign = (channels * bitsPerSample) / 8;
+  const isPcm = audioFormat === 1;
+  // Non-PCM formats (e.g. 7 = mu-law) carry a cbSize field and a fact chunk.
+  const fmtSize = isPcm ? 16 : 18;
+  const factSize = isPcm ? 0 : 12;
+  const header = Buffer.alloc(12 + 8 + fmtSize + factSize + 8);
+
+  let o = 0;
+  header.write("RIFF", o); o += 4;
+  header.writeUInt32LE(header.length - 8 + data.length, o); o += 4;
+  header.write("WAVE", o); o += 4;
+  header.write("fmt ", o); o += 4;
+  header.writeUInt32LE(fmtSize, o); o += 4;
+  header.writeUInt16LE(audioFormat, o); o += 2;
+  header.writeUInt16LE(channels, o); o += 2;
+  header.writeUInt32LE(sampleRate, o); o += 4;
+  header.writeUInt32LE(sampleRate * blockAlign, o); o += 4;
+  header.writeUInt16LE(blockAlign, o); o += 2;
+  header.writeUInt16LE(bitsPerSample, o); o += 2;
+  if (!isPcm) {
+    header.writeUInt16LE(0, o); o += 2;
+    header.write("fact", o); o += 4;
+    header.writeUInt32LE(4, o); o += 4;
+    header.writeUInt32LE(Math.floor(data.length / blockAlign), o); o += 4;
+  }
+  header.write("data", o); o += 4;
+  header.writeUInt32LE(data.length, o);
+
+  return Buffer.concat([header, data]);
+}
+
+// Wraps bare samples in a WAV header so every sample encoding plays in a browser; files that already
+// have one are returned as they are.
+export function withContainer(audioEncoding, buf, sampleRateHertz) {
+  if (!isWav(audioEncoding) || buf.toString("ascii", 0, 4) === "RIFF") return buf;
+  return buildWav({ ...WAV_FORMATS[audioEncoding], channels: 1, sampleRate: sampleRateHertz }, buf);
+}
+
+function concatWav(buffers) {
+  const parts = buffers.map(parseWav);
+  const { fmt } = parts[0];
+  for (const p of parts) {
+    if (p.fmt.sampleRate !== fmt.sampleRate || p.fmt.channels !== fmt.channels || p.fmt.audioFormat !== fmt.audioFormat) {
+      throw new Error("Cannot join WAV chunks with different formats");
+    }
+  }
+  return buildWav(fmt, Buffer.concat(parts.map((p) => p.data)));
+}
+
+// ---- MP3 (MPEG audio Layer III frames) ----
+const MP3_BITRATES_KBPS = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+
+export function parseMp3FrameHeader(buf, pos) {
+  if (pos + 4 > buf.length) return null;
+  if (buf[pos] !== 0xff || (buf[pos + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buf[pos + 1] >> 3) & 0x03;
+  const layerBits = (buf[pos + 1] >> 1) & 0x03;
+  const bitrateIdx = (buf[pos + 2] >> 4) & 0x0f;
+  const sampleRateIdx = (buf[pos + 2] >> 2) & 0x03;
+  const padding = (buf[pos + 2] >> 1) & 0x01;
+  const channelMode = (buf[pos + 3] >> 6) & 0x03;
+
+  if (versionBits === 1 || layerBits !== 1 || bitrateIdx === 0 || bitrateIdx === 15 || sampleRateIdx === 3) return null;
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const bitrateKbps = MP3_BITRATES_KBPS[version === 1 ? 1 : 2][bitrateIdx];
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIdx];
+  const coef = version === 1 ? 144 : 72;
+  const frameLength = Math.floor((coef * bitrateKbps * 1000) / sampleRate) + padding;
+
+  return {
+    version,
+    bitrateKbps,
+    sampleRate,
+    channels: channelMode === 3 ? 1 : 2,
+    frameLength,
+    samplesPerFrame: version === 1 ? 1152 : 576,
+  };
+}
+
+function id3v2Length(buf) {
+  if (buf.length < 10 || buf.toString("ascii", 0, 3) !== "ID3") return 0;
+  const size = ((buf[6] & 0x7f) << 21) | ((buf[7] & 0x7f) << 14) | ((buf[8] & 0x7f) << 7) | (buf[9] & 0x7f);
+  const hasFooter = (buf[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+// Xing/Info frames describe the whole file (duration, TOC); once files are joined they are wrong, so drop them.
+function isXingFrame(buf, pos, header) {
+  const sideInfo = header.version === 1 ? (header.channels === 1 ? 17 : 32) : (header.channels === 1 ? 9 : 17);
+  const tag = buf.toString("ascii", pos + 4 + sideInfo, pos + 8 + sideInfo);
+  return tag === "Xing" || tag === "Info";
+}
+
+export function mp3Frames(buf) {
+  const frames = [];
+  let pos = id3v2Length(buf);
+  while (pos < buf.length) {
+    const header = parseMp3FrameHeader(buf, pos);
+    if (!header || pos + header.frameLength > buf.length) {
+      pos++;
+      continue;
+    }
+    if (!(frames.length === 0 && isXingFrame(buf, pos, header))) {
+      frames.push({ header, bytes: buf.subarray(pos, pos + header.frameLength) });
+    }
+    pos += header.frameLength;
+  }
+  return frames;
+}
+
+function concatMp3(buffers) {
+  // Only whole frames are copied, so ID3 tags, Xing headers and trailing garbage never end up mid-stream.
+  return Buffer.concat(buffers.flatMap((b) => mp3Frames(b).map((f) => f.bytes)));
+}
+
+// ---- Ogg (OGG_OPUS) ----
+const OGG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let r = i << 24;
+    for (let j = 0; j < 8; j++) {
+      r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+    }
+    table[i] = r >>> 0;
+  }
+  return table;
+})();
+
+function oggCrc(buf) {
+  let crc = 0;
+  for (let i = 0; i < buf.length; i++) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) & 0xff) ^ buf[i]]) >>> 0;
+  }
+  return crc;
+}
+
+export function parseOggPages(buf) {
+  const pages = [];
+  let pos = 0;
+  while (pos + 27 <= buf.length) {
+    if (buf.toString("ascii", pos, pos + 4) !== "OggS") throw new Error(`Bad Ogg capture pattern at byte ${pos}`);
+    const segmentCount = buf[pos + 26];
+    const segments = buf.subarray(pos + 27, pos + 27 + segmentCount);
+    const bodyLength = segments.reduce((sum, n) => sum + n, 0);
+    const bodyStart = pos + 27 + segmentCount;
+    pages.push({
+      headerType: buf[pos + 5],
+      granule: buf.readBigInt64LE(pos + 6),
+      serial: buf.readUInt32LE(pos + 14),
+      sequence: buf.readUInt32LE(pos + 18),
+      segments: Buffer.from(segments),
+      body: buf.subarray(bodyStart, bodyStart + bodyLength),
+    });
+    pos = bodyStart + bodyLength;
+  }
+  return pages;
+}
+
+export function writeOggPage({ headerType, granule, serial, sequence, segments, body }) {
+  const page = Buffer.alloc(27 + segments.length + body.length);
+  page.write("OggS", 0, "ascii");
+  page[4] = 0;
+  page[5] = headerType;
+  page.writeBigInt64LE(granule, 6);
+  page.writeUInt32LE(serial, 14);
+  page.writeUInt32LE(sequence, 18);
+  page.writeUInt32LE(0, 22);
+  page[26] = segments.length;
+  segments.copy(page, 27);
+  body.copy(page, 27 + segments.length);
+  page.writeUInt32LE(oggCrc(page), 22);
+  return page;
+}
+
+// The first two packets of an Opus stream are OpusHead and OpusTags; audio always starts on a fresh page.
+function opusHeaderPageCount(pages) {
+  let packets = 0;
+  for (let i = 0; i < pages.length; i++) {
+    packets += pages[i].segments.filter((n) => n < 255).length;
+    if (packets >= 2) return i + 1;
+  }
+  return pages.length;
+}
+
+function concatOggOpus(buffers) {
+  const streams = buffers.map(parseOggPages);
+  const serial = streams[0][0]?.serial ?? 0;
+  const out = [];
+  let sequence = 0;
+  let granuleOffset = 0n;
+
+  streams.forEach((pages, idx) => {
+    const headerPages = opusHeaderPageCount(pages);
+    const keep = idx === 0 ? pages : pages.slice(headerPages);
+    let lastGranule = 0n;
+
+    for (const page of keep) {
+      // -1 marks a page on which no packet ends; it has no position of its own.
+      const granule = page.granule === -1n ? -1n : page.granule + granuleOffset;
+      if (page.granule !== -1n) lastGranule = page.granule;
+      out.push({ ...page, serial, sequence: sequence++, granule, headerType: page.headerType & ~0x04 & ~(out.length ? 0x02 : 0) });
+    }
+    // Later chunks' pre-skip samples are decoded as-is; at 48 kHz that's a few ms of codec warm-up per seam.
+    granuleOffset += lastGranule;
+  });
+
+  if (out.length) out[out.length - 1].headerType |= 0x04;
+  return Buffer.concat(out.map(writeOggPage));
+}
+
+// Ogg Opus stream of silence: OpusHead, OpusTags and one standard 20 ms silent CELT packet per frame.
+const OPUS_PRE_SKIP = 312;
+const OPUS_FRAME_SAMPLES = 960; // 20 ms at 48 kHz
+const OPUS_SILENT_PACKET = Buffer.from([0xf8, 0xff, 0xfe]);
+const OPUS_PACKETS_PER_PAGE = 50;
+
+export function silentOggOpus(seconds, { serial = 0, inputSampleRate = 24000 } = {}) {
+  const head = Buffer.alloc(19);
+  head.write("OpusHead", 0, "ascii");
+  head[8] = 1; // version
+  head[9] = 1; // channels
+  head.writeUInt16LE(OPUS_PRE_SKIP, 10);
+  head.writeUInt32LE(inputSampleRate, 12);
+  const vendor = Buffer.from("tts-google");
+  const tags = Buffer.alloc(8 + 4 + vendor.length + 4);
+  tags.write("OpusTags", 0, "ascii");
+  tags.writeUInt32LE(vendor.length, 8);
+  vendor.copy(tags, 12);
+
+  const pages = [
+    { headerType: 0x02, granule: 0n, body: head, segments: Buffer.from([head.length]) },
+    { headerType: 0, granule: 0n, body: tags, segments: Buffer.from([tags.length]) },
+  ];
+  const endGranule = OPUS_PRE_SKIP + Math.round(seconds * 48000);
+  const packetCount = Math.ceil(endGranule / OPUS_FRAME_SAMPLES);
+  for (let first = 0; first < packetCount; first += OPUS_PACKETS_PER_PAGE) {
+    const count = Math.min(OPUS_PACKETS_PER_PAGE, packetCount - first);
+    const last = first + count === packetCount;
+    pages.push({
+      headerType: last ? 0x04 : 0,
+      // The last page's granule trims the final frame to the exact length.
+      granule: BigInt(last ? endGranule : (first + count) * OPUS_FRAME_SAMPLES),
+      body: Buffer.concat(Array.from({ length: count }, () => OPUS_SILENT_PACKET)),
+      segments: Buffer.alloc(count, OPUS_SILENT_PACKET.length),
+    });
+  }
+  return Buffer.concat(pages.map((p, sequence) => writeOggPage({ ...p, serial, sequence })));
+}
+
+// Silence in the same format as `sample` (sample rate, channels, MPEG version and bitrate), to be joined
+// with concatAudio — e.g. the pauses between dialogue turns.
+export function silenceLike(audioEncoding, sample, seconds) {
+  if (isWav(audioEncoding)) {
+    const { fmt } = parseWav(sample);
+    const bytes = Math.round(seconds * fmt.sampleRate) * fmt.channels * (fmt.bitsPerSample / 8);
+    // µ-law encodes zero as 0xFF, A-law as 0xD5
+    return buildWav(fmt, Buffer.alloc(bytes, fmt.audioFormat === 7 ? 0xff : fmt.audioFormat === 6 ? 0xd5 : 0));
+  }
+  if (audioEncoding === "MP3") {
+    const [first] = mp3Frames(sample);
+    if (!first) throw new Error("No MP3 frames to copy the format from");
+    // Same header without CRC or padding; all-zero side info and main data decode to silence.
+    const header = Buffer.from(first.bytes.subarray(0, 4));
+    header[1] |= 0x01;
+    header[2] &= ~0x02;
+    const { frameLength, samplesPerFrame, sampleRate } = parseMp3FrameHeader(header, 0);
+    const frame = Buffer.alloc(frameLength);
+    header.copy(frame);
+    return Buffer.concat(Array.from({ length: Math.round((seconds * sampleRate) / samplesPerFrame) }, () => frame));
+  }
+  if (audioEncoding === "OGG_OPUS") {
+    return silentOggOpus(seconds, { serial: parseOggPages(sample)[0]?.serial ?? 0 });
+  }
+  throw new Error(`Silence for ${audioEncoding} is not supported`);
+}
+
+export function concatAudio(audioEncoding, buffers) {
+  if (buffers.length === 1) return buffers[0];
+  if (isWav(audioEncoding)) return concatWav(buffers);
+  if (audioEncoding === "MP3") return concatMp3(buffers);
+  if (audioEncoding === "OGG_OPUS") return concatOggOpus(buffers);
+  throw new Error(`Joining ${audioEncoding} audio is not supported`);
+}
+
+// Playback length in seconds, read from the container; null if the bytes can't be parsed.
+export function audioDurationSec(audioEncoding, buf) {
+  try {
+    if (isWav(audioEncoding)) {
+      const { fmt, data } = parseWav(buf);
+      return data.length / (fmt.sampleRate * fmt.channels * (fmt.bitsPerSample / 8));
+    }
+    if (audioEncoding === "MP3") {
+      const frames = mp3Frames(buf);
+      return frames.length ? frames.reduce((sum, f) => sum + f.header.samplesPerFrame / f.header.sampleRate, 0) : null;
+    }
+    if (audioEncoding === "OGG_OPUS") {
+      // Opus granule positions count 48 kHz samples, including the pre-skip declared in OpusHead.
+      const pages = parseOggPages(buf);
+      const preSkip = pages[0]?.body.readUInt16LE(10) ?? 0;
+      const last = pages.findLast((p) => p.granule !== -1n);
+      return last ? Math.max(0, Number(last.granule) - preSkip) / 48000 : null;
+    }
+    if (audioEncoding === "M4A") {
+      const mdhd = mp4AudioHeader(buf);
+      return mdhd ? mdhd.duration / mdhd.timescale : null;
+    }
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+// ---- MP4 (M4A): only the audio track's media header is read ----
+const MP4_CONTAINER_BOXES = new Set(["moov", "trak", "mdia"]);
+
+function mp4AudioHeader(buf, start = 0, end = buf.length) {
+  for (let pos = start; pos + 8 <= end; ) {
+    let size = buf.readUInt32BE(pos);
+    const type = buf.toString("ascii", pos + 4, pos + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buf.readBigUInt64BE(pos + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < headerSize || pos + size > end) return null;
+    if (type === "mdhd") {
+      const body = pos + headerSize;
+      const v1 = buf[body] === 1;
+      return {
+        timescale: buf.readUInt32BE(body + (v1 ? 20 : 12)),
+        duration: v1 ? Number(buf.readBigUInt64BE(body + 24)) : buf.readUInt32BE(body + 16),
+      };
+    }
+    if (MP4_CONTAINER_BOXES.has(type)) {
+      const found = mp4AudioHeader(buf, pos + headerSize, pos + size);
+      if (found) return found;
+    }
+    pos += size;
+  }
+  return null;
+}
+
+// Container, sample rate, channels, bitrate and size of a finished file, for display next to the audio.
+// Fields that can't be read from the bytes are null.
+export function describeAudio(audioEncoding, buf) {
+  const durationSec = audioDurationSec(audioEncoding, buf);
+  const info = {
+    ...(CONTAINERS[audioEncoding] ?? { container: audioEncoding, mimeType: mimeTypeFor(audioEncoding), extension: extensionFor(audioEncoding) }),
+    sampleRateHertz: null,
+    channels: null,
+    bitsPerSample: null,
+    // Average over the file; exact for WAV and constant-bitrate MP3.
+    bitrateKbps: durationSec ? Math.round((buf.length * 8) / durationSec / 1000) : null,
+    bytes: buf.length,
+    durationSec: durationSec == null ? null : Math.round(durationSec * 1000) / 1000,
+  };
+  try {
+    if (isWav(audioEncoding)) {
+      const { fmt } = parseWav(buf);
+      Object.assign(info, {
+        sampleRateHertz: fmt.sampleRate,
+        channels: fmt.channels,
+        bitsPerSample: fmt.bitsPerSample,
+        bitrateKbps: (fmt.sampleRate * fmt.channels * fmt.bitsPerSample) / 1000,
+      });
+    } else if (audioEncoding === "MP3") {
+      const [first] = mp3Frames(buf);
+      if (first) Object.assign(info, { sampleRateHertz: first.header.sampleRate, channels: first.header.channels });
+    } else if (audioEncoding === "OGG_OPUS") {
+      // Opus always decodes at 48 kHz; OpusHead also records the rate of the original input.
+      const head = parseOggPages(buf)[0]?.body;
+      if (head?.toString("ascii", 0, 8) === "OpusHead") Object.assign(info, { sampleRateHertz: 48000, channels: head[9] });
+    } else if (audioEncoding === "M4A") {
+      info.sampleRateHertz = mp4AudioHeader(buf)?.timescale ?? null;
+    }
+  } catch {
+    // leave the fields we couldn't read as null
+  }
+  return info;
+}
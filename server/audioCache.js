@@ -0,0 +1,161 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { log } from "./logger.js";
+
+// ---- Content-addressed audio cache on disk ----
+// One file per synthesized clip, named by a hash of the exact Google request, plus an index.json
+// holding metadata and counters. Entries expire after `ttlSec` and are evicted least-recently-used
+// once the total size passes `maxBytes`.
+
+// JSON.stringify with sorted keys, so equivalent requests hash identically.
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function cacheKeyFor(request) {
+  return crypto.createHash("sha256").update(stableStringify(request)).digest("hex");
+}
+
+export function createAudioCache({ dir, ttlSec, maxBytes }) {
+  const indexPath = path.join(dir, "index.json");
+  let state = null; // { entries: { [key]: meta }, stats: { hits, misses, costSavedUsd } }
+  let saveTimer = null;
+
+  async function load() {
+    if (state) return state;
+    await fs.mkdir(dir, { recursive: true });
+    try {
+      state = JSON.parse(await fs.readFile(indexPath, "utf8"));
+    } catch {
+      state = { entries: {}, stats: { hits: 0, misses: 0, costSavedUsd: 0 } };
+    }
+    return state;
+  }
+
+  // Hits touch lastAccessAt on every request, so index writes are batched.
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(async () => {
+      saveTimer = null;
+      const tmp = `${indexPath}.tmp`;
+      try {
+        await fs.writeFile(tmp, JSON.stringify(state));
+        await fs.rename(tmp, indexPath);
+      } catch (e) {
+        log.error("audio cache: failed to save index", { err: e });
+      }
+    }, 1000);
+    saveTimer.unref?.();
+  }
+
+  const fileFor = (key) => path.join(dir, `${key}.bin`);
+  const isExpired = (meta, now) => now - meta.createdAtMs > ttlSec * 1000;
+
+  async function remove(key) {
+    delete state.entries[key];
+    await fs.rm(fileFor(key), { force: true });
+  }
+
+  async function prune() {
+    const now = Date.now();
+    const entries = Object.entries(state.entries);
+    for (const [key, meta] of entries) {
+      if (isExpired(meta, now)) await remove(key);
+    }
+    let total = Object.values(state.entries).reduce((sum, m) => sum + m.bytes, 0);
+    const byAge = Object.entries(state.entries).sort((a, b) => a[1].lastAccessAtMs - b[1].lastAccessAtMs);
+    for (const [key, meta] of byAge) {
+      if (total <= maxBytes) break;
+      total -= meta.bytes;
+      await remove(key);
+    }
+  }
+
+  return {
+    async get(key) {
+      await load();
+      const meta = state.entries[key];
+      if (!meta || isExpired(meta, Date.now())) {
+        if (meta) await remove(key);
+        state.stats.misses++;
+        scheduleSave();
+        return null;
+      }
+      let audioContent;
+      try {
+        audioContent = await fs.readFile(fileFor(key));
+      } catch {
+        // Index and files got out of sync (e.g. files deleted by hand); treat as a miss.
+        await remove(key);
+        state.stats.misses++;
+        scheduleSave();
+        return null;
+      }
+      meta.hits++;
+      meta.lastAccessAtMs = Date.now();
+      state.stats.hits++;
+      state.stats.costSavedUsd += meta.estimatedCostUsd || 0;
+      scheduleSave();
+      return { audioContent, meta };
+    },
+
+    async set(key, audioContent, meta) {
+      await load();
+      await fs.writeFile(fileFor(key), audioContent);
+      const now = Date.now();
+      state.entries[key] = { ...meta, bytes: audioContent.length, createdAtMs: now, lastAccessAtMs: now, hits: 0 };
+      await prune();
+      scheduleSave();
+    },
+
+    async stats() {
+      await load();
+      const entries = Object.values(state.entries);
+      const { hits, misses, costSavedUsd } = state.stats;
+      return {
+        entryCount: entries.length,
+        totalBytes: entries.reduce((sum, m) => sum + m.bytes, 0),
+        maxBytes,
+        ttlSec,
+        hits,
+        misses,
+        hitRatio: hits + misses ? hits / (hits + misses) : null,
+        costSavedUsd,
+      };
+    },
+
+    async list() {
+      await load();
+      return Object.entries(state.entries)
+        .map(([key, meta]) => ({
+          key,
+          ...meta,
+          createdAt: new Date(meta.createdAtMs).toISOString(),
+          lastAccessAt: new Date(meta.lastAccessAtMs).toISOString(),
+        }))
+        .sort((a, b) => b.lastAccessAtMs - a.lastAccessAtMs);
+    },
+
+    async delete(key) {
+      await load();
+      if (!state.entries[key]) return false;
+      await remove(key);
+      scheduleSave();
+      return true;
+    },
+
+    async purge() {
+      await load();
+      const keys = Object.keys(state.entries);
+      for (const key of keys) await remove(key);
+      scheduleSave();
+      return keys.length;
+    },
+  };
+}
@@ -0,0 +1,201 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { log } from "./logger.js";
+
+// ---- API keys, login sessions and per-key limits ----
+// Keys look like "tts_<32 chars>" and are shown once, when created; keys.json only keeps their SHA-256 (they
+// are random, so a slow salted hash would add nothing). The browser trades a key for a signed session cookie
+// at login, so <audio src> and download links work without custom headers. The HMAC secret for sessions
+// is generated on first start and kept next to the keys.
+
+const KEY_PREFIX = "tts_";
+export const SESSION_COOKIE = "tts_session";
+export const SESSION_TTL_MS = 7 * 24 * 3600 * 1000;
+// Id of the key given by ADMIN_API_KEY; it isn't stored, so it can't be listed, revoked or metered.
+const BOOTSTRAP_ID = "bootstrap";
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+const monthKey = (d = new Date()) => d.toISOString().slice(0, 7);
+
+function safeEqual(a, b) {
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Value of one cookie from the request's Cookie header.
+export function readCookie(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i !== -1 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+// A key as the API shows it: no hash, this month's usage alongside the limits.
+export function publicKey(key) {
+  const { hash, usage, ...rest } = key;
+  return { ...rest, usage: usage?.[monthKey()] ?? { requests: 0, billableChars: 0, estimatedCostUsd: 0 } };
+}
+
+export function createKeyStore({ dir, bootstrapAdminKey }) {
+  const filePath = path.join(dir, "keys.json");
+  const secretPath = path.join(dir, "session-secret");
+  const bootstrap = bootstrapAdminKey
+    ? { id: BOOTSTRAP_ID, name: "Bootstrap admin (ADMIN_API_KEY)", role: "admin", prefix: bootstrapAdminKey.slice(0, 8), rateLimitPerMin: 0, monthlyCharQuota: 0, hash: hashKey(bootstrapAdminKey) }
+    : null;
+  let keys = null;
+  let byHash = new Map();
+  let secret = null;
+  let saving = Promise.resolve();
+
+  async function load() {
+    if (keys) return keys;
+    await fs.mkdir(dir, { recursive: true });
+    try {
+      keys = JSON.parse(await fs.readFile(filePath, "utf8")).keys || [];
+    } catch {
+      keys = [];
+    }
+    byHash = new Map(keys.map((k) => [k.hash, k]));
+    try {
+      secret = await fs.readFile(secretPath, "utf8");
+    } catch {
+      secret = crypto.randomBytes(32).toString("hex");
+      await fs.writeFile(secretPath, secret, { mode: 0o600 });
+    }
+    return keys;
+  }
+
+  // Writes are chained so usage updates from concurrent requests never interleave.
+  function save() {
+    const snapshot = JSON.stringify({ keys }, null, 2);
+    saving = saving
+      .then(() => fs.writeFile(`${filePath}.tmp`, snapshot, { mode: 0o600 }))
+      .then(() => fs.rename(`${filePath}.tmp`, filePath))
+      .catch((e) => log.error("auth: failed to save keys", { err: e }));
+    return saving;
+  }
+
+  const sign = (payload) => crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+
+  return {
+    async create({ name, role, rateLimitPerMin, monthlyCharQuota }) {
+      await load();
+      const apiKey = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+      const key = {
+        id: crypto.randomUUID(),
+        name,
+        role,
+        // Enough to recognise a key in lists and logs without revealing it
+        prefix: apiKey.slice(0, 8),
+        hash: hashKey(apiKey),
+        rateLimitPerMin,
+        monthlyCharQuota,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null,
+        usage: {},
+      };
+      keys.push(key);
+      byHash.set(key.hash, key);
+      await save();
+      return { apiKey, key: publicKey(key) };
+    },
+
+    async list() {
+      await load();
+      return keys.map(publicKey).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    async get(id) {
+      await load();
+      if (bootstrap && id === BOOTSTRAP_ID) return bootstrap;
+      return keys.find((k) => k.id === id) ?? null;
+    },
+
+    async update(id, fields) {
+      await load();
+      const key = keys.find((k) => k.id === id);
+      if (!key) return null;
+      Object.assign(key, fields);
+      await save();
+      return publicKey(key);
+    },
+
+    async revoke(id) {
+      await load();
+      const key = keys.find((k) => k.id === id);
+      if (!key) return null;
+      key.revokedAt ??= new Date().toISOString();
+      await save();
+      return publicKey(key);
+    },
+
+    // The active key for a presented secret, or null.
+    async authenticate(apiKey) {
+      await load();
+      if (typeof apiKey !== "string" || !apiKey) return null;
+      const hash = hashKey(apiKey);
+      if (bootstrap && safeEqual(hash, bootstrap.hash)) return bootstrap;
+      const key = byHash.get(hash);
+      return key && !key.revokedAt ? key : null;
+    },
+
+    // Cookie value "<key id>.<expiry ms>.<hmac>"; revoking the key ends its sessions too.
+    async issueSession(key) {
+      await load();
+      const payload = `${key.id}.${Date.now() + SESSION_TTL_MS}`;
+      return `${payload}.${sign(payload)}`;
+    },
+
+    async fromSession(value) {
+      await load();
+      const [id, expires, signature] = (value || "").split(".");
+      if (!id || !expires || !signature || !safeEqual(signature, sign(`${id}.${expires}`))) return null;
+      if (Number(expires) < Date.now()) return null;
+      const key = await this.get(id);
+      return key && !key.revokedAt ? key : null;
+    },
+
+    // Billable characters this key has sent to the provider this month.
+    async usedChars(id) {
+      await load();
+      return keys.find((k) => k.id === id)?.usage?.[monthKey()]?.billableChars ?? 0;
+    },
+
+    async recordUsage(id, { billableChars, estimatedCostUsd }) {
+      await load();
+      const key = keys.find((k) => k.id === id);
+      if (!key) return;
+      const month = (key.usage[monthKey()] ??= { requests: 0, billableChars: 0, estimatedCostUsd: 0 });
+      month.requests += 1;
+      month.billableChars += billableChars;
+      month.estimatedCostUsd += estimatedCostUsd;
+      key.lastUsedAt = new Date().toISOString();
+      await save();
+    },
+  };
+}
+
+// Requests per key over the last minute (sliding window), kept in memory.
+export function createRateLimiter() {
+  const hits = new Map();
+
+  return {
+    // -> { allowed, remaining, retryAfterSec }; a limit of 0 means unlimited.
+    take(id, limitPerMin) {
+      if (!limitPerMin) return { allowed: true, remaining: null, retryAfterSec: 0 };
+      const now = Date.now();
+      const recent = (hits.get(id) || []).filter((t) => t > now - 60_000);
+      if (recent.length >= limitPerMin) {
+        hits.set(id, recent);
+        return { allowed: false, remaining: 0, retryAfterSec: Math.ceil((recent[0] + 60_000 - now) / 1000) };
+      }
+      recent.push(now);
+      hits.set(id, recent);
+      return { allowed: true, remaining: limitPerMin - recent.length, retryAfterSec: 0 };
+    },
+  };
+}
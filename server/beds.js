@@ -0,0 +1,137 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { decodeAudio, integratedLoudness } from "./analysis.js";
+import { parseWav } from "./audio.js";
+import { httpError } from "./errors.js";
+import { resample } from "./postprocess.js";
+
+// ---- Background beds: uploaded music/ambience mixed under speech by the post-processing stage ----
+// Each upload is checked by decoding it, then kept as <dir>/<id>.<ext> with its metadata (duration, rate,
+// loudness) in <dir>/beds.json. Decoded samples are held in memory for the few most recently used beds,
+// per output sample rate, since a bed is typically reused for a whole session.
+
+const DECODED_CACHE_SIZE = 4;
+
+// Uploaded files are identified by their content, not their name.
+function sniffEncoding(buf) {
+  const magic = buf.toString("ascii", 0, 4);
+  if (magic === "RIFF") return "LINEAR16";
+  if (magic === "OggS") return "OGG_OPUS";
+  if (magic.startsWith("ID3") || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0)) return "MP3";
+  return null;
+}
+
+const EXTENSIONS = { LINEAR16: "wav", OGG_OPUS: "ogg", MP3: "mp3" };
+
+export function createBedStore({ dir, maxBytes, maxSec }) {
+  const indexPath = path.join(dir, "beds.json");
+  const decoded = new Map(); // `${id}@${rate}` -> Float32Array, oldest first
+  let beds = null;
+
+  async function load() {
+    if (beds) return beds;
+    await fs.mkdir(dir, { recursive: true });
+    try {
+      beds = JSON.parse(await fs.readFile(indexPath, "utf8")).beds || [];
+    } catch {
+      beds = [];
+    }
+    return beds;
+  }
+
+  async function save() {
+    const tmp = `${indexPath}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ beds }, null, 2));
+    await fs.rename(tmp, indexPath);
+  }
+
+  async function decode(encoding, data) {
+    if (encoding === "LINEAR16") {
+      const { fmt } = parseWav(data);
+      const supported = (fmt.audioFormat === 1 && fmt.bitsPerSample === 16) || fmt.audioFormat === 6 || fmt.audioFormat === 7;
+      if (!supported) throw httpError(400, "WAV beds must be 16-bit PCM, µ-law or A-law.");
+    }
+    try {
+      return await decodeAudio(encoding, data);
+    } catch (e) {
+      throw httpError(400, `The file could not be decoded as ${encoding === "OGG_OPUS" ? "Ogg Opus" : encoding === "LINEAR16" ? "WAV" : encoding}: ${e.message}`);
+    }
+  }
+
+  return {
+    async list() {
+      await load();
+      return [...beds].sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async get(id) {
+      await load();
+      return beds.find((b) => b.id === id) ?? null;
+    },
+
+    async add({ name, fileName, data }) {
+      await load();
+      if (data.length > maxBytes) throw httpError(400, `Beds can be at most ${Math.round(maxBytes / 1024 / 1024)} MB.`);
+      const encoding = sniffEncoding(data);
+      if (!encoding) throw httpError(400, "Unsupported file: upload a WAV, MP3 or Ogg Opus file.");
+      const result = await decode(encoding, data);
+      if (!result?.samples.length) throw httpError(400, "The file contains no audio.");
+      const durationSec = result.samples.length / result.sampleRate;
+      if (durationSec > maxSec) throw httpError(400, `Beds can be at most ${maxSec} seconds long; this one is ${Math.round(durationSec)}.`);
+
+      const id = crypto.randomUUID();
+      const bed = {
+        id,
+        name,
+        fileName: fileName ?? null,
+        file: `${id}.${EXTENSIONS[encoding]}`,
+        encoding,
+        bytes: data.length,
+        durationSec: Number(durationSec.toFixed(3)),
+        sampleRateHertz: result.sampleRate,
+        integratedLufs: integratedLoudness(result.samples, result.sampleRate),
+        createdAt: new Date().toISOString(),
+      };
+      if (bed.integratedLufs != null) bed.integratedLufs = Number(bed.integratedLufs.toFixed(1));
+      await fs.writeFile(path.join(dir, bed.file), data);
+      beds.push(bed);
+      await save();
+      return bed;
+    },
+
+    async delete(id) {
+      await load();
+      const bed = beds.find((b) => b.id === id);
+      if (!bed) return false;
+      beds = beds.filter((b) => b !== bed);
+      for (const key of decoded.keys()) if (key.startsWith(`${id}@`)) decoded.delete(key);
+      await save();
+      await fs.rm(path.join(dir, bed.file), { force: true });
+      return true;
+    },
+
+    async audio(id) {
+      const bed = await this.get(id);
+      return bed ? { bed, data: await fs.readFile(path.join(dir, bed.file)) } : null;
+    },
+
+    // Mono samples at `sampleRate`, ready to mix.
+    async samples(id, sampleRate) {
+      const key = `${id}@${sampleRate}`;
+      if (decoded.has(key)) {
+        const cached = decoded.get(key);
+        decoded.delete(key);
+        decoded.set(key, cached);
+        return cached;
+      }
+      const stored = await this.audio(id);
+      if (!stored) return null;
+      const result = await decode(stored.bed.encoding, stored.data);
+      const samples = resample(result.samples, result.sampleRate, sampleRate);
+      decoded.set(key, samples);
+      while (decoded.size > DECODED_CACHE_SIZE) decoded.delete(decoded.keys().next().value);
+      return samples;
+    },
+  };
+}
@@ -0,0 +1,266 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { PRICE_PER_1M_USD } from "./billing.js";
+import { classifyError } from "./errors.js";
+import { log } from "./logger.js";
+
+// ---- Latency benchmarks ----
+// A run sends every text to every voice `iterations` times through the normal synthesis pipeline (cache
+// bypassed) and reports latency percentiles, throughput, failure rate and cost per voice and per voice type.
+// Voices are measured one after another: each gets `warmup` unrecorded requests (connection setup, model
+// load), then its measured requests at the run's concurrency, so a voice's throughput is its own
+// requests over its own wall time. Runs are kept as <dir>/<id>.json; a run interrupted by a restart is
+// marked as such rather than resumed, since its timings would mix two processes.
+
+// Linear interpolation between closest ranks (Excel PERCENTILE.INC, R type 7); `sorted` ascending.
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+const round = (n, digits = 1) => (n == null || !Number.isFinite(n) ? null : Number(n.toFixed(digits)));
+
+function latencyStats(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  return {
+    p50: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    p99: round(percentile(sorted, 99)),
+    mean: round(sorted.reduce((s, v) => s + v, 0) / sorted.length),
+    min: round(sorted[0]),
+    max: round(sorted[sorted.length - 1]),
+  };
+}
+
+// Statistics for one group of measured samples; `wallMs` is the time the group's measured phase(s) took.
+function summarize(samples, wallMs, voiceType) {
+  const ok = samples.filter((s) => s.ok);
+  const billableChars = ok.reduce((sum, s) => sum + s.billableChars, 0);
+  const estimatedCostUsd = ok.reduce((sum, s) => sum + s.estimatedCostUsd, 0);
+  const audioSec = ok.reduce((sum, s) => sum + (s.audioSec ?? 0), 0);
+  const wallSec = wallMs / 1000;
+  return {
+    requests: samples.length,
+    succeeded: ok.length,
+    failed: samples.length - ok.length,
+    failureRate: samples.length ? round((samples.length - ok.length) / samples.length, 4) : null,
+    ttsMs: latencyStats(ok.map((s) => s.ttsMs)),
+    totalMs: latencyStats(ok.map((s) => s.totalMs)),
+    throughput: {
+      requestsPerSec: wallSec > 0 ? round(ok.length / wallSec, 2) : null,
+      charsPerSec: wallSec > 0 ? round(billableChars / wallSec, 1) : null,
+      // Seconds of audio produced per second of wall time
+      audioSecPerSec: wallSec > 0 ? round(audioSec / wallSec, 2) : null,
+    },
+    cost: {
+      billableChars,
+      estimatedCostUsd,
+      per1kRequestsUsd: ok.length ? (estimatedCostUsd / ok.length) * 1000 : null,
+      per1MCharactersUsd: PRICE_PER_1M_USD[voiceType] ?? PRICE_PER_1M_USD.OTHER,
+    },
+    errors: Object.entries(
+      samples.filter((s) => !s.ok).reduce((acc, s) => ({ ...acc, [s.errorCode]: (acc[s.errorCode] ?? 0) + 1 }), {}),
+    ).map(([code, count]) => ({ code, count })),
+  };
+}
+
+function buildReport(run) {
+  const measured = run.samples.filter((s) => !s.warmup);
+  const byVoice = run.config.voices.map((v, index) => {
+    const phase = run.phases[index];
+    const samples = measured.filter((s) => s.voiceIndex === index);
+    return { voiceName: v.voiceName, voiceType: phase?.voiceType ?? null, ...summarize(samples, phase?.wallMs ?? 0, phase?.voiceType) };
+  });
+  const voiceTypes = Array.from(new Set(run.phases.map((p) => p?.voiceType).filter(Boolean)));
+  const byVoiceType = voiceTypes.map((voiceType) => {
+    const indexes = run.phases.flatMap((p, i) => (p?.voiceType === voiceType ? [i] : []));
+    const wallMs = indexes.reduce((sum, i) => sum + run.phases[i].wallMs, 0);
+    return { voiceType, voiceCount: indexes.length, ...summarize(measured.filter((s) => indexes.includes(s.voiceIndex)), wallMs, voiceType) };
+  });
+  return { byVoice, byVoiceType };
+}
+
+function summaryOf(run) {
+  const { samples, ...rest } = run;
+  const measuredTotal = run.config.voices.length * run.config.texts.length * run.config.iterations;
+  const warmupTotal = run.config.voices.length * run.config.warmup;
+  return {
+    ...rest,
+    progress: { done: samples.length, total: measuredTotal + warmupTotal },
+  };
+}
+
+const csvCell = (v) => (v == null ? "" : /[",\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+// runSample({ voiceName, languageCode, text, audioEncoding }) -> { voiceType, ttsMs, billableChars, estimatedCostUsd, bytes, audioSec }
+export function createBenchmarkStore({ dir, runSample }) {
+  const runs = new Map();
+  const saving = new Map();
+  let loaded = null;
+
+  const fileOf = (id) => path.join(dir, `${id}.json`);
+
+  function save(run) {
+    if (runs.get(run.id) !== run) return Promise.resolve(); // deleted while running
+    run.updatedAt = new Date().toISOString();
+    const snapshot = JSON.stringify(run);
+    const chain = (saving.get(run.id) || Promise.resolve())
+      .then(() => fs.writeFile(`${fileOf(run.id)}.tmp`, snapshot))
+      .then(() => fs.rename(`${fileOf(run.id)}.tmp`, fileOf(run.id)))
+      .catch((e) => log.error(`benchmarks: failed to save ${run.id}`, { err: e }));
+    saving.set(run.id, chain);
+    return chain;
+  }
+
+  function load() {
+    loaded ??= (async () => {
+      await fs.mkdir(dir, { recursive: true });
+      for (const file of await fs.readdir(dir)) {
+        if (!file.endsWith(".json")) continue;
+        try {
+          const run = JSON.parse(await fs.readFile(path.join(dir, file), "utf8"));
+          if (run.status === "queued" || run.status === "running") {
+            Object.assign(run, { status: "interrupted", finishedAt: run.updatedAt, report: buildReport(run) });
+          }
+          runs.set(run.id, run);
+        } catch (e) {
+          log.error(`benchmarks: skipping unreadable ${file}`, { err: e });
+        }
+      }
+    })();
+    return loaded;
+  }
+
+  async function sample(run, voiceIndex, textIndex, iteration, warmup) {
+    const voice = run.config.voices[voiceIndex];
+    const startedAt = process.hrtime.bigint();
+    const base = { voiceIndex, voiceName: voice.voiceName, textIndex, iteration, warmup, at: new Date().toISOString() };
+    try {
+      const r = await runSample({ ...voice, text: run.config.texts[textIndex], audioEncoding: run.config.audioEncoding });
+      run.phases[voiceIndex].voiceType = r.voiceType;
+      return { ...base, ok: true, ...r, totalMs: round(Number(process.hrtime.bigint() - startedAt) / 1e6) };
+    } catch (e) {
+      const { code, message } = classifyError(e);
+      return { ...base, ok: false, totalMs: round(Number(process.hrtime.bigint() - startedAt) / 1e6), errorCode: code, error: message };
+    }
+  }
+
+  async function execute(run, context) {
+    run.status = "running";
+    run.startedAt = new Date().toISOString();
+    let lastSave = 0;
+    const record = (s) => {
+      run.samples.push(s);
+      if (Date.now() - lastSave > 2000) {
+        lastSave = Date.now();
+        save(run);
+      }
+    };
+    const { texts, iterations, warmup, concurrency } = run.config;
+
+    for (let v = 0; v < run.config.voices.length && run.status === "running"; v++) {
+      run.phases[v] = { voiceType: null, wallMs: 0 };
+      for (let w = 0; w < warmup && run.status === "running"; w++) record(await context(() => sample(run, v, w % texts.length, w, true)));
+
+      // Iteration-major order, so every text is measured early even if the run is cancelled.
+      const tasks = [];
+      for (let i = 0; i < iterations; i++) for (let t = 0; t < texts.length; t++) tasks.push([t, i]);
+      const phaseStarted = Date.now();
+      let next = 0;
+      const worker = async () => {
+        while (next < tasks.length && run.status === "running") {
+          const [t, i] = tasks[next++];
+          record(await context(() => sample(run, v, t, i, false)));
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
+      run.phases[v].wallMs = Date.now() - phaseStarted;
+    }
+
+    if (run.status === "running") run.status = "completed";
+    run.finishedAt = new Date().toISOString();
+    run.report = buildReport(run);
+    await save(run);
+  }
+
+  return {
+    load,
+
+    // `context(fn)` runs each request, e.g. under the caller's API key.
+    async create({ name, config, ownerKeyId = null, context = (fn) => fn() }) {
+      await load();
+      const run = {
+        id: crypto.randomUUID(),
+        name: name || `Benchmark ${new Date().toISOString().slice(0, 16).replace("T", " ")}`,
+        status: "queued",
+        ownerKeyId,
+        config,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        phases: [],
+        samples: [],
+        report: null,
+      };
+      runs.set(run.id, run);
+      await save(run);
+      execute(run, context).catch((e) => {
+        log.error(`benchmarks: run ${run.id} failed`, { err: e });
+        Object.assign(run, { status: "failed", finishedAt: new Date().toISOString(), error: String(e?.message || e) });
+        save(run);
+      });
+      return summaryOf(run);
+    },
+
+    async list() {
+      await load();
+      return Array.from(runs.values())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(({ report, phases, ...run }) => summaryOf({ ...run, phases }));
+    },
+
+    // Reports are computed on the fly while a run is in progress.
+    async get(id) {
+      await load();
+      const run = runs.get(id);
+      if (!run) return null;
+      return { ...summaryOf(run), report: run.report ?? buildReport(run), samples: run.samples };
+    },
+
+    async cancel(id) {
+      await load();
+      const run = runs.get(id);
+      if (!run) return null;
+      // The loop notices between requests; in-flight requests finish and are kept.
+      if (run.status === "running" || run.status === "queued") run.status = "cancelled";
+      return summaryOf(run);
+    },
+
+    async delete(id) {
+      await load();
+      const run = runs.get(id);
+      if (!run) return false;
+      if (run.status === "running") run.status = "cancelled";
+      runs.delete(id);
+      await saving.get(id);
+      saving.delete(id);
+      await fs.rm(fileOf(id), { force: true });
+      return true;
+    },
+
+    // One row per request (warm-up included, flagged), for analysis elsewhere.
+    async samplesCsv(id) {
+      await load();
+      const run = runs.get(id);
+      if (!run) return null;
+      const columns = ["at", "voiceName", "voiceType", "textIndex", "iteration", "warmup", "ok", "ttsMs", "totalMs", "billableChars", "estimatedCostUsd", "bytes", "audioSec", "errorCode", "error"];
+      const rows = run.samples.map((s) => ({ ...s, voiceType: s.voiceType ?? run.phases[s.voiceIndex]?.voiceType }));
+      return [columns.join(","), ...rows.map((r) => columns.map((c) => csvCell(r[c])).join(","))].join("\r\n");
+    },
+  };
+}
@@ -0,0 +1,184 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { log } from "./logger.js";
+
+// ---- Pricing (USD) per 1 million characters (see Google Cloud pricing page) ----
+export const PRICE_PER_1M_USD = {
+  STANDARD: 4,
+  WAVENET: 4,
+  NEURAL2: 16,
+  STUDIO: 160,
+  CHIRP_HD: 30,
+  POLYGLOT: 16,
+  OTHER: 16, // safe default for "premium-ish"
+  LOCAL: 0, // built-in offline provider (TTS_PROVIDER=local)
+};
+
+// Free characters per calendar month, per tier (same pricing page; verify in your Cloud Console).
+export const FREE_TIER_PER_MONTH = {
+  STANDARD: 4_000_000,
+  WAVENET: 4_000_000,
+  NEURAL2: 1_000_000,
+  STUDIO: 1_000_000,
+  CHIRP_HD: 1_000_000,
+  POLYGLOT: 1_000_000,
+  OTHER: 0,
+  LOCAL: 0,
+};
+
+// These tiers are priced per byte of input rather than per character.
+const BILLED_BY_BYTES = new Set(["NEURAL2", "STUDIO", "POLYGLOT"]);
+
+export function estimateCostUsd(voiceType, charCount) {
+  const per1m = PRICE_PER_1M_USD[voiceType] ?? PRICE_PER_1M_USD.OTHER;
+  return (per1m / 1_000_000) * charCount;
+}
+
+// What Google counts: SSML tags are billed, <mark> tags are not; byte-priced tiers count UTF-8 bytes.
+export function billableCharCount(voiceType, inputType, text) {
+  const billed = inputType === "ssml" ? text.replace(/<mark\b[^>]*?(\/>|>\s*<\/mark\s*>)/g, "") : text;
+  return BILLED_BY_BYTES.has(voiceType) ? Buffer.byteLength(billed, "utf8") : [...billed].length;
+}
+
+const monthKey = (d) => d.toISOString().slice(0, 7);
+const dayKey = (d) => d.toISOString().slice(0, 10);
+
+// ---- Usage ledger ----
+// Every request that reached Google is appended to ledger.jsonl. Per-day and per-month totals
+// (UTC calendar) are rebuilt from it at startup and kept in memory.
+export function createUsageLedger({ dir, softCapUsd, hardCapUsd }) {
+  const ledgerPath = path.join(dir, "ledger.jsonl");
+  let loaded = null;
+  const months = new Map(); // "YYYY-MM" -> { [voiceType]: { chars, requests } }
+  const days = new Map(); // "YYYY-MM-DD" -> same shape
+
+  function add(map, key, voiceType, chars) {
+    if (!map.has(key)) map.set(key, {});
+    const bucket = map.get(key);
+    bucket[voiceType] ??= { chars: 0, requests: 0 };
+    bucket[voiceType].chars += chars;
+    bucket[voiceType].requests += 1;
+  }
+
+  function apply(entry) {
+    const at = new Date(entry.at);
+    add(months, monthKey(at), entry.voiceType, entry.billableChars);
+    add(days, dayKey(at), entry.voiceType, entry.billableChars);
+  }
+
+  function load() {
+    loaded ??= (async () => {
+      await fs.mkdir(dir, { recursive: true });
+      let raw = "";
+      try {
+        raw = await fs.readFile(ledgerPath, "utf8");
+      } catch {
+        return;
+      }
+      for (const line of raw.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          apply(JSON.parse(line));
+        } catch {
+          log.warn("usage: skipping malformed ledger line");
+        }
+      }
+    })();
+    return loaded;
+  }
+
+  // Cost of `chars` more characters of a tier, given what's already been used this month.
+  function marginalCostUsd(voiceType, usedChars, chars) {
+    const free = FREE_TIER_PER_MONTH[voiceType] ?? 0;
+    const before = Math.max(0, usedChars - free);
+    const after = Math.max(0, usedChars + chars - free);
+    return estimateCostUsd(voiceType, after - before);
+  }
+
+  function monthSummary(key) {
+    const bucket = months.get(key) || {};
+    const byVoiceType = Object.entries(bucket)
+      .map(([voiceType, { chars, requests }]) => {
+        const freeTierChars = FREE_TIER_PER_MONTH[voiceType] ?? 0;
+        const billableChars = Math.max(0, chars - freeTierChars);
+        return {
+          voiceType,
+          requests,
+          chars,
+          freeTierChars,
+          freeTierRemainingChars: Math.max(0, freeTierChars - chars),
+          billableChars,
+          grossCostUsd: estimateCostUsd(voiceType, chars),
+          costUsd: estimateCostUsd(voiceType, billableChars),
+        };
+      })
+      .sort((a, b) => b.costUsd - a.costUsd || b.chars - a.chars);
+    return {
+      month: key,
+      byVoiceType,
+      totalChars: byVoiceType.reduce((sum, t) => sum + t.chars, 0),
+      totalCostUsd: byVoiceType.reduce((sum, t) => sum + t.costUsd, 0),
+    };
+  }
+
+  function currentMonthCostUsd() {
+    return monthSummary(monthKey(new Date())).totalCostUsd;
+  }
+
+  return {
+    // Parallel requests are checked before any of them is recorded, so a cap can be overshot by
+    // at most the requests in flight at that moment.
+    async checkBudget(voiceType, chars) {
+      await load();
+      const used = months.get(monthKey(new Date()))?.[voiceType]?.chars ?? 0;
+      const spentUsd = currentMonthCostUsd();
+      const projectedUsd = spentUsd + marginalCostUsd(voiceType, used, chars);
+      return {
+        allowed: !(hardCapUsd > 0 && projectedUsd > hardCapUsd),
+        softCapExceeded: softCapUsd > 0 && projectedUsd > softCapUsd,
+        spentUsd,
+        projectedUsd,
+        softCapUsd: softCapUsd || null,
+        hardCapUsd: hardCapUsd || null,
+      };
+    },
+
+    async record({ voiceType, voiceName, billableChars, audioEncoding }) {
+      await load();
+      const at = new Date();
+      const used = months.get(monthKey(at))?.[voiceType]?.chars ?? 0;
+      const entry = { at: at.toISOString(), voiceType, voiceName, audioEncoding, billableChars };
+      apply(entry);
+      await fs.appendFile(ledgerPath, JSON.stringify(entry) + "\n");
+      return { marginalCostUsd: marginalCostUsd(voiceType, used, billableChars) };
+    },
+
+    async summary(month = monthKey(new Date())) {
+      await load();
+      const daily = Array.from(days.entries())
+        .filter(([key]) => key.startsWith(month))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, bucket]) => ({
+          date,
+          byVoiceType: bucket,
+          chars: Object.values(bucket).reduce((sum, t) => sum + t.chars, 0),
+          requests: Object.values(bucket).reduce((sum, t) => sum + t.requests, 0),
+          grossCostUsd: Object.entries(bucket).reduce((sum, [t, { chars }]) => sum + estimateCostUsd(t, chars), 0),
+        }));
+      const current = monthSummary(monthKey(new Date()));
+      return {
+        ...monthSummary(month),
+        daily,
+        months: Array.from(months.keys()).sort().reverse(),
+        budget: {
+          currentMonth: current.month,
+          spentUsd: current.totalCostUsd,
+          softCapUsd: softCapUsd || null,
+          hardCapUsd: hardCapUsd || null,
+          softCapExceeded: softCapUsd > 0 && current.totalCostUsd > softCapUsd,
+          hardCapReached: hardCapUsd > 0 && current.totalCostUsd >= hardCapUsd,
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,150 @@
+// ---- Long-text chunking ----
+// Google rejects requests whose input exceeds 5000 bytes, so long texts are split on natural
+// boundaries (paragraph > sentence > word) into pieces that each fit under `maxBytes`.
+
+const byteLength = (s) => Buffer.byteLength(s, "utf8");
+
+function segments(text, languageCode, granularity) {
+  try {
+    const segmenter = new Intl.Segmenter(languageCode || "en", { granularity });
+    return Array.from(segmenter.segment(text), (s) => s.segment);
+  } catch {
+    return granularity === "sentence" ? text.split(/(?<=[.!?…。！？])\s+/) : text.split(/(?<=\s)/);
+  }
+}
+
+// Last resort for a single "word" that is still too large (e.g. CJK text without spaces).
+function hardSplit(text, maxBytes) {
+  const out = [];
+  let current = "";
+  for (const ch of text) {
+    if (byteLength(current + ch) > maxBytes) {
+      out.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  if (current) out.push(current);
+  return out;
+}
+
+function splitOversized(text, languageCode, maxBytes) {
+  const pieces = [];
+  for (const sentence of segments(text, languageCode, "sentence")) {
+    if (byteLength(sentence) <= maxBytes) {
+      pieces.push(sentence);
+      continue;
+    }
+    for (const word of segments(sentence, languageCode, "word")) {
+      pieces.push(...(byteLength(word) <= maxBytes ? [word] : hardSplit(word, maxBytes)));
+    }
+  }
+  return pieces;
+}
+
+function pack(pieces, maxBytes) {
+  const chunks = [];
+  let current = "";
+  for (const { text, sep } of pieces) {
+    const candidate = current ? current + sep + text : text;
+    if (current && byteLength(candidate) > maxBytes) {
+      chunks.push(current);
+      current = text;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks.map((c) => c.trim()).filter(Boolean);
+}
+
+export function splitText(text, { maxBytes, languageCode } = {}) {
+  const pieces = [];
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    if (!paragraph.trim()) continue;
+    if (byteLength(paragraph) <= maxBytes) {
+      pieces.push({ text: paragraph, sep: "\n\n" });
+      continue;
+    }
+    splitOversized(paragraph, languageCode, maxBytes).forEach((p, i) => pieces.push({ text: p, sep: i === 0 ? "\n\n" : "" }));
+  }
+  return pack(pieces, maxBytes);
+}
+
+// ---- SSML ----
+// Chunks are cut between elements or sentences. Elements still open at a cut are closed at the end of
+// one chunk and re-opened at the start of the next, so every chunk is a well-formed <speak> document.
+
+const BREAK_AFTER_CLOSE = new Set(["p", "s", "paragraph", "sentence"]);
+// Content of these must reach Google in one piece, so no cut is made inside them.
+const ATOMIC = new Set(["say-as", "phoneme", "sub", "audio", "emphasis"]);
+
+const tagName = (tag) => tag.match(/^<\/?\s*([\w:-]+)/)?.[1] ?? "";
+
+function tokenizeSsml(ssml) {
+  const body = ssml
+    .replace(/<\?xml[^>]*\?>/g, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .trim();
+  const speakOpen = body.match(/^<speak\b[^>]*>/)?.[0];
+  const inner = speakOpen ? body.slice(speakOpen.length).replace(/<\/speak>\s*$/, "") : body;
+  return { speakOpen: speakOpen || "<speak>", tokens: inner.match(/<[^>]+>|[^<]+/g) || [] };
+}
+
+export function splitSsml(ssml, { maxBytes, languageCode } = {}) {
+  const { speakOpen, tokens } = tokenizeSsml(ssml);
+
+  // Build cuttable units, each remembering the element stack it starts in.
+  const units = [];
+  const stack = [];
+  let current = { text: "", stack: [] };
+  const cut = () => {
+    if (current.text) units.push(current);
+    current = { text: "", stack: [...stack] };
+  };
+  const atomicDepth = () => stack.filter((t) => ATOMIC.has(tagName(t))).length;
+
+  for (const token of tokens) {
+    if (token.startsWith("</")) {
+      stack.pop();
+      current.text += token;
+      if (BREAK_AFTER_CLOSE.has(tagName(token)) && !atomicDepth()) cut();
+    } else if (token.startsWith("<")) {
+      current.text += token;
+      if (token.endsWith("/>")) {
+        if (tagName(token) === "break" && !atomicDepth()) cut();
+      } else {
+        stack.push(token);
+      }
+    } else if (atomicDepth()) {
+      current.text += token;
+    } else {
+      for (const sentence of splitOversized(token, languageCode, Math.floor(maxBytes / 2))) {
+        current.text += sentence;
+        if (/[.!?…。！？]\s*$/.test(sentence) || byteLength(current.text) > maxBytes / 2) cut();
+      }
+    }
+  }
+  cut();
+
+  const opens = (s) => s.join("");
+  const closes = (s) => [...s].reverse().map((t) => `</${tagName(t)}>`).join("");
+  const wrap = (startStack, text, endStack) => `${speakOpen}${opens(startStack)}${text}${closes(endStack)}</speak>`;
+
+  // Greedy packing; the stack after a unit is the stack the next unit starts in.
+  const chunks = [];
+  let start = null;
+  let text = "";
+  units.forEach((unit, i) => {
+    const endStack = units[i + 1]?.stack ?? [];
+    if (start && byteLength(wrap(start, text + unit.text, endStack)) > maxBytes) {
+      chunks.push(wrap(start, text, unit.stack));
+      start = null;
+      text = "";
+    }
+    if (!start) start = unit.stack;
+    text += unit.text;
+  });
+  if (start) chunks.push(wrap(start, text, []));
+  return chunks;
+}
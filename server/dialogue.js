@@ -0,0 +1,59 @@
+// ---- Dialogue scripts ----
+// One turn per speaker label:
+//   A: Thanks for calling. How can I help?
+//   B: I'd like to check my balance.
+//   [pause 1.5s]
+//   A: Sure, one moment.
+// Lines without a label continue the previous turn, "[pause 800ms]" sets the pause before the next turn, and
+// blank lines or lines starting with # are ignored. Labels match case-insensitively; a line that starts like
+// a label ("C: hello") but names no speaker is an error wherever it appears, so a typo isn't read out by the
+// previous turn's voice.
+
+const LABEL_RE = /^\s*([^\s:#[][^:]{0,23}?)\s*:\s*(.*)$/;
+// One word with a letter in it, e.g. "C" or "Agent_2"; "Note that: …", "10:30" and "https://…" read as text.
+const LABEL_LIKE_RE = /^(?=[^:]*\p{L})[\p{L}\p{N}_.'-]{1,24}$/u;
+const PAUSE_RE = /^\s*\[\s*pause\s+(\d+(?:\.\d+)?)\s*(ms|s)\s*\]\s*$/i;
+
+// -> { turns: [{ index, line, speaker, text, pauseBeforeMs }], errors: [{ line, message }] }
+// pauseBeforeMs is null where the script doesn't set one.
+export function parseScript(script, labels) {
+  const known = new Map(labels.map((l) => [l.toLowerCase(), l]));
+  const turns = [];
+  const errors = [];
+  let pendingPauseMs = null;
+
+  script.split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    if (!raw.trim() || raw.trim().startsWith("#")) return;
+
+    const pause = PAUSE_RE.exec(raw);
+    if (pause) {
+      pendingPauseMs = Math.round(Number(pause[1]) * (pause[2].toLowerCase() === "s" ? 1000 : 1));
+      return;
+    }
+
+    const label = LABEL_RE.exec(raw);
+    const speaker = label && known.get(label[1].toLowerCase());
+    if (speaker) {
+      turns.push({ index: turns.length, line, speaker, text: label[2].trim(), pauseBeforeMs: pendingPauseMs });
+      pendingPauseMs = null;
+    } else if (label && LABEL_LIKE_RE.test(label[1]) && !label[2].startsWith("//")) {
+      errors.push({ line, message: `Unknown speaker "${label[1]}"; expected one of ${labels.join(", ")}` });
+    } else if (turns.length) {
+      const turn = turns[turns.length - 1];
+      turn.text = turn.text ? `${turn.text}\n${raw.trim()}` : raw.trim();
+    } else {
+      errors.push({
+        line,
+        message: label
+          ? `Unknown speaker "${label[1]}"; expected one of ${labels.join(", ")}`
+          : `Expected a speaker label (${labels.map((l) => `${l}:`).join(", ")})`,
+      });
+    }
+  });
+
+  for (const turn of turns) {
+    if (!turn.text) errors.push({ line: turn.line, message: `Turn for ${turn.speaker} has no text` });
+  }
+  return { turns, errors };
+}
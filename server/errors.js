@@ -0,0 +1,84 @@
+// ---- Error classification ----
+// Every failed request is answered with { error, code, category, retryable }. `code` is stable for scripts to
+// branch on; `category` says whose problem it is:
+//   validation - the request itself is wrong; retrying it unchanged won't help
+//   auth       - credentials: the caller's to us, or ours to the provider
+//   quota      - a limit was hit: a key's rate or quota, the budget cap, or the provider's own quota
+//   transient  - the provider or the network failed; the same request should work shortly
+//   internal   - anything else
+
+const STATUS_DEFAULTS = {
+  400: { code: "INVALID_REQUEST", category: "validation" },
+  401: { code: "UNAUTHENTICATED", category: "auth" },
+  402: { code: "BUDGET_EXCEEDED", category: "quota" },
+  403: { code: "FORBIDDEN", category: "auth" },
+  404: { code: "NOT_FOUND", category: "validation" },
+  406: { code: "NOT_ACCEPTABLE", category: "validation" },
+  409: { code: "CONFLICT", category: "validation" },
+  413: { code: "PAYLOAD_TOO_LARGE", category: "validation" },
+  422: { code: "UNPROCESSABLE", category: "validation" },
+  429: { code: "RATE_LIMITED", category: "quota" },
+  502: { code: "UPSTREAM_ERROR", category: "transient" },
+  503: { code: "UNAVAILABLE", category: "transient" },
+  504: { code: "UPSTREAM_TIMEOUT", category: "transient" },
+};
+
+// gRPC status codes (google-gax) -> how we report them
+const GRPC_ERRORS = {
+  1: { status: 503, code: "UPSTREAM_CANCELLED", category: "transient" },
+  2: { status: 502, code: "UPSTREAM_UNKNOWN", category: "transient" },
+  3: { status: 400, code: "UPSTREAM_INVALID_ARGUMENT", category: "validation" },
+  4: { status: 504, code: "UPSTREAM_TIMEOUT", category: "transient" },
+  5: { status: 400, code: "UPSTREAM_NOT_FOUND", category: "validation" },
+  7: { status: 502, code: "UPSTREAM_PERMISSION_DENIED", category: "auth" },
+  8: { status: 429, code: "UPSTREAM_QUOTA_EXCEEDED", category: "quota" },
+  9: { status: 400, code: "UPSTREAM_FAILED_PRECONDITION", category: "validation" },
+  10: { status: 503, code: "UPSTREAM_ABORTED", category: "transient" },
+  11: { status: 400, code: "UPSTREAM_OUT_OF_RANGE", category: "validation" },
+  12: { status: 501, code: "UPSTREAM_UNIMPLEMENTED", category: "validation" },
+  13: { status: 502, code: "UPSTREAM_INTERNAL", category: "transient" },
+  14: { status: 503, code: "UPSTREAM_UNAVAILABLE", category: "transient" },
+  16: { status: 502, code: "UPSTREAM_UNAUTHENTICATED", category: "auth" },
+};
+
+const NETWORK_ERRORS = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "ENOTFOUND", "EPIPE"]);
+
+// Error carrying an HTTP status (and optional extra JSON fields, e.g. `code` to override the status default).
+export function httpError(status, message, extra) {
+  const err = new Error(message);
+  err.status = status;
+  err.extra = extra;
+  return err;
+}
+
+// -> { status, code, category, retryable, message, details? }
+// `retryable` means the same request may succeed later (transient failures, provider quota); the provider
+// wrapper only retries transient ones on its own.
+export function classifyError(e) {
+  if (e?.status) {
+    const defaults = STATUS_DEFAULTS[e.status] ?? { code: e.status >= 500 ? "INTERNAL" : "INVALID_REQUEST", category: e.status >= 500 ? "internal" : "validation" };
+    const code = e.extra?.code ?? defaults.code;
+    const category = e.extra?.category ?? defaults.category;
+    return { status: e.status, code, category, retryable: e.extra?.retryable ?? category === "transient", message: e.message };
+  }
+  if (e?.name === "ZodError") {
+    const message = e.issues.map((i) => `${i.path.join(".") || "body"}: ${i.message}`).join("; ");
+    return { status: 400, code: "VALIDATION_ERROR", category: "validation", retryable: false, message, details: e.issues };
+  }
+  if (typeof e?.code === "number" && GRPC_ERRORS[e.code]) {
+    const mapped = GRPC_ERRORS[e.code];
+    // gax puts the server's own message in `details`; `message` repeats it behind "3 INVALID_ARGUMENT: "
+    const message = e.details || String(e.message || "").replace(/^\d+ [A-Z_]+: /, "");
+    return { ...mapped, retryable: mapped.category === "transient" || mapped.category === "quota", message };
+  }
+  if (NETWORK_ERRORS.has(e?.code)) {
+    return { status: 503, code: "UPSTREAM_UNREACHABLE", category: "transient", retryable: true, message: String(e.message || e.code) };
+  }
+  return { status: 500, code: "INTERNAL", category: "internal", retryable: false, message: String(e?.message || e) };
+}
+
+// JSON body for a failed request (or a failed item inside one).
+export function errorBody(e) {
+  const { status, message, details, ...rest } = classifyError(e);
+  return { error: message, ...rest, ...(details ? { details } : {}), ...e?.extra };
+}
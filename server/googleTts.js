@@ -0,0 +1,74 @@
+import textToSpeech from "@google-cloud/text-to-speech";
+import { FREE_TIER_PER_MONTH, PRICE_PER_1M_USD } from "./billing.js";
+import { AUDIO_ENCODINGS, capabilitiesFor } from "./voiceCatalog.js";
+
+// ---- Google Cloud Text-to-Speech provider (ADC via GOOGLE_APPLICATION_CREDENTIALS) ----
+
+function voiceTypeFromName(voiceName = "") {
+  const n = voiceName;
+  if (n.includes("-Studio-")) return "STUDIO";
+  if (n.includes("-Neural2-")) return "NEURAL2";
+  if (n.includes("-Wavenet-") || n.includes("-WaveNet-")) return "WAVENET";
+  if (n.includes("-Standard-")) return "STANDARD";
+  if (n.includes("Chirp3-HD") || n.includes("Chirp-HD") || n.includes("-Chirp-")) return "CHIRP_HD";
+  if (n.includes("-Polyglot-")) return "POLYGLOT";
+  return "OTHER";
+}
+
+// Encodings the installed client library can send; newer ones (e.g. M4A) appear once it is upgraded.
+const ENCODINGS = AUDIO_ENCODINGS.filter((e) => e in textToSpeech.protos.google.cloud.texttospeech.v1.AudioEncoding);
+
+export function createGoogleProvider() {
+  const client = new textToSpeech.TextToSpeechClient();
+  // Timepoints (enableTimePointing) are only available in v1beta1.
+  const betaClient = new textToSpeech.v1beta1.TextToSpeechClient();
+
+  return {
+    id: "google",
+    label: "Google Cloud Text-to-Speech",
+    voiceTypeOf: voiceTypeFromName,
+    capabilitiesFor: (voiceType, voiceName) => capabilitiesFor(voiceType, voiceName, ENCODINGS),
+    pricing: { per1MCharactersUsd: PRICE_PER_1M_USD, freeTierCharactersPerMonth: FREE_TIER_PER_MONTH },
+
+    async listVoices() {
+      const [resp] = await client.listVoices({});
+      return (resp.voices || []).map((v) => ({
+        name: v.name,
+        languageCodes: v.languageCodes || [],
+        ssmlGender: v.ssmlGender || "SSML_VOICE_GENDER_UNSPECIFIED",
+        naturalSampleRateHertz: v.naturalSampleRateHertz || null,
+      }));
+    },
+
+    async synthesize(request) {
+      const [response] = await (request.enableTimePointing ? betaClient : client).synthesizeSpeech(request);
+      return {
+        audioContent: response.audioContent ? Buffer.from(response.audioContent) : null,
+        timepoints: (response.timepoints || []).map((tp) => ({ markName: tp.markName, timeSeconds: tp.timeSeconds })),
+      };
+    },
+
+    // Bidirectional streaming (Chirp 3: HD): raw 16-bit PCM chunks are passed to onAudio as they arrive.
+    streamingSynthesize({ voiceName, languageCode, sampleRateHertz, segments, onAudio }) {
+      const stream = client.streamingSynthesize();
+      const done = new Promise((resolve, reject) => {
+        stream.on("data", (resp) => {
+          if (resp.audioContent?.length) onAudio(Buffer.from(resp.audioContent));
+        });
+        stream.on("error", reject);
+        stream.on("end", resolve);
+      });
+
+      stream.write({
+        streamingConfig: {
+          voice: { name: voiceName, languageCode },
+          streamingAudioConfig: { audioEncoding: "PCM", sampleRateHertz },
+        },
+      });
+      for (const text of segments) stream.write({ input: { text } });
+      stream.end();
+
+      return { done, cancel: () => stream.cancel() };
+    },
+  };
+}
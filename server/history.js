@@ -0,0 +1,98 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { extensionFor } from "./audio.js";
+import { log } from "./logger.js";
+
+// ---- Generation history on disk ----
+// Every clip is stored as <id>.json (request params + the response's voice/metrics/warnings) next to
+// its audio file, so a clip id is a stable permalink. Metadata is also kept in memory for searching.
+
+export function createHistoryStore({ dir }) {
+  let records = null; // Map<id, record>, newest first once sorted
+
+  async function load() {
+    if (records) return records;
+    await fs.mkdir(dir, { recursive: true });
+    records = new Map();
+    const files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json"));
+    for (const f of files) {
+      try {
+        const record = JSON.parse(await fs.readFile(path.join(dir, f), "utf8"));
+        records.set(record.id, record);
+      } catch (e) {
+        log.error(`history: skipping unreadable ${f}`, { err: e });
+      }
+    }
+    return records;
+  }
+
+  function matches(record, { voiceType, language, from, to, q, source }) {
+    if (voiceType && record.voice.voiceType !== voiceType) return false;
+    if (source && record.source !== source) return false;
+    if (language && record.params.languageCode !== language && !(record.voice.languageCodes || []).includes(language)) return false;
+    if (from && record.createdAt < from) return false;
+    if (to && record.createdAt > to) return false;
+    if (q) {
+      const needle = q.toLowerCase();
+      if (!record.params.text.toLowerCase().includes(needle) && !record.voice.name.toLowerCase().includes(needle)) return false;
+    }
+    return true;
+  }
+
+  return {
+    async add({ source, params, audioContent, audio, voice, metrics, warnings, timeline, analysis }) {
+      await load();
+      const id = crypto.randomUUID();
+      const file = `${id}.${extensionFor(audio.encoding)}`;
+      const record = {
+        id,
+        createdAt: new Date().toISOString(),
+        source,
+        params,
+        audio: { ...audio, file, bytes: audioContent.length },
+        voice,
+        metrics,
+        warnings,
+        ...(timeline ? { timeline } : {}),
+        ...(analysis ? { analysis } : {}),
+      };
+      await fs.writeFile(path.join(dir, file), audioContent);
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify(record, null, 2));
+      records.set(id, record);
+      return record;
+    },
+
+    async list({ page = 1, pageSize = 20, ...filters } = {}) {
+      await load();
+      const items = Array.from(records.values())
+        .filter((r) => matches(r, filters))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      return {
+        items: items.slice((page - 1) * pageSize, page * pageSize),
+        total: items.length,
+        page,
+        pageSize,
+      };
+    },
+
+    async get(id) {
+      await load();
+      return records.get(id) || null;
+    },
+
+    async readAudio(record) {
+      return fs.readFile(path.join(dir, record.audio.file));
+    },
+
+    async delete(id) {
+      await load();
+      const record = records.get(id);
+      if (!record) return false;
+      records.delete(id);
+      await fs.rm(path.join(dir, record.audio.file), { force: true });
+      await fs.rm(path.join(dir, `${id}.json`), { force: true });
+      return true;
+    },
+  };
+}
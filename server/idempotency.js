@@ -0,0 +1,74 @@
+import crypto from "node:crypto";
+
+// ---- Idempotency keys ----
+// A caller that retries a POST with the same Idempotency-Key gets the first attempt's response back instead of
+// paying for the synthesis twice. Responses are kept in memory for `ttlMs`, per API key, together with a hash
+// of the request so a key reused for a different request is refused rather than answered with the wrong audio.
+// Server errors (5xx) aren't kept: those are exactly the failures a retry should run again. Oldest entries are
+// dropped first once the stored bodies pass `maxBytes`.
+
+export const IDEMPOTENCY_KEY_RE = /^[\x21-\x7e]{1,255}$/;
+
+export function requestFingerprint(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.path}\n${req.get("accept") || ""}\n${JSON.stringify(req.body ?? null)}`)
+    .digest("hex");
+}
+
+export function createIdempotencyStore({ ttlMs, maxBytes }) {
+  const entries = new Map(); // `${scope}:${key}` -> { fingerprint, expiresAt, response | null }, oldest first
+  let storedBytes = 0;
+
+  function drop(id) {
+    const entry = entries.get(id);
+    if (!entry) return;
+    storedBytes -= entry.response?.body.length ?? 0;
+    entries.delete(id);
+  }
+
+  function sweep() {
+    const now = Date.now();
+    for (const [id, entry] of entries) if (entry.expiresAt <= now) drop(id);
+    for (const [id, entry] of entries) {
+      if (storedBytes <= maxBytes) break;
+      if (entry.response) drop(id);
+    }
+  }
+
+  return {
+    // -> { state: "new" } (the caller runs the request, then complete() or release()), { state: "replay", response },
+    //    { state: "in-progress" } or { state: "mismatch" }
+    begin(scope, key, fingerprint) {
+      sweep();
+      const id = `${scope}:${key}`;
+      const entry = entries.get(id);
+      if (!entry) {
+        entries.set(id, { fingerprint, expiresAt: Date.now() + ttlMs, response: null });
+        return { state: "new" };
+      }
+      if (entry.fingerprint !== fingerprint) return { state: "mismatch" };
+      return entry.response ? { state: "replay", response: entry.response } : { state: "in-progress" };
+    },
+
+    // response: { status, headers, body: Buffer }
+    complete(scope, key, response) {
+      const entry = entries.get(`${scope}:${key}`);
+      if (!entry) return;
+      if (response.body.length > maxBytes) return drop(`${scope}:${key}`);
+      entry.response = response;
+      storedBytes += response.body.length;
+      sweep();
+    },
+
+    // The request failed in a way a retry should repeat (or never finished).
+    release(scope, key) {
+      const entry = entries.get(`${scope}:${key}`);
+      if (entry && !entry.response) drop(`${scope}:${key}`);
+    },
+
+    stats() {
+      return { entries: entries.size, storedBytes };
+    },
+  };
+}
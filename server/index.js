@@ -1,50 +1,508 @@
+import crypto from "node:crypto";
+import path from "node:path";
 import express from "express";
 import cors from "cors";
 import compression from "compression";
 import dotenv from "dotenv";
 import { z } from "zod";
-import textToSpeech from "@google-cloud/text-to-speech";
+import { analyzeAudio, decodeAudio } from "./analysis.js";
+import { createKeyStore, createRateLimiter, publicKey, readCookie, SESSION_COOKIE, SESSION_TTL_MS } from "./auth.js";
+import { audioDurationSec, buildWav, concatAudio, describeAudio, extensionFor, mimeTypeFor, parseWav, silenceLike, withContainer } from "./audio.js";
+import { cacheKeyFor, createAudioCache } from "./audioCache.js";
+import { createBedStore } from "./beds.js";
+import { createBenchmarkStore } from "./benchmark.js";
+import { billableCharCount, createUsageLedger, estimateCostUsd, FREE_TIER_PER_MONTH, PRICE_PER_1M_USD } from "./billing.js";
+import { splitSsml, splitText } from "./chunking.js";
+import { parseScript } from "./dialogue.js";
+import { classifyError, errorBody, httpError } from "./errors.js";
+import { createHistoryStore } from "./history.js";
+import { createIdempotencyStore, IDEMPOTENCY_KEY_RE, requestFingerprint } from "./idempotency.js";
+import { createJobQueue, parseJobFile } from "./jobs.js";
+import { applyLexicon, createLexiconStore, mergeLexiconReports } from "./lexicon.js";
+import { enabledNormalizeRules, mergeNormalizationReports, NORMALIZE_LANGUAGES, NORMALIZE_RULES, normalizationReport, normalizeText } from "./normalize.js";
+import { log, requestContext } from "./logger.js";
+import {
+  audioCacheLookups,
+  billableChars as billableCharsCounter,
+  countVoicesCacheLookup,
+  errors as errorsCounter,
+  estimatedSpend,
+  httpDuration,
+  providerLatency,
+  registry as metricsRegistry,
+  synthesisLatency,
+} from "./metrics.js";
+import { AUDIO_RESPONSE_HEADERS, createApiDocs } from "./openapi.js";
+import { assertPostProcessable, encodeSamples, postProcess } from "./postprocess.js";
+import { createPresetStore, PRESET_EXPORT_FORMAT } from "./presets.js";
+import { createResilientProvider } from "./resilience.js";
+import { ssmlToText, textToSsml, validateSsml } from "./ssml.js";
+import { canonicalLocale, parseStringTable, STRING_TABLE_FORMATS } from "./stringTables.js";
+import { buildTimeline, injectMarks } from "./timepoints.js";
+import { createTranslationProvider } from "./translation.js";
+import { createTtsProvider } from "./ttsProvider.js";
+import { AUDIO_ENCODINGS, bestVoiceFor, createCatalogTracker, filterVoices, languageName, VOICE_TIER_ORDER } from "./voiceCatalog.js";
+import { createWebhookStore, WEBHOOK_EVENTS } from "./webhooks.js";
 
 dotenv.config();
 
 const PORT = Number(process.env.PORT || 7069);
+// "google" (needs credentials) or "local" (offline synthesizer for development and CI)
+const TTS_PROVIDER = process.env.TTS_PROVIDER || "google";
 const CORS_ORIGIN = process.env.CORS_ORIGIN || "http://localhost:7068";
 const VOICES_CACHE_TTL_SEC = Number(process.env.VOICES_CACHE_TTL_SEC || 3600);
+const LONG_TEXT_MAX_CHARS = Number(process.env.LONG_TEXT_MAX_CHARS || 100000);
+// Google's limit is 5000 bytes of input per request; leave headroom for re-opened SSML tags.
+const LONG_TEXT_CHUNK_BYTES = Number(process.env.LONG_TEXT_CHUNK_BYTES || 4500);
+const LONG_TEXT_CONCURRENCY = Number(process.env.LONG_TEXT_CONCURRENCY || 3);
+const STREAM_SAMPLE_RATE_HZ = Number(process.env.STREAM_SAMPLE_RATE_HZ || 24000);
+// Small first segments keep time-to-first-audio low when a voice has no native streaming.
+const STREAM_SEGMENT_BYTES = Number(process.env.STREAM_SEGMENT_BYTES || 300);
+const STREAM_LOOKAHEAD = Number(process.env.STREAM_LOOKAHEAD || 2);
+const DATA_DIR = path.resolve(process.env.DATA_DIR || "data");
+const AUDIO_CACHE_ENABLED = process.env.AUDIO_CACHE_ENABLED !== "false";
+const AUDIO_CACHE_TTL_SEC = Number(process.env.AUDIO_CACHE_TTL_SEC || 7 * 24 * 3600);
+const AUDIO_CACHE_MAX_MB = Number(process.env.AUDIO_CACHE_MAX_MB || 500);
+// 0 = no cap
+const BUDGET_MONTHLY_SOFT_USD = Number(process.env.BUDGET_MONTHLY_SOFT_USD || 0);
+const BUDGET_MONTHLY_HARD_USD = Number(process.env.BUDGET_MONTHLY_HARD_USD || 0);
+// With auth on, every /api route except health and login needs an API key or a login session.
+const AUTH_ENABLED = process.env.AUTH_ENABLED === "true";
+// Always-valid admin key for issuing the first real keys; it is never stored.
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || "";
+// Limits given to new keys unless the admin sets others; 0 = unlimited
+const DEFAULT_KEY_RATE_LIMIT_PER_MIN = Number(process.env.DEFAULT_KEY_RATE_LIMIT_PER_MIN || 30);
+const DEFAULT_KEY_MONTHLY_CHAR_QUOTA = Number(process.env.DEFAULT_KEY_MONTHLY_CHAR_QUOTA || 1000000);
+// Provider calls: retries of transient failures, backoff base/cap, circuit breaker threshold and pause, start rate (0 = no limit)
+const UPSTREAM_RETRIES = Number(process.env.UPSTREAM_RETRIES ?? 2);
+const UPSTREAM_RETRY_BASE_MS = Number(process.env.UPSTREAM_RETRY_BASE_MS || 300);
+const UPSTREAM_RETRY_MAX_MS = Number(process.env.UPSTREAM_RETRY_MAX_MS || 5000);
+const CIRCUIT_FAILURE_THRESHOLD = Number(process.env.CIRCUIT_FAILURE_THRESHOLD || 5);
+const CIRCUIT_COOLDOWN_SEC = Number(process.env.CIRCUIT_COOLDOWN_SEC || 30);
+const UPSTREAM_MAX_PER_MIN = Number(process.env.UPSTREAM_MAX_PER_MIN || 0);
+// Background beds for post-processing: upload size and length limits
+const BED_MAX_MB = Number(process.env.BED_MAX_MB || 20);
+const BED_MAX_SEC = Number(process.env.BED_MAX_SEC || 600);
+// Idempotency-Key responses: how long they're replayed, and the memory they may take
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+const IDEMPOTENCY_MAX_MB = Number(process.env.IDEMPOTENCY_MAX_MB || 100);
+// Origin used for links in webhook payloads; set it behind a proxy, where the request's own host is internal
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+// Webhook deliveries: attempts before giving up, per-attempt timeout, deliveries kept in the log, and whether
+// endpoints may be on private networks (off by default, so keys can't make the server probe its own network)
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_LOG_SIZE = Number(process.env.WEBHOOK_LOG_SIZE || 1000);
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+// Translate-and-speak fills in locales a string table doesn't cover with this provider: none, google or pseudo
+const TRANSLATION_PROVIDER = process.env.TRANSLATION_PROVIDER || "none";
+const GOOGLE_TRANSLATE_API_KEY = process.env.GOOGLE_TRANSLATE_API_KEY || "";
+const TRANSLATION_TIMEOUT_MS = Number(process.env.TRANSLATION_TIMEOUT_MS || 15000);
 
 const app = express();
 app.disable("x-powered-by");
+
+// ---- Versioned API ----
+// /api/v1/* is the documented, stable surface for other services (GET /api/v1/openapi.json). It is served by
+// the same routes as the unversioned /api/* paths the web app uses; a v2 would add routes only where it differs.
+app.use((req, res, next) => {
+  const match = /^\/api\/v1(?=[/?]|$)/.exec(req.url);
+  if (match) {
+    req.url = `/api${req.url.slice(match[0].length)}`;
+    res.set("API-Version", "1");
+  }
+  next();
+});
+
+const apiDocs = createApiDocs({
+  title: "Text-to-Speech API",
+  version: "1.0.0",
+  description: "Voices, synthesis (JSON with base64 audio, or the raw audio with Accept: audio/*), batch jobs, history, usage and pricing.",
+  idempotencyTtlHours: IDEMPOTENCY_TTL_HOURS,
+});
+
+// Every request gets an id (the caller's X-Request-Id if it sent a usable one), returned in the response and
+// attached to the request's log lines. Timing starts here so body parsing is included.
+const REQUEST_ID_RE = /^[\w.:-]{1,100}$/;
+const QUIET_PATHS = new Set(["/api/health", "/api/metrics"]);
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  const startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const route = routeOf(req);
+    httpDuration.observe({ method: req.method, route, status: res.statusCode }, durationMs / 1000);
+    // Probes and scrapes would drown everything else at info.
+    log[QUIET_PATHS.has(req.path) ? "debug" : "info"]("request", {
+      requestId: req.id,
+      ...(req.apiKey ? { keyId: req.apiKey.id } : {}),
+      method: req.method,
+      path: req.originalUrl,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs),
+    });
+  });
+  next();
+});
+
 app.use(compression());
+// Long-form input, dialogue scripts and batch uploads are parsed first with a bigger limit; the global parser then skips the already-parsed body.
+app.use(["/api/synthesize/long", "/api/synthesize/dialogue"], express.json({ limit: "2mb" }));
+app.use(["/api/jobs", "/api/localize/tables"], express.json({ limit: "10mb" }));
+// Bed uploads arrive base64-encoded, a third bigger than the file.
+app.post("/api/beds", express.json({ limit: `${Math.ceil(BED_MAX_MB * 1.4)}mb` }));
 app.use(express.json({ limit: "256kb" }));
-app.use(cors({ origin: CORS_ORIGIN, credentials: false }));
-
-// ---- Google TTS client (ADC via GOOGLE_APPLICATION_CREDENTIALS) ----
-const ttsClient = new textToSpeech.TextToSpeechClient();
-
-// ---- Pricing (USD) per 1 million characters (see Google Cloud pricing page) ----
-const PRICE_PER_1M_USD = {
-  STANDARD: 4,
-  WAVENET: 4,
-  NEURAL2: 16,
-  STUDIO: 160,
-  CHIRP_HD: 30,
-  POLYGLOT: 16,
-  OTHER: 16, // safe default for "premium-ish"
-};
+// Scripts in other origins read the ids and raw-audio metrics from headers.
+app.use(cors({ origin: CORS_ORIGIN, credentials: false, exposedHeaders: ["X-Request-Id", "API-Version", "Idempotent-Replayed", "Retry-After", ...Object.keys(AUDIO_RESPONSE_HEADERS)] }));
+// Entered after the body parsers: their stream callbacks would otherwise run outside the request's context.
+app.use((req, res, next) => requestContext.run({ requestId: req.id, key: null }, next));
+
+// Route pattern rather than the raw path, so ids in URLs don't become metric labels.
+function routeOf(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+}
+
+// ---- TTS provider ----
+const ttsProvider = createResilientProvider(createTtsProvider(TTS_PROVIDER), {
+  retries: UPSTREAM_RETRIES,
+  retryBaseMs: UPSTREAM_RETRY_BASE_MS,
+  retryMaxMs: UPSTREAM_RETRY_MAX_MS,
+  failureThreshold: CIRCUIT_FAILURE_THRESHOLD,
+  cooldownMs: CIRCUIT_COOLDOWN_SEC * 1000,
+  maxPerMinute: UPSTREAM_MAX_PER_MIN,
+});
+
+// Google rejects requests with more than 5000 bytes of input.
+const MAX_INPUT_BYTES = 5000;
+
+// ---- Usage ledger and budget caps ----
+const usageLedger = createUsageLedger({
+  dir: path.join(DATA_DIR, "usage"),
+  softCapUsd: BUDGET_MONTHLY_SOFT_USD,
+  hardCapUsd: BUDGET_MONTHLY_HARD_USD,
+});
+
+// ---- API keys, per-key rate limits and character quotas ----
+const keyStore = createKeyStore({ dir: path.join(DATA_DIR, "auth"), bootstrapAdminKey: ADMIN_API_KEY });
+const rateLimiter = createRateLimiter();
+// The key behind the current request (or batch row), so quota checks and metering deep in synthesizeAudio
+// don't need it passed down.
+const currentKey = () => requestContext.getStore()?.key ?? null;
+
+// Reachable without a key, so the app can find out whether to show its login screen.
+const PUBLIC_API_PATHS = new Set(["/health", "/openapi.json", "/auth/login", "/auth/logout", "/auth/me"]);
+
+function presentedApiKey(req) {
+  const authorization = req.get("authorization") || "";
+  if (authorization.startsWith("Bearer ")) return authorization.slice(7).trim();
+  return req.get("x-api-key") || null;
+}
+
+// Scripts send "Authorization: Bearer <key>" (or x-api-key); the browser app sends its session cookie.
+app.use("/api", async (req, res, next) => {
+  if (!AUTH_ENABLED) return next();
+  try {
+    const presented = presentedApiKey(req);
+    const key = presented ? await keyStore.authenticate(presented) : await keyStore.fromSession(readCookie(req, SESSION_COOKIE));
+    if (presented && !key) return res.status(401).json(errorBody(httpError(401, "Unknown or revoked API key.")));
+    if (!key && !PUBLIC_API_PATHS.has(req.path)) {
+      return res.status(401).json(errorBody(httpError(401, "Authentication required. Send an API key as \"Authorization: Bearer <key>\" or log in.")));
+    }
+    // Express matches routes case-insensitively, so /api/Admin/keys reaches the admin routes too
+    if (req.path.toLowerCase().startsWith("/admin/") && key.role !== "admin") {
+      return res.status(403).json(errorBody(httpError(403, "This endpoint needs an admin key.")));
+    }
+    req.apiKey = key;
+    requestContext.getStore().key = key;
+    next();
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---- Idempotency keys ----
+const idempotencyStore = createIdempotencyStore({ ttlMs: IDEMPOTENCY_TTL_HOURS * 3600 * 1000, maxBytes: IDEMPOTENCY_MAX_MB * 1024 * 1024 });
+// Headers replayed with a stored response; the request id and rate-limit counters belong to the retry.
+const REPLAYED_HEADERS = /^(content-type|content-disposition|server-timing|x-tts-)/i;
+
+// Ahead of the rate limit, so a replayed retry isn't counted (or refused) as a new request.
+function idempotency(req, res, next) {
+  const key = req.get("idempotency-key");
+  if (key === undefined) return next();
+  if (!IDEMPOTENCY_KEY_RE.test(key)) {
+    return sendError(res, httpError(400, "Idempotency-Key must be 1-255 printable ASCII characters.", { code: "INVALID_IDEMPOTENCY_KEY" }));
+  }
+  const scope = req.apiKey?.id ?? "anonymous";
+  const started = idempotencyStore.begin(scope, key, requestFingerprint(req));
+  if (started.state === "mismatch") {
+    return sendError(res, httpError(422, "This Idempotency-Key was already used for a different request.", { code: "IDEMPOTENCY_KEY_REUSED" }));
+  }
+  if (started.state === "in-progress") {
+    return sendError(res, httpError(409, "A request with this Idempotency-Key is still running.", { code: "IDEMPOTENCY_IN_PROGRESS", retryable: true, retryAfterSec: 1 }));
+  }
+  if (started.state === "replay") {
+    const { status, headers, body } = started.response;
+    return res.status(status).set(headers).set("Idempotent-Replayed", "true").end(body);
+  }
+
+  // Responses are kept whole; a route that streams with write() isn't replayable.
+  let body = null;
+  let streamed = false;
+  const { write, end } = res;
+  res.write = function (...args) {
+    streamed = true;
+    return write.apply(this, args);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    if (chunk != null && typeof chunk !== "function") body = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === "string" ? encoding : "utf8");
+    return end.call(this, chunk, encoding, ...rest);
+  };
+  res.on("close", () => {
+    if (!res.writableFinished || streamed || !body || res.statusCode >= 500) return idempotencyStore.release(scope, key);
+    const headers = Object.fromEntries(Object.entries(res.getHeaders()).filter(([name]) => REPLAYED_HEADERS.test(name)));
+    idempotencyStore.complete(scope, key, { status: res.statusCode, headers, body });
+  });
+  next();
+}
+app.post(["/api/synthesize", "/api/synthesize/batch", "/api/synthesize/long", "/api/synthesize/dialogue", "/api/localize", "/api/jobs", "/api/benchmarks"], idempotency);
+
+// In front of every route that sends text to the provider: the key's requests per minute, and a key that has
+// used up its monthly characters is turned away before the body is looked at. How much each request may
+// still spend is checked once its size is known (enforceKeyQuota).
+async function keyLimits(req, res, next) {
+  const key = req.apiKey;
+  if (!key) return next();
+  try {
+    const rate = rateLimiter.take(key.id, key.rateLimitPerMin);
+    if (!rate.allowed) {
+      const message = `Rate limit of ${key.rateLimitPerMin} requests per minute reached for this key. Retry in ${rate.retryAfterSec}s.`;
+      return sendError(res, httpError(429, message, { retryAfterSec: rate.retryAfterSec }));
+    }
+    if (rate.remaining !== null) res.set({ "X-RateLimit-Limit": String(key.rateLimitPerMin), "X-RateLimit-Remaining": String(rate.remaining) });
+    if (key.monthlyCharQuota && (await keyStore.usedChars(key.id)) >= key.monthlyCharQuota) {
+      return sendError(res, httpError(429, `This key has used its monthly quota of ${key.monthlyCharQuota.toLocaleString()} characters.`, { code: "KEY_QUOTA_EXCEEDED" }));
+    }
+    next();
+  } catch (e) {
+    sendError(res, e);
+  }
+}
+app.post(["/api/synthesize", "/api/synthesize/*", "/api/localize", "/api/jobs", "/api/benchmarks"], keyLimits);
+
+// Throws if `billableChars` more would take the calling key past its monthly character quota.
+async function enforceKeyQuota(billableChars) {
+  const key = currentKey();
+  if (!key?.monthlyCharQuota) return;
+  const usedChars = await keyStore.usedChars(key.id);
+  if (usedChars + billableChars > key.monthlyCharQuota) {
+    const left = Math.max(0, key.monthlyCharQuota - usedChars);
+    throw httpError(429, `This request needs ${billableChars.toLocaleString()} characters; the key has ${left.toLocaleString()} of its monthly ${key.monthlyCharQuota.toLocaleString()} left.`, {
+      code: "KEY_QUOTA_EXCEEDED",
+      quota: { monthlyCharQuota: key.monthlyCharQuota, usedChars, requestedChars: billableChars },
+    });
+  }
+}
+
+// Books a finished provider call in the monthly ledger and against the calling key.
+async function recordUsage(entry) {
+  const result = await usageLedger.record(entry);
+  const estimatedCostUsd = estimateCostUsd(entry.voiceType, entry.billableChars);
+  billableCharsCounter.inc({ voice_type: entry.voiceType }, entry.billableChars);
+  estimatedSpend.inc({ voice_type: entry.voiceType }, estimatedCostUsd);
+  const key = currentKey();
+  if (key) {
+    await keyStore.recordUsage(key.id, { billableChars: entry.billableChars, estimatedCostUsd });
+  }
+  return result;
+}
+
+// Throws before anything is sent to Google if the request would push this month past the hard cap
+// or the calling key past its quota.
+async function enforceBudget(voiceType, billableChars, warnings) {
+  await enforceKeyQuota(billableChars);
+  const budget = await usageLedger.checkBudget(voiceType, billableChars);
+  if (!budget.allowed) {
+    throw httpError(402, `Monthly budget cap of $${budget.hardCapUsd} reached; request was not sent to Google.`, { budget });
+  }
+  if (budget.softCapExceeded) {
+    warnings.push(`This month's estimated spend ($${budget.projectedUsd.toFixed(2)}) is over the soft budget of $${budget.softCapUsd}.`);
+  }
+}
+
+// ---- Synthesized audio cache (disk) ----
+const audioCache = createAudioCache({
+  dir: path.join(DATA_DIR, "audio-cache"),
+  ttlSec: AUDIO_CACHE_TTL_SEC,
+  maxBytes: AUDIO_CACHE_MAX_MB * 1024 * 1024,
+});
+
+// ---- Generation history (disk) ----
+const historyStore = createHistoryStore({ dir: path.join(DATA_DIR, "history") });
+
+function historyRef(record) {
+  return { id: record.id, permalink: `/?clip=${record.id}`, audioUrl: `/api/history/${record.id}/audio` };
+}
+
+// Saves a finished synthesis; history is a convenience, so failures are logged and the response goes out without it.
+async function recordHistory(source, parsed, audioContent, { audio, voice, metrics, warnings, timeline, analysis }) {
+  if (parsed.saveHistory === false) return null;
+  const { useCache, saveHistory, ...params } = parsed;
+  try {
+    const { base64, ...audioMeta } = audio;
+    const record = await historyStore.add({ source, params, audioContent, audio: audioMeta, voice, metrics, warnings, timeline, analysis });
+    return historyRef(record);
+  } catch (e) {
+    log.error("history: failed to save clip", { err: e });
+    return null;
+  }
+}
+
+// Loudness, silence and pacing of a finished clip. Measuring never fails a synthesis: a clip that can't be
+// decoded (e.g. M4A) just has no analysis.
+async function analyzeClip(audioEncoding, audioContent, text, inputType = "text") {
+  try {
+    return await analyzeAudio(audioEncoding, audioContent, inputType === "ssml" ? ssmlToText(text) : text);
+  } catch (e) {
+    log.error("analysis: failed", { err: e });
+    return null;
+  }
+}
+
+// ---- Background beds for post-processing (disk) ----
+const bedStore = createBedStore({ dir: path.join(DATA_DIR, "beds"), maxBytes: BED_MAX_MB * 1024 * 1024, maxSec: BED_MAX_SEC });
+
+// Checked before the provider is called, so a request that can't be post-processed costs nothing.
+async function assertPostProcessRequest(parsed) {
+  assertPostProcessable(parsed.audioEncoding, parsed.sampleRateHertz);
+  if (parsed.postprocess.bed && !(await bedStore.get(parsed.postprocess.bed.id))) {
+    throw httpError(400, "Unknown background bed. Upload one in the Post-processing panel (POST /api/beds) first.");
+  }
+}
+
+// Runs the requested post-processing steps on the provider's LINEAR16 output and encodes the result as the
+// requested encoding and rate. Word timings move with the speech (trimmed silence, bed lead-in).
+async function postProcessClip(wav, parsed, timeline) {
+  const startedAt = process.hrtime.bigint();
+  const options = parsed.postprocess;
+  const decoded = await decodeAudio("LINEAR16", wav);
+  const targetRate = parsed.sampleRateHertz ?? decoded.sampleRate;
+  let bed = null;
+  if (options.bed) {
+    const meta = await bedStore.get(options.bed.id);
+    if (!meta) throw httpError(400, "Unknown background bed.");
+    bed = { ...options.bed, name: meta.name, integratedLufs: meta.integratedLufs, samples: await bedStore.samples(meta.id, targetRate) };
+  }
+  const result = postProcess(decoded, options, { targetRate, bed });
+  const audioContent = encodeSamples(parsed.audioEncoding, result.samples, result.sampleRate);
+  return {
+    audioContent,
+    timeline: timeline && {
+      ...timeline,
+      words: timeline.words.map((w) => ({ ...w, timeSeconds: Math.max(0, Number((w.timeSeconds + result.offsetSec).toFixed(3))) })),
+    },
+    report: {
+      steps: [...result.steps, { step: "encode", from: "LINEAR16", to: parsed.audioEncoding, sampleRateHertz: result.sampleRate }],
+      ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+    },
+  };
+}
 
-function voiceTypeFromName(voiceName = "") {
-  const n = voiceName;
-  if (n.includes("-Studio-")) return "STUDIO";
-  if (n.includes("-Neural2-")) return "NEURAL2";
-  if (n.includes("-Wavenet-") || n.includes("-WaveNet-")) return "WAVENET";
-  if (n.includes("-Standard-")) return "STANDARD";
-  if (n.includes("Chirp3-HD") || n.includes("Chirp-HD") || n.includes("-Chirp-")) return "CHIRP_HD";
-  if (n.includes("-Polyglot-")) return "POLYGLOT";
-  return "OTHER";
+// ---- Webhooks (disk) ----
+const webhookStore = createWebhookStore({
+  dir: path.join(DATA_DIR, "webhooks"),
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+  logSize: WEBHOOK_LOG_SIZE,
+  allowPrivate: WEBHOOK_ALLOW_PRIVATE,
+});
+// Deliveries that were waiting for a retry when the server last stopped.
+webhookStore.load().catch((e) => log.error("webhooks: failed to load", { err: e }));
+
+// Absolute URL for a path on this server; background work (jobs) has no request to take the host from.
+function publicUrl(pathname, req = null) {
+  const origin = PUBLIC_BASE_URL || (req ? `${req.protocol}://${req.get("host")}` : `http://localhost:${PORT}`);
+  return `${origin}${pathname}`;
+}
+
+// Queues an event for the webhooks of the key behind the current request (or `keyId`); never fails the caller.
+function notify(event, data, keyId = currentKey()?.id ?? null) {
+  webhookStore.emit(event, data, { keyId }).catch((e) => log.error("webhooks: failed to queue an event", { event, err: e }));
+}
+
+// The synthesis response minus the audio itself, which is linked instead.
+function synthesisEvent(req, source, { audio, voice, metrics, analysis, warnings, history }) {
+  const { base64, ...audioInfo } = audio;
+  return {
+    requestId: req.id,
+    source,
+    voice,
+    metrics,
+    warnings,
+    analysis,
+    audio: audioInfo,
+    audioUrl: history ? publicUrl(`/api/v1/history/${history.id}/audio`, req) : null,
+    history,
+  };
+}
+
+// How the single, long-form and dialogue routes answer. Once a request is validated and rendering starts, its
+// outcome goes to the caller's webhooks (synthesis.completed / synthesis.failed). With "Prefer: respond-async"
+// the caller gets 202 at that point instead of waiting, and the webhook is the only answer.
+function synthesisReply(req, res, source) {
+  const respondAsync = /\brespond-async\b/i.test(req.get("prefer") || "");
+  let started = false;
+  return {
+    async start(parsed) {
+      if (respondAsync) {
+        if (parsed.saveHistory === false) {
+          throw httpError(400, "Asynchronous requests keep the clip in history so the webhook can link to its audio; drop saveHistory: false.");
+        }
+        if (!(await webhookStore.subscribed("synthesis.completed", currentKey()?.id ?? null))) {
+          throw httpError(400, "Register a webhook for synthesis.completed (POST /api/webhooks) before sending Prefer: respond-async.");
+        }
+        res.status(202).set("Preference-Applied", "respond-async").json({ requestId: req.id, status: "accepted" });
+      }
+      started = true;
+    },
+    done(result, send = () => res.json(result)) {
+      notify("synthesis.completed", synthesisEvent(req, source, result));
+      if (!respondAsync) send();
+    },
+    fail(e) {
+      if (started) notify("synthesis.failed", { requestId: req.id, source, error: errorBody(e) });
+      if (started && respondAsync) reportError(e, routeOf(req));
+      else sendError(res, e);
+    },
+  };
+}
+
+// ---- Pronunciation lexicon (disk) ----
+const lexiconStore = createLexiconStore({ dir: path.join(DATA_DIR, "lexicon") });
+
+// Rewrites text with the lexicon rules for `languageCode`; Chirp 3: HD only gets textual respellings.
+async function applyLexiconFor(text, inputType, { voiceType, languageCode }) {
+  const rules = await lexiconStore.rulesFor(languageCode);
+  if (!rules.length) return { text, inputType, report: null };
+  const result = applyLexicon(text, inputType, rules, { ssml: voiceType !== "CHIRP_HD" });
+  return { text: result.text, inputType: result.inputType, report: { applied: result.applied, skipped: result.skipped } };
 }
 
-function estimateCostUsd(voiceType, charCount) {
-  const per1m = PRICE_PER_1M_USD[voiceType] ?? PRICE_PER_1M_USD.OTHER;
-  return (per1m / 1_000_000) * charCount;
+// ---- Text normalization ----
+// Spells out numbers, dates, amounts and the like for `languageCode`. Spelled-out text is longer, so the
+// provider's byte limit is checked again afterwards.
+function normalizeFor(text, inputType, languageCode, option, warnings) {
+  const result = normalizeText(text, inputType, { languageCode, rules: enabledNormalizeRules(option) });
+  if (!result.supported) {
+    warnings.push(`Text normalization has no rules for ${languageCode} (available: ${NORMALIZE_LANGUAGES.join(", ")}); the text was sent as written.`);
+  }
+  const bytes = Buffer.byteLength(result.text, "utf8");
+  if (bytes > MAX_INPUT_BYTES) {
+    throw httpError(400, `After text normalization the input is ${bytes} bytes, over Google's ${MAX_INPUT_BYTES}-byte limit. Shorten the text or turn normalization off.`);
+  }
+  return { text: result.text, report: normalizationReport(languageCode, result) };
 }
 
 // ---- Voices cache ----
@@ -52,47 +510,89 @@ let voicesCache = {
   atMs: 0,
   voices: [],
 };
+const catalogTracker = createCatalogTracker({ dir: path.join(DATA_DIR, "voices") });
 
-async function listVoicesCached() {
+async function listVoicesCached({ force = false } = {}) {
   const now = Date.now();
-  if (voicesCache.voices.length && now - voicesCache.atMs < VOICES_CACHE_TTL_SEC * 1000) {
-    return voicesCache.voices;
-  }
-  const [resp] = await ttsClient.listVoices({});
-  const voices = (resp.voices || []).map((v) => ({
-    name: v.name,
-    languageCodes: v.languageCodes || [],
-    ssmlGender: v.ssmlGender || "SSML_VOICE_GENDER_UNSPECIFIED",
-    naturalSampleRateHertz: v.naturalSampleRateHertz || null,
-    voiceType: voiceTypeFromName(v.name),
-  }));
+  const hit = !force && voicesCache.voices.length > 0 && now - voicesCache.atMs < VOICES_CACHE_TTL_SEC * 1000;
+  countVoicesCacheLookup(hit);
+  if (hit) return voicesCache.voices;
+  const voices = (await ttsProvider.listVoices()).map((v) => {
+    const voiceType = ttsProvider.voiceTypeOf(v.name);
+    return {
+      ...v,
+      languageNames: v.languageCodes.map(languageName),
+      voiceType,
+      capabilities: ttsProvider.capabilitiesFor(voiceType, v.name),
+    };
+  });
   voicesCache = { atMs: now, voices };
+  await catalogTracker.update(voices).catch((e) => log.error("voices: failed to save catalog snapshot", { err: e }));
   return voices;
 }
 
+apiDocs.add({ method: "get", path: "/health", operationId: "getHealth", summary: "Liveness, provider and circuit breaker state", tags: ["Meta"], response: "Object", public: true });
 app.get("/api/health", (req, res) => {
-  res.json({ ok: true, time: new Date().toISOString() });
+  res.json({ ok: true, time: new Date().toISOString(), provider: ttsProvider.id, authEnabled: AUTH_ENABLED, upstream: ttsProvider.status() });
 });
 
+apiDocs.add({ method: "get", path: "/openapi.json", operationId: "getOpenApi", summary: "This document", tags: ["Meta"], response: "Object", public: true });
+app.get("/api/openapi.json", (req, res) => {
+  res.json(apiDocs.document({ authEnabled: AUTH_ENABLED }));
+});
+
+// Prometheus scrape endpoint; with auth on, scrape with an API key (bearer_token in the scrape config).
+app.get("/api/metrics", async (req, res) => {
+  try {
+    res.set("content-type", metricsRegistry.contentType);
+    res.send(await metricsRegistry.metrics());
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+apiDocs.add({ method: "get", path: "/pricing", operationId: "getPricing", summary: "Price per million characters by voice type", tags: ["Voices"], response: "Pricing" });
 app.get("/api/pricing", (req, res) => {
   res.json({
     currency: "USD",
-    per1MCharacters: PRICE_PER_1M_USD,
+    provider: ttsProvider.id,
+    per1MCharacters: ttsProvider.pricing.per1MCharactersUsd,
+    freeTierCharactersPerMonth: ttsProvider.pricing.freeTierCharactersPerMonth,
     note: "Prices are estimates based on Google Cloud Text-to-Speech pricing page. Verify in your Cloud Console.",
   });
 });
 
+const VoicesQuerySchema = z.object({
+  language: z.string().optional(),
+  voiceType: z.string().optional(),
+  gender: z.enum(["MALE", "FEMALE", "NEUTRAL", "SSML_VOICE_GENDER_UNSPECIFIED"]).optional(),
+  sampleRateHertz: z.coerce.number().int().positive().optional(),
+  q: z.string().optional(),
+});
+
+apiDocs.add({ method: "get", path: "/voices", operationId: "listVoices", summary: "Voice catalog, filtered", tags: ["Voices"], query: VoicesQuerySchema, response: "VoiceList" });
 app.get("/api/voices", async (req, res) => {
+  let query;
   try {
-    const voices = await listVoicesCached();
-    // Build helper lists for UI
-    const languages = Array.from(new Set(voices.flatMap((v) => v.languageCodes))).sort();
-    const voiceTypes = Array.from(new Set(voices.map((v) => v.voiceType))).sort();
+    query = VoicesQuerySchema.parse(req.query);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  try {
+    const all = await listVoicesCached();
+    // Helper lists describe the whole catalog so UI selects stay complete while filtering.
+    const languages = Array.from(new Set(all.flatMap((v) => v.languageCodes))).sort();
+    const voiceTypes = Array.from(new Set(all.map((v) => v.voiceType))).sort();
+    const voices = filterVoices(all, query);
 
     res.json({
       voices,
       languages,
+      languageNames: Object.fromEntries(languages.map((l) => [l, languageName(l)])),
       voiceTypes,
+      genders: Array.from(new Set(all.map((v) => v.ssmlGender))).sort(),
+      sampleRatesHertz: Array.from(new Set(all.map((v) => v.naturalSampleRateHertz).filter(Boolean))).sort((a, b) => a - b),
+      total: all.length,
       cache: {
         ttlSec: VOICES_CACHE_TTL_SEC,
         cachedAt: voicesCache.atMs ? new Date(voicesCache.atMs).toISOString() : null,
@@ -100,140 +600,2251 @@ app.get("/api/voices", async (req, res) => {
       },
     });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: "Failed to list voices", details: String(e?.message || e) });
+    sendError(res, e);
+  }
+});
+
+// Voices added/removed the last time a refresh changed the catalog.
+app.get("/api/voices/diff", async (req, res) => {
+  try {
+    res.json(await catalogTracker.diff());
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
+const NormalizeOptionSchema = z
+  .union([z.boolean(), z.object(Object.fromEntries(NORMALIZE_RULES.map((r) => [r.id, z.boolean().optional()]))).strict()])
+  .optional();
+
 const SynthesizeSchema = z.object({
   inputType: z.enum(["text", "ssml"]).default("text"),
   text: z.string().min(1).max(4000),
   voiceName: z.string().min(1),
   // optional override (voiceName alone is usually enough)
   languageCode: z.string().optional(),
-  audioEncoding: z.enum(["MP3", "OGG_OPUS", "LINEAR16", "MULAW"]).default("MP3"),
+  audioEncoding: z.enum(AUDIO_ENCODINGS).default("MP3"),
+  // resample to this rate; defaults to the voice's natural rate
+  sampleRateHertz: z.number().int().min(8000).max(48000).optional(),
   speakingRate: z.number().min(0.25).max(4.0).optional(),
   pitch: z.number().min(-20).max(20).optional(),
   volumeGainDb: z.number().min(-96.0).max(16.0).optional(),
+  // false = always call Google, e.g. to measure real latency
+  useCache: z.boolean().default(true),
+  // false = don't keep this clip in /api/history
+  saveHistory: z.boolean().default(true),
+  // false = skip the pronunciation lexicon
+  useLexicon: z.boolean().default(true),
+  // Spell out numbers, dates, amounts, units, URLs and abbreviations: true, or { <rule>: false } to leave some out
+  normalize: NormalizeOptionSchema,
 });
 
-app.post("/api/synthesize", async (req, res) => {
-  const startedAt = process.hrtime.bigint();
-  const clientStarted = Date.now();
+// Rejects SSML Google would refuse with an opaque INVALID_ARGUMENT; `errors` carries line/column positions.
+function assertValidSsml(ssml, voiceType, warnings) {
+  const result = validateSsml(ssml, voiceType);
+  if (!result.valid) throw httpError(400, "Invalid SSML", { errors: result.errors });
+  warnings.push(...result.warnings.map((w) => `SSML line ${w.line}:${w.column}: ${w.message}`));
+}
 
-  try {
-    const parsed = SynthesizeSchema.parse(req.body);
-    const voices = await listVoicesCached();
-    const voice = voices.find((v) => v.name === parsed.voiceName);
+// Resolves the voice, applies per-voice-type restrictions and calls Google. Returns raw audio bytes plus
+// what the routes need to describe the result; `synthesizeOne` wraps this into the JSON response shape.
+async function synthesizeAudio(parsed) {
+  const voices = await listVoicesCached();
+  const voice = voices.find((v) => v.name === parsed.voiceName);
 
-    if (!voice) {
-      return res.status(400).json({ error: "Unknown voiceName. Fetch /api/voices and pick one from the list." });
+  if (!voice) {
+    throw httpError(400, "Unknown voiceName. Fetch /api/voices and pick one from the list.");
+  }
+
+  const voiceType = voice.voiceType;
+  const warnings = [];
+
+  if (!voice.capabilities.audioEncodings.includes(parsed.audioEncoding)) {
+    throw httpError(400, `${parsed.audioEncoding} output isn't available for ${voice.name}. Use one of: ${voice.capabilities.audioEncodings.join(", ")}.`);
+  }
+
+  // Chirp 3: HD limitations: no SSML and no speakingRate/pitch (per docs).
+  // We'll enforce here so the UI never sends invalid params and API errors are minimized.
+  let inputType = parsed.inputType;
+  let text = parsed.text;
+  let speakingRate = parsed.speakingRate;
+  let pitch = parsed.pitch;
+
+  if (voiceType === "CHIRP_HD") {
+    if (inputType === "ssml") {
+      warnings.push("Chirp 3: HD voices do not support SSML. SSML tags were stripped and the text sent as plain text.");
+      inputType = "text";
+      text = ssmlToText(text);
     }
+    if (speakingRate !== undefined) {
+      warnings.push("Chirp 3: HD voices do not support speakingRate. Ignoring.");
+      speakingRate = undefined;
+    }
+    if (pitch !== undefined) {
+      warnings.push("Chirp 3: HD voices do not support pitch. Ignoring.");
+      pitch = undefined;
+    }
+  }
 
-    const voiceType = voice.voiceType;
-    const warnings = [];
+  // Long-form and streaming callers validate the whole document before splitting it.
+  if (inputType === "ssml" && !parsed.ssmlValidated) assertValidSsml(text, voiceType, warnings);
 
-    // Chirp 3: HD limitations: no SSML and no speakingRate/pitch (per docs).
-    // We'll enforce here so the UI never sends invalid params and API errors are minimized.
-    let inputType = parsed.inputType;
-    let speakingRate = parsed.speakingRate;
-    let pitch = parsed.pitch;
+  const charCount = [...text].length;
+  const languageCode = parsed.languageCode || voice.languageCodes?.[0];
 
-    if (voiceType === "CHIRP_HD") {
-      if (inputType === "ssml") {
-        warnings.push("Chirp 3: HD voices do not support SSML. Falling back to plain text.");
-        inputType = "text";
-      }
-      if (speakingRate !== undefined) {
-        warnings.push("Chirp 3: HD voices do not support speakingRate. Ignoring.");
-        speakingRate = undefined;
-      }
-      if (pitch !== undefined) {
-        warnings.push("Chirp 3: HD voices do not support pitch. Ignoring.");
-        pitch = undefined;
-      }
-      if (parsed.audioEncoding === "MULAW") {
-        // ALAW is explicitly mentioned as unsupported; MU-LAW is generally supported, but we keep MP3 default anyway.
+  let lexicon = null;
+  let normalization = null;
+  // Multi-speaker turns are sent as structured markup, which the lexicon and normalization don't rewrite.
+  if (parsed.useLexicon !== false && !parsed.multiSpeakerTurns) {
+    ({ text, inputType, report: lexicon } = await applyLexiconFor(text, inputType, { voiceType, languageCode }));
+  }
+  // After the lexicon, so its rules win for the terms they cover.
+  if (parsed.normalize && !parsed.multiSpeakerTurns) {
+    ({ text, report: normalization } = normalizeFor(text, inputType, languageCode, parsed.normalize, warnings));
+  }
+
+  let marks = null;
+  if (parsed.timepoints) {
+    if (voiceType === "CHIRP_HD" || voiceType === "STUDIO") {
+      warnings.push(`${voiceType === "CHIRP_HD" ? "Chirp 3: HD" : "Studio"} voices don't support <mark>, so word timings are not available.`);
+    } else {
+      marks = injectMarks(text, inputType, languageCode);
+      const bytes = Buffer.byteLength(marks.ssml, "utf8");
+      if (bytes > MAX_INPUT_BYTES) {
+        throw httpError(400, `With word marks the input is ${bytes} bytes, over Google's ${MAX_INPUT_BYTES}-byte limit. Shorten the text or turn word timings off.`);
       }
+      text = marks.ssml;
+      inputType = "ssml";
     }
+  }
 
-    // Character count for estimation (billing counts SSML tags too, except <mark>, per pricing docs).
-    const charCount = parsed.text.length;
+  const billableChars = billableCharCount(voiceType, inputType, text);
 
-    const request = {
-      input: inputType === "ssml" ? { ssml: parsed.text } : { text: parsed.text },
-      voice: {
-        name: parsed.voiceName,
-        languageCode: parsed.languageCode || (voice.languageCodes?.[0] ?? undefined),
-      },
-      audioConfig: {
+  const request = {
+    input: parsed.multiSpeakerTurns
+      ? { multiSpeakerMarkup: { turns: parsed.multiSpeakerTurns } }
+      : inputType === "ssml" ? { ssml: text } : { text },
+    voice: {
+      name: parsed.voiceName,
+      languageCode,
+    },
+    audioConfig: {
+      audioEncoding: parsed.audioEncoding,
+      ...(speakingRate !== undefined ? { speakingRate } : {}),
+      ...(pitch !== undefined ? { pitch } : {}),
+      ...(parsed.volumeGainDb !== undefined ? { volumeGainDb: parsed.volumeGainDb } : {}),
+      ...(parsed.sampleRateHertz !== undefined ? { sampleRateHertz: parsed.sampleRateHertz } : {}),
+    },
+    ...(marks ? { enableTimePointing: ["SSML_MARK"] } : {}),
+  };
+
+  const cacheKey = cacheKeyFor(request);
+  const useCache = AUDIO_CACHE_ENABLED && parsed.useCache !== false;
+  if (useCache) {
+    const cached = await audioCache.get(cacheKey);
+    audioCacheLookups.inc({ result: cached ? "hit" : "miss" });
+    if (cached) {
+      return {
+        audioContent: cached.audioContent,
+        voice,
+        voiceType,
+        inputType,
+        charCount,
+        billableChars,
+        marginalCostUsd: 0,
+        warnings,
+        ttsMs: 0,
+        timeline: marks ? buildTimeline(marks, cached.meta.timepoints) : null,
+        lexicon,
+        normalization,
+        cache: { hit: true, key: cacheKey, originalTtsMs: cached.meta.ttsMs },
+      };
+    }
+  }
+
+  await enforceBudget(voiceType, billableChars, warnings);
+
+  const t0 = process.hrtime.bigint();
+  const { audioContent: rawAudio, timepoints } = await ttsProvider.synthesize(request);
+  const t1 = process.hrtime.bigint();
+
+  if (!rawAudio?.length) {
+    throw httpError(500, `No audioContent returned by ${ttsProvider.label}.`);
+  }
+  // PCM arrives without a header; it is at the requested rate, or the voice's own when none was asked for.
+  const audioContent = withContainer(parsed.audioEncoding, rawAudio, parsed.sampleRateHertz ?? voice.naturalSampleRateHertz ?? 24000);
+  const ttsMs = Number(t1 - t0) / 1e6;
+  providerLatency.observe({ voice_type: voiceType, language: languageCode, encoding: parsed.audioEncoding }, ttsMs / 1000);
+  const { marginalCostUsd } = await recordUsage({
+    voiceType,
+    voiceName: voice.name,
+    billableChars,
+    audioEncoding: parsed.audioEncoding,
+  });
+
+  if (useCache) {
+    // A failed cache write must not fail the synthesis.
+    await audioCache
+      .set(cacheKey, audioContent, {
+        voiceName: voice.name,
+        voiceType,
         audioEncoding: parsed.audioEncoding,
-        ...(speakingRate !== undefined ? { speakingRate } : {}),
-        ...(pitch !== undefined ? { pitch } : {}),
-        ...(parsed.volumeGainDb !== undefined ? { volumeGainDb: parsed.volumeGainDb } : {}),
-      },
-    };
+        charCount,
+        estimatedCostUsd: estimateCostUsd(voiceType, billableChars),
+        ttsMs: Math.round(ttsMs),
+        ...(marks ? { timepoints } : {}),
+      })
+      .catch((e) => log.error("audio cache: write failed", { err: e }));
+  }
 
-    const t0 = process.hrtime.bigint();
-    const [response] = await ttsClient.synthesizeSpeech(request);
-    const t1 = process.hrtime.bigint();
+  return {
+    audioContent,
+    voice,
+    voiceType,
+    inputType,
+    charCount,
+    billableChars,
+    marginalCostUsd,
+    warnings,
+    ttsMs,
+    timeline: marks ? buildTimeline(marks, timepoints) : null,
+    lexicon,
+    normalization,
+    cache: { hit: false, key: cacheKey },
+  };
+}
 
-    const audioContent = response.audioContent?.toString("base64") ?? "";
-    if (!audioContent) {
-      return res.status(500).json({ error: "No audioContent returned by Google TTS." });
-    }
+function observeSynthesis(route, { voiceType, languageCode, audioEncoding }, totalMs) {
+  synthesisLatency.observe({ route, voice_type: voiceType, language: languageCode || "unknown", encoding: audioEncoding }, totalMs / 1000);
+}
 
-    const ttsMs = Number(t1 - t0) / 1e6;
-    const totalMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
-    const estimatedCostUsd = estimateCostUsd(voiceType, charCount);
+async function synthesizeOne(parsed, { source = "single" } = {}) {
+  const startedAt = process.hrtime.bigint();
+  const clientStarted = Date.now();
 
-    const mimeType =
-      parsed.audioEncoding === "MP3"
-        ? "audio/mpeg"
-        : parsed.audioEncoding === "OGG_OPUS"
-          ? "audio/ogg"
-          : parsed.audioEncoding === "LINEAR16"
-            ? "audio/wav" // note: LINEAR16 is raw PCM in a container; many players treat as WAV if headers exist. Google returns bytes; browsers may still play via AudioContext.
-            : "audio/basic";
+  // Post-processing needs lossless samples, so the provider is asked for LINEAR16 at the voice's own rate and
+  // the requested encoding and rate are produced afterwards.
+  if (parsed.postprocess) await assertPostProcessRequest(parsed);
+  const synthesis = await synthesizeAudio(parsed.postprocess ? { ...parsed, audioEncoding: "LINEAR16", sampleRateHertz: undefined } : parsed);
+  const { voice, voiceType, inputType, charCount, billableChars, marginalCostUsd, warnings, ttsMs, lexicon, normalization, cache } = synthesis;
+  const post = parsed.postprocess ? await postProcessClip(synthesis.audioContent, parsed, synthesis.timeline) : null;
+  const audioContent = post?.audioContent ?? synthesis.audioContent;
+  const timeline = post ? post.timeline : synthesis.timeline;
 
-    res.json({
-      audio: {
-        base64: audioContent,
-        mimeType,
-        encoding: parsed.audioEncoding,
+  const totalMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+  const estimatedCostUsd = estimateCostUsd(voiceType, billableChars);
+  observeSynthesis(source, { voiceType, languageCode: parsed.languageCode || voice.languageCodes?.[0], audioEncoding: parsed.audioEncoding }, totalMs);
+
+  const payload = {
+    audio: {
+      base64: audioContent.toString("base64"),
+      encoding: parsed.audioEncoding,
+      ...describeAudio(parsed.audioEncoding, audioContent),
+    },
+    voice: {
+      name: voice.name,
+      voiceType,
+      ssmlGender: voice.ssmlGender,
+      languageCodes: voice.languageCodes,
+      naturalSampleRateHertz: voice.naturalSampleRateHertz,
+    },
+    metrics: {
+      server: {
+        ttsMs: Math.round(ttsMs),
+        totalMs: Math.round(totalMs),
+        startedAtIso: new Date(clientStarted).toISOString(),
       },
-      voice: {
-        name: voice.name,
-        voiceType,
-        ssmlGender: voice.ssmlGender,
-        languageCodes: voice.languageCodes,
-        naturalSampleRateHertz: voice.naturalSampleRateHertz,
+      input: {
+        charCount,
+        inputType,
+      },
+      billingEstimate: {
+        currency: "USD",
+        billableChars,
+        estimatedCostUsd,
+        // After this month's free tier; 0 for cache hits, which never reach Google.
+        marginalCostUsd,
+        per1MCharactersUsd: PRICE_PER_1M_USD[voiceType] ?? PRICE_PER_1M_USD.OTHER,
+      },
+      cache: {
+        ...cache,
+        costSavedUsd: cache.hit ? estimatedCostUsd : 0,
       },
+      ...(post ? { postprocess: post.report } : {}),
+    },
+    ...(timeline ? { timeline } : {}),
+    analysis: await analyzeClip(parsed.audioEncoding, audioContent, parsed.text, parsed.inputType),
+    ...(lexicon ? { lexicon } : {}),
+    ...(normalization ? { normalization } : {}),
+    warnings,
+  };
+  return { ...payload, history: await recordHistory(source, parsed, audioContent, payload) };
+}
+
+// Runs `fn` over `items` with at most `limit` calls in flight, preserving order in the result.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Counts a failure in tts_errors_total and logs it: 5xx as errors, the caller's mistakes and limits as warnings.
+function reportError(e, route) {
+  const { status, category, code, message } = classifyError(e);
+  errorsCounter.inc({ route, category, code });
+  if (status >= 500) log.error(message, { route, status, code, err: e });
+  else log.warn(message, { route, status, code });
+}
+
+// Answers with the classified error (see errors.js); provider failures keep their own category instead of a blanket 400.
+function sendError(res, e) {
+  const { status } = classifyError(e);
+  reportError(e, routeOf(res.req));
+  const body = errorBody(e);
+  if (body.retryAfterSec) res.set("Retry-After", String(body.retryAfterSec));
+  res.status(status).json(body);
+}
+
+// Optional steps applied after synthesis (see postprocess.js); only for single clips and compare mode.
+const PostProcessSchema = z
+  .object({
+    trimSilence: z.boolean().default(false),
+    // Silence kept at each end when trimming
+    trimPaddingMs: z.number().int().min(0).max(2000).default(100),
+    // Integrated loudness target, e.g. -16 (podcasts/web) or -23 (EBU R128 broadcast)
+    normalizeLufs: z.number().min(-40).max(-5).optional(),
+    peakCeilingDbfs: z.number().min(-12).max(0).default(-1),
+    fadeInMs: z.number().int().min(0).max(10000).default(0),
+    fadeOutMs: z.number().int().min(0).max(10000).default(0),
+    bed: z
+      .object({
+        id: z.string().min(1),
+        // Bed loudness relative to the speech (LU below it when negative)
+        gainDb: z.number().min(-60).max(0).default(-20),
+        loop: z.boolean().default(true),
+        // Bed alone before the speech starts / after it ends
+        leadInMs: z.number().int().min(0).max(10000).default(0),
+        tailMs: z.number().int().min(0).max(10000).default(0),
+      })
+      .optional(),
+  })
+  .optional();
+
+// Word timings are per request, so only single-clip synthesis accepts them.
+const SynthesizeSingleSchema = SynthesizeSchema.extend({
+  timepoints: z.boolean().default(false),
+  postprocess: PostProcessSchema,
+});
+
+// Answer to "Prefer: respond-async" (see synthesisReply)
+const ACCEPTED_RESPONSE = { description: "Accepted (Prefer: respond-async); the outcome is sent to the caller's webhooks", content: { "application/json": { schema: { $ref: "#/components/schemas/Object" } } } };
+
+// Content negotiation: "Accept: audio/*" (or the encoding's own type, or application/octet-stream) gets the audio
+// itself as the body with the metrics in headers; anything else, including no Accept header, gets JSON.
+function wantsRawAudio(req, audioEncoding) {
+  const mimeType = mimeTypeFor(audioEncoding);
+  const type = req.accepts(["application/json", mimeType, "application/octet-stream"]);
+  if (!type) throw httpError(406, `This request produces ${mimeType} (${audioEncoding}); accept that or application/json.`);
+  return type !== "application/json";
+}
+
+function sendRawAudio(res, { audio, voice, metrics, analysis, history }) {
+  const { billingEstimate, server, cache } = metrics;
+  res.set({
+    "Content-Type": audio.mimeType,
+    "Content-Disposition": `inline; filename="${history?.id ?? "speech"}.${audio.extension}"`,
+    "X-TTS-Voice": voice.name,
+    "X-TTS-Voice-Type": voice.voiceType,
+    "X-TTS-Billable-Chars": String(billingEstimate.billableChars),
+    "X-TTS-Estimated-Cost-Usd": String(billingEstimate.estimatedCostUsd),
+    "X-TTS-Cache": cache.hit ? "hit" : "miss",
+    "Server-Timing": `tts;dur=${server.ttsMs}, total;dur=${server.totalMs}`,
+  });
+  const durationSec = analysis?.durationSec ?? audio.durationSec;
+  if (durationSec != null) res.set("X-TTS-Duration-Sec", String(durationSec));
+  if (analysis?.integratedLufs != null) res.set("X-TTS-Loudness-Lufs", String(analysis.integratedLufs));
+  if (history) res.set("X-TTS-History-Id", history.id);
+  res.send(Buffer.from(audio.base64, "base64"));
+}
+
+apiDocs.add({
+  method: "post",
+  path: "/synthesize",
+  operationId: "synthesize",
+  summary: "Synthesize one clip",
+  description: "Returns JSON with the audio as base64 by default. Send `Accept: audio/*` (or the encoding's MIME type) to get the audio bytes as the body, with metrics in X-TTS-* headers; word timings are only available as JSON. With `Prefer: respond-async` the server answers 202 once the request is validated and reports the result to the caller's webhooks.",
+  tags: ["Synthesis"],
+  body: SynthesizeSingleSchema,
+  idempotent: true,
+  response: {
+    content: {
+      "application/json": { schema: { $ref: "#/components/schemas/Synthesis" } },
+      ...Object.fromEntries(["audio/mpeg", "audio/ogg", "audio/wav", "audio/mp4"].map((type) => [type, { schema: { type: "string", format: "binary" } }])),
+    },
+    headers: Object.fromEntries(Object.entries(AUDIO_RESPONSE_HEADERS).map(([name, description]) => [name, { description, schema: { type: "string" } }])),
+  },
+  extraResponses: {
+    202: ACCEPTED_RESPONSE,
+    406: { description: "The Accept header rules out both JSON and the requested encoding's audio type" },
+  },
+});
+app.post("/api/synthesize", async (req, res) => {
+  const reply = synthesisReply(req, res, "single");
+  try {
+    const parsed = SynthesizeSingleSchema.parse(req.body);
+    const raw = wantsRawAudio(req, parsed.audioEncoding);
+    if (raw && parsed.timepoints) throw httpError(400, "Word timings are only returned in the JSON response; drop timepoints or accept application/json.");
+    await reply.start(parsed);
+    const result = await synthesizeOne(parsed);
+    reply.done(result, () => (raw ? sendRawAudio(res, result) : res.json(result)));
+  } catch (e) {
+    reply.fail(e);
+  }
+});
+
+// ---- Compare mode: same text through several voices ----
+const BATCH_MAX_VOICES = 12;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY || 4);
+
+const CompareVoiceSchema = z.object({
+  voiceName: z.string().min(1),
+  languageCode: z.string().optional(),
+  speakingRate: z.number().min(0.25).max(4.0).optional(),
+  pitch: z.number().min(-20).max(20).optional(),
+});
+
+const SynthesizeBatchSchema = SynthesizeSchema.omit({
+  voiceName: true,
+  languageCode: true,
+  speakingRate: true,
+  pitch: true,
+}).extend({
+  voices: z.array(CompareVoiceSchema).min(1).max(BATCH_MAX_VOICES),
+  postprocess: PostProcessSchema,
+});
+
+apiDocs.add({ method: "post", path: "/synthesize/batch", operationId: "synthesizeBatch", summary: "Same text through several voices", tags: ["Synthesis"], body: SynthesizeBatchSchema, idempotent: true, response: "Object" });
+app.post("/api/synthesize/batch", async (req, res) => {
+  const startedAt = process.hrtime.bigint();
+
+  try {
+    const { voices, ...shared } = SynthesizeBatchSchema.parse(req.body);
+
+    // One failing voice shouldn't sink the whole comparison, so errors are reported per item.
+    const results = await mapWithConcurrency(voices, BATCH_CONCURRENCY, async (v) => {
+      try {
+        return { ok: true, ...(await synthesizeOne({ ...shared, ...v }, { source: "compare" })) };
+      } catch (e) {
+        reportError(e, "/api/synthesize/batch");
+        return { ok: false, voiceName: v.voiceName, ...errorBody(e) };
+      }
+    });
+
+    const succeeded = results.filter((r) => r.ok);
+    res.json({
+      results,
       metrics: {
-        server: {
-          ttsMs: Math.round(ttsMs),
-          totalMs: Math.round(totalMs),
-          startedAtIso: new Date(clientStarted).toISOString(),
-        },
-        input: {
-          charCount,
-          inputType,
-        },
-        billingEstimate: {
-          currency: "USD",
-          estimatedCostUsd,
-          per1MCharactersUsd: PRICE_PER_1M_USD[voiceType] ?? PRICE_PER_1M_USD.OTHER,
-        },
+        totalMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+        voiceCount: voices.length,
+        failedCount: results.length - succeeded.length,
+        totalEstimatedCostUsd: succeeded.reduce((sum, r) => sum + r.metrics.billingEstimate.estimatedCostUsd, 0),
       },
-      warnings,
     });
   } catch (e) {
-    const msg = e?.errors ? e.errors : String(e?.message || e);
-    console.error(e);
-    res.status(400).json({ error: "Bad request", details: msg });
+    sendError(res, e);
+  }
+});
+
+// ---- Translate and speak: one UI string in many locales, for localization reviews ----
+// Each locale gets its translation from the request (a string table row or typed in), the source text when
+// it is the same language, or the translation provider; and the voice the caller picked or the best tier the
+// catalog has for it.
+const LOCALIZE_MAX_LOCALES = 24;
+const translator = createTranslationProvider(TRANSLATION_PROVIDER, { apiKey: GOOGLE_TRANSLATE_API_KEY, timeoutMs: TRANSLATION_TIMEOUT_MS });
+
+const LocalizeTargetSchema = z.object({
+  languageCode: z.string().min(2),
+  // picked from the catalog (best tier first) when left out
+  voiceName: z.string().min(1).optional(),
+  // this locale's translation; translated from `text` when left out
+  text: z.string().min(1).max(4000).optional(),
+});
+
+const LocalizeSchema = SynthesizeSchema.omit({
+  inputType: true,
+  voiceName: true,
+  languageCode: true,
+  speakingRate: true,
+  pitch: true,
+}).extend({
+  sourceLanguage: z.string().min(2),
+  // the string table key, echoed back so results can be matched up
+  key: z.string().max(500).optional(),
+  targets: z
+    .array(LocalizeTargetSchema)
+    .min(1)
+    .max(LOCALIZE_MAX_LOCALES)
+    .refine((targets) => new Set(targets.map((t) => t.languageCode.toLowerCase())).size === targets.length, "Each locale may only be listed once"),
+  // tiers the automatic pick may choose from, e.g. to keep Studio's price out of a review; all when left out
+  voiceTypes: z.array(z.string().min(1)).optional(),
+  gender: z.enum(["MALE", "FEMALE", "NEUTRAL"]).optional(),
+  postprocess: PostProcessSchema,
+});
+
+// Language and script, with the likely script filled in ("zh-TW" -> "zh-Hant", "cmn-CN" -> "zh-Hans", "sr" ->
+// "sr-Cyrl"): locales that share both read the source text as written, so en-GB speaks en-US text, but
+// zh-TW never speaks Simplified Chinese and sr-Latn never speaks Cyrillic.
+function writtenForm(code) {
+  try {
+    const { language, script } = new Intl.Locale(code).maximize();
+    return script ? `${language}-${script}` : code.toLowerCase();
+  } catch {
+    return code.toLowerCase();
+  }
+}
+
+const sameLanguage = (a, b) => writtenForm(a) === writtenForm(b);
+
+// Where a locale's words come from, and what translating them cost.
+async function translationFor(text, sourceLanguage, target) {
+  if (target.text) return { text: target.text, origin: "provided", billableChars: 0, estimatedCostUsd: 0 };
+  if (sameLanguage(target.languageCode, sourceLanguage)) return { text, origin: "source", billableChars: 0, estimatedCostUsd: 0 };
+  const translated = await translator.translate(text, { from: sourceLanguage, to: target.languageCode });
+  if (!translated.text.trim()) throw httpError(502, `The translation to ${target.languageCode} came back empty.`, { code: "TRANSLATION_FAILED" });
+  // Translation services bill the source characters; cached results cost nothing
+  const billableChars = translated.cached ? 0 : [...text].length;
+  return {
+    text: translated.text,
+    origin: "provider",
+    provider: translator.id,
+    cached: translated.cached,
+    billableChars,
+    estimatedCostUsd: (translator.per1MCharactersUsd / 1_000_000) * billableChars,
+  };
+}
+
+apiDocs.add({ method: "get", path: "/localize", operationId: "getLocalizeOptions", summary: "Translation provider and limits for translate-and-speak", tags: ["Localization"], response: "Object" });
+app.get("/api/localize", (req, res) => {
+  res.json({
+    translationProvider: { id: translator.id, label: translator.label, available: translator.available, per1MCharactersUsd: translator.per1MCharactersUsd },
+    maxLocales: LOCALIZE_MAX_LOCALES,
+    voiceTierOrder: VOICE_TIER_ORDER,
+    tableFormats: STRING_TABLE_FORMATS,
+  });
+});
+
+const StringTableSchema = z.object({
+  fileName: z.string().max(255).optional(),
+  content: z.string().min(1),
+  // the locale of single-language JSON, or of a .po without a Language header
+  languageCode: z.string().optional(),
+  // what a .po's msgids are written in ("en" by default)
+  sourceLanguage: z.string().optional(),
+});
+
+// Reads an uploaded JSON, XLIFF or .po table into { format, sourceLanguage, languages, entries }; nothing is stored.
+apiDocs.add({ method: "post", path: "/localize/tables", operationId: "parseStringTable", summary: "Read a JSON, XLIFF or .po string table", tags: ["Localization"], body: StringTableSchema, response: "Object" });
+app.post("/api/localize/tables", (req, res) => {
+  try {
+    const { content, ...options } = StringTableSchema.parse(req.body);
+    res.json(parseStringTable(content, options));
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
+apiDocs.add({ method: "post", path: "/localize", operationId: "localize", summary: "One string spoken in several locales", tags: ["Localization"], body: LocalizeSchema, idempotent: true, response: "Object" });
+app.post("/api/localize", async (req, res) => {
+  const startedAt = process.hrtime.bigint();
+
+  try {
+    const { targets, sourceLanguage, key, voiceTypes, gender, text, ...shared } = LocalizeSchema.parse(req.body);
+    const voices = await listVoicesCached();
+
+    // Like Compare mode, a locale without a voice or translation is reported on its own card.
+    const results = await mapWithConcurrency(targets, BATCH_CONCURRENCY, async (target) => {
+      const languageCode = canonicalLocale(target.languageCode) ?? target.languageCode;
+      const locale = { languageCode, languageName: languageName(languageCode) };
+      try {
+        const voice = target.voiceName ? voices.find((v) => v.name === target.voiceName) : bestVoiceFor(voices, languageCode, { voiceTypes, gender });
+        if (!voice) {
+          const message = target.voiceName
+            ? `Unknown voice ${target.voiceName}. Fetch /api/voices and pick one from the list.`
+            : `No ${voiceTypes?.length ? `${voiceTypes.join("/")} ` : ""}voice speaks ${languageCode}.`;
+          throw httpError(400, message, { code: "NO_VOICE" });
+        }
+        const translation = await translationFor(text, sourceLanguage, { ...target, languageCode });
+
+        // Falling back to another region of the language ("es-US" spoken by an es-ES voice) is worth knowing
+        const voiceLanguage = voice.languageCodes.find((c) => c.toLowerCase() === languageCode.toLowerCase()) ?? voice.languageCodes[0];
+        const warnings = voiceLanguage === languageCode ? [] : [`No ${languageCode} voice; ${voice.name} speaks ${voiceLanguage}.`];
+        const result = await synthesizeOne({ ...shared, inputType: "text", text: translation.text, voiceName: voice.name, languageCode: voiceLanguage }, { source: "localize" });
+        return {
+          ok: true,
+          ...locale,
+          voicePicked: target.voiceName ? "caller" : "auto",
+          translation,
+          ...result,
+          warnings: [...warnings, ...result.warnings],
+          totalCostUsd: result.metrics.billingEstimate.estimatedCostUsd + translation.estimatedCostUsd,
+        };
+      } catch (e) {
+        reportError(e, "/api/localize");
+        return { ok: false, ...locale, ...errorBody(e) };
+      }
+    });
+
+    const succeeded = results.filter((r) => r.ok);
+    const ttsCostUsd = succeeded.reduce((sum, r) => sum + r.metrics.billingEstimate.estimatedCostUsd, 0);
+    const translationCostUsd = succeeded.reduce((sum, r) => sum + r.translation.estimatedCostUsd, 0);
+    res.json({
+      ...(key ? { key } : {}),
+      sourceLanguage,
+      text,
+      translationProvider: { id: translator.id, label: translator.label },
+      results,
+      metrics: {
+        totalMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+        localeCount: targets.length,
+        failedCount: results.length - succeeded.length,
+        ttsCostUsd,
+        translationCostUsd,
+        totalEstimatedCostUsd: ttsCostUsd + translationCostUsd,
+      },
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---- Long-form: chunk, synthesize with bounded concurrency, stitch ----
+// M4A files can't be joined, so outputs stitched from several requests offer the other encodings.
+const JOINABLE_ENCODINGS = AUDIO_ENCODINGS.filter((e) => e !== "M4A");
+
+const SynthesizeLongSchema = SynthesizeSchema.extend({
+  text: z.string().min(1).max(LONG_TEXT_MAX_CHARS),
+  audioEncoding: z.enum(JOINABLE_ENCODINGS).default("MP3"),
+});
+
+apiDocs.add({ method: "post", path: "/synthesize/long", operationId: "synthesizeLong", summary: "Long text, chunked and stitched into one file", tags: ["Synthesis"], body: SynthesizeLongSchema, idempotent: true, response: "Object", extraResponses: { 202: ACCEPTED_RESPONSE } });
+app.post("/api/synthesize/long", async (req, res) => {
+  const startedAt = process.hrtime.bigint();
+  const clientStarted = Date.now();
+  const reply = synthesisReply(req, res, "long");
+
+  try {
+    let parsed = SynthesizeLongSchema.parse(req.body);
+    const target = (await listVoicesCached()).find((v) => v.name === parsed.voiceName);
+    if (target && parsed.inputType === "ssml") {
+      // Validate the whole document so error positions refer to the user's input, not to a chunk.
+      if (target.voiceType === "CHIRP_HD") parsed = { ...parsed, inputType: "text", text: ssmlToText(parsed.text) };
+      else assertValidSsml(parsed.text, target.voiceType, []);
+    }
+
+    const split = parsed.inputType === "ssml" ? splitSsml : splitText;
+    const texts = split(parsed.text, { maxBytes: LONG_TEXT_CHUNK_BYTES, languageCode: parsed.languageCode });
+    if (!texts.length) {
+      return sendError(res, httpError(400, "Nothing to synthesize after splitting the input."));
+    }
+
+    // Check the whole render against the budget up front rather than failing halfway through.
+    if (target) {
+      const total = texts.reduce((sum, t) => sum + billableCharCount(target.voiceType, parsed.inputType, t), 0);
+      await enforceBudget(target.voiceType, total, []);
+    }
+    await reply.start(parsed);
+
+    const chunks = await mapWithConcurrency(texts, LONG_TEXT_CONCURRENCY, (text) => synthesizeAudio({ ...parsed, text, ssmlValidated: true }));
+    const audio = concatAudio(parsed.audioEncoding, chunks.map((c) => c.audioContent));
+
+    const { voice, voiceType, inputType } = chunks[0];
+    const charCount = chunks.reduce((sum, c) => sum + c.charCount, 0);
+    const billableChars = chunks.reduce((sum, c) => sum + c.billableChars, 0);
+    const cachedChunks = chunks.filter((c) => c.cache.hit);
+    const warnings = Array.from(new Set(chunks.flatMap((c) => c.warnings)));
+    const lexicon = mergeLexiconReports(chunks.map((c) => c.lexicon));
+    const normalization = mergeNormalizationReports(chunks.map((c) => c.normalization));
+
+    const payload = {
+      audio: {
+        base64: audio.toString("base64"),
+        encoding: parsed.audioEncoding,
+        ...describeAudio(parsed.audioEncoding, audio),
+      },
+      voice: {
+        name: voice.name,
+        voiceType,
+        ssmlGender: voice.ssmlGender,
+        languageCodes: voice.languageCodes,
+        naturalSampleRateHertz: voice.naturalSampleRateHertz,
+      },
+      metrics: {
+        server: {
+          // Sum of per-chunk Google time; chunks overlap, so this can exceed totalMs.
+          ttsMs: Math.round(chunks.reduce((sum, c) => sum + c.ttsMs, 0)),
+          totalMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+          startedAtIso: new Date(clientStarted).toISOString(),
+          concurrency: LONG_TEXT_CONCURRENCY,
+        },
+        input: {
+          charCount,
+          inputType,
+          chunkCount: chunks.length,
+        },
+        billingEstimate: {
+          currency: "USD",
+          billableChars,
+          estimatedCostUsd: estimateCostUsd(voiceType, billableChars),
+          marginalCostUsd: chunks.reduce((sum, c) => sum + c.marginalCostUsd, 0),
+          per1MCharactersUsd: PRICE_PER_1M_USD[voiceType] ?? PRICE_PER_1M_USD.OTHER,
+        },
+        cache: {
+          hit: cachedChunks.length === chunks.length,
+          hitCount: cachedChunks.length,
+          costSavedUsd: estimateCostUsd(voiceType, cachedChunks.reduce((sum, c) => sum + c.billableChars, 0)),
+        },
+      },
+      chunks: chunks.map((c, index) => ({
+        index,
+        charCount: c.charCount,
+        bytes: c.audioContent.length,
+        ttsMs: Math.round(c.ttsMs),
+        estimatedCostUsd: estimateCostUsd(voiceType, c.billableChars),
+        cacheHit: c.cache.hit,
+        preview: texts[index].slice(0, 80),
+      })),
+      analysis: await analyzeClip(parsed.audioEncoding, audio, parsed.text, parsed.inputType),
+      ...(lexicon ? { lexicon } : {}),
+      ...(normalization ? { normalization } : {}),
+      warnings,
+    };
+    observeSynthesis("long", { voiceType, languageCode: parsed.languageCode || voice.languageCodes?.[0], audioEncoding: parsed.audioEncoding }, payload.metrics.server.totalMs);
+    reply.done({ ...payload, history: await recordHistory("long", parsed, audio, payload) });
+  } catch (e) {
+    reply.fail(e);
+  }
+});
+
+// ---- Dialogue: speaker-labelled script, one voice per speaker, joined into one clip ----
+const DIALOGUE_MAX_SPEAKERS = 8;
+// Voices differ in natural sample rate; pinning one lets turns from different voices be joined into one stream.
+// Opus always decodes at 48 kHz, so it doesn't need this.
+const DIALOGUE_SAMPLE_RATE_HZ = 24000;
+// Speaker ids of Google's multi-speaker voices, assigned in order unless a speaker names its own.
+const MULTI_SPEAKER_IDS = ["R", "S", "T", "U"];
+
+const DialogueSpeakerSchema = z.object({
+  label: z.string().trim().min(1).max(24),
+  voiceName: z.string().min(1),
+  languageCode: z.string().optional(),
+  speakingRate: z.number().min(0.25).max(4.0).optional(),
+  pitch: z.number().min(-20).max(20).optional(),
+  volumeGainDb: z.number().min(-96.0).max(16.0).optional(),
+  multiSpeakerId: z.string().min(1).max(8).optional(),
+});
+
+const DialogueSchema = z.object({
+  script: z.string().min(1).max(LONG_TEXT_MAX_CHARS),
+  speakers: z.array(DialogueSpeakerSchema).min(1).max(DIALOGUE_MAX_SPEAKERS),
+  audioEncoding: z.enum(JOINABLE_ENCODINGS).default("MP3"),
+  sampleRateHertz: SynthesizeSchema.shape.sampleRateHertz,
+  // Silence between turns unless the script sets one with [pause …]
+  pauseMs: z.number().int().min(0).max(10000).default(400),
+  useCache: z.boolean().default(true),
+  saveHistory: z.boolean().default(true),
+  useLexicon: z.boolean().default(true),
+  normalize: NormalizeOptionSchema,
+});
+
+const turnCost = (voiceType, text) => {
+  const billableChars = billableCharCount(voiceType, "text", text);
+  return { billableChars, estimatedCostUsd: estimateCostUsd(voiceType, billableChars) };
+};
+
+// Turn by turn: each turn is its own request with its speaker's voice and settings; pauses are inserted as
+// silence in the same format. Returns the joined audio, per-turn timeline entries and the raw results.
+async function renderDialogueTurns(parsed, turns, speakers) {
+  // Check the whole dialogue against the budget up front rather than failing halfway through.
+  const billableByType = new Map();
+  for (const turn of turns) {
+    const { voiceType } = speakers.get(turn.speaker).voice;
+    billableByType.set(voiceType, (billableByType.get(voiceType) ?? 0) + billableCharCount(voiceType, "text", turn.text));
+  }
+  await enforceKeyQuota([...billableByType.values()].reduce((sum, n) => sum + n, 0));
+  for (const [voiceType, billableChars] of billableByType) await enforceBudget(voiceType, billableChars, []);
+
+  const results = await mapWithConcurrency(turns, LONG_TEXT_CONCURRENCY, async (turn) => {
+    const speaker = speakers.get(turn.speaker);
+    try {
+      return await synthesizeAudio({
+        inputType: "text",
+        text: turn.text,
+        voiceName: speaker.voiceName,
+        languageCode: speaker.languageCode,
+        audioEncoding: parsed.audioEncoding,
+        speakingRate: speaker.speakingRate,
+        pitch: speaker.pitch,
+        volumeGainDb: speaker.volumeGainDb,
+        ...(parsed.audioEncoding !== "OGG_OPUS" ? { sampleRateHertz: parsed.sampleRateHertz ?? DIALOGUE_SAMPLE_RATE_HZ } : {}),
+        useCache: parsed.useCache,
+        useLexicon: parsed.useLexicon,
+        normalize: parsed.normalize,
+      });
+    } catch (e) {
+      if (e?.status) throw httpError(e.status, `Line ${turn.line} (${turn.speaker}): ${e.message}`, e.extra);
+      throw e;
+    }
+  });
+
+  const pieces = [];
+  const timeline = [];
+  let at = 0;
+  results.forEach((r, i) => {
+    const turn = turns[i];
+    const pauseMs = turn.pauseBeforeMs ?? (i === 0 ? 0 : parsed.pauseMs);
+    if (pauseMs > 0) {
+      const silence = silenceLike(parsed.audioEncoding, r.audioContent, pauseMs / 1000);
+      pieces.push(silence);
+      at += audioDurationSec(parsed.audioEncoding, silence) ?? pauseMs / 1000;
+    }
+    const durationSec = audioDurationSec(parsed.audioEncoding, r.audioContent) ?? 0;
+    timeline.push({
+      ...turn,
+      voiceName: r.voice.name,
+      voiceType: r.voiceType,
+      startSec: Number(at.toFixed(3)),
+      endSec: Number((at + durationSec).toFixed(3)),
+      charCount: r.charCount,
+      billableChars: r.billableChars,
+      estimatedCostUsd: estimateCostUsd(r.voiceType, r.billableChars),
+      ttsMs: Math.round(r.ttsMs),
+      cacheHit: r.cache.hit,
+    });
+    at += durationSec;
+    pieces.push(r.audioContent);
+  });
+
+  return { engine: "turns", audio: concatAudio(parsed.audioEncoding, pieces), timeline, results, warnings: [] };
+}
+
+// One request to a multi-speaker voice. Google returns no per-turn positions for it, so turns are placed
+// on the timeline by their share of the characters and marked as estimated.
+async function renderDialogueMultiSpeaker(parsed, turns, speakers) {
+  const list = Array.from(speakers.values());
+  const ids = new Map(list.map((s, i) => [s.label, s.multiSpeakerId || MULTI_SPEAKER_IDS[i]]));
+  if ([...ids.values()].some((id) => !id)) {
+    throw httpError(400, `Multi-speaker voices have at most ${MULTI_SPEAKER_IDS.length} speakers unless each sets a multiSpeakerId.`);
+  }
+
+  const bytes = turns.reduce((sum, t) => sum + Buffer.byteLength(t.text, "utf8"), 0);
+  if (bytes > MAX_INPUT_BYTES) {
+    throw httpError(400, `A multi-speaker voice renders the dialogue in one request, and this script is ${bytes} bytes, over Google's ${MAX_INPUT_BYTES}-byte limit. Shorten it or use one voice per speaker.`);
+  }
+
+  const warnings = [];
+  if (parsed.pauseMs !== DialogueSchema.shape.pauseMs.parse(undefined) || turns.some((t) => t.pauseBeforeMs != null)) {
+    warnings.push("Multi-speaker voices pace the conversation themselves; pauses were ignored.");
+  }
+  if (list.some((s) => s.speakingRate !== undefined || s.pitch !== undefined)) {
+    warnings.push("Per-speaker rate and pitch can't be set within a multi-speaker voice; they were ignored.");
+  }
+
+  const r = await synthesizeAudio({
+    inputType: "text",
+    text: turns.map((t) => t.text).join(""),
+    voiceName: list[0].voiceName,
+    languageCode: list[0].languageCode,
+    audioEncoding: parsed.audioEncoding,
+    sampleRateHertz: parsed.sampleRateHertz,
+    multiSpeakerTurns: turns.map((t) => ({ speaker: ids.get(t.speaker), text: t.text })),
+    useCache: parsed.useCache,
+  });
+
+  const durationSec = audioDurationSec(parsed.audioEncoding, r.audioContent) ?? 0;
+  const totalChars = turns.reduce((sum, t) => sum + [...t.text].length, 0) || 1;
+  let at = 0;
+  const timeline = turns.map((turn) => {
+    const charCount = [...turn.text].length;
+    const startSec = at;
+    at += (durationSec * charCount) / totalChars;
+    return {
+      ...turn,
+      voiceName: r.voice.name,
+      voiceType: r.voiceType,
+      multiSpeakerId: ids.get(turn.speaker),
+      startSec: Number(startSec.toFixed(3)),
+      endSec: Number(at.toFixed(3)),
+      estimated: true,
+      charCount,
+      ...turnCost(r.voiceType, turn.text),
+      ttsMs: null,
+      cacheHit: r.cache.hit,
+    };
+  });
+
+  return { engine: "multiSpeaker", audio: r.audioContent, timeline, results: [r], warnings };
+}
+
+apiDocs.add({ method: "post", path: "/synthesize/dialogue", operationId: "synthesizeDialogue", summary: "Speaker-labelled script, one voice per speaker", tags: ["Synthesis"], body: DialogueSchema, idempotent: true, response: "Object", extraResponses: { 202: ACCEPTED_RESPONSE } });
+app.post("/api/synthesize/dialogue", async (req, res) => {
+  const startedAt = process.hrtime.bigint();
+  const clientStarted = Date.now();
+  const reply = synthesisReply(req, res, "dialogue");
+
+  try {
+    const parsed = DialogueSchema.parse(req.body);
+    const labels = parsed.speakers.map((s) => s.label);
+    if (new Set(labels.map((l) => l.toLowerCase())).size !== labels.length) {
+      throw httpError(400, "Speaker labels must be unique.");
+    }
+
+    const { turns, errors } = parseScript(parsed.script, labels);
+    for (const turn of turns) {
+      if (turn.text.length > 4000) errors.push({ line: turn.line, message: "Turn is longer than 4000 characters; split it into several turns" });
+    }
+    if (errors.length) throw httpError(400, "Invalid script", { errors });
+    if (!turns.length) throw httpError(400, "The script has no turns.");
+
+    const voices = await listVoicesCached();
+    const speakers = new Map();
+    for (const s of parsed.speakers) {
+      const voice = voices.find((v) => v.name === s.voiceName);
+      if (!voice) throw httpError(400, `Unknown voiceName "${s.voiceName}" for speaker ${s.label}. Fetch /api/voices and pick one from the list.`);
+      speakers.set(s.label, { ...s, voice });
+    }
+
+    const multi = Array.from(speakers.values()).filter((s) => s.voice.capabilities.multiSpeaker);
+    if (multi.length && (multi.length !== speakers.size || new Set(multi.map((s) => s.voiceName)).size !== 1)) {
+      throw httpError(400, "A multi-speaker voice voices the whole dialogue; give every speaker the same multi-speaker voice or none.");
+    }
+    await reply.start(parsed);
+    const rendered = multi.length
+      ? await renderDialogueMultiSpeaker(parsed, turns, speakers)
+      : await renderDialogueTurns(parsed, turns, speakers);
+    const { audio, timeline, results } = rendered;
+
+    const byVoiceType = new Map();
+    for (const t of timeline) {
+      const entry = byVoiceType.get(t.voiceType) ?? { voiceType: t.voiceType, billableChars: 0, estimatedCostUsd: 0 };
+      entry.billableChars += t.billableChars;
+      entry.estimatedCostUsd += t.estimatedCostUsd;
+      byVoiceType.set(t.voiceType, entry);
+    }
+    const voiceTypes = Array.from(byVoiceType.keys());
+    const cachedTurns = timeline.filter((t) => t.cacheHit);
+    const warnings = Array.from(new Set([...rendered.warnings, ...results.flatMap((r) => r.warnings)]));
+    const lexicon = mergeLexiconReports(results.map((r) => r.lexicon));
+    const normalization = mergeNormalizationReports(results.map((r) => r.normalization));
+    const durationSec = audioDurationSec(parsed.audioEncoding, audio);
+
+    const payload = {
+      audio: {
+        base64: audio.toString("base64"),
+        encoding: parsed.audioEncoding,
+        ...describeAudio(parsed.audioEncoding, audio),
+      },
+      engine: rendered.engine,
+      voice: {
+        name: Array.from(speakers.values()).map((s) => `${s.label}: ${s.voiceName}`).join(", "),
+        voiceType: voiceTypes.length === 1 ? voiceTypes[0] : "MIXED",
+        languageCodes: Array.from(new Set(Array.from(speakers.values()).flatMap((s) => s.voice.languageCodes))),
+      },
+      speakers: Array.from(speakers.values()).map(({ voice, ...s }) => ({ ...s, voiceType: voice.voiceType })),
+      turns: timeline,
+      durationSec: durationSec == null ? null : Number(durationSec.toFixed(3)),
+      metrics: {
+        server: {
+          // Sum of per-turn TTS time; turns overlap, so this can exceed totalMs.
+          ttsMs: Math.round(results.reduce((sum, r) => sum + r.ttsMs, 0)),
+          totalMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+          startedAtIso: new Date(clientStarted).toISOString(),
+          concurrency: LONG_TEXT_CONCURRENCY,
+        },
+        input: {
+          charCount: timeline.reduce((sum, t) => sum + t.charCount, 0),
+          inputType: "text",
+          turnCount: timeline.length,
+          speakerCount: speakers.size,
+        },
+        billingEstimate: {
+          currency: "USD",
+          billableChars: timeline.reduce((sum, t) => sum + t.billableChars, 0),
+          estimatedCostUsd: timeline.reduce((sum, t) => sum + t.estimatedCostUsd, 0),
+          marginalCostUsd: results.reduce((sum, r) => sum + r.marginalCostUsd, 0),
+          byVoiceType: Array.from(byVoiceType.values()).map((e) => ({
+            ...e,
+            per1MCharactersUsd: PRICE_PER_1M_USD[e.voiceType] ?? PRICE_PER_1M_USD.OTHER,
+          })),
+        },
+        cache: {
+          hit: cachedTurns.length === timeline.length,
+          hitCount: cachedTurns.length,
+          costSavedUsd: cachedTurns.reduce((sum, t) => sum + t.estimatedCostUsd, 0),
+        },
+      },
+      analysis: await analyzeClip(parsed.audioEncoding, audio, turns.map((t) => t.text).join("\n")),
+      ...(lexicon ? { lexicon } : {}),
+      ...(normalization ? { normalization } : {}),
+      warnings,
+    };
+    const languageCodes = payload.voice.languageCodes;
+    observeSynthesis("dialogue", { voiceType: payload.voice.voiceType, languageCode: languageCodes.length === 1 ? languageCodes[0] : "mixed", audioEncoding: parsed.audioEncoding }, payload.metrics.server.totalMs);
+    // History search and listing read params.text, so the script is stored under that name too.
+    reply.done({ ...payload, history: await recordHistory("dialogue", { ...parsed, text: parsed.script }, audio, payload) });
+  } catch (e) {
+    reply.fail(e);
+  }
+});
+
+// ---- Streaming: NDJSON events with raw 16-bit PCM so the client can start playback early ----
+// Voices with native streaming (Chirp 3: HD) use the provider's bidirectional streaming API; other voices are
+// split into sentences that are synthesized a few at a time and emitted in order as each one completes.
+
+function streamPipelinedPcm({ parsed, segments, onAudio, onSegment }) {
+  let cancelled = false;
+  const started = [];
+  const start = (i) => {
+    if (i < segments.length && !started[i]) {
+      started[i] = synthesizeAudio({ ...parsed, text: segments[i], audioEncoding: "LINEAR16", sampleRateHertz: STREAM_SAMPLE_RATE_HZ });
+      // Avoid unhandled rejections for look-ahead requests that are never awaited after a cancel.
+      started[i].catch(() => {});
+    }
+  };
+
+  const done = (async () => {
+    for (let i = 0; i < segments.length && !cancelled; i++) {
+      for (let j = i; j < i + STREAM_LOOKAHEAD; j++) start(j);
+      const result = await started[i];
+      if (cancelled) break;
+      onSegment(result);
+      onAudio(parseWav(result.audioContent).data);
+    }
+  })();
+
+  return { done, cancel: () => { cancelled = true; } };
+}
+
+app.post("/api/synthesize/stream", async (req, res) => {
+  const startedAt = process.hrtime.bigint();
+  const clientStarted = Date.now();
+  const elapsedMs = () => Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+  let parsed;
+  let voice;
+  let inputType;
+  let streamText;
+  const warnings = [];
+  const lexiconReports = [];
+  const normalizationReports = [];
+  try {
+    parsed = SynthesizeSchema.parse(req.body);
+    voice = (await listVoicesCached()).find((v) => v.name === parsed.voiceName);
+    if (!voice) {
+      return sendError(res, httpError(400, "Unknown voiceName. Fetch /api/voices and pick one from the list."));
+    }
+    inputType = parsed.inputType;
+    if (voice.voiceType === "CHIRP_HD") {
+      if (inputType === "ssml") {
+        warnings.push("Chirp 3: HD voices do not support SSML. SSML tags were stripped and the text sent as plain text.");
+        inputType = "text";
+        parsed = { ...parsed, text: ssmlToText(parsed.text) };
+      }
+      if (parsed.speakingRate !== undefined || parsed.pitch !== undefined) {
+        warnings.push("Chirp 3: HD voices do not support speakingRate/pitch. Ignoring.");
+      }
+    }
+    // Checked before the response starts so a rejection is still a plain JSON error.
+    if (inputType === "ssml") assertValidSsml(parsed.text, voice.voiceType, warnings);
+    // Native streaming bypasses synthesizeAudio, so Chirp text gets its lexicon respellings and normalization here.
+    if (voice.voiceType === "CHIRP_HD") {
+      const languageCode = parsed.languageCode || voice.languageCodes?.[0];
+      if (parsed.useLexicon) {
+        const rewritten = await applyLexiconFor(parsed.text, inputType, { voiceType: voice.voiceType, languageCode });
+        streamText = rewritten.text;
+        lexiconReports.push(rewritten.report);
+      }
+      if (parsed.normalize) {
+        const normalized = normalizeFor(streamText ?? parsed.text, inputType, languageCode, parsed.normalize, warnings);
+        streamText = normalized.text;
+        normalizationReports.push(normalized.report);
+      }
+    }
+    await enforceBudget(voice.voiceType, billableCharCount(voice.voiceType, inputType, streamText ?? parsed.text), warnings);
+  } catch (e) {
+    return sendError(res, e);
+  }
+
+  const voiceType = voice.voiceType;
+  const native = voice.capabilities.nativeStreaming && Boolean(ttsProvider.streamingSynthesize);
+
+  const split = inputType === "ssml" ? splitSsml : splitText;
+  const segments = split(streamText ?? parsed.text, {
+    maxBytes: inputType === "ssml" ? STREAM_SEGMENT_BYTES * 2 : STREAM_SEGMENT_BYTES,
+    languageCode: parsed.languageCode,
+  });
+
+  res.status(200);
+  res.set({ "content-type": "application/x-ndjson; charset=utf-8", "cache-control": "no-cache", "x-accel-buffering": "no" });
+  const send = (event) => {
+    res.write(JSON.stringify(event) + "\n");
+    res.flush?.(); // compression() buffers otherwise
+  };
+
+  send({
+    type: "start",
+    mode: native ? "streaming" : "pipelined",
+    audio: { format: "pcm_s16le", sampleRateHertz: STREAM_SAMPLE_RATE_HZ, channels: 1 },
+    voice: {
+      name: voice.name,
+      voiceType,
+      ssmlGender: voice.ssmlGender,
+      languageCodes: voice.languageCodes,
+      naturalSampleRateHertz: voice.naturalSampleRateHertz,
+    },
+    segmentCount: segments.length,
+  });
+
+  let ttfbMs = null;
+  let seq = 0;
+  let segmentTtsMs = 0;
+  let segmentBillableChars = 0;
+  let segmentMarginalCostUsd = 0;
+  const pcmChunks = [];
+  const onAudio = (pcm) => {
+    if (ttfbMs === null) ttfbMs = elapsedMs();
+    pcmChunks.push(pcm);
+    send({ type: "audio", seq: seq++, base64: pcm.toString("base64") });
+  };
+
+  const ttsStarted = process.hrtime.bigint();
+  const languageCode = parsed.languageCode || voice.languageCodes?.[0];
+  const job = native
+    ? ttsProvider.streamingSynthesize({ voiceName: voice.name, languageCode, sampleRateHertz: STREAM_SAMPLE_RATE_HZ, segments, onAudio })
+    : streamPipelinedPcm({
+        parsed: { ...parsed, inputType, ssmlValidated: true },
+        segments,
+        onAudio,
+        onSegment: (r) => {
+          segmentTtsMs += r.ttsMs;
+          segmentBillableChars += r.billableChars;
+          segmentMarginalCostUsd += r.marginalCostUsd;
+          r.warnings.forEach((w) => warnings.includes(w) || warnings.push(w));
+          lexiconReports.push(r.lexicon);
+          normalizationReports.push(r.normalization);
+        },
+      });
+  res.on("close", () => {
+    if (!res.writableFinished) job.cancel();
+  });
+
+  try {
+    await job.done;
+    const charCount = [...parsed.text].length;
+    // Pipelined segments went through synthesizeAudio, which already recorded them in the ledger.
+    let billableChars = segmentBillableChars;
+    let marginalCostUsd = segmentMarginalCostUsd;
+    if (native) {
+      billableChars = billableCharCount(voiceType, "text", segments.join(" "));
+      ({ marginalCostUsd } = await recordUsage({ voiceType, voiceName: voice.name, billableChars, audioEncoding: "PCM" }));
+    }
+    const lexicon = mergeLexiconReports(lexiconReports);
+    const normalization = mergeNormalizationReports(normalizationReports);
+    const wav = buildWav({ audioFormat: 1, channels: 1, sampleRate: STREAM_SAMPLE_RATE_HZ, bitsPerSample: 16 }, Buffer.concat(pcmChunks));
+    const done = {
+      audio: { encoding: "LINEAR16", ...describeAudio("LINEAR16", wav), streamed: true },
+      voice: {
+        name: voice.name,
+        voiceType,
+        ssmlGender: voice.ssmlGender,
+        languageCodes: voice.languageCodes,
+        naturalSampleRateHertz: voice.naturalSampleRateHertz,
+      },
+      metrics: {
+        server: {
+          ttfbMs: ttfbMs === null ? null : Math.round(ttfbMs),
+          ttsMs: Math.round(native ? Number(process.hrtime.bigint() - ttsStarted) / 1e6 : segmentTtsMs),
+          totalMs: Math.round(elapsedMs()),
+          startedAtIso: new Date(clientStarted).toISOString(),
+        },
+        input: {
+          charCount,
+          inputType,
+          segmentCount: segments.length,
+        },
+        billingEstimate: {
+          currency: "USD",
+          billableChars,
+          estimatedCostUsd: estimateCostUsd(voiceType, billableChars),
+          marginalCostUsd,
+          per1MCharactersUsd: PRICE_PER_1M_USD[voiceType] ?? PRICE_PER_1M_USD.OTHER,
+        },
+      },
+      analysis: await analyzeClip("LINEAR16", wav, parsed.text, parsed.inputType),
+      ...(lexicon ? { lexicon } : {}),
+      ...(normalization ? { normalization } : {}),
+      warnings,
+    };
+    const languageCode = parsed.languageCode || voice.languageCodes?.[0];
+    // Pipelined segments were observed one by one in synthesizeAudio.
+    if (native) providerLatency.observe({ voice_type: voiceType, language: languageCode, encoding: "PCM" }, done.metrics.server.ttsMs / 1000);
+    observeSynthesis("stream", { voiceType, languageCode, audioEncoding: "LINEAR16" }, done.metrics.server.totalMs);
+    const history = await recordHistory("stream", { ...parsed, audioEncoding: "LINEAR16" }, wav, done);
+    send({ type: "done", metrics: done.metrics, analysis: done.analysis, lexicon, normalization, warnings, history });
+  } catch (e) {
+    reportError(e, "/api/synthesize/stream");
+    send({ type: "error", ...errorBody(e) });
+  } finally {
+    res.end();
+  }
+});
+
+// ---- Pronunciation lexicon ----
+const LexiconRuleSchema = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("phoneme"),
+    ipa: z.string().min(1).max(200),
+    // Plain-text spelling used for voices without SSML (Chirp 3: HD)
+    respelling: z.string().max(200).optional(),
+  }),
+  z.object({ type: z.literal("sub"), alias: z.string().min(1).max(200) }),
+  z.object({ type: z.literal("replace"), replacement: z.string().max(200) }),
+]).and(
+  z.object({
+    // BCP-47 code ("en-US"), a bare language ("en") for all its variants, or "*"
+    languageCode: z.string().min(1).max(35),
+    term: z.string().trim().min(1).max(100),
+    caseSensitive: z.boolean().default(false),
+    wholeWord: z.boolean().default(true),
+    enabled: z.boolean().default(true),
+    note: z.string().max(500).optional(),
+  })
+);
+
+app.get("/api/lexicon", async (req, res) => {
+  try {
+    const { languageCode } = z.object({ languageCode: z.string().optional() }).parse(req.query);
+    res.json({ rules: await lexiconStore.list({ languageCode }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/lexicon", async (req, res) => {
+  try {
+    res.status(201).json(await lexiconStore.create(LexiconRuleSchema.parse(req.body)));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Replaces a rule's fields (the body is a complete rule, so switching type drops the old type's fields).
+app.put("/api/lexicon/:id", async (req, res) => {
+  try {
+    const rule = await lexiconStore.replace(req.params.id, LexiconRuleSchema.parse(req.body));
+    if (!rule) return sendError(res, httpError(404, "Rule not found"));
+    res.json(rule);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/lexicon/:id", async (req, res) => {
+  try {
+    if (!(await lexiconStore.delete(req.params.id))) return sendError(res, httpError(404, "Rule not found"));
+    res.json({ deleted: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Shows what the pipeline would send for a voice without calling Google.
+const LexiconPreviewSchema = z.object({
+  text: z.string().min(1).max(LONG_TEXT_MAX_CHARS),
+  inputType: z.enum(["text", "ssml"]).default("text"),
+  voiceName: z.string().min(1),
+  languageCode: z.string().optional(),
+});
+
+app.post("/api/lexicon/preview", async (req, res) => {
+  try {
+    const parsed = LexiconPreviewSchema.parse(req.body);
+    const voiceType = ttsProvider.voiceTypeOf(parsed.voiceName);
+    let { text, inputType } = parsed;
+    if (voiceType === "CHIRP_HD" && inputType === "ssml") {
+      text = ssmlToText(text);
+      inputType = "text";
+    }
+    const languageCode = parsed.languageCode || parsed.voiceName.split("-").slice(0, 2).join("-");
+    const result = await applyLexiconFor(text, inputType, { voiceType, languageCode });
+    res.json({ text: result.text, inputType: result.inputType, languageCode, voiceType, ...(result.report || { applied: [], skipped: [] }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---- Text normalization ----
+app.get("/api/normalize", (req, res) => {
+  res.json({ rules: NORMALIZE_RULES, languages: NORMALIZE_LANGUAGES });
+});
+
+// What a request with `normalize` would send (after the lexicon, as in synthesis), with every change located
+// in the result so the client can highlight it.
+const NormalizePreviewSchema = LexiconPreviewSchema.extend({
+  normalize: NormalizeOptionSchema.default(true),
+  useLexicon: z.boolean().default(true),
+});
+
+app.post("/api/normalize/preview", async (req, res) => {
+  try {
+    const parsed = NormalizePreviewSchema.parse(req.body);
+    const voiceType = ttsProvider.voiceTypeOf(parsed.voiceName);
+    let { text, inputType } = parsed;
+    if (voiceType === "CHIRP_HD" && inputType === "ssml") {
+      text = ssmlToText(text);
+      inputType = "text";
+    }
+    const languageCode = parsed.languageCode || parsed.voiceName.split("-").slice(0, 2).join("-");
+    if (parsed.useLexicon) ({ text, inputType } = await applyLexiconFor(text, inputType, { voiceType, languageCode }));
+    const result = normalizeText(text, inputType, { languageCode, rules: enabledNormalizeRules(parsed.normalize) ?? new Set() });
+    res.json({ text: result.text, inputType, languageCode, supported: result.supported, changes: result.changes });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---- Background beds ----
+const BedUploadSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  fileName: z.string().max(255).optional(),
+  base64: z.string().min(1),
+});
+
+app.get("/api/beds", async (req, res) => {
+  try {
+    res.json({ beds: await bedStore.list(), maxMb: BED_MAX_MB, maxSec: BED_MAX_SEC });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/beds", async (req, res) => {
+  try {
+    const { name, fileName, base64 } = BedUploadSchema.parse(req.body);
+    res.status(201).json(await bedStore.add({ name, fileName, data: Buffer.from(base64, "base64") }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/beds/:id/audio", async (req, res) => {
+  try {
+    const stored = await bedStore.audio(req.params.id);
+    if (!stored) return sendError(res, httpError(404, "Bed not found"));
+    res.type(mimeTypeFor(stored.bed.encoding)).send(stored.data);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/beds/:id", async (req, res) => {
+  try {
+    if (!(await bedStore.delete(req.params.id))) return sendError(res, httpError(404, "Bed not found"));
+    res.json({ deleted: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---- Saved presets ----
+const presetStore = createPresetStore({ dir: path.join(DATA_DIR, "presets") });
+
+const PresetSchema = SynthesizeSchema.pick({
+  languageCode: true,
+  audioEncoding: true,
+  sampleRateHertz: true,
+  speakingRate: true,
+  pitch: true,
+  volumeGainDb: true,
+  inputType: true,
+  normalize: true,
+}).extend({
+  name: z.string().trim().min(1).max(100),
+  description: z.string().trim().max(500).optional(),
+  voiceName: z.string().min(1),
+  // Lets the form show the right voice type even when this server doesn't offer the voice
+  voiceType: z.string().max(40).optional(),
+  text: z.string().max(4000).default(""),
+  timepoints: z.boolean().optional(),
+  // Bed ids only resolve on the server the bed was uploaded to
+  postprocess: PostProcessSchema,
+});
+
+const PresetImportSchema = z.object({
+  format: z.literal(PRESET_EXPORT_FORMAT).optional(),
+  presets: z.array(PresetSchema).min(1).max(500),
+});
+
+// Names are unique (case-insensitive) so imports can match presets up by name.
+async function assertPresetNameFree(name, exceptId = null) {
+  const clash = (await presetStore.list()).find((p) => p.id !== exceptId && p.name.toLowerCase() === name.toLowerCase());
+  if (clash) throw httpError(409, `A preset named "${clash.name}" already exists.`, { presetId: clash.id });
+}
+
+app.get("/api/presets", async (req, res) => {
+  try {
+    res.json({ presets: await presetStore.list() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// The whole collection as a file to hand to a teammate or import on another server.
+app.get("/api/presets/export", async (req, res) => {
+  try {
+    res.type("application/json").attachment("tts-presets.json");
+    res.send(JSON.stringify(await presetStore.export(), null, 2));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Body: an exported collection; ?mode=replace drops existing presets first (default: merge by name).
+app.post("/api/presets/import", async (req, res) => {
+  try {
+    const { mode } = z.object({ mode: z.enum(["merge", "replace"]).default("merge") }).parse(req.query);
+    const { presets } = PresetImportSchema.parse(req.body);
+    const names = new Set();
+    for (const p of presets) {
+      if (names.has(p.name.toLowerCase())) throw httpError(400, `The file has two presets named "${p.name}".`);
+      names.add(p.name.toLowerCase());
+    }
+    res.json(await presetStore.import(presets, { mode, createdBy: currentKey()?.name ?? null }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/presets/:id", async (req, res) => {
+  try {
+    const preset = await presetStore.get(req.params.id);
+    if (!preset) return sendError(res, httpError(404, "Preset not found"));
+    res.json(preset);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/presets", async (req, res) => {
+  try {
+    const fields = PresetSchema.parse(req.body);
+    await assertPresetNameFree(fields.name);
+    res.status(201).json(await presetStore.create(fields, { createdBy: currentKey()?.name ?? null }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Replaces a preset's fields (the body is a complete preset).
+app.put("/api/presets/:id", async (req, res) => {
+  try {
+    const fields = PresetSchema.parse(req.body);
+    await assertPresetNameFree(fields.name, req.params.id);
+    const preset = await presetStore.replace(req.params.id, fields);
+    if (!preset) return sendError(res, httpError(404, "Preset not found"));
+    res.json(preset);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/presets/:id", async (req, res) => {
+  try {
+    if (!(await presetStore.delete(req.params.id))) return sendError(res, httpError(404, "Preset not found"));
+    res.json({ deleted: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---- SSML tools ----
+const SsmlValidateSchema = z.object({
+  ssml: z.string().min(1).max(LONG_TEXT_MAX_CHARS),
+  // Either one narrows the checks to what that voice type supports.
+  voiceName: z.string().optional(),
+  voiceType: z.string().optional(),
+});
+
+app.post("/api/ssml/validate", (req, res) => {
+  try {
+    const parsed = SsmlValidateSchema.parse(req.body);
+    const voiceType = parsed.voiceType || (parsed.voiceName ? ttsProvider.voiceTypeOf(parsed.voiceName) : undefined);
+    if (voiceType === "CHIRP_HD") {
+      return res.json({
+        valid: true,
+        errors: [],
+        warnings: [{ line: 1, column: 1, message: "Chirp 3: HD voices do not support SSML; tags will be stripped before synthesis." }],
+        voiceType,
+        plainText: ssmlToText(parsed.ssml),
+      });
+    }
+    res.json({ ...validateSsml(parsed.ssml, voiceType), voiceType: voiceType ?? null });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const SsmlConvertSchema = z.object({
+  text: z.string().min(1).max(LONG_TEXT_MAX_CHARS),
+  to: z.enum(["ssml", "text"]),
+});
+
+app.post("/api/ssml/convert", (req, res) => {
+  try {
+    const parsed = SsmlConvertSchema.parse(req.body);
+    res.json({ to: parsed.to, text: parsed.to === "ssml" ? textToSsml(parsed.text) : ssmlToText(parsed.text) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---- Batch jobs: bulk synthesis from CSV / JSONL uploads ----
+const BATCH_JOB_MAX_ROWS = Number(process.env.BATCH_JOB_MAX_ROWS || 1000);
+
+const jobQueue = createJobQueue({
+  dir: path.join(DATA_DIR, "jobs"),
+  concurrency: Number(process.env.BATCH_JOB_CONCURRENCY || 2),
+  ratePerMinute: Number(process.env.BATCH_JOB_RATE_PER_MIN || 120),
+  maxAttempts: Number(process.env.BATCH_JOB_MAX_ATTEMPTS || 3),
+  // Transient failures and Google's quota are worth another attempt later; our own rejections (bad input, budget cap) aren't.
+  isRetryable: (e) => classifyError(e).retryable,
+  // Rows run outside any request, so the key that queued the job is put back for its quota and metering.
+  async runRow(params, job) {
+    const key = job.ownerKeyId ? await keyStore.get(job.ownerKeyId) : null;
+    if (job.ownerKeyId && (!key || key.revokedAt)) throw httpError(403, "The API key that queued this job has been revoked.");
+    const result = await requestContext.run({ requestId: `job:${job.id}`, key }, async () => {
+      try {
+        return await synthesizeAudio(params);
+      } catch (e) {
+        reportError(e, "job");
+        throw e;
+      }
+    });
+    const durationSec = audioDurationSec(params.audioEncoding, result.audioContent);
+    return {
+      audioContent: result.audioContent,
+      extension: extensionFor(params.audioEncoding),
+      voiceType: result.voiceType,
+      charCount: result.charCount,
+      billableChars: result.billableChars,
+      estimatedCostUsd: estimateCostUsd(result.voiceType, result.billableChars),
+      marginalCostUsd: result.marginalCostUsd,
+      durationSec: durationSec == null ? null : Number(durationSec.toFixed(3)),
+      ttsMs: Math.round(result.ttsMs),
+      cacheHit: result.cache.hit,
+      warnings: result.warnings,
+    };
+  },
+  onFinish(job) {
+    notify(
+      job.status === "failed" ? "job.failed" : "job.completed",
+      { jobId: job.id, name: job.name, status: job.status, counts: job.counts, estimatedCostUsd: job.estimatedCostUsd, jobUrl: publicUrl(`/api/v1/jobs/${job.id}`), downloadUrl: publicUrl(`/api/v1/jobs/${job.id}/download`) },
+      job.ownerKeyId,
+    );
+  },
+});
+// Resume jobs that were queued or running when the server last stopped.
+jobQueue.load().catch((e) => log.error("jobs: failed to load", { err: e }));
+
+// Short column names accepted in uploads, next to the full SynthesizeSchema field names.
+const JOB_FIELD_ALIASES = { voice: "voiceName", language: "languageCode", encoding: "audioEncoding", rate: "speakingRate", volume: "volumeGainDb" };
+const JOB_NUMBER_FIELDS = new Set(["speakingRate", "pitch", "volumeGainDb"]);
+const JOB_BOOLEAN_FIELDS = new Set(["useLexicon", "normalize"]);
+const JOB_ROW_ID = /^[\w.-]{1,100}$/;
+
+const JobCreateSchema = z.object({
+  name: z.string().trim().max(200).optional(),
+  format: z.enum(["csv", "jsonl"]),
+  content: z.string().min(1),
+  // Applied to every row that leaves the field empty.
+  defaults: SynthesizeSchema.pick({
+    voiceName: true,
+    languageCode: true,
+    audioEncoding: true,
+    inputType: true,
+    speakingRate: true,
+    pitch: true,
+    volumeGainDb: true,
+    useLexicon: true,
+    normalize: true,
+  })
+    .partial()
+    .default({}),
+});
+
+// CSV cells are strings, so numeric and boolean columns are converted before validation.
+function jobRowParams(fields, defaults) {
+  const params = { ...defaults };
+  for (const [key, value] of Object.entries(fields)) {
+    const field = JOB_FIELD_ALIASES[key] ?? key;
+    if (typeof value === "string" && JOB_NUMBER_FIELDS.has(field)) params[field] = Number(value);
+    else if (typeof value === "string" && JOB_BOOLEAN_FIELDS.has(field)) params[field] = !/^(false|no|0)$/i.test(value.trim());
+    else params[field] = value;
+  }
+  return params;
+}
+
+// Checks every row up front and reports all problems at once, with the line they came from.
+async function prepareJobRows(content, format, defaults) {
+  const parsedRows = parseJobFile(content, format);
+  if (!parsedRows.length) throw httpError(400, "The file has no rows.");
+  if (parsedRows.length > BATCH_JOB_MAX_ROWS) {
+    throw httpError(400, `Too many rows (${parsedRows.length}); a job takes at most ${BATCH_JOB_MAX_ROWS}.`);
+  }
+
+  const voices = await listVoicesCached();
+  const rows = [];
+  const errors = [];
+  const ids = new Set();
+  const billableByType = new Map();
+
+  for (const [i, { line, fields, error }] of parsedRows.entries()) {
+    if (error) {
+      errors.push({ line, message: error });
+      continue;
+    }
+    if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+      errors.push({ line, message: "Expected a JSON object" });
+      continue;
+    }
+    const result = SynthesizeSchema.safeParse(jobRowParams(fields, defaults));
+    if (!result.success) {
+      errors.push(...result.error.issues.map((issue) => ({ line, message: `${issue.path.join(".") || "row"}: ${issue.message}` })));
+      continue;
+    }
+    const { saveHistory, ...params } = result.data;
+    const voice = voices.find((v) => v.name === params.voiceName);
+    if (!voice) {
+      errors.push({ line, message: `Unknown voice "${params.voiceName}"` });
+      continue;
+    }
+    if (params.inputType === "ssml" && voice.voiceType !== "CHIRP_HD") {
+      const ssml = validateSsml(params.text, voice.voiceType);
+      errors.push(...ssml.errors.map((e) => ({ line, message: `SSML ${e.line}:${e.column}: ${e.message}` })));
+      if (!ssml.valid) continue;
+    }
+    const id = fields.id == null || fields.id === "" ? `row-${String(i + 1).padStart(4, "0")}` : String(fields.id).trim();
+    if (!JOB_ROW_ID.test(id)) {
+      errors.push({ line, message: `id "${id}" may only contain letters, digits, ".", "_" and "-"` });
+      continue;
+    }
+    if (ids.has(id)) {
+      errors.push({ line, message: `Duplicate id "${id}"` });
+      continue;
+    }
+    ids.add(id);
+    billableByType.set(voice.voiceType, (billableByType.get(voice.voiceType) ?? 0) + billableCharCount(voice.voiceType, params.inputType, params.text));
+    rows.push({ id, line, params });
+  }
+
+  if (errors.length) throw httpError(400, `${errors.length} problem(s) in the uploaded rows`, { errors: errors.slice(0, 100) });
+  return { rows, billableByType };
+}
+
+apiDocs.add({ method: "post", path: "/jobs", operationId: "createJob", summary: "Queue a CSV/JSONL batch job", tags: ["Jobs"], body: JobCreateSchema, idempotent: true, status: 201, response: "Object" });
+app.post("/api/jobs", async (req, res) => {
+  try {
+    const { name, format, content, defaults } = JobCreateSchema.parse(req.body);
+    const { rows, billableByType } = await prepareJobRows(content, format, defaults);
+
+    // Check the whole job against the budget before queueing it (cache hits make this an upper bound).
+    const warnings = [];
+    await enforceKeyQuota([...billableByType.values()].reduce((sum, n) => sum + n, 0));
+    for (const [voiceType, billableChars] of billableByType) await enforceBudget(voiceType, billableChars, warnings);
+
+    res.status(201).json({ ...(await jobQueue.create({ name, rows, ownerKeyId: currentKey()?.id ?? null })), warnings });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+apiDocs.add({ method: "get", path: "/jobs", operationId: "listJobs", summary: "Batch jobs", tags: ["Jobs"], response: "Object" });
+app.get("/api/jobs", async (req, res) => {
+  try {
+    res.json({ jobs: await jobQueue.list() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+apiDocs.add({ method: "get", path: "/jobs/{id}", operationId: "getJob", summary: "A batch job with its rows", tags: ["Jobs"], response: "Object" });
+app.get("/api/jobs/:id", async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.id);
+    if (!job) return sendError(res, httpError(404, "No job with that id."));
+    res.json(job);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/jobs/:id/cancel", async (req, res) => {
+  try {
+    const job = await jobQueue.cancel(req.params.id);
+    if (!job) return sendError(res, httpError(404, "No job with that id."));
+    res.json(job);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/jobs/:id/retry", async (req, res) => {
+  try {
+    const job = await jobQueue.retry(req.params.id);
+    if (!job) return sendError(res, httpError(404, "No job with that id."));
+    res.json(job);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/jobs/:id", async (req, res) => {
+  try {
+    if (!(await jobQueue.delete(req.params.id))) {
+      return sendError(res, httpError(404, "No job with that id."));
+    }
+    res.json({ deleted: req.params.id });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+apiDocs.add({
+  method: "get",
+  path: "/jobs/{id}/download",
+  operationId: "downloadJob",
+  summary: "ZIP of a job's audio files and manifest",
+  tags: ["Jobs"],
+  response: { content: { "application/zip": { schema: { type: "string", format: "binary" } } } },
+});
+app.get("/api/jobs/:id/download", async (req, res) => {
+  try {
+    const archive = await jobQueue.archive(req.params.id);
+    if (!archive) return sendError(res, httpError(404, "No job with that id."));
+    res.type("application/zip").attachment(`${archive.name}.zip`);
+    res.send(archive.zip);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---- Latency benchmarks ----
+const benchmarkStore = createBenchmarkStore({
+  dir: path.join(DATA_DIR, "benchmarks"),
+  // Always a real provider call (a cache hit would measure the disk, not the voice), and without the lexicon
+  // so every voice gets the same input.
+  async runSample({ voiceName, languageCode, text, audioEncoding }) {
+    try {
+      const result = await synthesizeAudio({ inputType: "text", text, voiceName, languageCode, audioEncoding, useCache: false, useLexicon: false });
+      const audioSec = audioDurationSec(audioEncoding, result.audioContent);
+      return {
+        voiceType: result.voiceType,
+        ttsMs: Number(result.ttsMs.toFixed(1)),
+        billableChars: result.billableChars,
+        estimatedCostUsd: estimateCostUsd(result.voiceType, result.billableChars),
+        bytes: result.audioContent.length,
+        audioSec: audioSec == null ? null : Number(audioSec.toFixed(3)),
+      };
+    } catch (e) {
+      reportError(e, "benchmark");
+      throw e;
+    }
+  },
+});
+benchmarkStore.load().catch((e) => log.error("benchmarks: failed to load", { err: e }));
+
+const BenchmarkSchema = z.object({
+  name: z.string().trim().max(200).optional(),
+  texts: z.array(z.string().trim().min(1).max(4000)).min(1).max(20),
+  voices: z
+    .array(z.object({ voiceName: z.string().min(1), languageCode: z.string().optional() }))
+    .min(1)
+    .max(12),
+  iterations: z.number().int().min(1).max(50).default(5),
+  // Unmeasured requests per voice before timing starts
+  warmup: z.number().int().min(0).max(10).default(1),
+  concurrency: z.number().int().min(1).max(8).default(1),
+  audioEncoding: z.enum(AUDIO_ENCODINGS).default("MP3"),
+});
+
+// Requests, billable characters and list-price cost of a run, per voice type.
+async function estimateBenchmark({ texts, voices, iterations, warmup, audioEncoding }) {
+  const catalog = await listVoicesCached();
+  const byType = new Map();
+  for (const { voiceName } of voices) {
+    const voice = catalog.find((v) => v.name === voiceName);
+    if (!voice) throw httpError(400, `Unknown voice "${voiceName}". Fetch /api/voices and pick one from the list.`);
+    if (!voice.capabilities.audioEncodings.includes(audioEncoding)) {
+      throw httpError(400, `${audioEncoding} output isn't available for ${voice.name}.`);
+    }
+    const perPass = texts.reduce((sum, t) => sum + billableCharCount(voice.voiceType, "text", t), 0);
+    // Warm-up requests cycle through the texts, so they are billed too.
+    const warmupChars = Array.from({ length: warmup }, (_, i) => billableCharCount(voice.voiceType, "text", texts[i % texts.length])).reduce((a, b) => a + b, 0);
+    const entry = byType.get(voice.voiceType) ?? { voiceType: voice.voiceType, requests: 0, billableChars: 0 };
+    entry.requests += texts.length * iterations + warmup;
+    entry.billableChars += perPass * iterations + warmupChars;
+    byType.set(voice.voiceType, entry);
+  }
+  const byVoiceType = [...byType.values()].map((e) => ({ ...e, estimatedCostUsd: estimateCostUsd(e.voiceType, e.billableChars) }));
+  return {
+    requests: byVoiceType.reduce((sum, e) => sum + e.requests, 0),
+    billableChars: byVoiceType.reduce((sum, e) => sum + e.billableChars, 0),
+    estimatedCostUsd: byVoiceType.reduce((sum, e) => sum + e.estimatedCostUsd, 0),
+    byVoiceType,
+  };
+}
+
+// What a run would send and cost, without sending anything (not rate-limited, so forms can call it as they change).
+app.post("/api/benchmarks/estimate", async (req, res) => {
+  try {
+    const { name, ...config } = BenchmarkSchema.parse(req.body);
+    res.json({ estimate: await estimateBenchmark(config) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/benchmarks", async (req, res) => {
+  try {
+    const { name, ...config } = BenchmarkSchema.parse(req.body);
+    const estimate = await estimateBenchmark(config);
+
+    const warnings = [];
+    await enforceKeyQuota(estimate.billableChars);
+    for (const { voiceType, billableChars } of estimate.byVoiceType) await enforceBudget(voiceType, billableChars, warnings);
+
+    // Samples run after the response, so the caller's key and a request id are carried along.
+    const key = currentKey();
+    const run = await benchmarkStore.create({
+      name,
+      config,
+      ownerKeyId: key?.id ?? null,
+      context: (fn) => requestContext.run({ requestId: `benchmark:${req.id}`, key }, fn),
+    });
+    res.status(201).json({ ...run, estimate, warnings });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/benchmarks", async (req, res) => {
+  try {
+    res.json({ benchmarks: await benchmarkStore.list(), pricing: PRICE_PER_1M_USD });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/benchmarks/:id", async (req, res) => {
+  try {
+    const run = await benchmarkStore.get(req.params.id);
+    if (!run) return sendError(res, httpError(404, "No benchmark with that id."));
+    res.json(run);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/benchmarks/:id/cancel", async (req, res) => {
+  try {
+    const run = await benchmarkStore.cancel(req.params.id);
+    if (!run) return sendError(res, httpError(404, "No benchmark with that id."));
+    res.json(run);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/benchmarks/:id", async (req, res) => {
+  try {
+    if (!(await benchmarkStore.delete(req.params.id))) {
+      return sendError(res, httpError(404, "No benchmark with that id."));
+    }
+    res.json({ deleted: req.params.id });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ?format=json: the report with every sample; ?format=csv: one row per request.
+app.get("/api/benchmarks/:id/export", async (req, res) => {
+  try {
+    const format = req.query.format === "csv" ? "csv" : "json";
+    const run = await benchmarkStore.get(req.params.id);
+    if (!run) return sendError(res, httpError(404, "No benchmark with that id."));
+    const base = `benchmark-${run.id.slice(0, 8)}`;
+    if (format === "csv") {
+      res.type("text/csv").attachment(`${base}.csv`);
+      return res.send(await benchmarkStore.samplesCsv(run.id));
+    }
+    res.type("application/json").attachment(`${base}.json`);
+    res.send(JSON.stringify(run, null, 2));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---- Webhooks ----
+const WebhookSchema = z.object({
+  url: z.string().url().max(2000),
+  description: z.string().trim().max(200).optional(),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1),
+  // Events from every key's requests, not only the registering key's (admins only)
+  allKeys: z.boolean().default(false),
+});
+
+const WebhookUpdateSchema = WebhookSchema.omit({ allKeys: true }).partial().extend({ enabled: z.boolean().optional() });
+
+const DeliveriesQuerySchema = z.object({
+  webhookId: z.string().optional(),
+  status: z.enum(["pending", "delivered", "failed"]).optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+});
+
+// Keys see and manage their own endpoints; admins (and everyone, with auth off) see all of them.
+const seesAllWebhooks = (req) => !AUTH_ENABLED || req.apiKey?.role === "admin";
+
+async function visibleWebhook(req, id) {
+  const webhook = await webhookStore.get(id);
+  if (!webhook || (!seesAllWebhooks(req) && webhook.ownerKeyId !== req.apiKey?.id)) throw httpError(404, "Webhook not found");
+  return webhook;
+}
+
+apiDocs.add({ method: "get", path: "/webhooks", operationId: "listWebhooks", summary: "Registered webhook endpoints", tags: ["Webhooks"], response: "Object" });
+app.get("/api/webhooks", async (req, res) => {
+  try {
+    const webhooks = (await webhookStore.list()).filter((w) => seesAllWebhooks(req) || w.ownerKeyId === req.apiKey?.id);
+    res.json({ webhooks, events: WEBHOOK_EVENTS, canSubscribeAllKeys: seesAllWebhooks(req) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+apiDocs.add({
+  method: "post",
+  path: "/webhooks",
+  operationId: "createWebhook",
+  summary: "Register a webhook endpoint",
+  description: "The response carries the signing secret; it isn't shown again (rotate it to get a new one).",
+  tags: ["Webhooks"],
+  body: WebhookSchema,
+  status: 201,
+  response: "Object",
+});
+app.post("/api/webhooks", async (req, res) => {
+  try {
+    const parsed = WebhookSchema.parse(req.body);
+    if (parsed.allKeys && !seesAllWebhooks(req)) throw httpError(403, "Only admin keys can subscribe to every key's events.");
+    res.status(201).json(await webhookStore.create(parsed, { ownerKeyId: req.apiKey?.id ?? null }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+apiDocs.add({ method: "get", path: "/webhooks/deliveries", operationId: "listWebhookDeliveries", summary: "Delivery log, newest first", tags: ["Webhooks"], query: DeliveriesQuerySchema, response: "Object" });
+app.get("/api/webhooks/deliveries", async (req, res) => {
+  try {
+    const query = DeliveriesQuerySchema.parse(req.query);
+    const webhookIds = seesAllWebhooks(req)
+      ? null
+      : new Set((await webhookStore.list()).filter((w) => w.ownerKeyId === req.apiKey?.id).map((w) => w.id));
+    res.json({ deliveries: await webhookStore.deliveries({ ...query, webhookIds }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/webhooks/deliveries/:id/redeliver", async (req, res) => {
+  try {
+    const original = await webhookStore.getDelivery(req.params.id);
+    if (!original) throw httpError(404, "Delivery not found");
+    await visibleWebhook(req, original.webhookId);
+    res.status(201).json(await webhookStore.redeliver(original.id));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.patch("/api/webhooks/:id", async (req, res) => {
+  try {
+    await visibleWebhook(req, req.params.id);
+    res.json(await webhookStore.update(req.params.id, WebhookUpdateSchema.parse(req.body)));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/webhooks/:id/rotate-secret", async (req, res) => {
+  try {
+    await visibleWebhook(req, req.params.id);
+    res.json(await webhookStore.rotateSecret(req.params.id));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Sends a "ping" event right away.
+app.post("/api/webhooks/:id/test", async (req, res) => {
+  try {
+    await visibleWebhook(req, req.params.id);
+    res.status(201).json(await webhookStore.test(req.params.id));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/webhooks/:id", async (req, res) => {
+  try {
+    await visibleWebhook(req, req.params.id);
+    await webhookStore.delete(req.params.id);
+    res.json({ deleted: req.params.id });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---- Usage / billing ----
+const UsageQuerySchema = z.object({ month: z.string().regex(/^\d{4}-\d{2}$/).optional() });
+
+apiDocs.add({ method: "get", path: "/usage", operationId: "getUsage", summary: "Characters and estimated spend for a month", tags: ["Usage"], query: UsageQuerySchema, response: "Object" });
+app.get("/api/usage", async (req, res) => {
+  try {
+    const { month } = UsageQuerySchema.parse(req.query);
+    res.json({
+      currency: "USD",
+      per1MCharacters: PRICE_PER_1M_USD,
+      freeTierCharactersPerMonth: FREE_TIER_PER_MONTH,
+      ...(await usageLedger.summary(month)),
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---- History ----
+const HistoryQuerySchema = z.object({
+  voiceType: z.string().optional(),
+  language: z.string().optional(),
+  source: z.string().optional(),
+  from: z.string().optional(),
+  to: z.string().optional(),
+  q: z.string().optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+apiDocs.add({ method: "get", path: "/history", operationId: "listHistory", summary: "Saved clips, newest first", tags: ["History"], query: HistoryQuerySchema, response: "Object" });
+app.get("/api/history", async (req, res) => {
+  try {
+    const query = HistoryQuerySchema.parse(req.query);
+    const { items, ...page } = await historyStore.list(query);
+    res.json({ ...page, items: items.map((r) => ({ ...r, history: historyRef(r) })) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/history/:id", async (req, res) => {
+  try {
+    const record = await historyStore.get(req.params.id);
+    if (!record) return sendError(res, httpError(404, "No clip with that id."));
+    res.json({ ...record, history: historyRef(record) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+apiDocs.add({
+  method: "get",
+  path: "/history/{id}/audio",
+  operationId: "getHistoryAudio",
+  summary: "A saved clip's audio",
+  tags: ["History"],
+  response: { content: { "audio/*": { schema: { type: "string", format: "binary" } } } },
+});
+app.get("/api/history/:id/audio", async (req, res) => {
+  try {
+    const record = await historyStore.get(req.params.id);
+    if (!record) return sendError(res, httpError(404, "No clip with that id."));
+    res.type(record.audio.mimeType).set("cache-control", "public, max-age=31536000, immutable");
+    res.send(await historyStore.readAudio(record));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Clips saved before analysis existed are measured on request.
+app.get("/api/history/:id/analysis", async (req, res) => {
+  try {
+    const record = await historyStore.get(req.params.id);
+    if (!record) return sendError(res, httpError(404, "No clip with that id."));
+    const analysis =
+      record.analysis ?? (await analyzeClip(record.audio.encoding, await historyStore.readAudio(record), record.params.text, record.params.inputType));
+    if (!analysis) return sendError(res, httpError(422, `${record.audio.encoding} audio can't be analyzed.`));
+    res.json(analysis);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/history/:id", async (req, res) => {
+  try {
+    if (!(await historyStore.delete(req.params.id))) {
+      return sendError(res, httpError(404, "No clip with that id."));
+    }
+    res.json({ deleted: req.params.id });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---- Login sessions and API key admin ----
+const LoginSchema = z.object({
+  apiKey: z.string().trim().min(1),
+});
+
+// Trades an API key for an httpOnly session cookie, so the browser never keeps the key itself.
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { apiKey } = LoginSchema.parse(req.body);
+    const key = await keyStore.authenticate(apiKey);
+    if (!key) throw httpError(401, "Unknown or revoked API key.");
+    res.cookie(SESSION_COOKIE, await keyStore.issueSession(key), {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure || req.get("x-forwarded-proto") === "https",
+      maxAge: SESSION_TTL_MS,
+      path: "/",
+    });
+    res.json({ key: publicKey(key) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+  res.json({ ok: true });
+});
+
+app.get("/api/auth/me", (req, res) => {
+  res.json({ authEnabled: AUTH_ENABLED, key: req.apiKey ? publicKey(req.apiKey) : null });
+});
+
+const KeyFieldsSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  role: z.enum(["user", "admin"]),
+  rateLimitPerMin: z.number().int().min(0).max(100000),
+  monthlyCharQuota: z.number().int().min(0),
+});
+
+const KeyCreateSchema = KeyFieldsSchema.extend({
+  role: KeyFieldsSchema.shape.role.default("user"),
+  rateLimitPerMin: KeyFieldsSchema.shape.rateLimitPerMin.default(DEFAULT_KEY_RATE_LIMIT_PER_MIN),
+  monthlyCharQuota: KeyFieldsSchema.shape.monthlyCharQuota.default(DEFAULT_KEY_MONTHLY_CHAR_QUOTA),
+});
+
+app.get("/api/admin/keys", async (req, res) => {
+  try {
+    res.json({
+      keys: await keyStore.list(),
+      defaults: { rateLimitPerMin: DEFAULT_KEY_RATE_LIMIT_PER_MIN, monthlyCharQuota: DEFAULT_KEY_MONTHLY_CHAR_QUOTA },
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// The response is the only time the plaintext key is available.
+app.post("/api/admin/keys", async (req, res) => {
+  try {
+    res.status(201).json(await keyStore.create(KeyCreateSchema.parse(req.body)));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.patch("/api/admin/keys/:id", async (req, res) => {
+  try {
+    const key = await keyStore.update(req.params.id, KeyFieldsSchema.partial().parse(req.body));
+    if (!key) return sendError(res, httpError(404, "No key with that id."));
+    res.json(key);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Revoked keys stay listed with their usage; their sessions and queued job rows stop working.
+app.post("/api/admin/keys/:id/revoke", async (req, res) => {
+  try {
+    const key = await keyStore.revoke(req.params.id);
+    if (!key) return sendError(res, httpError(404, "No key with that id."));
+    res.json(key);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---- Audio cache admin ----
+app.get("/api/admin/cache", async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    const entries = await audioCache.list();
+    res.json({ enabled: AUDIO_CACHE_ENABLED, stats: await audioCache.stats(), entries: entries.slice(0, limit) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/admin/cache", async (req, res) => {
+  try {
+    res.json({ purged: await audioCache.purge() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/admin/cache/:key", async (req, res) => {
+  try {
+    if (!(await audioCache.delete(req.params.key))) {
+      return sendError(res, httpError(404, "No cache entry with that key."));
+    }
+    res.json({ deleted: req.params.key });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Reloads the voice list from Google now instead of waiting for VOICES_CACHE_TTL_SEC.
+app.post("/api/admin/voices/refresh", async (req, res) => {
+  try {
+    const voices = await listVoicesCached({ force: true });
+    res.json({ count: voices.length, ...(await catalogTracker.diff()) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Last in line: errors no route caught (a malformed or oversized JSON body from the parsers above) get the same
+// JSON envelope as everything else instead of Express's HTML page.
+app.use((err, req, res, next) => sendError(res, err));
+
 app.listen(PORT, () => {
-  console.log(`✅ tts-google backend listening on http://127.0.0.1:${PORT}`);
+  log.info(`tts-google backend listening on http://127.0.0.1:${PORT}`, { port: PORT, provider: ttsProvider.id, authEnabled: AUTH_ENABLED });
 });
@@ -0,0 +1,366 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { log } from "./logger.js";
+import { buildZip } from "./zip.js";
+
+// ---- Batch jobs: bulk synthesis from CSV / JSONL ----
+// A job is a list of rows, each a complete synthesize request. Rows from all jobs share one worker pool
+// (bounded concurrency plus a minimum spacing between starts), failed rows are retried with exponential
+// backoff when the error is transient, and every job is persisted as <dir>/<id>/job.json with one audio
+// file per finished row, so queued work resumes after a restart.
+
+// RFC 4180 CSV: quoted fields, "" escapes, CRLF or LF line ends. Returns rows of { line, cells }.
+export function parseCsv(text) {
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      cells.push(cell);
+      if (cells.some((c) => c !== "")) rows.push({ line: rowLine, cells });
+      cells = [];
+      cell = "";
+      rowLine = ++line;
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  if (cells.some((c) => c !== "")) rows.push({ line: rowLine, cells });
+  return rows;
+}
+
+// Rows of a CSV (first row = header) or JSONL upload as plain objects with their source line number.
+export function parseJobFile(content, format) {
+  if (format === "jsonl") {
+    return content
+      .split(/\r?\n/)
+      .map((raw, i) => ({ raw: raw.trim(), line: i + 1 }))
+      .filter((r) => r.raw)
+      .map(({ raw, line }) => {
+        try {
+          return { line, fields: JSON.parse(raw) };
+        } catch (e) {
+          return { line, error: `Invalid JSON: ${e.message}` };
+        }
+      });
+  }
+  const [header, ...rows] = parseCsv(content.replace(/^\uFEFF/, ""));
+  if (!header) return [];
+  const names = header.cells.map((h) => h.trim());
+  return rows.map(({ line, cells }) => ({
+    line,
+    fields: Object.fromEntries(names.map((name, i) => [name, cells[i] ?? ""]).filter(([name, v]) => name && v !== "")),
+  }));
+}
+
+const safeFileName = (s) => s.replace(/[^\w.-]+/g, "_").slice(0, 100) || "row";
+
+const TERMINAL = new Set(["done", "failed", "cancelled"]);
+
+function countsOf(job) {
+  const counts = { total: job.rows.length, pending: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+  for (const row of job.rows) counts[row.status]++;
+  return counts;
+}
+
+function summaryOf(job) {
+  const { rows, ...rest } = job;
+  return {
+    ...rest,
+    counts: countsOf(job),
+    estimatedCostUsd: rows.reduce((sum, r) => sum + (r.result?.estimatedCostUsd ?? 0), 0),
+  };
+}
+
+// runRow(params, job) -> { audioContent, extension, ...result fields stored on the row }
+// isRetryable(error) -> whether a failed attempt should be retried
+// onFinish(summary) -> called once when a job's last row finishes (not when it is cancelled)
+export function createJobQueue({ dir, concurrency, ratePerMinute, maxAttempts, runRow, isRetryable, onFinish = () => {} }) {
+  const jobs = new Map();
+  const minSpacingMs = ratePerMinute > 0 ? 60_000 / ratePerMinute : 0;
+  const saving = new Map(); // job id -> promise chain, so writes of one job never interleave
+  let loaded = null;
+  let active = 0;
+  let nextStartAt = 0;
+  let timer = null;
+
+  const jobDir = (id) => path.join(dir, id);
+
+  function save(job) {
+    job.updatedAt = new Date().toISOString();
+    const snapshot = JSON.stringify(job);
+    const file = path.join(jobDir(job.id), "job.json");
+    const chain = (saving.get(job.id) || Promise.resolve())
+      .then(() => fs.writeFile(`${file}.tmp`, snapshot))
+      .then(() => fs.rename(`${file}.tmp`, file))
+      .catch((e) => log.error(`jobs: failed to save ${job.id}`, { err: e }));
+    saving.set(job.id, chain);
+    return chain;
+  }
+
+  function load() {
+    loaded ??= (async () => {
+      await fs.mkdir(dir, { recursive: true });
+      for (const id of await fs.readdir(dir)) {
+        try {
+          const job = JSON.parse(await fs.readFile(path.join(dir, id, "job.json"), "utf8"));
+          // Rows that were in flight when the process stopped start over.
+          for (const row of job.rows) if (row.status === "running") row.status = "pending";
+          jobs.set(job.id, job);
+        } catch (e) {
+          log.error(`jobs: skipping unreadable job ${id}`, { err: e });
+        }
+      }
+      pump();
+    })();
+    return loaded;
+  }
+
+  function finishIfDone(job) {
+    if (job.status === "cancelled" || !job.rows.every((r) => TERMINAL.has(r.status))) return;
+    job.status = job.rows.some((r) => r.status === "done") ? "completed" : "failed";
+    job.finishedAt = new Date().toISOString();
+    onFinish(summaryOf(job));
+  }
+
+  // Next row to start, oldest job first; rows waiting for a retry delay are skipped.
+  function nextRow(now) {
+    let wakeAt = Infinity;
+    const queued = Array.from(jobs.values())
+      .filter((j) => j.status === "queued" || j.status === "running")
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const job of queued) {
+      for (const row of job.rows) {
+        if (row.status !== "pending") continue;
+        if (row.retryAt && row.retryAt > now) {
+          wakeAt = Math.min(wakeAt, row.retryAt);
+          continue;
+        }
+        return { job, row };
+      }
+    }
+    return { wakeAt };
+  }
+
+  function schedule(delayMs) {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, Math.max(0, delayMs));
+    timer.unref?.();
+  }
+
+  function pump() {
+    while (active < concurrency) {
+      const now = Date.now();
+      if (now < nextStartAt) return schedule(nextStartAt - now);
+      const { job, row, wakeAt } = nextRow(now);
+      if (!row) {
+        if (wakeAt !== Infinity) schedule(wakeAt - now);
+        return;
+      }
+      nextStartAt = now + minSpacingMs;
+      active++;
+      run(job, row).finally(() => {
+        active--;
+        pump();
+      });
+    }
+  }
+
+  async function run(job, row) {
+    job.status = "running";
+    job.startedAt ??= new Date().toISOString();
+    row.status = "running";
+    row.attempts += 1;
+    row.retryAt = null;
+    try {
+      const { audioContent, extension, ...result } = await runRow(row.params, job);
+      const file = `${safeFileName(row.id)}.${extension}`;
+      await fs.writeFile(path.join(jobDir(job.id), file), audioContent);
+      if (row.status !== "running") return; // cancelled meanwhile
+      row.status = "done";
+      row.error = null;
+      row.result = { file, bytes: audioContent.length, ...result };
+    } catch (e) {
+      if (row.status !== "running") return;
+      row.error = String(e?.message || e);
+      if (row.attempts < maxAttempts && isRetryable(e)) {
+        row.status = "pending";
+        // 1s, 2s, 4s… plus jitter so a burst of failures doesn't retry in lockstep
+        row.retryAt = Date.now() + 1000 * 2 ** (row.attempts - 1) + Math.random() * 500;
+      } else {
+        row.status = "failed";
+      }
+    }
+    finishIfDone(job);
+    await save(job);
+  }
+
+  return {
+    load,
+
+    async create({ name, rows, ownerKeyId = null }) {
+      await load();
+      const id = crypto.randomUUID();
+      const job = {
+        id,
+        name: name || `Batch ${new Date().toISOString().slice(0, 16).replace("T", " ")}`,
+        status: "queued",
+        // API key that queued the job; its rows are metered against that key
+        ownerKeyId,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        rows: rows.map((r, index) => ({
+          index,
+          id: r.id,
+          line: r.line,
+          params: r.params,
+          status: "pending",
+          attempts: 0,
+          retryAt: null,
+          error: null,
+          result: null,
+        })),
+      };
+      await fs.mkdir(jobDir(id), { recursive: true });
+      jobs.set(id, job);
+      await save(job);
+      pump();
+      return summaryOf(job);
+    },
+
+    async list() {
+      await load();
+      return Array.from(jobs.values())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(summaryOf);
+    },
+
+    async get(id) {
+      await load();
+      const job = jobs.get(id);
+      return job ? { ...summaryOf(job), rows: job.rows } : null;
+    },
+
+    async cancel(id) {
+      await load();
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (job.status === "completed" || job.status === "failed") return summaryOf(job);
+      for (const row of job.rows) if (row.status === "pending" || row.status === "running") row.status = "cancelled";
+      job.status = "cancelled";
+      job.finishedAt = new Date().toISOString();
+      await save(job);
+      return summaryOf(job);
+    },
+
+    // Puts failed and cancelled rows back in the queue with a fresh attempt budget.
+    async retry(id) {
+      await load();
+      const job = jobs.get(id);
+      if (!job) return null;
+      for (const row of job.rows) {
+        if (row.status === "failed" || row.status === "cancelled") Object.assign(row, { status: "pending", attempts: 0, retryAt: null, error: null });
+      }
+      if (job.rows.some((r) => r.status === "pending")) Object.assign(job, { status: "queued", finishedAt: null });
+      await save(job);
+      pump();
+      return summaryOf(job);
+    },
+
+    async delete(id) {
+      await load();
+      const job = jobs.get(id);
+      if (!job) return false;
+      for (const row of job.rows) if (!TERMINAL.has(row.status)) row.status = "cancelled";
+      jobs.delete(id);
+      await saving.get(id);
+      saving.delete(id);
+      await fs.rm(jobDir(id), { recursive: true, force: true });
+      return true;
+    },
+
+    // ZIP of every finished row's audio plus manifest.json / manifest.csv describing all rows.
+    async archive(id) {
+      await load();
+      const job = jobs.get(id);
+      if (!job) return null;
+      const manifestRows = job.rows.map((r) => ({
+        id: r.id,
+        status: r.status,
+        file: r.result ? `audio/${r.result.file}` : null,
+        voiceName: r.params.voiceName,
+        voiceType: r.result?.voiceType ?? null,
+        audioEncoding: r.params.audioEncoding,
+        speakingRate: r.params.speakingRate ?? null,
+        pitch: r.params.pitch ?? null,
+        charCount: r.result?.charCount ?? null,
+        billableChars: r.result?.billableChars ?? null,
+        estimatedCostUsd: r.result?.estimatedCostUsd ?? null,
+        durationSec: r.result?.durationSec == null ? null : Number(r.result.durationSec.toFixed(3)),
+        bytes: r.result?.bytes ?? null,
+        ttsMs: r.result?.ttsMs ?? null,
+        cacheHit: r.result?.cacheHit ?? null,
+        attempts: r.attempts,
+        error: r.error,
+        text: r.params.text,
+      }));
+      const columns = Object.keys(manifestRows[0] || { id: null });
+      const csvCell = (v) => (v == null ? "" : /[",\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+      const csv = [columns.join(","), ...manifestRows.map((r) => columns.map((c) => csvCell(r[c])).join(","))].join("\r\n");
+
+      const audio = [];
+      for (const r of job.rows) {
+        if (r.status !== "done") continue;
+        try {
+          audio.push({ name: `audio/${r.result.file}`, data: await fs.readFile(path.join(jobDir(id), r.result.file)) });
+        } catch (e) {
+          log.error(`jobs: missing audio for ${id}/${r.id}`, { err: e });
+        }
+      }
+
+      const manifest = {
+        job: summaryOf(job),
+        totals: {
+          durationSec: Number(manifestRows.reduce((sum, r) => sum + (r.durationSec ?? 0), 0).toFixed(3)),
+          estimatedCostUsd: manifestRows.reduce((sum, r) => sum + (r.estimatedCostUsd ?? 0), 0),
+        },
+        rows: manifestRows,
+      };
+      return {
+        name: safeFileName(job.name),
+        zip: buildZip([
+          { name: "manifest.json", data: JSON.stringify(manifest, null, 2), compress: true },
+          { name: "manifest.csv", data: csv, compress: true },
+          ...audio,
+        ]),
+      };
+    },
+  };
+}
@@ -0,0 +1,203 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// ---- Pronunciation lexicon ----
+// Rules map a term to a <phoneme> (IPA), a <sub alias> or a plain textual replacement, per language code.
+// A rule for "en" applies to every en-* voice; "*" applies everywhere. All rules live in one lexicon.json.
+
+// Content of these SSML elements is already pronunciation-controlled (or not spoken), so it is left alone.
+const PROTECTED = new Set(["sub", "say-as", "phoneme", "audio", "desc"]);
+
+const escapeXml = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+const escapeAttr = (s) => escapeXml(s).replace(/"/g, "&quot;");
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function decodeXml(s) {
+  return s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(x?)([0-9a-fA-F]+);/g, (_, hex, n) => String.fromCodePoint(parseInt(n, hex ? 16 : 10)))
+    .replace(/&amp;/g, "&");
+}
+
+export function ruleAppliesTo(rule, languageCode) {
+  if (rule.languageCode === "*") return true;
+  const want = (languageCode || "").toLowerCase();
+  const have = rule.languageCode.toLowerCase();
+  return want === have || want.startsWith(`${have}-`);
+}
+
+function matcherFor(rule) {
+  const term = escapeRegExp(rule.term);
+  const source = rule.wholeWord ? `(?<![\\p{L}\\p{N}_])${term}(?![\\p{L}\\p{N}_])` : term;
+  return new RegExp(source, rule.caseSensitive ? "gu" : "giu");
+}
+
+// How a rule is rendered; without SSML a phoneme rule needs a respelling to do anything.
+function renderMatch(rule, matched, ssml) {
+  if (rule.type === "replace") return { as: "replace", out: ssml ? escapeXml(rule.replacement) : rule.replacement };
+  if (!ssml) {
+    if (rule.type === "sub") return { as: "respelling", out: rule.alias };
+    if (rule.respelling) return { as: "respelling", out: rule.respelling };
+    return null;
+  }
+  if (rule.type === "sub") return { as: "sub", out: `<sub alias="${escapeAttr(rule.alias)}">${escapeXml(matched)}</sub>` };
+  return { as: "phoneme", out: `<phoneme alphabet="ipa" ph="${escapeAttr(rule.ipa)}">${escapeXml(matched)}</phoneme>` };
+}
+
+// Non-overlapping matches across all rules; earlier and then longer matches win.
+function findMatches(plain, rules) {
+  const found = [];
+  for (const rule of rules) {
+    for (const m of plain.matchAll(matcherFor(rule))) {
+      found.push({ rule, start: m.index, end: m.index + m[0].length, text: m[0] });
+    }
+  }
+  found.sort((a, b) => a.start - b.start || b.end - b.start - (a.end - a.start));
+  const kept = [];
+  let pos = 0;
+  for (const f of found) {
+    if (f.start < pos) continue;
+    kept.push(f);
+    pos = f.end;
+  }
+  return kept;
+}
+
+// Applies `rules` to `text`. With `ssml: false` (Chirp 3: HD) only textual replacements and respellings are
+// used and the result stays plain text; otherwise plain text is promoted to SSML as soon as a tag is needed.
+// Returns { text, inputType, applied: [{ ruleId, term, as, count }], skipped: [{ ruleId, term, reason }] }.
+export function applyLexicon(text, inputType, rules, { ssml = true } = {}) {
+  const counts = new Map();
+  const skipped = new Map();
+
+  function rewrite(plain, asSsml) {
+    let out = "";
+    let pos = 0;
+    for (const match of findMatches(plain, rules)) {
+      const rendered = renderMatch(match.rule, match.text, asSsml);
+      if (!rendered) {
+        skipped.set(match.rule.id, { ruleId: match.rule.id, term: match.rule.term, reason: "No respelling for a voice without SSML support." });
+        continue;
+      }
+      out += (asSsml ? escapeXml(plain.slice(pos, match.start)) : plain.slice(pos, match.start)) + rendered.out;
+      pos = match.end;
+      const key = `${match.rule.id}:${rendered.as}`;
+      counts.set(key, { ruleId: match.rule.id, term: match.rule.term, as: rendered.as, count: (counts.get(key)?.count ?? 0) + 1 });
+    }
+    return out + (asSsml ? escapeXml(plain.slice(pos)) : plain.slice(pos));
+  }
+
+  const report = (result, resultType) => ({
+    text: result,
+    inputType: resultType,
+    applied: Array.from(counts.values()),
+    skipped: Array.from(skipped.values()),
+  });
+
+  if (!rules.length) return report(text, inputType);
+
+  if (inputType !== "ssml") {
+    const needsSsml = ssml && findMatches(text, rules).some((m) => m.rule.type !== "replace");
+    if (!needsSsml) return report(rewrite(text, false), "text");
+    return report(`<speak>${rewrite(text, true)}</speak>`, "ssml");
+  }
+
+  // SSML input: rewrite text nodes only, leaving markup and protected elements untouched.
+  let out = "";
+  let depth = 0; // > 0 while inside a protected element
+  for (const m of text.matchAll(/<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:-]+)[^>]*?(\/?)>|[^<]+/g)) {
+    const [token, closing, name, selfClosing] = m;
+    if (name) {
+      if (PROTECTED.has(name) && !selfClosing) depth += closing ? -1 : 1;
+      out += token;
+    } else if (token.startsWith("<") || depth > 0) {
+      out += token;
+    } else {
+      out += rewrite(decodeXml(token), true);
+    }
+  }
+  return report(out, "ssml");
+}
+
+// Combines the per-request reports of a multi-request render (long-form chunks, stream segments).
+export function mergeLexiconReports(reports) {
+  const applied = new Map();
+  const skipped = new Map();
+  for (const r of reports) {
+    if (!r) continue;
+    for (const a of r.applied) {
+      const key = `${a.ruleId}:${a.as}`;
+      applied.set(key, { ...a, count: (applied.get(key)?.count ?? 0) + a.count });
+    }
+    for (const s of r.skipped) skipped.set(s.ruleId, s);
+  }
+  return applied.size || skipped.size ? { applied: Array.from(applied.values()), skipped: Array.from(skipped.values()) } : null;
+}
+
+export function createLexiconStore({ dir }) {
+  const filePath = path.join(dir, "lexicon.json");
+  let rules = null;
+
+  async function load() {
+    if (rules) return rules;
+    await fs.mkdir(dir, { recursive: true });
+    try {
+      rules = JSON.parse(await fs.readFile(filePath, "utf8")).rules || [];
+    } catch {
+      rules = [];
+    }
+    return rules;
+  }
+
+  async function save() {
+    const tmp = `${filePath}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ rules }, null, 2));
+    await fs.rename(tmp, filePath);
+  }
+
+  return {
+    async list({ languageCode } = {}) {
+      await load();
+      return rules
+        .filter((r) => !languageCode || r.languageCode === languageCode)
+        .sort((a, b) => a.languageCode.localeCompare(b.languageCode) || a.term.localeCompare(b.term));
+    },
+
+    // Enabled rules for a voice's language, for the synthesis pipeline.
+    async rulesFor(languageCode) {
+      await load();
+      return rules.filter((r) => r.enabled && ruleAppliesTo(r, languageCode));
+    },
+
+    async create(fields) {
+      await load();
+      const now = new Date().toISOString();
+      const rule = { id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now };
+      rules.push(rule);
+      await save();
+      return rule;
+    },
+
+    async replace(id, fields) {
+      await load();
+      const i = rules.findIndex((r) => r.id === id);
+      if (i === -1) return null;
+      rules[i] = { id, ...fields, createdAt: rules[i].createdAt, updatedAt: new Date().toISOString() };
+      await save();
+      return rules[i];
+    },
+
+    async delete(id) {
+      await load();
+      const before = rules.length;
+      rules = rules.filter((r) => r.id !== id);
+      if (rules.length === before) return false;
+      await save();
+      return true;
+    },
+  };
+}
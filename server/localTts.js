@@ -0,0 +1,268 @@
+import { buildWav, silentOggOpus } from "./audio.js";
+import { PRICE_PER_1M_USD } from "./billing.js";
+import { ssmlToText } from "./ssml.js";
+import { AUDIO_ENCODINGS } from "./voiceCatalog.js";
+
+// ---- Local offline provider (TTS_PROVIDER=local) ----
+// A deterministic stand-in for Google so the app runs without credentials or network: every word becomes a
+// short tone whose length follows the word and whose pitch follows the voice, punctuation and <break> become
+// silence, and <mark> positions are reported like Google's timepoints. The same request always yields the
+// same bytes, in the same containers Google returns (WAV for LINEAR16/MULAW/ALAW, bare PCM, MPEG Layer III,
+// Ogg Opus).
+
+const SAMPLE_RATE_HZ = 24000;
+
+const VOICES = [
+  ["en-US", "A", "FEMALE"],
+  ["en-US", "B", "MALE"],
+  ["en-US", "C", "NEUTRAL"],
+  ["en-GB", "A", "FEMALE"],
+  ["en-GB", "B", "MALE"],
+  ["de-DE", "A", "FEMALE"],
+  ["fr-FR", "B", "MALE"],
+  ["es-ES", "A", "FEMALE"],
+  ["ja-JP", "B", "MALE"],
+  ["hi-IN", "A", "FEMALE"],
+].map(([languageCode, letter, ssmlGender]) => ({
+  name: `${languageCode}-Local-${letter}`,
+  languageCodes: [languageCode],
+  ssmlGender,
+  naturalSampleRateHertz: SAMPLE_RATE_HZ,
+}));
+
+const BASE_HZ = { FEMALE: 220, MALE: 130, NEUTRAL: 175 };
+const BREAK_STRENGTH_SEC = { none: 0, "x-weak": 0.1, weak: 0.2, medium: 0.35, strong: 0.6, "x-strong": 1 };
+
+function capabilitiesFor(voiceType) {
+  return {
+    ssml: true,
+    speakingRate: true,
+    pitch: true,
+    timepoints: true,
+    nativeStreaming: false,
+    multiSpeaker: false,
+    audioEncodings: AUDIO_ENCODINGS.filter((e) => e !== "M4A"),
+    pricing: { tier: voiceType, per1MCharactersUsd: 0, freeTierCharactersPerMonth: 0 },
+  };
+}
+
+// Small stable hash (FNV-1a) so each word gets its own but repeatable pitch.
+function hash(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+function breakSeconds(attrs) {
+  const time = /\btime\s*=\s*["']([\d.]+)(m?s)["']/.exec(attrs);
+  if (time) return Number(time[1]) / (time[2] === "ms" ? 1000 : 1);
+  const strength = /\bstrength\s*=\s*["']([\w-]+)["']/.exec(attrs);
+  return BREAK_STRENGTH_SEC[strength?.[1]] ?? BREAK_STRENGTH_SEC.medium;
+}
+
+// Turns the request into a list of { hz, sec } segments (hz 0 = silence) plus mark positions in seconds.
+function plan(request, voice) {
+  const rate = request.audioConfig.speakingRate || 1;
+  const base = BASE_HZ[voice.ssmlGender] * 2 ** ((request.audioConfig.pitch || 0) / 12);
+  const segments = [];
+  const timepoints = [];
+  let at = 0;
+  const push = (hz, sec) => {
+    segments.push({ hz, sec });
+    at += sec;
+  };
+
+  const speak = (text) => {
+    for (const [token] of text.matchAll(/[\p{L}\p{N}'’-]+|[.!?;:,]|\n\n/gu)) {
+      if (token === "\n\n") push(0, 0.5 / rate);
+      else if (/[.!?]/.test(token)) push(0, 0.35 / rate);
+      else if (/[;:,]/.test(token)) push(0, 0.18 / rate);
+      else {
+        // ±2 semitones of "intonation" per word
+        push(base * 2 ** (((hash(token.toLowerCase()) % 9) - 4) / 24), (0.08 + 0.055 * [...token].length) / rate);
+        push(0, 0.05 / rate);
+      }
+    }
+  };
+
+  if (request.input.ssml != null) {
+    const ssml = request.input.ssml;
+    let last = 0;
+    for (const m of ssml.matchAll(/<mark\b[^>]*?\bname\s*=\s*["']([^"']*)["'][^>]*\/>|<break\b([^>]*?)\/>/g)) {
+      speak(ssmlToText(ssml.slice(last, m.index)));
+      if (m[1] !== undefined) timepoints.push({ markName: m[1], timeSeconds: Math.round(at * 1000) / 1000 });
+      else push(0, breakSeconds(m[2]));
+      last = m.index + m[0].length;
+    }
+    speak(ssmlToText(ssml.slice(last)));
+  } else {
+    speak(request.input.text ?? "");
+  }
+  if (!segments.length) push(0, 0.25);
+  return { segments, timepoints, durationSec: at };
+}
+
+// ---- Encoders ----
+
+function renderPcm({ segments }, sampleRate, gain) {
+  const total = segments.reduce((sum, s) => sum + Math.round(s.sec * sampleRate), 0);
+  const out = new Float32Array(total);
+  const fade = Math.round(0.008 * sampleRate);
+  let pos = 0;
+  for (const { hz, sec } of segments) {
+    const n = Math.round(sec * sampleRate);
+    if (hz > 0) {
+      for (let i = 0; i < n; i++) {
+        const env = Math.min(1, i / fade, (n - 1 - i) / fade);
+        const t = i / sampleRate;
+        out[pos + i] = gain * env * (0.8 * Math.sin(2 * Math.PI * hz * t) + 0.2 * Math.sin(4 * Math.PI * hz * t));
+      }
+    }
+    pos += n;
+  }
+  return out;
+}
+
+function toLinear16(samples) {
+  const buf = Buffer.alloc(samples.length * 2);
+  samples.forEach((s, i) => buf.writeInt16LE(Math.round(Math.max(-1, Math.min(1, s)) * 32767), i * 2));
+  return buf;
+}
+
+// G.711 µ-law
+function toMulaw(samples) {
+  const buf = Buffer.alloc(samples.length);
+  samples.forEach((s, i) => {
+    let pcm = Math.round(Math.max(-1, Math.min(1, s)) * 32767);
+    const sign = pcm < 0 ? 0x80 : 0;
+    pcm = Math.min(Math.abs(pcm), 32635) + 0x84;
+    let exponent = 7;
+    for (let mask = 0x4000; (pcm & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+    buf[i] = ~(sign | (exponent << 4) | ((pcm >> (exponent + 3)) & 0x0f)) & 0xff;
+  });
+  return buf;
+}
+
+// G.711 A-law
+function toAlaw(samples) {
+  const buf = Buffer.alloc(samples.length);
+  samples.forEach((s, i) => {
+    let pcm = Math.round(Math.max(-1, Math.min(1, s)) * 32767) >> 3;
+    const sign = pcm >= 0 ? 0x80 : 0;
+    if (pcm < 0) pcm = -pcm - 1;
+    let exponent = 0;
+    while (pcm > (0x20 << exponent) - 1 && exponent < 7) exponent++;
+    buf[i] = (sign | (exponent << 4) | ((pcm >> (exponent || 1)) & 0x0f)) ^ 0x55;
+  });
+  return buf;
+}
+
+class BitWriter {
+  constructor(bytes) {
+    this.buf = Buffer.alloc(bytes);
+    this.pos = 0;
+  }
+
+  write(value, bits) {
+    for (let i = bits - 1; i >= 0; i--, this.pos++) {
+      if ((value >> i) & 1) this.buf[this.pos >> 3] |= 0x80 >> (this.pos & 7);
+    }
+  }
+}
+
+// MPEG-2 Layer III, 24 kHz mono, 32 kbps (what Google returns for MP3), written frame by frame without a
+// psychoacoustic encoder: a tone frame carries one spectral line at the tone's frequency, a pause frame none.
+const MP3_FRAME_BYTES = 96;
+const MP3_SAMPLES_PER_FRAME = 576;
+
+function mp3Frame(line, globalGain) {
+  const w = new BitWriter(MP3_FRAME_BYTES);
+  w.write(0xfff344c4, 32); // sync, MPEG-2, Layer III, no CRC, 32 kbps, 24 kHz, mono, original
+
+  // Huffman table 1 codes pairs of 0/1 values: (0,0) "1", (1,0) "01", (0,1) "001", then a sign bit.
+  const bigValues = line == null ? 0 : (line >> 1) + 1;
+  const part3Bits = line == null ? 0 : bigValues - 1 + (line % 2 ? 3 : 2) + 1;
+
+  w.write(0, 8); // main_data_begin: no bit reservoir
+  w.write(0, 1); // private bit
+  w.write(part3Bits, 12); // part2_3_length (scalefac_compress 0 = no scalefactor bits)
+  w.write(bigValues, 9);
+  w.write(globalGain, 8);
+  w.write(0, 9); // scalefac_compress
+  w.write(0, 1); // window_switching_flag: long blocks
+  for (let r = 0; r < 3; r++) w.write(1, 5); // table_select
+  w.write(7, 4); // region0_count
+  w.write(7, 3); // region1_count
+  w.write(0, 1); // scalefac_scale
+  w.write(0, 1); // count1table_select
+
+  if (line != null) {
+    for (let p = 0; p < bigValues - 1; p++) w.write(1, 1);
+    if (line % 2) w.write(0b001, 3);
+    else w.write(0b01, 2);
+    w.write(0, 1); // positive
+  }
+  return w.buf;
+}
+
+function toMp3(tonePlan, gain) {
+  const lineHz = SAMPLE_RATE_HZ / 2 / MP3_SAMPLES_PER_FRAME;
+  // Spectral value 1 decodes to 2^((global_gain - 210) / 4); 203 gives roughly the same level as the PCM output.
+  const globalGain = Math.max(0, Math.min(255, Math.round(203 + 4 * Math.log2(gain / 0.3))));
+  const frames = [];
+  let segment = 0;
+  let segmentEnd = tonePlan.segments[0].sec;
+  const frameCount = Math.ceil((tonePlan.durationSec * SAMPLE_RATE_HZ) / MP3_SAMPLES_PER_FRAME);
+  for (let f = 0; f < frameCount; f++) {
+    const mid = ((f + 0.5) * MP3_SAMPLES_PER_FRAME) / SAMPLE_RATE_HZ;
+    while (mid > segmentEnd && segment < tonePlan.segments.length - 1) segmentEnd += tonePlan.segments[++segment].sec;
+    const { hz } = tonePlan.segments[segment];
+    frames.push(mp3Frame(hz > 0 && gain > 0 ? Math.min(575, Math.max(0, Math.round(hz / lineHz - 0.5))) : null, globalGain));
+  }
+  return Buffer.concat(frames);
+}
+
+export function createLocalProvider() {
+  return {
+    id: "local",
+    label: "Local offline synthesizer",
+    voiceTypeOf: () => "LOCAL",
+    capabilitiesFor,
+    pricing: {
+      per1MCharactersUsd: { LOCAL: PRICE_PER_1M_USD.LOCAL },
+      freeTierCharactersPerMonth: { LOCAL: 0 },
+    },
+
+    async listVoices() {
+      return VOICES;
+    },
+
+    async synthesize(request) {
+      const voice = VOICES.find((v) => v.name === request.voice.name);
+      if (!voice) throw new Error(`Unknown local voice ${request.voice.name}`);
+      const { audioEncoding, sampleRateHertz = SAMPLE_RATE_HZ, volumeGainDb = 0 } = request.audioConfig;
+      const tonePlan = plan(request, voice);
+      const gain = 0.3 * 10 ** (volumeGainDb / 20);
+
+      let audioContent;
+      if (audioEncoding === "LINEAR16") {
+        audioContent = buildWav({ audioFormat: 1, channels: 1, sampleRate: sampleRateHertz, bitsPerSample: 16 }, toLinear16(renderPcm(tonePlan, sampleRateHertz, gain)));
+      } else if (audioEncoding === "MULAW") {
+        audioContent = buildWav({ audioFormat: 7, channels: 1, sampleRate: sampleRateHertz, bitsPerSample: 8 }, toMulaw(renderPcm(tonePlan, sampleRateHertz, gain)));
+      } else if (audioEncoding === "ALAW") {
+        audioContent = buildWav({ audioFormat: 6, channels: 1, sampleRate: sampleRateHertz, bitsPerSample: 8 }, toAlaw(renderPcm(tonePlan, sampleRateHertz, gain)));
+      } else if (audioEncoding === "PCM") {
+        // Like Google: bare samples, no header
+        audioContent = toLinear16(renderPcm(tonePlan, sampleRateHertz, gain));
+      } else if (audioEncoding === "MP3") {
+        audioContent = toMp3(tonePlan, gain);
+      } else if (audioEncoding === "OGG_OPUS") {
+        // Opus can't be written by construction the way the MP3 frames are, so this one is silence of the right length.
+        audioContent = silentOggOpus(tonePlan.durationSec, { serial: hash(JSON.stringify(tonePlan.segments)) });
+      } else {
+        throw new Error(`The local provider can't produce ${audioEncoding}`);
+      }
+      return { audioContent, timepoints: request.enableTimePointing ? tonePlan.timepoints : [] };
+    },
+  };
+}
@@ -0,0 +1,46 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// ---- Structured logs ----
+// One JSON object per line on stdout (warnings and errors on stderr), e.g.
+//   {"time":"…","level":"info","msg":"request","requestId":"…","method":"POST","path":"/api/synthesize","status":200,"durationMs":812}
+// Lines written while handling a request carry its requestId (and API key id) from requestContext, so
+// everything one request logged can be grepped out together.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+// Per-request state: { requestId, key } where key is the authenticated API key (or null).
+export const requestContext = new AsyncLocalStorage();
+
+function serializeError(e) {
+  if (!(e instanceof Error)) return e;
+  return {
+    name: e.name,
+    message: e.message,
+    ...(e.code !== undefined ? { code: e.code } : {}),
+    ...(e.status ? { status: e.status } : {}),
+    stack: e.stack,
+  };
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minLevel) return;
+  const store = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(store?.requestId ? { requestId: store.requestId } : {}),
+    ...(store?.key ? { keyId: store.key.id } : {}),
+  };
+  for (const [k, v] of Object.entries(fields)) entry[k] = serializeError(v);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(JSON.stringify(entry) + "\n");
+}
+
+// log.info("voices: refreshed", { count }); errors go in a field: log.error("jobs: failed to save", { err: e })
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
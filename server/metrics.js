@@ -0,0 +1,90 @@
+import client from "prom-client";
+
+// ---- Prometheus metrics (GET /api/metrics) ----
+// Latency histograms are in seconds, as Prometheus expects; `tts_provider_request_seconds` is the time
+// spent waiting on the provider per call, `tts_synthesis_seconds` the whole server-side handling of one
+// synthesis (chunking, joins, analysis and cache included). Cache hits never reach the provider, so they
+// only show up in the second.
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// Speech latency runs from ~100 ms (short Standard clips) to minutes (long-form).
+const LATENCY_BUCKETS = [0.05, 0.1, 0.2, 0.35, 0.5, 0.75, 1, 1.5, 2, 3, 5, 8, 13, 21, 34, 60, 120, 300];
+
+export const providerLatency = new client.Histogram({
+  name: "tts_provider_request_seconds",
+  help: "Time waiting on the TTS provider per synthesis call",
+  labelNames: ["voice_type", "language", "encoding"],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+export const synthesisLatency = new client.Histogram({
+  name: "tts_synthesis_seconds",
+  help: "Server-side time to produce one synthesis response",
+  labelNames: ["route", "voice_type", "language", "encoding"],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+export const billableChars = new client.Counter({
+  name: "tts_billable_characters_total",
+  help: "Billable characters sent to the TTS provider",
+  labelNames: ["voice_type"],
+  registers: [registry],
+});
+
+export const estimatedSpend = new client.Counter({
+  name: "tts_estimated_cost_usd_total",
+  help: "Estimated list-price cost of provider calls in USD, before the free tier",
+  labelNames: ["voice_type"],
+  registers: [registry],
+});
+
+export const audioCacheLookups = new client.Counter({
+  name: "tts_audio_cache_lookups_total",
+  help: "Synthesized-audio cache lookups",
+  labelNames: ["result"],
+  registers: [registry],
+});
+
+export const voicesCacheLookups = new client.Counter({
+  name: "tts_voices_cache_lookups_total",
+  help: "Voice list lookups served from memory (hit) or fetched from the provider (miss)",
+  labelNames: ["result"],
+  registers: [registry],
+});
+
+const voicesCacheCounts = { hit: 0, miss: 0 };
+
+export function countVoicesCacheLookup(hit) {
+  const result = hit ? "hit" : "miss";
+  voicesCacheCounts[result] += 1;
+  voicesCacheLookups.inc({ result });
+}
+
+new client.Gauge({
+  name: "tts_voices_cache_hit_ratio",
+  help: "Share of voice list lookups served from memory since start",
+  registers: [registry],
+  collect() {
+    const total = voicesCacheCounts.hit + voicesCacheCounts.miss;
+    this.set(total ? voicesCacheCounts.hit / total : 0);
+  },
+});
+
+export const errors = new client.Counter({
+  name: "tts_errors_total",
+  help: "Failed requests and failed items within batch requests, by error class (see errors.js)",
+  labelNames: ["route", "category", "code"],
+  registers: [registry],
+});
+
+export const httpDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request duration by route and status",
+  labelNames: ["method", "route", "status"],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
@@ -0,0 +1,330 @@
+import { languageFor, MAX_SPOKEN_NUMBER, NORMALIZE_LANGUAGES } from "./normalizeLanguages.js";
+
+// ---- Text normalization ----
+// Expands what voices read inconsistently — numbers, dates, times, amounts, units, URLs, abbreviations — into
+// the words they stand for, per language, before the request is built. Plain words work for every voice type,
+// including Chirp 3: HD where <say-as> isn't available. Each rule can be turned off per request; in SSML only
+// text nodes are rewritten, and elements that already control pronunciation are left alone.
+
+// In priority order: when two rules match the same span, the earlier one wins.
+export const NORMALIZE_RULES = [
+  { id: "urls", label: "URLs and email addresses", example: "www.example.com/help" },
+  { id: "phones", label: "Phone numbers", example: "+1 (555) 123-4567" },
+  { id: "dates", label: "Dates", example: "3/4/2025" },
+  { id: "times", label: "Times of day", example: "10:30 pm" },
+  { id: "currency", label: "Currency amounts", example: "$1.5M" },
+  { id: "units", label: "Units and percentages", example: "60 km/h" },
+  { id: "fractions", label: "Fractions", example: "3/4" },
+  { id: "ordinals", label: "Ordinals", example: "21st" },
+  { id: "abbreviations", label: "Abbreviations", example: "Dr. Smith" },
+  { id: "numbers", label: "Other numbers and ranges", example: "-1,234.5" },
+];
+
+export { NORMALIZE_LANGUAGES };
+
+const PROTECTED = new Set(["sub", "say-as", "phoneme", "audio", "desc"]);
+const CURRENCY_SYMBOLS = { $: "USD", "€": "EUR", "£": "GBP", "¥": "JPY", "₹": "INR" };
+
+const escapeXml = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const alternation = (terms) => [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|");
+
+function decodeXml(s) {
+  return s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(x?)([0-9a-fA-F]+);/g, (_, hex, n) => String.fromCodePoint(parseInt(n, hex ? 16 : 10)))
+    .replace(/&amp;/g, "&");
+}
+
+// `true` turns every rule on; an object turns off the rules set to false. -> Set of rule ids, or null for off.
+export function enabledNormalizeRules(option) {
+  if (!option) return null;
+  const off = option === true ? {} : option;
+  return new Set(NORMALIZE_RULES.map((r) => r.id).filter((id) => off[id] !== false));
+}
+
+// Number syntax for a language: grouped (1,234.5 / 1.234,5 / 1 234,5) or plain. Languages with a decimal comma
+// also take a decimal point, as numbers are often pasted in English style.
+function numberPattern(lang) {
+  const group = lang.group === " " ? "[ \\u00a0\\u202f]" : escapeRegExp(lang.group);
+  const decimal = lang.decimal === "." ? "\\." : `[${escapeRegExp(lang.decimal)}.]`;
+  return {
+    source: `\\d{1,3}(?:${group}\\d{3})+(?:${escapeRegExp(lang.decimal)}\\d+)?|\\d+(?:${decimal}\\d+)?`,
+    grouped: new RegExp(`^\\d{1,3}(?:${group}\\d{3})+`),
+    group: new RegExp(group, "g"),
+  };
+}
+
+// Written number -> "1234.5", the form the language modules read.
+function parseNumber(raw, num, lang) {
+  const plain = num.grouped.test(raw) ? raw.replace(num.group, "") : raw;
+  return plain.replace(lang.decimal, ".").replace(/\.(?=.*\.)/g, "");
+}
+
+function readNumber(value, lang, raw = value) {
+  const [int, frac] = value.split(".");
+  // Leading zeros (007, 0800) and very long numbers are identifiers, not quantities.
+  if ((int.length > 1 && int.startsWith("0")) || Number(int) > MAX_SPOKEN_NUMBER) return lang.digits(value.replace(".", ""));
+  // An ungrouped four-digit number in this range is most likely a year, in languages that read years apart.
+  if (lang.year && !frac && /^\d{4}$/.test(raw) && int >= "1100" && int <= "2099") return lang.year(Number(int));
+  return lang.number(value);
+}
+
+function monthIndex(lang, name) {
+  const wanted = name.replace(/\.$/, "").toLowerCase();
+  return lang.months.findIndex((m) => m.toLowerCase().startsWith(wanted)) + 1;
+}
+
+const fullYear = (y) => (y.length === 2 ? (Number(y) < 50 ? 2000 : 1900) + Number(y) : Number(y));
+const validDate = (day, month) => month >= 1 && month <= 12 && day >= 1 && day <= 31;
+
+function spokenUrl(url, lang) {
+  const { words } = lang;
+  const rest = url.replace(/^https?:\/\//i, "").replace(/[?#].*$/, "").replace(/\/$/, "");
+  const spoken = rest.replace(/^www\./i, `${words.www} ${words.dot} `);
+  const symbols = { ".": words.dot, "/": words.slash, "@": words.at, "-": words.dash, _: words.underscore, ":": words.colon };
+  return spoken.replace(/[./@_:-]/g, (c) => ` ${symbols[c]} `).replace(/\s+/g, " ").trim();
+}
+
+// The rules for one language: [{ id, re, render(groups, match, source) -> spoken text | null }]. A null render
+// means "not what it looked like", and the span is left to the other rules.
+function buildRules(lang) {
+  const num = numberPattern(lang);
+  const N = num.source;
+  const value = (raw) => parseNumber(raw, num, lang);
+  const symbols = { ...CURRENCY_SYMBOLS, ...lang.symbols };
+  const codes = alternation(Object.keys(lang.currencies));
+  const symbolAlt = alternation(Object.keys(symbols));
+  const scaleAlt = alternation(Object.keys(lang.scales));
+  const scale = `(?:\\s?(?<scale>${scaleAlt})(?![\\p{L}]))?`;
+  const money = (g) => {
+    const currency = g.code?.toUpperCase() ?? symbols[g.symbol];
+    if (!lang.currencies[currency]) return null;
+    return lang.money({ value: value(g.value), currency, scale: g.scale ?? null });
+  };
+  const abbreviations = new Map(lang.abbreviations.map((a) => [a.term, a]));
+
+  const rules = [
+    {
+      id: "urls",
+      re: /(?<![\p{L}\p{N}@])(?:https?:\/\/|www\.)[^\s<>"']*[^\s<>"'.,;:!?)\]]/giu,
+      render: (g, m) => spokenUrl(m[0], lang),
+    },
+    {
+      id: "urls",
+      re: /(?<![\p{L}\p{N}._%+-])[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu,
+      render: (g, m) => spokenUrl(m[0], lang),
+    },
+    {
+      id: "phones",
+      // +44 20 7946 0958, (555) 123-4567, 555-123-4567, 555.123.4567
+      re: /(?<![\p{L}\p{N}+-])(?:\+\d{1,3}(?:[\s.-]?\(?\d{1,4}\)?)(?:[\s.-]?\d{2,4}){1,4}|\(\d{2,4}\)\s?\d{3}[-.\s]\d{4}|\d{3}(?<sep>[-.])\d{3}\k<sep>\d{4})(?![\p{L}\p{N}]|[-.]\d)/gu,
+      render(g, m) {
+        const digits = m[0].replace(/\D/g, "");
+        if (digits.length < 7 || digits.length > 15) return null;
+        const groups = m[0].match(/\d+/g).map((d) => lang.digits(d));
+        return `${m[0].startsWith("+") ? `${lang.plus} ` : ""}${groups.join(", ")}`;
+      },
+    },
+    {
+      id: "dates",
+      re: /(?<![\p{N}-])(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2})(?![\p{N}]|-\d)/gu,
+      render: (g) => (validDate(Number(g.day), Number(g.month)) ? lang.date({ day: Number(g.day), month: Number(g.month), year: Number(g.year) }) : null),
+    },
+    {
+      id: "dates",
+      re: /(?<![\p{N}/.])(?<a>\d{1,2})(?<sep>[/.])(?<b>\d{1,2})\k<sep>(?<year>\d{4}|\d{2})(?![\p{N}]|[/.]\d)/gu,
+      render(g) {
+        const [month, day] = lang.dateOrder === "mdy" ? [Number(g.a), Number(g.b)] : [Number(g.b), Number(g.a)];
+        return validDate(day, month) ? lang.date({ day, month, year: fullYear(g.year) }) : null;
+      },
+    },
+    lang.shortDateRe && {
+      id: "dates",
+      re: lang.shortDateRe,
+      render: (g) => (validDate(Number(g.day), Number(g.month)) ? lang.date({ day: Number(g.day), month: Number(g.month), year: null }) : null),
+    },
+    lang.monthRe && {
+      id: "dates",
+      re: lang.monthRe,
+      render(g) {
+        const month = monthIndex(lang, g.monthName);
+        return month && validDate(Number(g.day), month) ? lang.date({ day: Number(g.day), month, year: g.year ? Number(g.year) : null }) : null;
+      },
+    },
+    {
+      id: "times",
+      re: lang.timeRe,
+      render(g) {
+        const hour = Number(g.hour);
+        if (g.suffix && (hour < 1 || hour > 12)) return null;
+        return lang.time({ hour, minute: Number(g.minute ?? g.minute2 ?? 0), suffix: g.suffix ?? null });
+      },
+    },
+    {
+      id: "currency",
+      re: new RegExp(`(?<symbol>${symbolAlt})\\s?(?<value>${N})${scale}`, "giu"),
+      render: money,
+    },
+    {
+      id: "currency",
+      re: new RegExp(`(?<![\\p{L}])(?<code>${codes})\\s?(?<value>${N})${scale}`, "gu"),
+      render: money,
+    },
+    {
+      id: "currency",
+      re: new RegExp(`(?<![\\p{L}\\p{N}])(?<value>${N})${scale}\\s?(?:(?<symbol>${symbolAlt})|(?<code>${codes})(?![\\p{L}]))`, "giu"),
+      render: money,
+    },
+    {
+      id: "units",
+      re: new RegExp(`(?<![\\p{L}\\p{N}])(?<value>${N})\\s?(?<unit>${alternation(Object.keys(lang.units))})(?![\\p{L}\\p{N}])`, "gu"),
+      render: (g) => lang.unit(value(g.value), g.unit),
+    },
+    {
+      id: "fractions",
+      re: /(?<![\p{L}\p{N}/.,])(?:(?<whole>\d{1,3})\s)?(?<numerator>\d{1,3})\/(?<denominator>\d{1,3})(?![\p{L}\p{N}/]|[.,]\d)/gu,
+      render(g) {
+        const numerator = Number(g.numerator);
+        const denominator = Number(g.denominator);
+        // 50/50 and 24/7 aren't fractions
+        if (!numerator || numerator === denominator || denominator < 2 || denominator > 100 || (numerator === 24 && denominator === 7)) return null;
+        const fraction = lang.fraction(numerator, denominator);
+        return g.whole ? `${lang.cardinal(Number(g.whole))} ${lang.and} ${fraction}` : fraction;
+      },
+    },
+    lang.ordinalRe && {
+      id: "ordinals",
+      re: lang.ordinalRe,
+      render: (g) => lang.ordinalFor(Number(g.n), g.suffix),
+    },
+    {
+      id: "abbreviations",
+      re: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternation(abbreviations.keys())})(?![\\p{L}\\p{N}])`, "gu"),
+      render(g, m, source) {
+        const abbreviation = abbreviations.get(m[0]);
+        const next = source.slice(m.index + m[0].length);
+        const beforeName = /^\s+\p{Lu}/u.test(next);
+        // "12 Main St." and "on Baker St." name a street, even when a sentence follows.
+        const afterName = /[\p{Ll}\p{N},;]\s+(?:\p{Lu}[\p{L}'-]*|\d+)\s+$/u.test(source.slice(0, m.index));
+        if (abbreviation.beforeNumber && !/^\s?\d/.test(next)) return null;
+        if (abbreviation.titleOnly && !beforeName) return null;
+        if (abbreviation.title && beforeName && !(abbreviation.otherwise && afterName)) return abbreviation.expansion;
+        const expansion = abbreviation.otherwise ?? abbreviation.expansion;
+        // The abbreviation's dot may also have ended the sentence.
+        const endsSentence = m[0].endsWith(".") && (/^\s*(\n|$)/.test(next) || beforeName);
+        return endsSentence ? `${expansion}.` : expansion;
+      },
+    },
+    {
+      id: "numbers",
+      // Ranges: 2020-2025, 10–12
+      re: new RegExp(`(?<![\\p{L}\\p{N}_.,-])(?<from>${N})\\s?[-–]\\s?(?<to>${N})(?![\\p{L}\\p{N}_]|[.,]\\d)`, "gu"),
+      render: (g) => `${readNumber(value(g.from), lang, g.from)} ${lang.to} ${readNumber(value(g.to), lang, g.to)}`,
+    },
+    {
+      id: "numbers",
+      re: new RegExp(`(?<![\\p{L}\\p{N}_.,])(?:(?<=^|[\\s(])(?<sign>[-−]))?(?<value>${N})(?![\\p{L}\\p{N}_]|[.,]\\d)`, "gu"),
+      render: (g) => `${g.sign ? `${lang.minus} ` : ""}${readNumber(value(g.value), lang, g.sign ? "" : g.value)}`,
+    },
+  ];
+  return rules.filter(Boolean);
+}
+
+const rulesCache = new Map(); // language code -> rules
+
+function rulesFor(languageCode) {
+  if (!rulesCache.has(languageCode)) {
+    const lang = languageFor(languageCode);
+    rulesCache.set(languageCode, lang ? buildRules(lang) : null);
+  }
+  return rulesCache.get(languageCode);
+}
+
+const PRIORITY = new Map(NORMALIZE_RULES.map((r, i) => [r.id, i]));
+
+// Non-overlapping matches; earlier, then longer, then higher-priority matches win.
+function findMatches(plain, rules, enabled) {
+  const found = [];
+  for (const rule of rules) {
+    if (!enabled.has(rule.id)) continue;
+    for (const m of plain.matchAll(rule.re)) {
+      const spoken = rule.render(m.groups ?? {}, m, plain);
+      if (spoken == null) continue;
+      found.push({ rule: rule.id, start: m.index, end: m.index + m[0].length, from: m[0], to: spoken });
+    }
+  }
+  found.sort((a, b) => a.start - b.start || b.end - b.start - (a.end - a.start) || PRIORITY.get(a.rule) - PRIORITY.get(b.rule));
+  const kept = [];
+  let pos = 0;
+  for (const f of found) {
+    if (f.start < pos) continue;
+    kept.push(f);
+    pos = f.end;
+  }
+  return kept;
+}
+
+// Normalizes `text` for `languageCode` with the `rules` (a Set of rule ids) that are on.
+// Returns { text, supported, changes: [{ rule, from, to, start, end }] } where start/end locate `to` in the
+// returned text; `supported` is false for languages without rules (the text comes back unchanged).
+export function normalizeText(text, inputType, { languageCode, rules }) {
+  const languageRules = rulesFor(languageCode);
+  if (!languageRules) return { text, supported: false, changes: [] };
+  const changes = [];
+
+  function rewrite(plain, asSsml, offset) {
+    let out = "";
+    let pos = 0;
+    const escape = asSsml ? escapeXml : (s) => s;
+    for (const match of findMatches(plain, languageRules, rules)) {
+      out += escape(plain.slice(pos, match.start));
+      const to = escape(match.to);
+      changes.push({ rule: match.rule, from: match.from, to: match.to, start: offset + out.length, end: offset + out.length + to.length });
+      out += to;
+      pos = match.end;
+    }
+    return out + escape(plain.slice(pos));
+  }
+
+  if (inputType !== "ssml") return { text: rewrite(text, false, 0), supported: true, changes };
+
+  // SSML: text nodes only, outside elements that already control pronunciation.
+  let out = "";
+  let depth = 0;
+  for (const m of text.matchAll(/<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:-]+)[^>]*?(\/?)>|[^<]+/g)) {
+    const [token, closing, name, selfClosing] = m;
+    if (name) {
+      if (PROTECTED.has(name) && !selfClosing) depth += closing ? -1 : 1;
+      out += token;
+    } else if (token.startsWith("<") || depth > 0) {
+      out += token;
+    } else {
+      out += rewrite(decodeXml(token), true, out.length);
+    }
+  }
+  return { text: out, supported: true, changes };
+}
+
+// Per-rule counts for a synthesis response.
+export function normalizationReport(languageCode, result) {
+  const counts = new Map();
+  for (const c of result.changes) counts.set(c.rule, (counts.get(c.rule) ?? 0) + 1);
+  return { languageCode, supported: result.supported, applied: Array.from(counts, ([rule, count]) => ({ rule, count })) };
+}
+
+// Combines the reports of a multi-request render (long-form chunks, dialogue turns, stream segments).
+export function mergeNormalizationReports(reports) {
+  const present = reports.filter(Boolean);
+  if (!present.length) return null;
+  const counts = new Map();
+  for (const r of present) for (const a of r.applied) counts.set(a.rule, (counts.get(a.rule) ?? 0) + a.count);
+  return {
+    languageCode: present[0].languageCode,
+    supported: present.every((r) => r.supported),
+    applied: Array.from(counts, ([rule, count]) => ({ rule, count })),
+  };
+}
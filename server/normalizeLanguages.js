@@ -0,0 +1,706 @@
+// ---- Spoken forms per language, for text normalization (normalize.js) ----
+// Each language turns parsed values (numbers, dates, amounts, units) into words. Regional differences — date
+// order, decimal separator, spelling — are resolved from the full language code by `languageFor`.
+
+// Numbers above this are read digit by digit.
+export const MAX_SPOKEN_NUMBER = 999_999_999_999_999;
+
+const plural = (count, [one, many], isPlural = (n) => n !== 1) => (isPlural(count) ? many : one);
+
+// Integer and fractional digits of a number already stripped of grouping: "1234.5" -> ["1234", "5"]
+const splitDecimal = (value) => value.split(".");
+
+// ---------- English ----------
+const EN_ONES = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten", "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen"];
+const EN_TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+const EN_SCALES = [[1e12, "trillion"], [1e9, "billion"], [1e6, "million"], [1e3, "thousand"]];
+const EN_ORDINAL_WORDS = { one: "first", two: "second", three: "third", five: "fifth", eight: "eighth", nine: "ninth", twelve: "twelfth" };
+
+function enBelow100(n) {
+  if (n < 20) return EN_ONES[n];
+  return EN_TENS[Math.floor(n / 10)] + (n % 10 ? `-${EN_ONES[n % 10]}` : "");
+}
+
+function enBelow1000(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  if (!hundreds) return enBelow100(rest);
+  return `${EN_ONES[hundreds]} hundred${rest ? ` ${enBelow100(rest)}` : ""}`;
+}
+
+function enCardinal(n) {
+  if (n === 0) return "zero";
+  const parts = [];
+  for (const [size, word] of EN_SCALES) {
+    if (n >= size) {
+      parts.push(`${enBelow1000(Math.floor(n / size))} ${word}`);
+      n %= size;
+    }
+  }
+  if (n) parts.push(enBelow1000(n));
+  return parts.join(" ");
+}
+
+function enOrdinal(n) {
+  return enCardinal(n).replace(/([a-z]+)$/, (word) => EN_ORDINAL_WORDS[word] ?? (word.endsWith("y") ? `${word.slice(0, -1)}ieth` : `${word}th`));
+}
+
+// 1999 -> nineteen ninety-nine, 1905 -> nineteen oh five, 2005 -> two thousand five, 2025 -> twenty twenty-five
+function enYear(n) {
+  if (n < 1100 || n > 9999 || (n >= 2000 && n < 2010) || n % 1000 === 0) return enCardinal(n);
+  const high = Math.floor(n / 100);
+  const low = n % 100;
+  if (low === 0) return `${enCardinal(high)} hundred`;
+  return `${enCardinal(high)} ${low < 10 ? `oh ${EN_ONES[low]}` : enBelow100(low)}`;
+}
+
+const EN_MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+
+function english(region) {
+  const british = region && region !== "US";
+  const metre = british ? "metre" : "meter";
+  const litre = british ? "litre" : "liter";
+  const digits = (s) => [...s].map((d) => EN_ONES[d]).join(" ");
+  const number = (value) => {
+    const [int, frac] = splitDecimal(value);
+    return `${enCardinal(Number(int))}${frac ? ` point ${digits(frac)}` : ""}`;
+  };
+  return {
+    decimal: ".",
+    group: ",",
+    // US writes month/day/year; the rest of the English-speaking world day/month/year.
+    dateOrder: region === "US" ? "mdy" : "dmy",
+    cardinal: enCardinal,
+    year: enYear,
+    ordinalRe: /(?<n>\d+)(?<suffix>st|nd|rd|th)(?![\p{L}\p{N}])/gu,
+    ordinalFor: (n) => enOrdinal(n),
+    number,
+    digits,
+    minus: "minus",
+    plus: "plus",
+    and: "and",
+    to: "to",
+    months: EN_MONTHS,
+    monthRe: /\b(?<monthName>Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\.? (?<day>\d{1,2})(?:st|nd|rd|th)?(?:, (?<year>\d{4}))?(?!\d)/g,
+    date({ day, month, year }) {
+      const spoken = region === "US" ? `${EN_MONTHS[month - 1]} ${enOrdinal(day)}` : `the ${enOrdinal(day)} of ${EN_MONTHS[month - 1]}`;
+      return year != null ? `${spoken}, ${enYear(year)}` : spoken;
+    },
+    time({ hour, minute, suffix }) {
+      const marker = suffix ? ` ${suffix.toLowerCase().startsWith("a") ? "a.m." : "p.m."}` : "";
+      if (minute === 0) return suffix ? `${enCardinal(hour)}${marker}` : hour > 12 || hour === 0 ? `${enCardinal(hour)} hundred` : `${enCardinal(hour)} o'clock`;
+      return `${enCardinal(hour)} ${minute < 10 ? `oh ${EN_ONES[minute]}` : enBelow100(minute)}${marker}`;
+    },
+    // 10:30, 10:30 pm, 10pm
+    timeRe: /(?<![\d:.,])(?<hour>[01]?\d|2[0-3])(?=:[0-5]\d|\s?[AaPp]\.?[Mm]\b)(?::(?<minute>[0-5]\d))?(?:\s?(?<suffix>[AaPp])\.?[Mm]\.?)?(?![\d:])/g,
+    currencies: {
+      USD: { unit: ["dollar", "dollars"], minor: ["cent", "cents"] },
+      EUR: { unit: ["euro", "euros"], minor: ["cent", "cents"] },
+      GBP: { unit: ["pound", "pounds"], minor: ["penny", "pence"] },
+      JPY: { unit: ["yen", "yen"] },
+      INR: { unit: ["rupee", "rupees"], minor: ["paisa", "paise"] },
+      CHF: { unit: ["franc", "francs"], minor: ["centime", "centimes"] },
+    },
+    scales: { k: "thousand", thousand: "thousand", m: "million", mn: "million", million: "million", b: "billion", bn: "billion", billion: "billion", t: "trillion", tn: "trillion", trillion: "trillion" },
+    money({ value, currency, scale }) {
+      const names = this.currencies[currency];
+      const [int, frac] = splitDecimal(value);
+      if (scale) return `${number(value)} ${this.scales[scale.toLowerCase()]} ${names.unit[1]}`;
+      if (frac?.length === 2 && names.minor) {
+        const major = Number(int);
+        const minor = Number(frac);
+        const majorWords = `${enCardinal(major)} ${plural(major, names.unit)}`;
+        if (!minor) return majorWords;
+        const minorWords = `${enCardinal(minor)} ${plural(minor, names.minor)}`;
+        return major ? `${majorWords} and ${minorWords}` : minorWords;
+      }
+      return `${number(value)} ${plural(Number(value), names.unit)}`;
+    },
+    units: {
+      km: [`kilo${metre}`, `kilo${metre}s`],
+      cm: [`centi${metre}`, `centi${metre}s`],
+      mm: [`milli${metre}`, `milli${metre}s`],
+      kg: ["kilogram", "kilograms"],
+      g: ["gram", "grams"],
+      mg: ["milligram", "milligrams"],
+      lb: ["pound", "pounds"],
+      lbs: ["pound", "pounds"],
+      oz: ["ounce", "ounces"],
+      mi: ["mile", "miles"],
+      ft: ["foot", "feet"],
+      l: [litre, `${litre}s`],
+      L: [litre, `${litre}s`],
+      ml: [`milli${litre}`, `milli${litre}s`],
+      mL: [`milli${litre}`, `milli${litre}s`],
+      mph: ["mile per hour", "miles per hour"],
+      "km/h": [`kilo${metre} per hour`, `kilo${metre}s per hour`],
+      "°C": ["degree Celsius", "degrees Celsius"],
+      "°F": ["degree Fahrenheit", "degrees Fahrenheit"],
+      "°": ["degree", "degrees"],
+      "%": ["percent", "percent"],
+      KB: ["kilobyte", "kilobytes"],
+      kB: ["kilobyte", "kilobytes"],
+      MB: ["megabyte", "megabytes"],
+      GB: ["gigabyte", "gigabytes"],
+      TB: ["terabyte", "terabytes"],
+      Hz: ["hertz", "hertz"],
+      kHz: ["kilohertz", "kilohertz"],
+      MHz: ["megahertz", "megahertz"],
+      GHz: ["gigahertz", "gigahertz"],
+      W: ["watt", "watts"],
+      kW: ["kilowatt", "kilowatts"],
+      kWh: ["kilowatt hour", "kilowatt hours"],
+      V: ["volt", "volts"],
+      ms: ["millisecond", "milliseconds"],
+      min: ["minute", "minutes"],
+      hr: ["hour", "hours"],
+      hrs: ["hour", "hours"],
+    },
+    unit(value, symbol) {
+      return `${number(value)} ${plural(Number(value), this.units[symbol])}`;
+    },
+    fraction(numerator, denominator) {
+      if (denominator === 2) return `${enCardinal(numerator)} ${numerator === 1 ? "half" : "halves"}`;
+      if (denominator === 4) return `${enCardinal(numerator)} ${numerator === 1 ? "quarter" : "quarters"}`;
+      return `${enCardinal(numerator)} ${enOrdinal(denominator)}${numerator === 1 ? "" : "s"}`;
+    },
+    words: { dot: "dot", at: "at", slash: "slash", dash: "dash", underscore: "underscore", colon: "colon", www: "w w w" },
+    abbreviations: [
+      // Before a capitalized name they're titles; otherwise part of an address.
+      { term: "Dr.", expansion: "Doctor", otherwise: "Drive", title: true },
+      { term: "St.", expansion: "Saint", otherwise: "Street", title: true },
+      { term: "Mr.", expansion: "Mister", title: true },
+      { term: "Mrs.", expansion: "Missus", title: true },
+      { term: "Ms.", expansion: "Miz", title: true },
+      { term: "Prof.", expansion: "Professor", title: true },
+      { term: "Mt.", expansion: "Mount", title: true },
+      { term: "Jr.", expansion: "Junior" },
+      { term: "Sr.", expansion: "Senior" },
+      { term: "Ave.", expansion: "Avenue" },
+      { term: "Blvd.", expansion: "Boulevard" },
+      { term: "Rd.", expansion: "Road" },
+      { term: "Apt.", expansion: "Apartment" },
+      { term: "Inc.", expansion: "Incorporated" },
+      { term: "Ltd.", expansion: "Limited" },
+      { term: "Corp.", expansion: "Corporation" },
+      { term: "Dept.", expansion: "Department" },
+      { term: "No.", expansion: "number", beforeNumber: true },
+      { term: "etc.", expansion: "et cetera" },
+      { term: "e.g.", expansion: "for example" },
+      { term: "i.e.", expansion: "that is" },
+      { term: "vs.", expansion: "versus" },
+      { term: "approx.", expansion: "approximately" },
+    ],
+  };
+}
+
+// ---------- Spanish ----------
+const ES_ONES = ["cero", "uno", "dos", "tres", "cuatro", "cinco", "seis", "siete", "ocho", "nueve", "diez", "once", "doce", "trece", "catorce", "quince", "dieciséis", "diecisiete", "dieciocho", "diecinueve", "veinte", "veintiuno", "veintidós", "veintitrés", "veinticuatro", "veinticinco", "veintiséis", "veintisiete", "veintiocho", "veintinueve"];
+const ES_TENS = ["", "", "", "treinta", "cuarenta", "cincuenta", "sesenta", "setenta", "ochenta", "noventa"];
+const ES_HUNDREDS = ["", "ciento", "doscientos", "trescientos", "cuatrocientos", "quinientos", "seiscientos", "setecientos", "ochocientos", "novecientos"];
+const ES_ORDINALS = ["", "primero", "segundo", "tercero", "cuarto", "quinto", "sexto", "séptimo", "octavo", "noveno", "décimo"];
+const ES_MONTHS = ["enero", "febrero", "marzo", "abril", "mayo", "junio", "julio", "agosto", "septiembre", "octubre", "noviembre", "diciembre"];
+
+// "uno" shortens before a noun or a scale word: veintiún mil, un millón
+const esApocope = (words) => words.replace(/veintiuno$/, "veintiún").replace(/uno$/, "un");
+
+function esBelow100(n) {
+  if (n < 30) return ES_ONES[n];
+  return ES_TENS[Math.floor(n / 10)] + (n % 10 ? ` y ${ES_ONES[n % 10]}` : "");
+}
+
+function esBelow1000(n) {
+  if (n === 100) return "cien";
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  if (!hundreds) return esBelow100(rest);
+  return `${ES_HUNDREDS[hundreds]}${rest ? ` ${esBelow100(rest)}` : ""}`;
+}
+
+function esCardinal(n) {
+  if (n === 0) return "cero";
+  const parts = [];
+  const trillions = Math.floor(n / 1e12);
+  if (trillions) parts.push(trillions === 1 ? "un billón" : `${esApocope(esCardinal(trillions))} billones`);
+  const millions = Math.floor((n % 1e12) / 1e6);
+  if (millions) parts.push(millions === 1 ? "un millón" : `${esApocope(esCardinal(millions))} millones`);
+  const thousands = Math.floor((n % 1e6) / 1e3);
+  if (thousands) parts.push(thousands === 1 ? "mil" : `${esApocope(esBelow1000(thousands))} mil`);
+  if (n % 1000) parts.push(esBelow1000(n % 1000));
+  return parts.join(" ");
+}
+
+function spanish(region) {
+  // Mexico, the US and Central America write 3.5; Spain and most of South America 3,5.
+  const pointRegions = new Set(["MX", "US", "419", "GT", "HN", "SV", "NI", "PR", "DO", "PA", "CU"]);
+  const point = pointRegions.has(region);
+  const cardinalBefore = (n, feminine) => (n === 1 ? (feminine ? "una" : "un") : esApocope(esCardinal(n)));
+  const number = (value) => {
+    const [int, frac] = splitDecimal(value);
+    if (!frac) return esCardinal(Number(int));
+    const fracWords = frac.length <= 2 && frac[0] !== "0" ? esCardinal(Number(frac)) : [...frac].map((d) => ES_ONES[d]).join(" ");
+    return `${esCardinal(Number(int))} ${point ? "punto" : "coma"} ${fracWords}`;
+  };
+  return {
+    decimal: point ? "." : ",",
+    group: point ? "," : ".",
+    dateOrder: "dmy",
+    cardinal: esCardinal,
+    ordinalRe: /(?<n>\d+)\.?(?<suffix>[ºª])/g,
+    ordinalFor: (n, marker) => {
+      const word = n <= 10 ? ES_ORDINALS[n] : esCardinal(n);
+      return marker === "ª" ? word.replace(/o$/, "a") : word;
+    },
+    number,
+    digits: (s) => [...s].map((d) => ES_ONES[d]).join(" "),
+    minus: "menos",
+    plus: "más",
+    and: "y",
+    to: "a",
+    symbols: region === "MX" ? { $: "MXN" } : {},
+    months: ES_MONTHS,
+    date({ day, month, year }) {
+      const spoken = `${day === 1 ? "primero" : esCardinal(day)} de ${ES_MONTHS[month - 1]}`;
+      return year != null ? `${spoken} de ${esCardinal(year)}` : spoken;
+    },
+    time({ hour, minute }) {
+      const h = hour === 1 ? "una" : esCardinal(hour).replace(/uno$/, "una");
+      return minute === 0 ? `${h} en punto` : `${h} y ${esCardinal(minute)}`;
+    },
+    timeRe: /(?<![\d:.,])(?<hour>[01]?\d|2[0-3]):(?<minute>[0-5]\d)(?:\s?h(?![\p{L}]))?(?![\d:])/gu,
+    currencies: {
+      USD: { unit: ["dólar", "dólares"], minor: ["centavo", "centavos"] },
+      EUR: { unit: ["euro", "euros"], minor: ["céntimo", "céntimos"] },
+      GBP: { unit: ["libra", "libras"], minor: ["penique", "peniques"], feminine: true },
+      JPY: { unit: ["yen", "yenes"] },
+      MXN: { unit: ["peso", "pesos"], minor: ["centavo", "centavos"] },
+      CHF: { unit: ["franco", "francos"], minor: ["céntimo", "céntimos"] },
+    },
+    scales: { k: "mil", mil: "mil", m: "millones", mm: "mil millones", millones: "millones", millón: "millones" },
+    money({ value, currency, scale }) {
+      const names = this.currencies[currency];
+      const [int, frac] = splitDecimal(value);
+      if (scale) {
+        const scaleWord = this.scales[scale.toLowerCase()];
+        // "millones" takes "de" before the noun; "mil" doesn't.
+        if (scaleWord === "mil") return `${number(value).replace(/uno$/, "un")} mil ${names.unit[1]}`;
+        const words = value === "1" ? `un ${scaleWord.replace("millones", "millón")}` : `${esApocope(number(value))} ${scaleWord}`;
+        return `${words} de ${names.unit[1]}`;
+      }
+      if (frac?.length === 2 && names.minor) {
+        const major = Number(int);
+        const minor = Number(frac);
+        const majorWords = `${cardinalBefore(major, names.feminine)} ${plural(major, names.unit)}`;
+        if (!minor) return majorWords;
+        const minorWords = `${cardinalBefore(minor)} ${plural(minor, names.minor)}`;
+        return major ? `${majorWords} con ${minorWords}` : minorWords;
+      }
+      if (!frac) return `${cardinalBefore(Number(int), names.feminine)} ${plural(Number(int), names.unit)}`;
+      return `${number(value)} ${names.unit[1]}`;
+    },
+    units: {
+      km: ["kilómetro", "kilómetros"],
+      m: ["metro", "metros"],
+      cm: ["centímetro", "centímetros"],
+      mm: ["milímetro", "milímetros"],
+      kg: ["kilo", "kilos"],
+      g: ["gramo", "gramos"],
+      mg: ["miligramo", "miligramos"],
+      l: ["litro", "litros"],
+      L: ["litro", "litros"],
+      ml: ["mililitro", "mililitros"],
+      "km/h": ["kilómetro por hora", "kilómetros por hora"],
+      "°C": ["grado centígrado", "grados centígrados"],
+      "°": ["grado", "grados"],
+      "%": ["por ciento", "por ciento"],
+      KB: ["kilobyte", "kilobytes"],
+      MB: ["megabyte", "megabytes"],
+      GB: ["gigabyte", "gigabytes"],
+      TB: ["terabyte", "terabytes"],
+      kWh: ["kilovatio hora", "kilovatios hora"],
+      min: ["minuto", "minutos"],
+      seg: ["segundo", "segundos"],
+    },
+    unit(value, symbol) {
+      const names = this.units[symbol];
+      if (symbol === "%") return `${number(value)} ${names[0]}`;
+      return value === "1" ? `un ${names[0]}` : `${esApocope(number(value))} ${names[1]}`;
+    },
+    fraction(numerator, denominator) {
+      const many = numerator !== 1;
+      const count = numerator === 1 ? "un" : esCardinal(numerator);
+      if (denominator === 2) return `${numerator === 1 ? "un" : count} ${many ? "medios" : "medio"}`;
+      if (denominator === 3) return `${count} ${many ? "tercios" : "tercio"}`;
+      const name = denominator <= 10 ? ES_ORDINALS[denominator] : `${esCardinal(denominator).replace(/a$/, "")}avo`;
+      return `${count} ${name}${many ? "s" : ""}`;
+    },
+    words: { dot: "punto", at: "arroba", slash: "barra", dash: "guion", underscore: "guion bajo", colon: "dos puntos", www: "uve doble uve doble uve doble" },
+    abbreviations: [
+      { term: "Sr.", expansion: "señor", title: true },
+      { term: "Sra.", expansion: "señora", title: true },
+      { term: "Srta.", expansion: "señorita", title: true },
+      { term: "Dr.", expansion: "doctor", title: true },
+      { term: "Dra.", expansion: "doctora", title: true },
+      { term: "Ud.", expansion: "usted" },
+      { term: "Uds.", expansion: "ustedes" },
+      { term: "Av.", expansion: "avenida", title: true },
+      { term: "núm.", expansion: "número", beforeNumber: true },
+      { term: "nº", expansion: "número", beforeNumber: true },
+      { term: "etc.", expansion: "etcétera" },
+      { term: "p. ej.", expansion: "por ejemplo" },
+      { term: "aprox.", expansion: "aproximadamente" },
+      { term: "EE. UU.", expansion: "Estados Unidos" },
+    ],
+  };
+}
+
+// ---------- German ----------
+const DE_ONES = ["null", "eins", "zwei", "drei", "vier", "fünf", "sechs", "sieben", "acht", "neun", "zehn", "elf", "zwölf", "dreizehn", "vierzehn", "fünfzehn", "sechzehn", "siebzehn", "achtzehn", "neunzehn"];
+const DE_TENS = ["", "", "zwanzig", "dreißig", "vierzig", "fünfzig", "sechzig", "siebzig", "achtzig", "neunzig"];
+const DE_MONTHS = ["Januar", "Februar", "März", "April", "Mai", "Juni", "Juli", "August", "September", "Oktober", "November", "Dezember"];
+
+// "eins" becomes "ein" inside compounds and before nouns: einhundert, einundzwanzig, ein Euro
+const deCombining = (words) => words.replace(/eins$/, "ein");
+
+function deBelow100(n) {
+  if (n < 20) return DE_ONES[n];
+  const ones = n % 10;
+  return `${ones ? `${deCombining(DE_ONES[ones])}und` : ""}${DE_TENS[Math.floor(n / 10)]}`;
+}
+
+function deBelow1000(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return `${hundreds ? `${deCombining(DE_ONES[hundreds])}hundert` : ""}${rest || !hundreds ? deBelow100(rest) : ""}`;
+}
+
+function deCardinal(n) {
+  if (n === 0) return "null";
+  const parts = [];
+  for (const [size, one, many] of [[1e12, "eine Billion", "Billionen"], [1e9, "eine Milliarde", "Milliarden"], [1e6, "eine Million", "Millionen"]]) {
+    const count = Math.floor(n / size);
+    if (count) parts.push(count === 1 ? one : `${deCardinal(count)} ${many}`);
+    n %= size;
+  }
+  const thousands = Math.floor(n / 1000);
+  const rest = n % 1000;
+  const small = `${thousands ? `${deCombining(deBelow1000(thousands))}tausend` : ""}${rest ? deBelow1000(rest) : ""}`;
+  if (small) parts.push(small);
+  return parts.join(" ");
+}
+
+// Dative ordinal, as dates are usually read after "am", "vom", "bis zum": am vierten März
+function deOrdinal(n) {
+  const irregular = { 1: "ersten", 3: "dritten", 7: "siebten", 8: "achten" };
+  if (irregular[n]) return irregular[n];
+  return n < 20 ? `${deCardinal(n)}ten` : `${deCardinal(n)}sten`;
+}
+
+function deYear(n) {
+  if (n >= 1100 && n < 2000) return `${deBelow100(Math.floor(n / 100))}hundert${n % 100 ? deBelow100(n % 100) : ""}`;
+  return deCardinal(n);
+}
+
+function german() {
+  const number = (value) => {
+    const [int, frac] = splitDecimal(value);
+    if (!frac) return deCardinal(Number(int));
+    return `${deCardinal(Number(int))} Komma ${[...frac].map((d) => DE_ONES[d]).join(" ")}`;
+  };
+  // A bare 1 before a noun agrees with it: ein Kilometer, eine Stunde
+  const counted = (value, [one, many], feminine) => (value === "1" ? `${feminine ? "eine" : "ein"} ${one}` : `${number(value)} ${many}`);
+  return {
+    decimal: ",",
+    group: ".",
+    dateOrder: "dmy",
+    cardinal: deCardinal,
+    year: deYear,
+    number,
+    digits: (s) => [...s].map((d) => DE_ONES[d]).join(" "),
+    minus: "minus",
+    plus: "plus",
+    and: "und",
+    to: "bis",
+    months: DE_MONTHS,
+    monthRe: /(?<!\d)(?<day>\d{1,2})\.\s?(?<monthName>Januar|Februar|März|April|Mai|Juni|Juli|August|September|Oktober|November|Dezember)(?: (?<year>\d{4}))?(?!\d)/g,
+    date({ day, month, year }) {
+      const spoken = `${deOrdinal(day)} ${DE_MONTHS[month - 1]}`;
+      return year != null ? `${spoken} ${deYear(year)}` : spoken;
+    },
+    time({ hour, minute }) {
+      const h = hour === 1 ? "ein" : deCardinal(hour);
+      return minute === 0 ? `${h} Uhr` : `${h} Uhr ${deCardinal(minute)}`;
+    },
+    // 14:05, 14.05 Uhr, 14 Uhr ("14.05" alone is a number)
+    timeRe: /(?<![\d:.,])(?<hour>[01]?\d|2[0-3])(?::(?<minute>[0-5]\d)(?:\s?Uhr)?|\.(?<minute2>[0-5]\d)\s?Uhr|\s?Uhr)(?![\d:\p{L}])/gu,
+    // 4.3. (day and month, no year)
+    shortDateRe: /(?<![\p{N}.])(?<day>\d{1,2})\.(?<month>\d{1,2})\.(?![\p{N}])/gu,
+    currencies: {
+      USD: { unit: ["Dollar", "Dollar"], minor: ["Cent", "Cent"] },
+      EUR: { unit: ["Euro", "Euro"], minor: ["Cent", "Cent"] },
+      GBP: { unit: ["Pfund", "Pfund"], minor: ["Penny", "Pence"] },
+      JPY: { unit: ["Yen", "Yen"] },
+      CHF: { unit: ["Franken", "Franken"], minor: ["Rappen", "Rappen"] },
+    },
+    scales: { k: "Tausend", tsd: "Tausend", "tsd.": "Tausend", mio: "Millionen", "mio.": "Millionen", mrd: "Milliarden", "mrd.": "Milliarden" },
+    money({ value, currency, scale }) {
+      const names = this.currencies[currency];
+      const [int, frac] = splitDecimal(value);
+      if (scale) {
+        const scaleWord = this.scales[scale.toLowerCase()];
+        if (value === "1") return `${scaleWord === "Tausend" ? "eintausend" : scaleWord === "Millionen" ? "eine Million" : "eine Milliarde"} ${names.unit[1]}`;
+        return scaleWord === "Tausend" ? `${deCombining(number(value))}tausend ${names.unit[1]}` : `${number(value)} ${scaleWord} ${names.unit[1]}`;
+      }
+      if (frac?.length === 2 && names.minor) {
+        const minor = Number(frac);
+        const majorWords = counted(String(Number(int)), names.unit);
+        if (!minor) return majorWords;
+        const minorWords = counted(String(minor), names.minor);
+        return Number(int) ? `${majorWords} und ${minorWords}` : minorWords;
+      }
+      return counted(value, names.unit);
+    },
+    units: {
+      km: ["Kilometer", "Kilometer"],
+      m: ["Meter", "Meter"],
+      cm: ["Zentimeter", "Zentimeter"],
+      mm: ["Millimeter", "Millimeter"],
+      kg: ["Kilogramm", "Kilogramm"],
+      g: ["Gramm", "Gramm"],
+      mg: ["Milligramm", "Milligramm"],
+      l: ["Liter", "Liter"],
+      L: ["Liter", "Liter"],
+      ml: ["Milliliter", "Milliliter"],
+      "km/h": ["Kilometer pro Stunde", "Kilometer pro Stunde"],
+      "°C": ["Grad Celsius", "Grad Celsius"],
+      "°": ["Grad", "Grad"],
+      "%": ["Prozent", "Prozent"],
+      KB: ["Kilobyte", "Kilobyte"],
+      MB: ["Megabyte", "Megabyte"],
+      GB: ["Gigabyte", "Gigabyte"],
+      TB: ["Terabyte", "Terabyte"],
+      kWh: ["Kilowattstunde", "Kilowattstunden", true],
+      "Std.": ["Stunde", "Stunden", true],
+      "Min.": ["Minute", "Minuten", true],
+      "Sek.": ["Sekunde", "Sekunden", true],
+    },
+    unit(value, symbol) {
+      const [one, many, feminine] = this.units[symbol];
+      // Measures read with a plain number: "ein Grad", but "eins Komma fünf Grad"
+      if (symbol === "%" || symbol.startsWith("°")) return `${value === "1" ? "ein" : number(value)} ${one}`;
+      return counted(value, [one, many], feminine);
+    },
+    fraction(numerator, denominator) {
+      const count = numerator === 1 ? "ein" : deCardinal(numerator);
+      if (denominator === 2) return `${count} halb${numerator === 1 ? "" : "e"}`;
+      const name = denominator === 3 ? "drittel" : denominator === 7 ? "siebtel" : denominator === 8 ? "achtel" : `${deCardinal(denominator)}${denominator < 20 ? "tel" : "stel"}`;
+      return `${count} ${name}`;
+    },
+    words: { dot: "Punkt", at: "ät", slash: "Schrägstrich", dash: "Bindestrich", underscore: "Unterstrich", colon: "Doppelpunkt", www: "w w w" },
+    abbreviations: [
+      { term: "Dr.", expansion: "Doktor", title: true },
+      { term: "Prof.", expansion: "Professor", title: true },
+      { term: "Hr.", expansion: "Herr", title: true },
+      { term: "Hrn.", expansion: "Herrn", title: true },
+      { term: "Fr.", expansion: "Frau", title: true },
+      { term: "Nr.", expansion: "Nummer", beforeNumber: true },
+      { term: "Str.", expansion: "Straße" },
+      { term: "z. B.", expansion: "zum Beispiel" },
+      { term: "z.B.", expansion: "zum Beispiel" },
+      { term: "d. h.", expansion: "das heißt" },
+      { term: "d.h.", expansion: "das heißt" },
+      { term: "u. a.", expansion: "unter anderem" },
+      { term: "usw.", expansion: "und so weiter" },
+      { term: "bzw.", expansion: "beziehungsweise" },
+      { term: "ca.", expansion: "circa" },
+      { term: "inkl.", expansion: "inklusive" },
+      { term: "ggf.", expansion: "gegebenenfalls" },
+      { term: "evtl.", expansion: "eventuell" },
+      { term: "vgl.", expansion: "vergleiche" },
+    ],
+  };
+}
+
+// ---------- French ----------
+const FR_ONES = ["zéro", "un", "deux", "trois", "quatre", "cinq", "six", "sept", "huit", "neuf", "dix", "onze", "douze", "treize", "quatorze", "quinze", "seize"];
+const FR_TENS = ["", "", "vingt", "trente", "quarante", "cinquante", "soixante"];
+const FR_MONTHS = ["janvier", "février", "mars", "avril", "mai", "juin", "juillet", "août", "septembre", "octobre", "novembre", "décembre"];
+
+function frBelow100(n) {
+  if (n < 17) return FR_ONES[n];
+  if (n < 20) return `dix-${FR_ONES[n - 10]}`;
+  const tens = Math.floor(n / 10);
+  const ones = n % 10;
+  // 70-79 and 90-99 count on from 60 and 80: soixante-douze, quatre-vingt-dix-neuf
+  if (tens === 7) return n === 71 ? "soixante et onze" : `soixante-${frBelow100(n - 60)}`;
+  if (tens === 9) return `quatre-vingt-${frBelow100(n - 80)}`;
+  if (tens === 8) return ones ? `quatre-vingt-${FR_ONES[ones]}` : "quatre-vingts";
+  if (!ones) return FR_TENS[tens];
+  return ones === 1 ? `${FR_TENS[tens]} et un` : `${FR_TENS[tens]}-${FR_ONES[ones]}`;
+}
+
+function frBelow1000(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  if (!hundreds) return frBelow100(rest);
+  const head = hundreds === 1 ? "cent" : `${FR_ONES[hundreds]} cent${rest ? "" : "s"}`;
+  return rest ? `${head} ${frBelow100(rest)}` : head;
+}
+
+// "vingts" and "cents" lose their s before "mille": quatre-vingt mille, deux cent mille
+const frBeforeMille = (words) => words.replace(/(vingt|cent)s$/, "$1");
+
+function frCardinal(n) {
+  if (n === 0) return "zéro";
+  const parts = [];
+  for (const [size, word] of [[1e12, "billion"], [1e9, "milliard"], [1e6, "million"]]) {
+    const count = Math.floor(n / size);
+    if (count) parts.push(`${frCardinal(count)} ${word}${count > 1 ? "s" : ""}`);
+    n %= size;
+  }
+  const thousands = Math.floor(n / 1000);
+  if (thousands) parts.push(thousands === 1 ? "mille" : `${frBeforeMille(frBelow1000(thousands))} mille`);
+  if (n % 1000) parts.push(frBelow1000(n % 1000));
+  return parts.join(" ");
+}
+
+function frOrdinal(n, feminine = false) {
+  if (n === 1) return feminine ? "première" : "premier";
+  return frCardinal(n)
+    .replace(/cinq$/, "cinqu")
+    .replace(/neuf$/, "neuv")
+    .replace(/(vingt|cent)s$/, "$1")
+    .replace(/e$/, "")
+    .concat("ième");
+}
+
+function french(region) {
+  const number = (value) => {
+    const [int, frac] = splitDecimal(value);
+    if (!frac) return frCardinal(Number(int));
+    const fracWords = frac.length <= 2 && frac[0] !== "0" ? frCardinal(Number(frac)) : [...frac].map((d) => FR_ONES[d]).join(" ");
+    return `${frCardinal(Number(int))} virgule ${fracWords}`;
+  };
+  const isPlural = (n) => n >= 2;
+  // "de" elides before a vowel: millions d'euros, millions de dollars
+  const of = (noun) => (/^[aeiouéh]/i.test(noun) ? `d'${noun}` : `de ${noun}`);
+  const counted = (value, names, feminine) => {
+    const words = value === "1" && feminine ? "une" : number(value);
+    return `${words} ${plural(Number(value), names, isPlural)}`;
+  };
+  return {
+    decimal: ",",
+    group: " ",
+    dateOrder: "dmy",
+    cardinal: frCardinal,
+    ordinalRe: /(?<n>\d+)(?<suffix>er|re|ère|e|ème|eme)(?![\p{L}\p{N}])/gu,
+    ordinalFor: (n, suffix) => frOrdinal(n, suffix === "re" || suffix === "ère"),
+    symbols: region === "CA" ? { $: "CAD" } : {},
+    number,
+    digits: (s) => [...s].map((d) => FR_ONES[d]).join(" "),
+    minus: "moins",
+    plus: "plus",
+    and: "et",
+    to: "à",
+    months: FR_MONTHS,
+    date({ day, month, year }) {
+      const spoken = `${day === 1 ? "premier" : frCardinal(day)} ${FR_MONTHS[month - 1]}`;
+      return year != null ? `${spoken} ${frCardinal(year)}` : spoken;
+    },
+    time({ hour, minute }) {
+      const h = `${hour === 1 ? "une" : frCardinal(hour).replace(/ et un$/, " et une")} heure${hour > 1 ? "s" : ""}`;
+      return minute === 0 ? h : `${h} ${frCardinal(minute)}`;
+    },
+    // 14h05, 14 h, 14:05
+    timeRe: /(?<![\d:.,])(?<hour>[01]?\d|2[0-3])(?:\s?h\s?|:(?=[0-5]\d))(?<minute>[0-5]\d)?(?![\d:\p{L}])/gu,
+    currencies: {
+      USD: { unit: ["dollar", "dollars"], minor: ["cent", "cents"] },
+      EUR: { unit: ["euro", "euros"], minor: ["centime", "centimes"] },
+      GBP: { unit: ["livre", "livres"], minor: ["penny", "pence"], feminine: true },
+      JPY: { unit: ["yen", "yens"] },
+      CHF: { unit: ["franc", "francs"], minor: ["centime", "centimes"] },
+      CAD: { unit: ["dollar", "dollars"], minor: ["cent", "cents"] },
+    },
+    scales: { k: "mille", m: "millions", md: "milliards", mrd: "milliards" },
+    money({ value, currency, scale }) {
+      const names = this.currencies[currency];
+      const [int, frac] = splitDecimal(value);
+      if (scale) {
+        const scaleWord = this.scales[scale.toLowerCase()];
+        if (scaleWord === "mille") return `${value === "1" ? "mille" : `${frBeforeMille(number(value))} mille`} ${names.unit[1]}`;
+        const words = value === "1" ? `un ${scaleWord.slice(0, -1)}` : `${number(value)} ${scaleWord}`;
+        return `${words} ${of(names.unit[1])}`;
+      }
+      if (frac?.length === 2 && names.minor) {
+        const minor = Number(frac);
+        const majorWords = counted(String(Number(int)), names.unit, names.feminine);
+        if (!minor) return majorWords;
+        const minorWords = counted(String(minor), names.minor);
+        return Number(int) ? `${majorWords} et ${minorWords}` : minorWords;
+      }
+      return counted(value, names.unit, names.feminine);
+    },
+    units: {
+      km: ["kilomètre", "kilomètres"],
+      m: ["mètre", "mètres"],
+      cm: ["centimètre", "centimètres"],
+      mm: ["millimètre", "millimètres"],
+      kg: ["kilogramme", "kilogrammes"],
+      g: ["gramme", "grammes"],
+      mg: ["milligramme", "milligrammes"],
+      l: ["litre", "litres"],
+      L: ["litre", "litres"],
+      ml: ["millilitre", "millilitres"],
+      "km/h": ["kilomètre heure", "kilomètres heure"],
+      "°C": ["degré Celsius", "degrés Celsius"],
+      "°": ["degré", "degrés"],
+      "%": ["pour cent", "pour cent"],
+      Ko: ["kilo-octet", "kilo-octets"],
+      Mo: ["mégaoctet", "mégaoctets"],
+      Go: ["gigaoctet", "gigaoctets"],
+      To: ["téraoctet", "téraoctets"],
+      kWh: ["kilowattheure", "kilowattheures"],
+      min: ["minute", "minutes", true],
+    },
+    unit(value, symbol) {
+      const [one, many, feminine] = this.units[symbol];
+      return counted(value, [one, many], feminine);
+    },
+    fraction(numerator, denominator) {
+      const count = numerator === 1 ? "un" : frCardinal(numerator);
+      const many = numerator > 1;
+      if (denominator === 2) return `${count} ${many ? "demis" : "demi"}`;
+      if (denominator === 3) return `${count} tiers`;
+      if (denominator === 4) return `${count} ${many ? "quarts" : "quart"}`;
+      return `${count} ${frOrdinal(denominator)}${many ? "s" : ""}`;
+    },
+    words: { dot: "point", at: "arobase", slash: "slash", dash: "tiret", underscore: "tiret bas", colon: "deux-points", www: "w w w" },
+    abbreviations: [
+      { term: "M.", expansion: "Monsieur", title: true, titleOnly: true },
+      { term: "MM.", expansion: "Messieurs", title: true, titleOnly: true },
+      { term: "Mme", expansion: "Madame", title: true },
+      { term: "Mmes", expansion: "Mesdames", title: true },
+      { term: "Mlle", expansion: "Mademoiselle", title: true },
+      { term: "Dr", expansion: "Docteur", title: true },
+      { term: "Pr", expansion: "Professeur", title: true },
+      { term: "n°", expansion: "numéro", beforeNumber: true },
+      { term: "av.", expansion: "avenue", title: true },
+      { term: "bd", expansion: "boulevard", title: true },
+      { term: "etc.", expansion: "et cetera" },
+      { term: "p. ex.", expansion: "par exemple" },
+      { term: "env.", expansion: "environ" },
+      { term: "c.-à-d.", expansion: "c'est-à-dire" },
+    ],
+  };
+}
+
+const LANGUAGES = { en: english, es: spanish, de: german, fr: french };
+
+export const NORMALIZE_LANGUAGES = Object.keys(LANGUAGES);
+
+// "en-GB" -> the English rules with British dates and spelling; null for languages without rules.
+export function languageFor(languageCode) {
+  const [language, region] = (languageCode || "").split(/[-_]/);
+  const build = LANGUAGES[language?.toLowerCase()];
+  return build ? { code: language.toLowerCase(), ...build(region?.toUpperCase()) } : null;
+}
@@ -0,0 +1,209 @@
+import { zodToJsonSchema } from "zod-to-json-schema";
+
+// ---- OpenAPI 3 document for the versioned API (/api/v1) ----
+// Routes describe themselves next to their handlers in index.js (`apiDocs.add({...})`). Request bodies and query
+// parameters are converted from the zod schemas that validate them, so the document can't drift from what the
+// server accepts; responses are described by hand in RESPONSE_SCHEMAS, loosely, since the JSON bodies grow fields.
+
+const API_BASE = "/api/v1";
+
+function jsonSchema(zodSchema) {
+  // "input": what a caller sends, so fields with defaults are optional and coerced query fields keep their type.
+  return zodToJsonSchema(zodSchema, { target: "openApi3", $refStrategy: "none", effectStrategy: "input", pipeStrategy: "input" });
+}
+
+const ERROR_SCHEMA = {
+  type: "object",
+  required: ["error", "code", "category", "retryable"],
+  properties: {
+    error: { type: "string", description: "Human-readable message" },
+    code: { type: "string", description: "Stable machine-readable code, e.g. VALIDATION_ERROR, RATE_LIMITED, UPSTREAM_UNAVAILABLE" },
+    category: { type: "string", enum: ["validation", "auth", "quota", "transient", "internal"] },
+    retryable: { type: "boolean", description: "Whether the same request may succeed later" },
+    retryAfterSec: { type: "number" },
+  },
+  additionalProperties: true,
+};
+
+const VOICE_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    voiceType: { type: "string", description: "Price tier / family, e.g. STANDARD, WAVENET, NEURAL2, CHIRP_HD" },
+    languageCodes: { type: "array", items: { type: "string" } },
+    ssmlGender: { type: "string" },
+    naturalSampleRateHertz: { type: "integer" },
+    capabilities: { type: "object", additionalProperties: true },
+  },
+  additionalProperties: true,
+};
+
+const AUDIO_SCHEMA = {
+  type: "object",
+  properties: {
+    base64: { type: "string", format: "byte" },
+    encoding: { type: "string" },
+    mimeType: { type: "string" },
+    container: { type: "string" },
+    extension: { type: "string" },
+    sampleRateHertz: { type: "integer", nullable: true },
+    bytes: { type: "integer" },
+    durationSec: { type: "number", nullable: true },
+  },
+  additionalProperties: true,
+};
+
+const RESPONSE_SCHEMAS = {
+  Error: ERROR_SCHEMA,
+  Voice: VOICE_SCHEMA,
+  VoiceList: {
+    type: "object",
+    properties: {
+      voices: { type: "array", items: { $ref: "#/components/schemas/Voice" } },
+      languages: { type: "array", items: { type: "string" } },
+      languageNames: { type: "object", additionalProperties: { type: "string" } },
+      voiceTypes: { type: "array", items: { type: "string" } },
+      total: { type: "integer" },
+    },
+    additionalProperties: true,
+  },
+  Pricing: {
+    type: "object",
+    properties: {
+      currency: { type: "string" },
+      provider: { type: "string" },
+      per1MCharacters: { type: "object", additionalProperties: { type: "number" }, description: "USD per million characters by voice type" },
+      freeTierCharactersPerMonth: { type: "object", additionalProperties: { type: "integer" } },
+    },
+    additionalProperties: true,
+  },
+  Synthesis: {
+    type: "object",
+    properties: {
+      audio: { $ref: "#/components/schemas/Audio" },
+      voice: { $ref: "#/components/schemas/Voice" },
+      metrics: { type: "object", additionalProperties: true, description: "Timings, input size, billing estimate, cache status and post-processing steps" },
+      timeline: {
+        type: "object",
+        description: "Word timings, when requested",
+        properties: {
+          text: { type: "string" },
+          words: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: { word: { type: "string" }, start: { type: "integer" }, end: { type: "integer" }, timeSeconds: { type: "number" } },
+            },
+          },
+        },
+      },
+      analysis: { type: "object", nullable: true, additionalProperties: true, description: "Duration, loudness, peak, silence and speech rate" },
+      warnings: { type: "array", items: { type: "string" } },
+      history: { type: "object", nullable: true, properties: { id: { type: "string" }, permalink: { type: "string" }, audioUrl: { type: "string" } }, additionalProperties: true },
+    },
+    additionalProperties: true,
+  },
+  Audio: AUDIO_SCHEMA,
+  Object: { type: "object", additionalProperties: true },
+};
+
+// Metrics sent as headers when /synthesize answers with the audio itself.
+export const AUDIO_RESPONSE_HEADERS = {
+  "X-TTS-Voice": "Voice that spoke the clip",
+  "X-TTS-Voice-Type": "Its voice type (price tier)",
+  "X-TTS-Billable-Chars": "Characters billed",
+  "X-TTS-Estimated-Cost-Usd": "Estimated cost of the request",
+  "X-TTS-Cache": "hit or miss",
+  "X-TTS-Duration-Sec": "Clip duration, when known",
+  "X-TTS-Loudness-Lufs": "Integrated loudness, when measured",
+  "X-TTS-History-Id": "History clip id, when the clip was saved",
+  "Server-Timing": "tts (provider) and total server time in ms",
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const errorResponse = (description) => ({ description, content: { "application/json": { schema: ref("Error") } } });
+
+const STANDARD_ERRORS = {
+  400: errorResponse("Invalid request"),
+  401: errorResponse("Missing or unknown API key"),
+  429: errorResponse("Rate limit or quota reached"),
+  503: errorResponse("The TTS provider is unavailable; retry later"),
+};
+
+function queryParameters(zodSchema) {
+  const schema = jsonSchema(zodSchema);
+  return Object.entries(schema.properties ?? {}).map(([name, property]) => ({
+    name,
+    in: "query",
+    required: (schema.required ?? []).includes(name),
+    schema: property,
+  }));
+}
+
+// Response shorthand: a schema name for JSON, or { content, headers? } for anything else.
+function responseFor(description, response) {
+  if (typeof response === "string") return { description, content: { "application/json": { schema: ref(response) } } };
+  return { description, ...response };
+}
+
+export function createApiDocs({ title, version, description, idempotencyTtlHours }) {
+  const operations = [];
+
+  return {
+    // { method, path ("/voices", "/jobs/{id}"), operationId, summary, description?, tags, query?, body?,
+    //   response (schema name or { content }), status? (default 200), responseDescription?, idempotent?, public?,
+    //   extraResponses? }
+    add(operation) {
+      operations.push(operation);
+    },
+
+    document({ authEnabled }) {
+      const paths = {};
+      for (const op of operations) {
+        const parameters = [
+          ...[...op.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({ name, in: "path", required: true, schema: { type: "string" } })),
+          ...(op.query ? queryParameters(op.query) : []),
+          ...(op.idempotent
+            ? [{
+                name: "Idempotency-Key",
+                in: "header",
+                required: false,
+                description: `Retries with the same key (and body) within ${idempotencyTtlHours} hours get the first response back instead of running again`,
+                schema: { type: "string", maxLength: 255 },
+              }]
+            : []),
+        ];
+        paths[op.path] ??= {};
+        paths[op.path][op.method] = {
+          operationId: op.operationId,
+          summary: op.summary,
+          ...(op.description ? { description: op.description } : {}),
+          tags: op.tags,
+          ...(parameters.length ? { parameters } : {}),
+          ...(op.body ? { requestBody: { required: true, content: { "application/json": { schema: jsonSchema(op.body) } } } } : {}),
+          responses: {
+            [op.status ?? 200]: responseFor(op.responseDescription ?? "OK", op.response),
+            ...op.extraResponses,
+            ...(op.public ? {} : STANDARD_ERRORS),
+          },
+          ...(op.public ? { security: [] } : {}),
+        };
+      }
+
+      return {
+        openapi: "3.0.3",
+        info: { title, version, description },
+        servers: [{ url: API_BASE }],
+        ...(authEnabled ? { security: [{ bearerAuth: [] }, { apiKeyHeader: [] }] } : {}),
+        paths,
+        components: {
+          schemas: RESPONSE_SCHEMAS,
+          securitySchemes: {
+            bearerAuth: { type: "http", scheme: "bearer", description: "An API key from the key admin page" },
+            apiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" },
+          },
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,210 @@
+import { Mp3Encoder } from "@breezystack/lamejs";
+import { integratedLoudness, silenceEdges } from "./analysis.js";
+import { buildWav } from "./audio.js";
+import { httpError } from "./errors.js";
+
+// ---- Post-processing: trim, resample, loudness-normalize, background bed, fades, re-encode ----
+// Works on decoded mono samples in [-1, 1]. Steps run in a fixed order so their effects compose predictably:
+// trim the silence Google leaves around speech, resample, bring the speech to a target loudness, mix the bed
+// under it (its level is relative to the speech), fade the whole mix, then encode. Every step that ran is
+// described in `steps` so the response says exactly what was done to the audio.
+
+// Encodings written here; Ogg Opus and M4A would need a native encoder.
+export const POSTPROCESS_ENCODINGS = ["MP3", "LINEAR16", "PCM", "MULAW", "ALAW"];
+const MP3_SAMPLE_RATES = [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000];
+
+const dbToGain = (db) => 10 ** (db / 20);
+const round = (n, digits) => (n == null || !Number.isFinite(n) ? null : Number(n.toFixed(digits)));
+
+function peakOf(samples) {
+  let peak = 0;
+  for (const s of samples) peak = Math.max(peak, Math.abs(s));
+  return peak;
+}
+
+// Throws a 400 before anything is synthesized when the output can't be produced.
+export function assertPostProcessable(audioEncoding, sampleRateHertz) {
+  if (!POSTPROCESS_ENCODINGS.includes(audioEncoding)) {
+    throw httpError(400, `Post-processed audio can be delivered as ${POSTPROCESS_ENCODINGS.join(", ")}, not ${audioEncoding}.`);
+  }
+  if (audioEncoding === "MP3" && sampleRateHertz && !MP3_SAMPLE_RATES.includes(sampleRateHertz)) {
+    throw httpError(400, `MP3 can't be written at ${sampleRateHertz} Hz. Use one of: ${MP3_SAMPLE_RATES.join(", ")}.`);
+  }
+}
+
+// Windowed-sinc (Blackman) resampling; the cutoff follows the lower of the two Nyquist rates so
+// downsampling doesn't alias.
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+  const ratio = toRate / fromRate;
+  const cutoff = Math.min(1, ratio);
+  const halfWidth = Math.ceil(16 / cutoff);
+  const out = new Float32Array(Math.round(samples.length * ratio));
+  for (let n = 0; n < out.length; n++) {
+    const t = n / ratio;
+    const center = Math.floor(t);
+    let sum = 0;
+    for (let k = center - halfWidth + 1; k <= center + halfWidth; k++) {
+      if (k < 0 || k >= samples.length) continue;
+      const x = t - k;
+      const w = 0.42 + 0.5 * Math.cos((Math.PI * x) / halfWidth) + 0.08 * Math.cos((2 * Math.PI * x) / halfWidth);
+      const arg = Math.PI * cutoff * x;
+      sum += samples[k] * cutoff * (arg === 0 ? 1 : Math.sin(arg) / arg) * w;
+    }
+    out[n] = sum;
+  }
+  return out;
+}
+
+// G.711 compression from 16-bit linear (the inverses of analysis.js's expansions)
+function mulawByte(pcm) {
+  const BIAS = 0x84;
+  const sign = pcm < 0 ? 0x80 : 0;
+  let magnitude = Math.min(32635, Math.abs(pcm)) + BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+function alawByte(pcm) {
+  const sign = pcm >= 0 ? 0x80 : 0;
+  const magnitude = Math.min(32767, Math.abs(pcm)) >> 3;
+  let byte;
+  if (magnitude < 32) {
+    byte = magnitude >> 1;
+  } else {
+    let exponent = 1;
+    while (magnitude >> (exponent + 5) > 0 && exponent < 7) exponent++;
+    byte = (exponent << 4) | ((magnitude >> exponent) & 0x0f);
+  }
+  return (sign | byte) ^ 0x55;
+}
+
+function toInt16(samples) {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) pcm[i] = Math.max(-32768, Math.min(32767, Math.round(samples[i] * 32767)));
+  return pcm;
+}
+
+// Mono samples -> a file in `audioEncoding` (sample encodings as WAV, like everything else this server serves).
+export function encodeSamples(audioEncoding, samples, sampleRate) {
+  const pcm = toInt16(samples);
+  if (audioEncoding === "MP3") {
+    const encoder = new Mp3Encoder(1, sampleRate, sampleRate > 24000 ? 128 : 64);
+    const parts = [];
+    for (let i = 0; i < pcm.length; i += 1152 * 16) parts.push(Buffer.from(encoder.encodeBuffer(pcm.subarray(i, i + 1152 * 16))));
+    parts.push(Buffer.from(encoder.flush()));
+    return Buffer.concat(parts);
+  }
+  if (audioEncoding === "MULAW" || audioEncoding === "ALAW") {
+    const encode = audioEncoding === "MULAW" ? mulawByte : alawByte;
+    const data = Buffer.alloc(pcm.length);
+    for (let i = 0; i < pcm.length; i++) data[i] = encode(pcm[i]);
+    return buildWav({ audioFormat: audioEncoding === "MULAW" ? 7 : 6, channels: 1, sampleRate, bitsPerSample: 8 }, data);
+  }
+  return buildWav({ audioFormat: 1, channels: 1, sampleRate, bitsPerSample: 16 }, Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength));
+}
+
+// Raised-cosine ramps at both ends, in place.
+function applyFades(samples, sampleRate, inMs, outMs) {
+  const ramp = (i, n) => 0.5 - 0.5 * Math.cos((Math.PI * i) / n);
+  const fadeIn = Math.min(samples.length, Math.round((inMs / 1000) * sampleRate));
+  const fadeOut = Math.min(samples.length, Math.round((outMs / 1000) * sampleRate));
+  for (let i = 0; i < fadeIn; i++) samples[i] *= ramp(i, fadeIn);
+  for (let i = 0; i < fadeOut; i++) samples[samples.length - 1 - i] *= ramp(i, fadeOut);
+}
+
+// options: { trimSilence, trimPaddingMs, normalizeLufs, peakCeilingDbfs, fadeInMs, fadeOutMs, bed }
+// bed: { id, name, samples (already at the output rate), integratedLufs, gainDb, loop, leadInMs, tailMs }
+// -> { samples, sampleRate, steps, offsetSec } where offsetSec is how far the speech moved (for word timings).
+export function postProcess({ samples, sampleRate }, options, { targetRate = sampleRate, bed = null } = {}) {
+  const steps = [];
+  let offsetSec = 0;
+
+  if (options.trimSilence) {
+    const { leadingSilenceSec, trailingSilenceSec } = silenceEdges(samples, sampleRate);
+    const pad = options.trimPaddingMs / 1000;
+    const cutLead = Math.max(0, leadingSilenceSec - pad);
+    const cutTrail = Math.max(0, trailingSilenceSec - pad);
+    const start = Math.round(cutLead * sampleRate);
+    const end = Math.max(start, samples.length - Math.round(cutTrail * sampleRate));
+    samples = samples.slice(start, end);
+    offsetSec -= start / sampleRate;
+    steps.push({ step: "trim", removedLeadingSec: round(start / sampleRate, 3), removedTrailingSec: round(cutTrail, 3), paddingMs: options.trimPaddingMs });
+  }
+
+  if (targetRate !== sampleRate) {
+    samples = resample(samples, sampleRate, targetRate);
+    steps.push({ step: "resample", fromHz: sampleRate, toHz: targetRate });
+    sampleRate = targetRate;
+  } else {
+    samples = Float32Array.from(samples);
+  }
+
+  let speechLufs = integratedLoudness(samples, sampleRate);
+  if (options.normalizeLufs != null) {
+    const ceiling = dbToGain(options.peakCeilingDbfs);
+    const peak = peakOf(samples);
+    if (speechLufs == null) {
+      steps.push({ step: "normalize", targetLufs: options.normalizeLufs, skipped: "Too short or too quiet to measure." });
+    } else {
+      let gainDb = options.normalizeLufs - speechLufs;
+      // No limiter: if reaching the target would clip, stop at the peak ceiling instead.
+      const limitedByPeak = peak > 0 && peak * dbToGain(gainDb) > ceiling;
+      if (limitedByPeak) gainDb = 20 * Math.log10(ceiling / peak);
+      const gain = dbToGain(gainDb);
+      for (let i = 0; i < samples.length; i++) samples[i] *= gain;
+      steps.push({
+        step: "normalize",
+        measuredLufs: round(speechLufs, 1),
+        targetLufs: options.normalizeLufs,
+        gainDb: round(gainDb, 2),
+        limitedByPeak,
+        peakCeilingDbfs: options.peakCeilingDbfs,
+        resultLufs: round(speechLufs + gainDb, 1),
+      });
+      speechLufs += gainDb;
+    }
+  }
+
+  if (bed) {
+    const lead = Math.round((bed.leadInMs / 1000) * sampleRate);
+    const tail = Math.round((bed.tailMs / 1000) * sampleRate);
+    const mix = new Float32Array(lead + samples.length + tail);
+    mix.set(samples, lead);
+    // Level relative to the speech when both can be measured; otherwise gainDb is applied as is.
+    const relative = speechLufs != null && bed.integratedLufs != null;
+    const appliedGainDb = relative ? speechLufs + bed.gainDb - bed.integratedLufs : bed.gainDb;
+    const gain = dbToGain(appliedGainDb);
+    const length = bed.loop ? mix.length : Math.min(mix.length, bed.samples.length);
+    for (let i = 0; i < length; i++) mix[i] += bed.samples[i % bed.samples.length] * gain;
+    samples = mix;
+    offsetSec += lead / sampleRate;
+    steps.push({
+      step: "bed",
+      bedId: bed.id,
+      name: bed.name,
+      gainDb: bed.gainDb,
+      relativeTo: relative ? "speech" : "full scale",
+      appliedGainDb: round(appliedGainDb, 2),
+      loop: bed.loop,
+      leadInMs: bed.leadInMs,
+      tailMs: bed.tailMs,
+    });
+  }
+
+  if (options.fadeInMs || options.fadeOutMs) {
+    applyFades(samples, sampleRate, options.fadeInMs, options.fadeOutMs);
+    steps.push({ step: "fade", inMs: options.fadeInMs, outMs: options.fadeOutMs });
+  }
+
+  // The bed can push the mix over full scale; scale down rather than let the encoder clip.
+  const peak = peakOf(samples);
+  if (peak > 1) {
+    for (let i = 0; i < samples.length; i++) samples[i] /= peak;
+    steps.push({ step: "clip-guard", gainDb: round(-20 * Math.log10(peak), 2) });
+  }
+
+  return { samples, sampleRate, steps, offsetSec };
+}
@@ -0,0 +1,106 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// ---- Saved presets ----
+// A preset is a named starting point for the single-voice form: voice, audio settings, input type and a
+// sample text. They are shared by everyone using the server and kept in <dir>/presets.json. Collections
+// move between servers as JSON ({ format, exportedAt, presets }) through export() / import().
+
+export const PRESET_EXPORT_FORMAT = "tts-presets/v1";
+
+export function createPresetStore({ dir }) {
+  const filePath = path.join(dir, "presets.json");
+  let presets = null;
+
+  async function load() {
+    if (presets) return presets;
+    await fs.mkdir(dir, { recursive: true });
+    try {
+      presets = JSON.parse(await fs.readFile(filePath, "utf8")).presets || [];
+    } catch {
+      presets = [];
+    }
+    return presets;
+  }
+
+  async function save() {
+    const tmp = `${filePath}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ presets }, null, 2));
+    await fs.rename(tmp, filePath);
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  return {
+    async list() {
+      await load();
+      return [...presets].sort(byName);
+    },
+
+    async get(id) {
+      await load();
+      return presets.find((p) => p.id === id) ?? null;
+    },
+
+    async create(fields, { createdBy = null } = {}) {
+      await load();
+      const now = new Date().toISOString();
+      const preset = { id: crypto.randomUUID(), ...fields, createdBy, createdAt: now, updatedAt: now };
+      presets.push(preset);
+      await save();
+      return preset;
+    },
+
+    async replace(id, fields) {
+      await load();
+      const i = presets.findIndex((p) => p.id === id);
+      if (i === -1) return null;
+      const { createdBy, createdAt } = presets[i];
+      presets[i] = { id, ...fields, createdBy, createdAt, updatedAt: new Date().toISOString() };
+      await save();
+      return presets[i];
+    },
+
+    async delete(id) {
+      await load();
+      const before = presets.length;
+      presets = presets.filter((p) => p.id !== id);
+      if (presets.length === before) return false;
+      await save();
+      return true;
+    },
+
+    // Ids and timestamps stay out of exports: they only mean something on the server that made them.
+    async export() {
+      await load();
+      return {
+        format: PRESET_EXPORT_FORMAT,
+        exportedAt: new Date().toISOString(),
+        presets: [...presets].sort(byName).map(({ id, createdBy, createdAt, updatedAt, name, ...fields }) => ({ name, ...fields })),
+      };
+    },
+
+    // "merge" overwrites presets with the same name and keeps the rest; "replace" drops everything first.
+    async import(incoming, { mode = "merge", createdBy = null } = {}) {
+      await load();
+      const now = new Date().toISOString();
+      if (mode === "replace") presets = [];
+      let created = 0;
+      let updated = 0;
+      for (const fields of incoming) {
+        const i = presets.findIndex((p) => p.name.toLowerCase() === fields.name.toLowerCase());
+        if (i === -1) {
+          presets.push({ id: crypto.randomUUID(), ...fields, createdBy, createdAt: now, updatedAt: now });
+          created++;
+        } else {
+          const { id, createdBy: owner, createdAt } = presets[i];
+          presets[i] = { id, ...fields, createdBy: owner, createdAt, updatedAt: now };
+          updated++;
+        }
+      }
+      await save();
+      return { created, updated, total: presets.length };
+    },
+  };
+}
@@ -0,0 +1,143 @@
+import { classifyError, httpError } from "./errors.js";
+import { log } from "./logger.js";
+
+// ---- Resilience around provider calls ----
+// createResilientProvider wraps a TTS provider (same interface) with:
+//   - a start-rate limit: calls are spaced out to at most `maxPerMinute`, queueing rather than failing
+//   - retries of transient failures (UNAVAILABLE, DEADLINE_EXCEEDED, network errors) with exponential
+//     backoff and full jitter
+//   - a circuit breaker: after `failureThreshold` consecutive transient failures it opens and rejects calls
+//     immediately (503 CIRCUIT_OPEN) for `cooldownMs`, then lets a single probe through (half-open); the
+//     probe's outcome closes it again or re-opens it
+// Streaming calls only go through the breaker: they aren't retried, since audio may already have reached
+// the client.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function createCircuitBreaker({ failureThreshold, cooldownMs }) {
+  let state = "closed";
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let probing = false;
+  let trips = 0;
+  let lastFailure = null;
+
+  return {
+    // Throws CIRCUIT_OPEN when the call may not go ahead; otherwise the caller must report its outcome.
+    enter() {
+      if (state === "open" && Date.now() - openedAt >= cooldownMs) state = "half-open";
+      if (state === "open" || (state === "half-open" && probing)) {
+        const retryAfterSec = Math.max(1, Math.ceil((openedAt + cooldownMs - Date.now()) / 1000));
+        throw httpError(503, `The TTS provider is failing (${lastFailure?.code ?? "unknown error"}); requests are paused for ${retryAfterSec}s.`, {
+          code: "CIRCUIT_OPEN",
+          retryAfterSec,
+        });
+      }
+      if (state === "half-open") probing = true;
+    },
+
+    success() {
+      state = "closed";
+      consecutiveFailures = 0;
+      probing = false;
+    },
+
+    // Only transient failures count; a bad request says nothing about the provider's health, and a
+    // cancelled stream is usually the listener hanging up.
+    failure(e) {
+      const { category, code, message } = classifyError(e);
+      probing = false;
+      if (category !== "transient" || code === "UPSTREAM_CANCELLED") {
+        if (state === "half-open") state = "closed";
+        return;
+      }
+      lastFailure = { code, message, at: new Date().toISOString() };
+      consecutiveFailures += 1;
+      if (state === "half-open" || consecutiveFailures >= failureThreshold) {
+        if (state !== "open") trips += 1;
+        state = "open";
+        openedAt = Date.now();
+      }
+    },
+
+    snapshot() {
+      if (state === "open" && Date.now() - openedAt >= cooldownMs) state = "half-open";
+      return {
+        state,
+        consecutiveFailures,
+        failureThreshold,
+        cooldownSec: cooldownMs / 1000,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: state === "open" ? new Date(openedAt + cooldownMs).toISOString() : null,
+        trips,
+        lastFailure,
+      };
+    },
+  };
+}
+
+// Delay before retry `attempt` (1-based): random in [0, min(maxMs, baseMs * 2^(attempt-1))]
+export function backoffMs(attempt, { baseMs, maxMs }) {
+  return Math.random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+}
+
+export function createResilientProvider(provider, { retries, retryBaseMs, retryMaxMs, failureThreshold, cooldownMs, maxPerMinute }) {
+  const breaker = createCircuitBreaker({ failureThreshold, cooldownMs });
+  const spacingMs = maxPerMinute > 0 ? 60_000 / maxPerMinute : 0;
+  let nextStartAt = 0;
+  let retriesTotal = 0;
+
+  async function throttle() {
+    if (!spacingMs) return;
+    const now = Date.now();
+    const startAt = Math.max(now, nextStartAt);
+    nextStartAt = startAt + spacingMs;
+    if (startAt > now) await sleep(startAt - now);
+  }
+
+  async function call(fn) {
+    for (let attempt = 1; ; attempt++) {
+      breaker.enter();
+      await throttle();
+      try {
+        const result = await fn();
+        breaker.success();
+        return result;
+      } catch (e) {
+        breaker.failure(e);
+        if (attempt > retries || classifyError(e).category !== "transient") throw e;
+        retriesTotal += 1;
+        const delay = backoffMs(attempt, { baseMs: retryBaseMs, maxMs: retryMaxMs });
+        log.warn(`${provider.id}: retrying after a transient failure`, { code: classifyError(e).code, attempt, retries, delayMs: Math.round(delay) });
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    ...provider,
+    listVoices: () => call(() => provider.listVoices()),
+    synthesize: (request) => call(() => provider.synthesize(request)),
+    ...(provider.streamingSynthesize
+      ? {
+          streamingSynthesize(options) {
+            breaker.enter();
+            const stream = provider.streamingSynthesize(options);
+            const done = stream.done.then(
+              (value) => {
+                breaker.success();
+                return value;
+              },
+              (e) => {
+                breaker.failure(e);
+                throw e;
+              },
+            );
+            return { ...stream, done };
+          },
+        }
+      : {}),
+    // For /api/health
+    status: () => ({ circuit: breaker.snapshot(), retries: { maxPerCall: retries, total: retriesTotal }, maxPerMinute: maxPerMinute || null }),
+  };
+}
@@ -0,0 +1,161 @@
+import { XMLValidator } from "fast-xml-parser";
+
+// ---- SSML validation and conversion ----
+// Google answers malformed or unsupported SSML with an opaque INVALID_ARGUMENT, so markup is checked
+// here first and problems are reported with line/column positions in the user's input.
+
+const ELEMENTS = new Set([
+  "speak", "break", "say-as", "audio", "p", "s", "sub", "mark", "prosody", "emphasis",
+  "par", "seq", "media", "phoneme", "voice", "lang", "desc", "google:style",
+]);
+
+// Elements a voice type can't render (Chirp 3: HD takes no SSML at all and is handled by the caller).
+const UNSUPPORTED_BY_VOICE_TYPE = {
+  STUDIO: new Set(["mark", "emphasis", "lang"]),
+};
+
+const SAY_AS_INTERPRET_AS = new Set([
+  "cardinal", "ordinal", "characters", "fraction", "expletive", "bleep", "unit", "verbatim", "spell-out",
+  "date", "time", "telephone",
+]);
+const BREAK_STRENGTHS = new Set(["none", "x-weak", "weak", "medium", "strong", "x-strong"]);
+const EMPHASIS_LEVELS = new Set(["strong", "moderate", "none", "reduced"]);
+const XML_ENTITIES = new Set(["amp", "lt", "gt", "quot", "apos"]);
+const TIME_RE = /^\d+(\.\d+)?m?s$/;
+
+function lineCol(lineStarts, offset) {
+  let lo = 0;
+  let hi = lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineStarts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return { line: lo + 1, column: offset - lineStarts[lo] + 1 };
+}
+
+function parseAttributes(tag) {
+  const attrs = {};
+  for (const m of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attrs[m[1]] = m[3] ?? m[4];
+  }
+  return attrs;
+}
+
+function checkAttributes(name, attrs) {
+  if (name === "break") {
+    if (attrs.time && !TIME_RE.test(attrs.time)) return `<break time="${attrs.time}"> must look like "500ms" or "1.5s".`;
+    if (attrs.strength && !BREAK_STRENGTHS.has(attrs.strength)) return `<break strength="${attrs.strength}"> is not a valid strength.`;
+  }
+  if (name === "say-as") {
+    if (!attrs["interpret-as"]) return "<say-as> needs an interpret-as attribute.";
+    if (!SAY_AS_INTERPRET_AS.has(attrs["interpret-as"])) return `<say-as interpret-as="${attrs["interpret-as"]}"> is not supported.`;
+  }
+  if (name === "sub" && attrs.alias === undefined) return "<sub> needs an alias attribute.";
+  if (name === "phoneme") {
+    if (!attrs.ph) return "<phoneme> needs a ph attribute.";
+    if (!["ipa", "x-sampa"].includes(attrs.alphabet)) return '<phoneme alphabet> must be "ipa" or "x-sampa".';
+  }
+  if (name === "audio" && !attrs.src) return "<audio> needs a src attribute.";
+  if (name === "mark" && !attrs.name) return "<mark> needs a name attribute.";
+  if (name === "emphasis" && attrs.level && !EMPHASIS_LEVELS.has(attrs.level)) return `<emphasis level="${attrs.level}"> is not a valid level.`;
+  return null;
+}
+
+// voiceType is optional; without it only generic SSML rules are applied.
+export function validateSsml(ssml, voiceType) {
+  const errors = [];
+  const warnings = [];
+
+  const wellFormed = XMLValidator.validate(ssml);
+  if (wellFormed !== true) {
+    const { code, msg, line, col } = wellFormed.err;
+    // The parser reports unclosed elements as a stringified array of tag names; make that readable.
+    const unclosed = code === "InvalidXml" && msg.match(/^Invalid '\[(.*)\]' found/s);
+    const message = unclosed ? `Unclosed element(s): ${unclosed[1].replace(/[\s"]/g, "").split(",").map((t) => `<${t}>`).join(", ")}.` : msg;
+    return { valid: false, errors: [{ line, column: col, message }], warnings };
+  }
+
+  const lineStarts = [0];
+  for (let i = 0; i < ssml.length; i++) if (ssml[i] === "\n") lineStarts.push(i + 1);
+  const at = (offset, message) => ({ ...lineCol(lineStarts, offset), message });
+
+  const unsupported = UNSUPPORTED_BY_VOICE_TYPE[voiceType];
+  let sawRoot = false;
+
+  for (const m of ssml.matchAll(/<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<[^>]+>|&(#?[\w]+);/g)) {
+    const token = m[0];
+    if (token.startsWith("<!--") || token.startsWith("<?")) continue;
+    if (token.startsWith("<![CDATA[")) {
+      errors.push(at(m.index, "CDATA sections are not supported by Google TTS."));
+      continue;
+    }
+    if (token.startsWith("&")) {
+      const entity = m[1];
+      if (!entity.startsWith("#") && !XML_ENTITIES.has(entity)) {
+        errors.push(at(m.index, `Unknown entity &${entity}; — escape "&" as &amp;.`));
+      }
+      continue;
+    }
+    if (token.startsWith("</")) continue;
+
+    const name = token.match(/^<\s*([\w:-]+)/)?.[1] ?? "";
+    if (!sawRoot) {
+      sawRoot = true;
+      if (name !== "speak") errors.push(at(m.index, `The root element must be <speak>, found <${name}>.`));
+    }
+    if (!ELEMENTS.has(name)) {
+      errors.push(at(m.index, `<${name}> is not an SSML element Google supports.`));
+      continue;
+    }
+    if (unsupported?.has(name)) {
+      errors.push(at(m.index, `<${name}> is not supported by ${voiceType} voices.`));
+      continue;
+    }
+    if (name === "prosody" && voiceType === "STUDIO" && parseAttributes(token).pitch) {
+      errors.push(at(m.index, "<prosody pitch> is not supported by STUDIO voices."));
+      continue;
+    }
+    if (name === "google:style" && voiceType && voiceType !== "NEURAL2") {
+      warnings.push(at(m.index, "<google:style> only works with some Neural2 voices and will probably be ignored."));
+    }
+    const problem = checkAttributes(name, parseAttributes(token));
+    if (problem) errors.push(at(m.index, problem));
+  }
+
+  if (!sawRoot) errors.push({ line: 1, column: 1, message: "SSML must be wrapped in <speak>…</speak>." });
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+const escapeXml = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+export function textToSsml(text) {
+  const paragraphs = text
+    .trim()
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map((p) => `  <p>${escapeXml(p).replace(/\s*\n\s*/g, ' <break strength="medium"/> ')}</p>`);
+  return `<speak>\n${paragraphs.join("\n")}\n</speak>`;
+}
+
+// Plain text as it would be spoken: <sub> becomes its alias, breaks and paragraphs become whitespace.
+export function ssmlToText(ssml) {
+  return ssml
+    .replace(/<!--[\s\S]*?-->|<\?[\s\S]*?\?>/g, "")
+    .replace(/<sub\b[^>]*\balias\s*=\s*("([^"]*)"|'([^']*)')[^>]*>[\s\S]*?<\/sub\s*>/g, (_, __, dq, sq) => dq ?? sq)
+    .replace(/<\/(p|paragraph)\s*>/g, "\n\n")
+    .replace(/<(break|mark)\b[^>]*\/?>/g, " ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(x?)([0-9a-fA-F]+);/g, (_, hex, n) => String.fromCodePoint(parseInt(n, hex ? 16 : 10)))
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
@@ -0,0 +1,229 @@
+import { XMLParser, XMLValidator } from "fast-xml-parser";
+import { httpError } from "./errors.js";
+
+// ---- Localization string tables: JSON, XLIFF 1.2/2.x and gettext .po ----
+// Every format is read into the same shape, so the client can merge several files (e.g. one .po per locale):
+//   { format, sourceLanguage, languages, entries: [{ key, texts: { <locale>: text }, note? }] }
+// JSON comes either keyed by locale ({ "en": { ... }, "de": { ... } }) or as one locale's strings, whose locale
+// is taken from the file name ("messages.de.json") or the caller. Nested keys are joined with dots.
+
+export const STRING_TABLE_FORMATS = ["json", "xliff", "po"];
+export const STRING_TABLE_MAX_ENTRIES = 5000;
+
+function decodeXml(s) {
+  return s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(x?)([0-9a-fA-F]+);/g, (_, hex, n) => String.fromCodePoint(parseInt(n, hex ? 16 : 10)))
+    .replace(/&amp;/g, "&");
+}
+
+const languageNames = new Intl.DisplayNames(["en"], { type: "language", fallback: "none" });
+
+// "de_de" -> "de-DE", cased like the voice catalog's codes (which keep tags such as "cmn-CN" as they are); null
+// for anything that isn't a known language's tag, so a key or file name like "app" isn't mistaken for one.
+export function canonicalLocale(code) {
+  if (typeof code !== "string" || !/^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/.test(code)) return null;
+  const [language, ...rest] = code.split(/[-_]/);
+  const subtags = rest.map((t) => (/^[A-Za-z]{4}$/.test(t) ? t[0].toUpperCase() + t.slice(1).toLowerCase() : /^([A-Za-z]{2}|\d{3})$/.test(t) ? t.toUpperCase() : t.toLowerCase()));
+  try {
+    return languageNames.of(language.toLowerCase()) ? [language.toLowerCase(), ...subtags].join("-") : null;
+  } catch {
+    return null;
+  }
+}
+
+function formatOf(fileName, content) {
+  const ext = /\.([a-z0-9]+)$/i.exec(fileName || "")?.[1]?.toLowerCase();
+  if (ext === "json" || ext === "arb") return "json";
+  if (ext === "xlf" || ext === "xliff") return "xliff";
+  if (ext === "po" || ext === "pot") return "po";
+  const head = content.trimStart();
+  if (head.startsWith("{")) return "json";
+  if (head.startsWith("<")) return "xliff";
+  if (/^(#|msgid\s)/m.test(head)) return "po";
+  throw httpError(400, `Can't tell the format of ${fileName || "the upload"}; use .json, .xlf/.xliff or .po.`);
+}
+
+// "strings.fr-CA.json" or "de.json" -> the locale; null when the name doesn't end in one.
+function localeFromFileName(fileName) {
+  const stem = (fileName || "").replace(/^.*[\\/]/, "").replace(/\.[^.]+$/, "");
+  return canonicalLocale(stem.split(/[.]/).pop()) ?? canonicalLocale(stem.split(/[_-]/).slice(-2).join("-"));
+}
+
+// ---- JSON ----
+
+// Leaves are strings, or { message } objects (Chrome extension / ARB style); anything else is skipped.
+function flatten(value, prefix, out) {
+  for (const [name, child] of Object.entries(value)) {
+    if (name.startsWith("@")) continue; // ARB metadata
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (typeof child === "string") out.set(key, child);
+    else if (child && typeof child === "object" && typeof child.message === "string") out.set(key, child.message);
+    else if (child && typeof child === "object" && !Array.isArray(child)) flatten(child, key, out);
+  }
+  return out;
+}
+
+function parseJson(content, { fileName, languageCode }) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (e) {
+    throw httpError(400, `${fileName || "The upload"} isn't valid JSON: ${e.message}`);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw httpError(400, "A JSON string table must be an object of keys to strings.");
+
+  const top = Object.entries(data);
+  const byLocale = top.length > 0 && top.every(([name, value]) => canonicalLocale(name) && value && typeof value === "object" && !Array.isArray(value));
+  const tables = new Map(); // locale -> Map(key -> text)
+  if (byLocale) {
+    for (const [name, value] of top) tables.set(canonicalLocale(name), flatten(value, "", new Map()));
+  } else {
+    const locale = canonicalLocale(languageCode) ?? localeFromFileName(fileName);
+    if (!locale) throw httpError(400, `Can't tell which language ${fileName || "this file"} is in; name it like "strings.de.json", key it by locale or pick the language.`);
+    tables.set(locale, flatten(data, "", new Map()));
+  }
+
+  const entries = new Map();
+  for (const [locale, table] of tables) {
+    for (const [key, text] of table) {
+      if (!entries.has(key)) entries.set(key, { key, texts: {} });
+      entries.get(key).texts[locale] = text;
+    }
+  }
+  return { sourceLanguage: null, entries: [...entries.values()] };
+}
+
+// ---- XLIFF ----
+
+// Inline codes (<ph/>, <x/>, <g>, <pc>…) are dropped, keeping their equiv-text/disp if they have one, so a
+// placeholder reads the way translators saw it.
+function xliffText(node) {
+  const raw = typeof node === "string" ? node : (node?.["#text"] ?? "");
+  return decodeXml(
+    String(raw)
+      .replace(/<[^>]*?\b(?:equiv-text|equiv|disp)="([^"]*)"[^>]*>/g, (_, shown) => shown)
+      .replace(/<[^>]+>/g, ""),
+  ).trim();
+}
+
+const asArray = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]);
+
+// Units can sit in (nested) groups.
+function* units(container, unitTag) {
+  for (const unit of asArray(container?.[unitTag])) yield unit;
+  for (const group of asArray(container?.group)) yield* units(group, unitTag);
+}
+
+function parseXliff(content, { fileName }) {
+  const valid = XMLValidator.validate(content);
+  if (valid !== true) throw httpError(400, `${fileName || "The upload"} isn't valid XML (line ${valid.err.line}): ${valid.err.msg}`);
+  const doc = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "",
+    parseTagValue: false,
+    parseAttributeValue: false,
+    removeNSPrefix: true,
+    stopNodes: ["*.source", "*.target"],
+  }).parse(content);
+  const root = doc.xliff;
+  if (!root) throw httpError(400, `${fileName || "The upload"} has no <xliff> root element.`);
+
+  const v2 = String(root.version || "").startsWith("2");
+  let sourceLanguage = null;
+  const entries = [];
+  for (const file of asArray(root.file)) {
+    const src = canonicalLocale(v2 ? root.srcLang : file["source-language"]);
+    const trg = canonicalLocale(v2 ? root.trgLang : file["target-language"]);
+    sourceLanguage ??= src;
+    const seen = new Set();
+    for (const unit of units(v2 ? file : file.body, v2 ? "unit" : "trans-unit")) {
+      // 2.x splits a unit into segments (and ignorables, which are whitespace between them)
+      const parts = v2 ? asArray(unit.segment) : [unit];
+      const source = parts.map((p) => xliffText(p.source)).join(" ").trim();
+      const target = parts.map((p) => xliffText(p.target)).join(" ").trim();
+      const key = unit.resname || unit.name || unit.id || source;
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      const texts = {};
+      if (src && source) texts[src] = source;
+      if (trg && target) texts[trg] = target;
+      const note = asArray(v2 ? unit.notes?.note : unit.note).map(xliffText).filter(Boolean).join(" ");
+      entries.push({ key, texts, ...(note ? { note } : {}) });
+    }
+  }
+  return { sourceLanguage, entries };
+}
+
+// ---- gettext .po ----
+
+function poString(quoted) {
+  return quoted.slice(1, -1).replace(/\\(["\\nt])/g, (_, c) => ({ n: "\n", t: "\t" })[c] ?? c);
+}
+
+// msgids are taken to be in `sourceLanguage` (gettext doesn't record it; "en" by default). Fuzzy entries
+// need a translator's review, so their msgstr is left out as if untranslated.
+function parsePo(content, { fileName, languageCode, sourceLanguage }) {
+  const blocks = content.replace(/\r\n?/g, "\n").split(/\n\s*\n/);
+  const parsed = [];
+  for (const block of blocks) {
+    const entry = { fuzzy: false, comments: [], fields: {} };
+    let field = null;
+    for (const line of block.split("\n").map((l) => l.trim())) {
+      if (!line) continue;
+      if (line.startsWith("#~")) break; // obsolete
+      if (line.startsWith("#,")) entry.fuzzy ||= /\bfuzzy\b/.test(line);
+      else if (line.startsWith("#.")) entry.comments.push(line.slice(2).trim());
+      else if (line.startsWith("#")) continue;
+      else if (line.startsWith('"')) {
+        if (field && /^".*"$/.test(line)) entry.fields[field] += poString(line);
+      } else {
+        const m = /^(msgctxt|msgid|msgid_plural|msgstr(?:\[\d+\])?)\s+(".*")$/.exec(line);
+        if (!m) throw httpError(400, `${fileName || "The .po file"} has a line gettext wouldn't accept: ${line.slice(0, 80)}`);
+        field = m[1];
+        entry.fields[field] = poString(m[2]);
+      }
+    }
+    if (entry.fields.msgid !== undefined) parsed.push(entry);
+  }
+
+  const header = parsed.find((e) => e.fields.msgid === "" && !e.fields.msgctxt);
+  const headerLanguage = /^Language:\s*(\S+)/m.exec(header?.fields.msgstr ?? "")?.[1];
+  const target = canonicalLocale(headerLanguage) ?? canonicalLocale(languageCode) ?? localeFromFileName(fileName);
+  const source = canonicalLocale(sourceLanguage) ?? "en";
+  if (!target) throw httpError(400, `${fileName || "The .po file"} has no Language header; add one or pick the language.`);
+
+  const entries = [];
+  for (const e of parsed) {
+    if (e === header) continue;
+    const { msgctxt, msgid } = e.fields;
+    const msgstr = e.fields.msgstr ?? e.fields["msgstr[0]"] ?? "";
+    const texts = { [source]: msgid };
+    if (msgstr && !e.fuzzy) texts[target] = msgstr;
+    entries.push({ key: msgctxt ? `${msgctxt}|${msgid}` : msgid, texts, ...(e.comments.length ? { note: e.comments.join(" ") } : {}) });
+  }
+  return { sourceLanguage: source, entries };
+}
+
+// Parses an uploaded table. `languageCode` names the locale of single-language JSON or a .po without a
+// Language header; `sourceLanguage` is what a .po's msgids are written in.
+export function parseStringTable(content, { fileName, languageCode, sourceLanguage } = {}) {
+  const format = formatOf(fileName, content);
+  const table =
+    format === "json"
+      ? parseJson(content, { fileName, languageCode })
+      : format === "xliff"
+        ? parseXliff(content, { fileName })
+        : parsePo(content, { fileName, languageCode, sourceLanguage });
+
+  const entries = table.entries.filter((e) => Object.keys(e.texts).length);
+  if (!entries.length) throw httpError(400, `No strings found in ${fileName || "the upload"}.`);
+  if (entries.length > STRING_TABLE_MAX_ENTRIES) {
+    throw httpError(400, `${fileName || "The upload"} has ${entries.length} strings; the limit is ${STRING_TABLE_MAX_ENTRIES}.`);
+  }
+  const languages = [...new Set(entries.flatMap((e) => Object.keys(e.texts)))].sort();
+  return { format, sourceLanguage: table.sourceLanguage, languages, entries };
+}
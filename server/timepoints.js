@@ -0,0 +1,110 @@
+// ---- Word timepoints ----
+// Google reports timings only for <mark> tags, so a <mark name="wN"/> is injected before every word and
+// the returned timepoints are mapped back onto the words. Words carry offsets into a plain-text rendering
+// of the input so clients can highlight them in place.
+
+// Content of these elements isn't spoken as written, so it is marked as a single unit.
+const ATOMIC = new Set(["sub", "say-as", "phoneme"]);
+// Content of these elements isn't spoken at all (fallback text / descriptions).
+const SILENT = new Set(["audio", "desc"]);
+
+const escapeXml = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+function decodeXml(s) {
+  return s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(x?)([0-9a-fA-F]+);/g, (_, hex, n) => String.fromCodePoint(parseInt(n, hex ? 16 : 10)))
+    .replace(/&amp;/g, "&");
+}
+
+const markFor = (index) => `<mark name="w${index}"/>`;
+
+// Builds marked-up SSML for `input` and the list of words the marks refer to.
+// Returns { ssml, text, words: [{ index, word, start, end }] } where start/end index into `text`.
+export function injectMarks(input, inputType, languageCode) {
+  const segmenter = new Intl.Segmenter(languageCode || undefined, { granularity: "word" });
+  const words = [];
+  let text = "";
+  let out = "";
+
+  // Appends plain text, marking each word in it.
+  function addText(plain) {
+    for (const { segment, isWordLike } of segmenter.segment(plain)) {
+      if (isWordLike) {
+        words.push({ index: words.length, word: segment, start: text.length, end: text.length + segment.length });
+        out += markFor(words.length - 1);
+      }
+      out += escapeXml(segment);
+      text += segment;
+    }
+  }
+
+  if (inputType !== "ssml") {
+    addText(input);
+    return { ssml: `<speak>${out}</speak>`, text, words };
+  }
+
+  // SSML: walk tags and text nodes; nested atomic/silent content is copied through untouched.
+  let atomic = null; // { name, depth, raw, plain } while inside an atomic or silent element
+  const separate = (sep) => {
+    if (text && !/\s$/.test(text)) text += sep;
+  };
+
+  for (const m of input.matchAll(/<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<\/?([\w:-]+)[^>]*?(\/?)>|[^<]+/g)) {
+    const token = m[0];
+    const name = m[1];
+
+    if (atomic) {
+      atomic.raw += token;
+      if (!name) atomic.plain += decodeXml(token);
+      else if (name === atomic.name && !m[2]) atomic.depth += token.startsWith("</") ? -1 : 1;
+      if (atomic.depth > 0) continue;
+
+      const spoken = atomic.plain.trim();
+      if (ATOMIC.has(atomic.name) && spoken) {
+        words.push({ index: words.length, word: spoken, start: text.length, end: text.length + spoken.length });
+        out += markFor(words.length - 1);
+        text += spoken;
+      }
+      out += atomic.raw;
+      atomic = null;
+      continue;
+    }
+
+    if (!name) {
+      if (token.startsWith("<")) out += token; // comment or processing instruction
+      else addText(decodeXml(token));
+      continue;
+    }
+
+    const closing = token.startsWith("</");
+    const selfClosing = m[2] === "/";
+    if (!closing && !selfClosing && (ATOMIC.has(name) || SILENT.has(name))) {
+      atomic = { name, depth: 1, raw: token, plain: "" };
+      continue;
+    }
+    out += token;
+    if (name === "break" || name === "s") separate(" ");
+    if (name === "p" && closing) separate("\n\n");
+  }
+
+  return { ssml: out, text: text.trimEnd(), words };
+}
+
+// Pairs Google's timepoints ({ markName, timeSeconds }) with the injected words; user marks are ignored.
+export function buildTimeline({ text, words }, timepoints = []) {
+  const times = new Map();
+  for (const tp of timepoints) {
+    const m = /^w(\d+)$/.exec(tp.markName || "");
+    if (m) times.set(Number(m[1]), Number(tp.timeSeconds) || 0);
+  }
+  return {
+    text,
+    words: words
+      .filter((w) => times.has(w.index))
+      .map((w) => ({ word: w.word, start: w.start, end: w.end, timeSeconds: times.get(w.index) })),
+  };
+}
@@ -0,0 +1,122 @@
+import { httpError } from "./errors.js";
+
+// ---- Translation providers (translate-and-speak) ----
+// Fill in locales that no uploaded string table or typed-in translation covers. A provider is:
+//   id, label
+//   available                 -> false when it can't translate (TRANSLATION_PROVIDER=none)
+//   per1MCharactersUsd        -> what it charges, so the per-locale cost includes the translation
+//   translate(text, { from, to }) -> the translated text
+// createTranslationProvider() keeps results in memory (per source, target and text), so re-running a review
+// doesn't pay twice; its translate() resolves to { text, cached }.
+
+const CACHE_MAX_ENTRIES = 2000;
+const GOOGLE_TRANSLATE_URL = "https://translation.googleapis.com/language/translate/v2";
+
+// Voice catalog codes -> the ones Cloud Translation knows. It wants the bare language except for the few
+// regional variants it translates separately.
+const GOOGLE_CODES = { "cmn-CN": "zh-CN", "cmn-TW": "zh-TW", "yue-HK": "yue", "zh-CN": "zh-CN", "zh-TW": "zh-TW", "pt-PT": "pt-PT", "fr-CA": "fr-CA" };
+const googleCode = (locale) => GOOGLE_CODES[locale] ?? locale.split("-")[0].toLowerCase();
+
+// Placeholders ({name}, {{count}}, %s, %1$d, ${x}) are kept as written so reviewers hear where they fall.
+const PLACEHOLDER = String.raw`\{\{?[^{}]*\}?\}|%(?:\d+\$)?[-+ #0]*\d*(?:\.\d+)?[sdifuxX@]|\$\{[^}]*\}`;
+const PLACEHOLDER_SPLIT_RE = new RegExp(`(${PLACEHOLDER})`);
+const PLACEHOLDER_RE = new RegExp(`^(?:${PLACEHOLDER})$`);
+
+function createGoogleTranslator({ apiKey, timeoutMs }) {
+  if (!apiKey) throw new Error("TRANSLATION_PROVIDER=google needs GOOGLE_TRANSLATE_API_KEY");
+  return {
+    id: "google",
+    label: "Google Cloud Translation",
+    available: true,
+    per1MCharactersUsd: 20,
+
+    async translate(text, { from, to }) {
+      let res;
+      try {
+        res = await fetch(`${GOOGLE_TRANSLATE_URL}?key=${encodeURIComponent(apiKey)}`, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          signal: AbortSignal.timeout(timeoutMs),
+          body: JSON.stringify({ q: [text], source: googleCode(from), target: googleCode(to), format: "text" }),
+        });
+      } catch (e) {
+        if (e.name === "TimeoutError") throw httpError(504, `Translation to ${to} took longer than ${timeoutMs} ms.`);
+        throw httpError(503, `Translation service unreachable: ${e.message}`, { code: "UPSTREAM_UNREACHABLE" });
+      }
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        const message = data.error?.message || `HTTP ${res.status}`;
+        if (res.status === 400) throw httpError(400, `Translation to ${to} refused: ${message}`, { code: "TRANSLATION_REFUSED" });
+        if (res.status === 429) throw httpError(429, `Translation quota exceeded: ${message}`, { code: "UPSTREAM_QUOTA_EXCEEDED", retryable: true });
+        throw httpError(502, `Translation to ${to} failed: ${message}`, { code: "TRANSLATION_FAILED" });
+      }
+      return data.data.translations[0].translatedText;
+    },
+  };
+}
+
+const PSEUDO_MAP = Object.fromEntries([..."aceinouyACEINOUY"].map((c, i) => [c, "åçéîñöûýÅÇÉÎÑÖÛÝ"[i]]));
+
+// Accented and padded ~30%, like a real translation's length, for trying the mode without a translation
+// service (pairs well with TTS_PROVIDER=local).
+function createPseudoTranslator() {
+  return {
+    id: "pseudo",
+    label: "Pseudo-localization (offline)",
+    available: true,
+    per1MCharactersUsd: 0,
+
+    async translate(text, { to }) {
+      const accented = text
+        .split(PLACEHOLDER_SPLIT_RE)
+        .map((p) => (PLACEHOLDER_RE.test(p) ? p : [...p].map((c) => PSEUDO_MAP[c] ?? c).join("")))
+        .join("");
+      return `[${to}] ${accented} ${"~".repeat(Math.ceil(text.length * 0.3))}`;
+    },
+  };
+}
+
+function createNoTranslator() {
+  return {
+    id: "none",
+    label: "None (string tables only)",
+    available: false,
+    per1MCharactersUsd: 0,
+
+    async translate(text, { to }) {
+      throw httpError(400, `No ${to} translation given and no translation provider configured; upload a string table with it, type it in, or set TRANSLATION_PROVIDER.`, { code: "TRANSLATION_MISSING" });
+    },
+  };
+}
+
+const PROVIDERS = {
+  none: createNoTranslator,
+  google: createGoogleTranslator,
+  pseudo: createPseudoTranslator,
+};
+
+export const TRANSLATION_PROVIDER_IDS = Object.keys(PROVIDERS);
+
+export function createTranslationProvider(id, { apiKey, timeoutMs = 15000 } = {}) {
+  const create = PROVIDERS[id];
+  if (!create) throw new Error(`Unknown TRANSLATION_PROVIDER "${id}"; expected one of: ${TRANSLATION_PROVIDER_IDS.join(", ")}`);
+  const provider = create({ apiKey, timeoutMs });
+  const cache = new Map(); // "<from>\n<to>\n<text>" -> translation, oldest first
+
+  return {
+    ...provider,
+    async translate(text, { from, to }) {
+      const key = `${from}\n${to}\n${text}`;
+      if (cache.has(key)) {
+        const hit = cache.get(key);
+        cache.delete(key);
+        cache.set(key, hit);
+        return { text: hit, cached: true };
+      }
+      const translated = await provider.translate(text, { from, to });
+      cache.set(key, translated);
+      if (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+      return { text: translated, cached: false };
+    },
+  };
+}
@@ -0,0 +1,27 @@
+import { createGoogleProvider } from "./googleTts.js";
+import { createLocalProvider } from "./localTts.js";
+
+// ---- Text-to-speech providers ----
+// Everything above the provider speaks Google's request shape ({ input, voice, audioConfig, enableTimePointing }),
+// so a provider is:
+//   id, label
+//   listVoices()              -> [{ name, languageCodes, ssmlGender, naturalSampleRateHertz }]
+//   voiceTypeOf(voiceName)    -> pricing/capability tier, e.g. "NEURAL2"
+//   capabilitiesFor(voiceType, voiceName) -> same shape as voiceCatalog.capabilitiesFor
+//   pricing                   -> { per1MCharactersUsd, freeTierCharactersPerMonth } keyed by voice type
+//   synthesize(request)       -> { audioContent: Buffer, timepoints: [{ markName, timeSeconds }] }
+//                                PCM may come back without a header; the server wraps it in WAV
+//   streamingSynthesize(...)  -> optional, for voices whose capabilities say nativeStreaming
+
+const PROVIDERS = {
+  google: createGoogleProvider,
+  local: createLocalProvider,
+};
+
+const TTS_PROVIDER_IDS = Object.keys(PROVIDERS);
+
+export function createTtsProvider(id) {
+  const create = PROVIDERS[id];
+  if (!create) throw new Error(`Unknown TTS_PROVIDER "${id}"; expected one of: ${TTS_PROVIDER_IDS.join(", ")}`);
+  return create();
+}
@@ -0,0 +1,132 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { FREE_TIER_PER_MONTH, PRICE_PER_1M_USD } from "./billing.js";
+
+// ---- Voice catalog: capabilities, language names, filtering and refresh diffs ----
+
+// Every encoding the API knows; a provider's capabilities say which of them it can actually produce.
+export const AUDIO_ENCODINGS = ["MP3", "OGG_OPUS", "LINEAR16", "MULAW", "ALAW", "PCM", "M4A"];
+
+// What each voice type accepts (per Google's docs); the synthesis routes enforce the same rules.
+export function capabilitiesFor(voiceType, voiceName = "", audioEncodings = AUDIO_ENCODINGS) {
+  const chirp = voiceType === "CHIRP_HD";
+  return {
+    ssml: !chirp,
+    speakingRate: !chirp,
+    pitch: !chirp,
+    // <mark> timepoints, used for word timings
+    timepoints: !chirp && voiceType !== "STUDIO",
+    nativeStreaming: chirp,
+    // Takes speaker-labelled turns (multiSpeakerMarkup) and voices them all in one request
+    multiSpeaker: voiceName.includes("MultiSpeaker"),
+    // Chirp 3: HD doesn't offer A-law
+    audioEncodings: chirp ? audioEncodings.filter((e) => e !== "ALAW") : audioEncodings,
+    pricing: {
+      tier: voiceType,
+      per1MCharactersUsd: PRICE_PER_1M_USD[voiceType] ?? PRICE_PER_1M_USD.OTHER,
+      freeTierCharactersPerMonth: FREE_TIER_PER_MONTH[voiceType] ?? 0,
+    },
+  };
+}
+
+const displayNames = new Intl.DisplayNames(["en"], { type: "language", fallback: "code" });
+
+// "en-US" -> "English (United States)"; unknown codes come back unchanged.
+export function languageName(code) {
+  try {
+    return displayNames.of(code);
+  } catch {
+    return code;
+  }
+}
+
+// `language` matches exactly or as a prefix ("en" matches en-US and en-GB).
+export function filterVoices(voices, { language, voiceType, gender, sampleRateHertz, q }) {
+  const lang = language?.toLowerCase();
+  const needle = q?.trim().toLowerCase();
+  return voices.filter((v) => {
+    if (lang && !v.languageCodes.some((c) => c.toLowerCase() === lang || c.toLowerCase().startsWith(`${lang}-`))) return false;
+    if (voiceType && v.voiceType !== voiceType) return false;
+    if (gender && v.ssmlGender !== gender) return false;
+    if (sampleRateHertz && v.naturalSampleRateHertz !== sampleRateHertz) return false;
+    if (needle && !v.name.toLowerCase().includes(needle) && !v.languageNames.some((n) => n.toLowerCase().includes(needle))) return false;
+    return true;
+  });
+}
+
+// Best first, for picking a voice per locale when the caller doesn't name one.
+export const VOICE_TIER_ORDER = ["CHIRP_HD", "STUDIO", "NEURAL2", "WAVENET", "POLYGLOT", "STANDARD", "OTHER", "LOCAL"];
+
+// The best-tier voice for `languageCode`: voices listing the exact code beat those that only share the language
+// ("fr" -> fr-FR), then tier, then `gender`, then name. `voiceTypes` limits the tiers considered (e.g. to keep
+// Studio's price out of a review); multi-speaker voices are left out. null when nothing fits.
+export function bestVoiceFor(voices, languageCode, { voiceTypes, gender } = {}) {
+  const want = languageCode.toLowerCase();
+  const base = want.split("-")[0];
+  const rank = (v) => {
+    const tier = VOICE_TIER_ORDER.indexOf(v.voiceType);
+    return [
+      v.languageCodes.some((c) => c.toLowerCase() === want) ? 0 : 1,
+      tier === -1 ? VOICE_TIER_ORDER.length : tier,
+      gender && v.ssmlGender !== gender ? 1 : 0,
+    ];
+  };
+  const candidates = voices.filter(
+    (v) =>
+      (!voiceTypes?.length || voiceTypes.includes(v.voiceType)) &&
+      !v.capabilities?.multiSpeaker &&
+      v.languageCodes.some((c) => c.toLowerCase() === want || c.toLowerCase().split("-")[0] === base),
+  );
+  const compare = (a, b) => {
+    const ra = rank(a);
+    const rb = rank(b);
+    return ra[0] - rb[0] || ra[1] - rb[1] || ra[2] - rb[2] || a.name.localeCompare(b.name);
+  };
+  return candidates.sort(compare)[0] ?? null;
+}
+
+// Remembers the voice names seen at the previous refresh (on disk, so restarts don't lose it) and
+// what was added or removed when the list last changed.
+export function createCatalogTracker({ dir }) {
+  const filePath = path.join(dir, "catalog.json");
+  let state = null; // { refreshedAt, names, lastChange }
+
+  async function load() {
+    if (state) return state;
+    await fs.mkdir(dir, { recursive: true });
+    try {
+      state = JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch {
+      state = { refreshedAt: null, names: null, lastChange: null };
+    }
+    return state;
+  }
+
+  return {
+    async update(voices) {
+      await load();
+      const now = new Date().toISOString();
+      const names = voices.map((v) => v.name).sort();
+      if (state.names) {
+        const before = new Set(state.names);
+        const after = new Set(names);
+        const added = names.filter((n) => !before.has(n));
+        const removed = state.names.filter((n) => !after.has(n));
+        if (added.length || removed.length) {
+          state.lastChange = { at: now, previousRefreshAt: state.refreshedAt, added, removed };
+        }
+      }
+      state = { ...state, refreshedAt: now, names };
+      await fs.writeFile(filePath, JSON.stringify(state));
+    },
+
+    async diff() {
+      await load();
+      return {
+        refreshedAt: state.refreshedAt,
+        voiceCount: state.names?.length ?? 0,
+        lastChange: state.lastChange,
+      };
+    },
+  };
+}
@@ -0,0 +1,365 @@
+import crypto from "node:crypto";
+import dns from "node:dns";
+import fs from "node:fs/promises";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import path from "node:path";
+import { httpError } from "./errors.js";
+import { log } from "./logger.js";
+
+// ---- Webhooks: tell callers when a synthesis or render finishes or fails ----
+// Endpoints belong to the API key that registered them and get events for that key's requests (an admin can
+// subscribe one to every key's). Each event is POSTed as JSON, signed with the endpoint's secret: the
+// X-TTS-Signature header is "t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">", so receivers can check
+// both origin and freshness. Failed deliveries are retried with exponential backoff. Endpoints are kept in
+// <dir>/webhooks.json and the newest `logSize` deliveries, with every attempt, in <dir>/deliveries.json;
+// deliveries still waiting for a retry resume after a restart.
+
+export const WEBHOOK_EVENTS = ["synthesis.completed", "synthesis.failed", "job.completed", "job.failed"];
+
+const RETRY_BASE_MS = 30_000;
+const RETRY_MAX_MS = 6 * 3600 * 1000;
+// Kept per attempt, enough to see why a receiver refused a delivery
+const RESPONSE_SNIPPET_CHARS = 500;
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+
+export function signatureHeader(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// "This network", loopback, private, carrier-grade NAT, link-local (cloud metadata), multicast and reserved
+// ranges. BlockList checks IPv4-mapped IPv6 addresses in any notation (::ffff:127.0.0.1, ::ffff:7f00:1)
+// against the IPv4 rules; NAT64 addresses could reach any of them too.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [prefix, bits] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 3]]) {
+  PRIVATE_RANGES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8], ["64:ff9b::", 96]]) {
+  PRIVATE_RANGES.addSubnet(prefix, bits, "ipv6");
+}
+
+const isPrivateAddress = (address) => PRIVATE_RANGES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+const privateHostError = (host) => httpError(400, `Webhook host ${host} resolves to a private address.`);
+
+// dns.lookup for the delivery's socket: the address is checked when it is connected to, so a host can't
+// resolve to a public address when the URL is checked and to a private one for the request (DNS rebinding).
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map((a) => a.address) : [address];
+    if (addresses.some(isPrivateAddress)) return callback(privateHostError(hostname));
+    callback(null, address, family);
+  });
+}
+
+// Refuses URLs that would make the server call into its own network, unless `allowPrivate` (e.g. development).
+// `resolve: false` only checks IP literals, for deliveries whose socket lookup checks the rest.
+async function assertDeliverable(url, allowPrivate, { resolve = true } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw httpError(400, "Webhook URL is not a valid URL.");
+  }
+  if (parsed.protocol !== "https:" && parsed.protocol !== "http:") throw httpError(400, "Webhook URLs must use http or https.");
+  if (parsed.username || parsed.password) throw httpError(400, "Webhook URLs can't carry credentials; verify deliveries with the signature instead.");
+  if (allowPrivate) return;
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (!net.isIP(host) && !resolve) return;
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map((a) => a.address);
+  } catch {
+    throw httpError(400, `Webhook host ${host} could not be resolved.`, { retryable: true });
+  }
+  if (addresses.some(isPrivateAddress)) throw privateHostError(host);
+}
+
+// One POST, without following redirects: they could point anywhere, including at the private network.
+// Resolves to { status, text } with the start of the response body.
+function post(url, { headers, body, timeoutMs, allowPrivate }) {
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method: "POST",
+      headers: { ...headers, "content-length": Buffer.byteLength(body) },
+      ...(allowPrivate ? {} : { lookup: publicOnlyLookup }),
+    });
+    const timer = setTimeout(() => req.destroy(Object.assign(new Error(`No response within ${timeoutMs} ms`), { name: "TimeoutError" })), timeoutMs);
+    req.on("response", (res) => {
+      let text = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        if (text.length < RESPONSE_SNIPPET_CHARS) text += chunk;
+      });
+      res.on("end", () => {
+        clearTimeout(timer);
+        resolve({ status: res.statusCode, text: text.slice(0, RESPONSE_SNIPPET_CHARS) });
+      });
+      res.on("error", (e) => {
+        clearTimeout(timer);
+        reject(e);
+      });
+    });
+    req.on("error", (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+    req.end(body);
+  });
+}
+
+function publicWebhook({ secret, ...webhook }) {
+  return { ...webhook, secretHint: `${secret.slice(0, 10)}…` };
+}
+
+export function createWebhookStore({ dir, maxAttempts, timeoutMs, logSize, allowPrivate }) {
+  const webhooksPath = path.join(dir, "webhooks.json");
+  const deliveriesPath = path.join(dir, "deliveries.json");
+  const timers = new Map(); // delivery id -> retry timer
+  let webhooks = null;
+  let deliveries = null; // newest last
+  let loaded = null;
+  let saving = Promise.resolve();
+
+  function load() {
+    loaded ??= (async () => {
+      await fs.mkdir(dir, { recursive: true });
+      const read = async (file, field) => {
+        try {
+          return JSON.parse(await fs.readFile(file, "utf8"))[field] || [];
+        } catch {
+          return [];
+        }
+      };
+      webhooks = await read(webhooksPath, "webhooks");
+      deliveries = await read(deliveriesPath, "deliveries");
+      for (const d of deliveries) if (d.status === "pending") schedule(d);
+    })();
+    return loaded;
+  }
+
+  // Both files in one chain, so writes never interleave.
+  function save() {
+    const snapshot = { webhooks: JSON.stringify({ webhooks }, null, 2), deliveries: JSON.stringify({ deliveries }) };
+    saving = saving
+      .then(async () => {
+        for (const [file, content] of [[webhooksPath, snapshot.webhooks], [deliveriesPath, snapshot.deliveries]]) {
+          await fs.writeFile(`${file}.tmp`, content);
+          await fs.rename(`${file}.tmp`, file);
+        }
+      })
+      .catch((e) => log.error("webhooks: failed to save", { err: e }));
+    return saving;
+  }
+
+  // Oldest finished deliveries go first; pending ones are kept until they finish.
+  function trimLog() {
+    let excess = deliveries.length - logSize;
+    if (excess <= 0) return;
+    deliveries = deliveries.filter((d) => excess <= 0 || d.status === "pending" || !excess--);
+  }
+
+  function schedule(delivery) {
+    clearTimeout(timers.get(delivery.id));
+    const delay = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      timers.delete(delivery.id);
+      attempt(delivery).catch((e) => log.error("webhooks: delivery crashed", { deliveryId: delivery.id, err: e }));
+    }, delay);
+    timer.unref();
+    timers.set(delivery.id, timer);
+  }
+
+  async function attempt(delivery) {
+    const webhook = webhooks.find((w) => w.id === delivery.webhookId);
+    if (!webhook) {
+      Object.assign(delivery, { status: "failed", nextAttemptAt: null });
+      delivery.attempts.push({ at: new Date().toISOString(), error: "The webhook was deleted." });
+      return save();
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    const record = { at: new Date(startedAt).toISOString() };
+    let permanent = false;
+    try {
+      await assertDeliverable(webhook.url, allowPrivate, { resolve: false });
+      const res = await post(webhook.url, {
+        timeoutMs,
+        allowPrivate,
+        headers: {
+          "content-type": "application/json",
+          "user-agent": "tts-webhooks/1",
+          "x-tts-event": delivery.event,
+          "x-tts-delivery": delivery.id,
+          "x-tts-signature": signatureHeader(webhook.secret, body),
+        },
+        body,
+      });
+      record.statusCode = res.status;
+      record.responseBody = res.text;
+      // 410 Gone is the receiver saying it will never want this.
+      permanent = res.status === 410;
+      if (res.status < 200 || res.status > 299) record.error = `HTTP ${res.status}`;
+    } catch (e) {
+      record.error = e.name === "TimeoutError" ? `No response within ${timeoutMs} ms` : String(e.message || e);
+      // A bad or private URL stays bad; a failed DNS lookup may not.
+      permanent = e.status === 400 && !e.extra?.retryable;
+    }
+    record.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+      Object.assign(delivery, { status: "delivered", deliveredAt: new Date().toISOString(), nextAttemptAt: null });
+    } else if (permanent || delivery.attempts.length >= maxAttempts) {
+      Object.assign(delivery, { status: "failed", nextAttemptAt: null });
+      log.warn("webhooks: delivery failed", { deliveryId: delivery.id, webhookId: webhook.id, event: delivery.event, error: record.error });
+    } else {
+      const delayMs = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 4 ** (delivery.attempts.length - 1));
+      delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+      schedule(delivery);
+    }
+    return save();
+  }
+
+  function enqueue(webhook, event, payload) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      event,
+      payload,
+      status: "pending",
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: new Date().toISOString(),
+      deliveredAt: null,
+    };
+    deliveries.push(delivery);
+    trimLog();
+    schedule(delivery);
+    return delivery;
+  }
+
+  const matches = (webhook, event, keyId) => webhook.enabled && webhook.events.includes(event) && (webhook.allKeys || webhook.ownerKeyId === keyId);
+
+  return {
+    load,
+
+    async list() {
+      await load();
+      return webhooks.map(publicWebhook);
+    },
+
+    async get(id) {
+      await load();
+      const webhook = webhooks.find((w) => w.id === id);
+      return webhook ? publicWebhook(webhook) : null;
+    },
+
+    // The secret is only ever returned here and by rotateSecret().
+    async create({ url, description, events, allKeys }, { ownerKeyId }) {
+      await load();
+      await assertDeliverable(url, allowPrivate);
+      const webhook = {
+        id: crypto.randomUUID(),
+        url,
+        description: description ?? "",
+        events,
+        allKeys: Boolean(allKeys),
+        enabled: true,
+        ownerKeyId,
+        secret: newSecret(),
+        createdAt: new Date().toISOString(),
+      };
+      webhooks.push(webhook);
+      await save();
+      return { ...publicWebhook(webhook), secret: webhook.secret };
+    },
+
+    async update(id, fields) {
+      await load();
+      const webhook = webhooks.find((w) => w.id === id);
+      if (!webhook) return null;
+      if (fields.url !== undefined) await assertDeliverable(fields.url, allowPrivate);
+      for (const [name, value] of Object.entries(fields)) if (value !== undefined) webhook[name] = value;
+      await save();
+      return publicWebhook(webhook);
+    },
+
+    async rotateSecret(id) {
+      await load();
+      const webhook = webhooks.find((w) => w.id === id);
+      if (!webhook) return null;
+      webhook.secret = newSecret();
+      await save();
+      return { ...publicWebhook(webhook), secret: webhook.secret };
+    },
+
+    async delete(id) {
+      await load();
+      const before = webhooks.length;
+      webhooks = webhooks.filter((w) => w.id !== id);
+      if (webhooks.length === before) return false;
+      await save();
+      return true;
+    },
+
+    // Whether an event raised by `keyId`'s requests would reach at least one endpoint.
+    async subscribed(event, keyId) {
+      await load();
+      return webhooks.some((w) => matches(w, event, keyId));
+    },
+
+    // Queues `event` for every endpoint subscribed to it; returns the deliveries.
+    async emit(event, data, { keyId }) {
+      await load();
+      const targets = webhooks.filter((w) => matches(w, event, keyId));
+      if (!targets.length) return [];
+      const payload = { id: crypto.randomUUID(), type: event, createdAt: new Date().toISOString(), data };
+      const queued = targets.map((w) => enqueue(w, event, payload));
+      await save();
+      return queued;
+    },
+
+    // A "ping" event to check the receiver and its signature verification.
+    async test(id) {
+      await load();
+      const webhook = webhooks.find((w) => w.id === id);
+      if (!webhook) return null;
+      const delivery = enqueue(webhook, "ping", { id: crypto.randomUUID(), type: "ping", createdAt: new Date().toISOString(), data: { webhookId: id } });
+      await save();
+      return delivery;
+    },
+
+    // Newest first; filters: webhookIds (those visible to the caller), webhookId, status.
+    async deliveries({ webhookIds, webhookId, status, limit = 100 } = {}) {
+      await load();
+      return deliveries
+        .filter((d) => (!webhookIds || webhookIds.has(d.webhookId)) && (!webhookId || d.webhookId === webhookId) && (!status || d.status === status))
+        .slice(-limit)
+        .reverse();
+    },
+
+    async getDelivery(id) {
+      await load();
+      return deliveries.find((d) => d.id === id) ?? null;
+    },
+
+    // Sends a past delivery's payload again, as a new delivery with its own attempts.
+    async redeliver(id) {
+      await load();
+      const original = deliveries.find((d) => d.id === id);
+      const webhook = original && webhooks.find((w) => w.id === original.webhookId);
+      if (!webhook) return null;
+      const delivery = enqueue(webhook, original.event, original.payload);
+      await save();
+      return delivery;
+    },
+  };
+}